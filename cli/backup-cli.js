@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+// 備份檔命令列工具（不需瀏覽器，Node 18+）：讀 App「備份」下載的 JSON
+// 用法見 cli/README.md，或執行 node cli/backup-cli.js --help
+// 統計一律用 src/calc.js，跟 App 上的數字同一套算法
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { webcrypto } from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { parseBackupJSON, parseAllProfilesJSON, decryptBackupText } from "../src/backupFile.js";
+import { isEncryptedBackup } from "../src/backupCrypto.js";
+import { totals, totalsBy, yearOf, monthOf, locationOf } from "../src/calc.js";
+import { mergeBackups } from "../src/merge.js";
+import { recordsToCSV } from "../src/csv.js";
+import { errorText } from "../src/i18n.js";
+
+// Node 18 沒有全域的 crypto
+if(!globalThis.crypto) globalThis.crypto = webcrypto;
+
+const HELP = `用法：node cli/backup-cli.js <指令> [選項]
+
+指令
+  summary <備份檔>          印出每年、每月、每個地點的場數與輸贏
+  validate <備份檔>         檢查備份格式與每一筆紀錄
+  merge <備份A> <備份B>     合併兩份備份（同一筆紀錄以較新的為準）
+  csv <備份檔>              轉成 CSV（跟 App 匯出的欄位相同）
+
+選項
+  --by year|month|location  summary 只印其中一種
+  --year <YYYY>             只算這一年（summary、csv）
+  --profile <名稱或 id>     「所有帳本」的備份要用哪一本
+  --passphrase <密碼>       加密備份的密碼，也可以設環境變數 XINYI_BACKUP_PASSPHRASE
+  --out <檔案>              merge、csv 輸出到檔案（預設印到畫面）
+  -h, --help                顯示這段說明`;
+
+const COMMANDS = ["summary", "validate", "merge", "csv"];
+
+const GROUPS = {
+  year: { title: "每年", keyFn: yearOf },
+  month: { title: "每月", keyFn: monthOf },
+  location: { title: "地點", keyFn: (r) => locationOf(r) || "（未填地點）" },
+};
+
+function fail(message){
+  const err = new Error(message);
+  err.usage = true;
+  return err;
+}
+
+/** 讀檔並解析；回傳 [{ id, name, backup }]，一般備份只有一筆（id 為 null） */
+export async function loadBackupFile(file, passphrase){
+  let text = await fs.readFile(file, "utf8");
+  if(isEncryptedBackup(text)){
+    if(!passphrase) throw fail(`${file} 是加密的備份，請用 --passphrase 提供密碼`);
+    text = await decryptBackupText(text, passphrase);
+  }
+  const all = parseAllProfilesJSON(text);
+  if(all) return all.profiles;
+  return [{ id: null, name: "", backup: parseBackupJSON(text) }];
+}
+
+function pickProfile(file, profiles, wanted){
+  if(!wanted){
+    if(profiles.length === 1) return profiles[0];
+    throw fail(`${file} 有 ${profiles.length} 本帳（${profiles.map(profileLabel).join("、")}），請用 --profile 指定`);
+  }
+  const found = profiles.find((p) => p.id === wanted || p.name === wanted);
+  if(!found) throw fail(`${file} 裡找不到帳本「${wanted}」`);
+  return found;
+}
+
+function profileLabel(p){
+  return p.name || "預設帳本";
+}
+
+function byYear(records, year){
+  return year ? records.filter((r) => yearOf(r) === year) : records;
+}
+
+// 中日文字在終端機佔兩格
+function width(s){
+  return [...s].reduce((w, ch) => w + (/[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/.test(ch) ? 2 : 1), 0);
+}
+
+function pad(s, n, right = false){
+  const fill = " ".repeat(Math.max(0, n - width(s)));
+  return right ? fill + s : s + fill;
+}
+
+function money(n, sign = false){
+  const s = Math.abs(n).toLocaleString("en-US");
+  return n < 0 ? `-${s}` : sign && n > 0 ? `+${s}` : s;
+}
+
+function table(rows){
+  const head = ["", "場數", "天數", "贏", "輸", "淨值"];
+  const cells = rows.map((r) => [r.key, String(r.sessions), String(r.days), money(r.win), money(r.loss), money(r.net, true)]);
+  const widths = head.map((h, i) => Math.max(width(h), ...cells.map((c) => width(c[i]))));
+  return [head, ...cells]
+    .map((c) => c.map((v, i) => pad(v, widths[i], i > 0)).join("  "))
+    .join("\n");
+}
+
+export function summaryText(records, { by, year } = {}){
+  const rs = byYear(records, year);
+  const all = totals(rs);
+  const lines = [
+    `共 ${all.sessions} 場：贏 ${money(all.win)}、輸 ${money(all.loss)}、淨值 ${money(all.net, true)}`,
+  ];
+  for(const id of by ? [by] : Object.keys(GROUPS)){
+    lines.push("", `== ${GROUPS[id].title} ==`, table(totalsBy(rs, GROUPS[id].keyFn)));
+  }
+  return lines.join("\n");
+}
+
+async function output(text, out){
+  if(out) await fs.writeFile(out, text);
+  else process.stdout.write(text.endsWith("\n") ? text : text + "\n");
+}
+
+export async function run(argv){
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      by: { type: "string" },
+      year: { type: "string" },
+      profile: { type: "string" },
+      passphrase: { type: "string" },
+      out: { type: "string" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  const [command, ...files] = positionals;
+  if(values.help || !command){
+    console.log(HELP);
+    return 0;
+  }
+  const passphrase = values.passphrase || process.env.XINYI_BACKUP_PASSPHRASE || "";
+  if(values.by && !GROUPS[values.by]) throw fail("--by 只能是 year、month 或 location");
+  if(values.year && !/^\d{4}$/.test(values.year)) throw fail("--year 請輸入四位數年份，例如 2026");
+
+  if(!COMMANDS.includes(command)) throw fail(`不認識的指令：${command}（執行 --help 看用法）`);
+  const need = command === "merge" ? 2 : 1;
+  if(files.length !== need) throw fail(`${command} 需要 ${need} 個備份檔`);
+
+  switch(command){
+    case "summary": {
+      const profiles = await loadBackupFile(files[0], passphrase);
+      const list = values.profile ? [pickProfile(files[0], profiles, values.profile)] : profiles;
+      const parts = list.map((p) => {
+        const text = summaryText(p.backup.records, { by: values.by, year: values.year });
+        return list.length > 1 ? `# ${profileLabel(p)}\n${text}` : text;
+      });
+      await output(parts.join("\n\n"));
+      return 0;
+    }
+    case "validate": {
+      // 解析時就會逐筆驗證，有錯會直接丟出
+      const profiles = await loadBackupFile(files[0], passphrase);
+      profiles.forEach((p) => {
+        const b = p.backup;
+        const photos = b.attachmentsOmitted ? "不含照片" : `${b.attachments.length} 張照片`;
+        const label = p.id ? `${profileLabel(p)}：` : "";
+        console.log(`OK ${label}v${b.version}，${b.records.length} 筆紀錄、${b.settlements.length} 筆付款、${photos}`);
+      });
+      return 0;
+    }
+    case "merge": {
+      const [a, b] = await Promise.all(
+        files.map(async (f) => pickProfile(f, await loadBackupFile(f, passphrase), values.profile).backup)
+      );
+      const { backup, diff } = mergeBackups(a, b);
+      await output(JSON.stringify(backup, null, 2), values.out);
+      console.error(
+        `合併完成：共 ${backup.records.length} 筆；新增 ${diff.added.length}、衝突 ${diff.conflicts.length}（已保留較新的）`
+      );
+      return 0;
+    }
+    case "csv": {
+      const { backup } = pickProfile(files[0], await loadBackupFile(files[0], passphrase), values.profile);
+      await output(recordsToCSV(byYear(backup.records, values.year)), values.out);
+      return 0;
+    }
+  }
+}
+
+if(process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)){
+  run(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (err) => {
+      console.error(`錯誤：${errorText(err)}`);
+      process.exit(err.usage ? 2 : 1);
+    }
+  );
+}
@@ -0,0 +1,181 @@
+// 同步參考伺服器（不需任何套件，Node 18+）
+// 用法：node server/sync-server.js
+//   PORT=8787  DATA_DIR=./sync-data  SYNC_TOKEN=共用密碼（可不設）
+// 協定說明見 server/README.md
+
+import http from "node:http";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { validateRecord } from "../src/schema.js";
+import { problemText } from "../src/i18n.js";
+
+const LEDGER_RE = /^[\w-]{1,64}$/;
+const MAX_BODY = 5 * 1024 * 1024;
+
+/** 每個帳本一個 JSON 檔：{ seq, entries: { [id]: { id, rev, deleted, deletedAt, record } } } */
+function createStore(dataDir){
+  const cache = new Map();
+  // 同一個帳本的寫入排隊，避免同時改檔
+  const queues = new Map();
+
+  const fileOf = (ledger) => path.join(dataDir, `${ledger}.json`);
+
+  async function load(ledger){
+    if(cache.has(ledger)) return cache.get(ledger);
+    let data = { seq: 0, entries: {} };
+    try{
+      data = JSON.parse(await fs.readFile(fileOf(ledger), "utf8"));
+    }catch(e){
+      if(e.code !== "ENOENT") throw e;
+    }
+    cache.set(ledger, data);
+    return data;
+  }
+
+  async function save(ledger, data){
+    await fs.mkdir(dataDir, { recursive: true });
+    const tmp = `${fileOf(ledger)}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data));
+    await fs.rename(tmp, fileOf(ledger));
+    // 寫檔成功才換掉記憶體裡的版本
+    cache.set(ledger, data);
+  }
+
+  function exclusive(ledger, fn){
+    const prev = queues.get(ledger) || Promise.resolve();
+    const next = prev.then(fn, fn);
+    queues.set(ledger, next.catch(() => {}));
+    return next;
+  }
+
+  return { load, save, exclusive };
+}
+
+/** 套用一批變更；baseRev 不等於目前 rev 就回 conflict，並附上伺服器版本（沒有這筆時是 { id, rev: 0 }） */
+export function applyChanges(data, changes, now = new Date().toISOString()){
+  const results = [];
+  for(const c of changes){
+    const cur = data.entries[c.id];
+    const curRev = cur ? cur.rev : 0;
+    if((c.baseRev || 0) !== curRev){
+      results.push({ id: c.id, status: "conflict", current: cur || { id: c.id, rev: 0 } });
+      continue;
+    }
+    data.seq++;
+    data.entries[c.id] = c.deleted
+      ? { id: c.id, rev: data.seq, deleted: true, deletedAt: c.at || now, record: null }
+      : { id: c.id, rev: data.seq, deleted: false, record: c.record };
+    results.push({ id: c.id, status: "ok", rev: data.seq });
+  }
+  return results;
+}
+
+export function changesSince(data, since){
+  return Object.values(data.entries)
+    .filter((e) => e.rev > since)
+    .sort((a, b) => a.rev - b.rev);
+}
+
+function checkChange(c){
+  if(!c || typeof c.id !== "string" || !c.id) return "缺少 id";
+  if(!Number.isInteger(c.baseRev || 0) || (c.baseRev || 0) < 0) return `${c.id}：baseRev 無效`;
+  if(c.deleted) return null;
+  if(!c.record || c.record.id !== c.id) return `${c.id}：record.id 與 id 不符`;
+  const errors = validateRecord(c.record);
+  return errors.length ? `${c.id}：${errors.map(problemText).join("、")}` : null;
+}
+
+function readBody(req){
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if(size > MAX_BODY){
+        reject(Object.assign(new Error("資料太大"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+export function createSyncServer({ dataDir, token } = {}){
+  const store = createStore(dataDir || "./sync-data");
+
+  function send(res, status, body){
+    res.writeHead(status, {
+      "Content-Type": "application/json; charset=utf-8",
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    });
+    res.end(body === undefined ? "" : JSON.stringify(body));
+  }
+
+  return http.createServer(async (req, res) => {
+    try{
+      if(req.method === "OPTIONS") return send(res, 204);
+
+      const url = new URL(req.url, "http://localhost");
+      if(url.pathname === "/health") return send(res, 200, { ok: true });
+
+      const m = /^\/ledgers\/([^/]+)\/changes$/.exec(url.pathname);
+      if(!m) return send(res, 404, { error: "找不到路徑" });
+      const ledger = decodeURIComponent(m[1]);
+      if(!LEDGER_RE.test(ledger)) return send(res, 400, { error: "帳本名稱只能用英數、_、-" });
+
+      if(token && req.headers.authorization !== `Bearer ${token}`){
+        return send(res, 401, { error: "密碼錯誤" });
+      }
+
+      if(req.method === "GET"){
+        const since = Number(url.searchParams.get("since") || 0);
+        if(!Number.isInteger(since) || since < 0) return send(res, 400, { error: "since 無效" });
+        const data = await store.load(ledger);
+        return send(res, 200, { seq: data.seq, changes: changesSince(data, since) });
+      }
+
+      if(req.method === "POST"){
+        let body;
+        try{
+          body = JSON.parse(await readBody(req));
+        }catch(e){
+          if(e.status) throw e;
+          return send(res, 400, { error: "不是有效的 JSON" });
+        }
+        if(!Array.isArray(body?.changes)) return send(res, 400, { error: "缺少 changes" });
+        const problems = body.changes.map(checkChange).filter(Boolean);
+        if(problems.length) return send(res, 422, { error: problems.join("\n") });
+
+        const out = await store.exclusive(ledger, async () => {
+          // 改在複本上，存檔失敗時記憶體裡的資料維持原樣
+          const data = structuredClone(await store.load(ledger));
+          const results = applyChanges(data, body.changes);
+          await store.save(ledger, data);
+          return { seq: data.seq, results };
+        });
+        return send(res, 200, out);
+      }
+
+      return send(res, 405, { error: "不支援的方法" });
+    }catch(e){
+      return send(res, e.status || 500, { error: e.status ? e.message : "伺服器錯誤" });
+    }
+  });
+}
+
+if(process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)){
+  const port = Number(process.env.PORT || 8787);
+  const server = createSyncServer({
+    dataDir: process.env.DATA_DIR || "./sync-data",
+    token: process.env.SYNC_TOKEN || "",
+  });
+  server.listen(port, () => {
+    console.log(`sync server listening on http://localhost:${port}`);
+  });
+}
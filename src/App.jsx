@@ -1,64 +1,321 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { DayPicker } from "react-day-picker";
+import { zhTW, zhCN, enUS, ja } from "react-day-picker/locale";
 import "react-day-picker/style.css";
 import { v4 as uuidv4 } from "uuid";
 import {
   listAll,
   upsertRecord,
   deleteRecord,
+  addMissingRecords,
+  putRecords,
   exportBackupJSON,
   importBackupJSON,
+  importAllProfilesJSON,
+  getLiveSession,
+  saveLiveSession,
+  clearLiveSession,
+  syncNow,
+  listSettlements,
+  listPlans,
+  putPlan,
+  deletePlan,
+  addSettlement,
+  deleteSettlement,
+  addMissingSettlements,
+  listTrash,
+  restoreFromTrash,
+  emptyTrash,
+  purgeExpiredTrash,
+  takeSnapshotsIfDue,
+  getSnapshotJSON,
+  requestPersistentStorage,
+  renameVenue,
+  addMissingAttachments,
+  pruneOrphanAttachments,
 } from "./db.js";
+import {
+  parseBackupJSON,
+  parseAllProfilesJSON,
+  decryptBackupText,
+} from "./backupFile.js";
+import {
+  hasPendingLegacy,
+  readLegacyLedger,
+  legacyToRecords,
+  markLegacyMigrated,
+} from "./legacy.js";
+import {
+  emptyPlayers,
+  hasPlayers,
+  myNet,
+  playersSum,
+  isZeroSum,
+  buildRoster,
+  normalizePlayers,
+} from "./players.js";
+import {
+  toDateStr,
+  resultText,
+  formatNetPlain,
+  safeParseStake,
+  PRESETS,
+  downloadText,
+} from "./utils.js";
+import { theme, StatCard, Button, Field, inputStyle, Toast } from "./ui.jsx";
+import TaiCalculator from "./TaiCalculator.jsx";
+import LiveSession from "./LiveSession.jsx";
+import { sessionToRecord } from "./live.js";
+import Dashboard from "./Dashboard.jsx";
+import ScopeSelector from "./ScopeSelector.jsx";
+import CsvImport from "./CsvImport.jsx";
+import RestoreDialog from "./RestoreDialog.jsx";
+import SyncSettings, { loadSyncConfig } from "./SyncSettings.jsx";
+import ShareDialog from "./ShareDialog.jsx";
+import ShareImport from "./ShareImport.jsx";
+import { readShareFromHash, toReceiverRecord } from "./share.js";
+import Settlement from "./Settlement.jsx";
+import Trash from "./Trash.jsx";
+import BackupDialog, { PassphrasePrompt } from "./BackupDialog.jsx";
+import Snapshots from "./Snapshots.jsx";
+import Venues from "./Venues.jsx";
+import RecordsList from "./RecordsList.jsx";
+import TagFilter, { TagChip, loadTagFilter, saveTagFilter } from "./TagFilter.jsx";
+import LimitSettings, { LimitBars } from "./Limits.jsx";
+import {
+  loadLimits,
+  saveLimits,
+  limitProgress,
+  checkRecord,
+  cooldownRemaining,
+} from "./limits.js";
+import { Thumb, PhotoViewer, PhotoPicker } from "./Attachments.jsx";
+import {
+  parseTags,
+  formatTags,
+  allTags,
+  filterByTags,
+} from "./tags.js";
+import {
+  loadFavorites,
+  saveFavorites,
+  renameInFavorites,
+  venueList,
+  canonicalVenue,
+} from "./venues.js";
+import {
+  loadReminder,
+  saveReminder,
+  markExported,
+  overdueDays,
+} from "./snapshots.js";
+import RecordHistory from "./RecordHistory.jsx";
+import Profiles from "./Profiles.jsx";
+import League from "./League.jsx";
+import Plans from "./Plans.jsx";
+import { plansByDate, planToDraft, sortPlans } from "./plans.js";
+import {
+  loadSeasons,
+  saveSeasons,
+  currentSeason,
+  leagueTable,
+  championOf,
+} from "./league.js";
+import { loadProfiles, switchProfile } from "./profiles.js";
+import { guessMyName, cashSummary } from "./settlement.js";
+import { recordsToCSV } from "./csv.js";
+import { totals, dailyTotals } from "./calc.js";
+import {
+  CALENDAR_VIEWS,
+  loadCalendarView,
+  saveCalendarView,
+} from "./calendar.js";
+import { YearHeatmap, WeekList } from "./CalendarViews.jsx";
+import {
+  t,
+  errorText,
+  formatMoney,
+  currencySymbol,
+  LOCALES,
+  CURRENCIES,
+  getLocaleSettings,
+  setLocaleSettings,
+} from "./i18n.js";
+import {
+  loadScope,
+  saveScope,
+  filterByScope,
+  scopeLabel,
+} from "./scope.js";
 
-/** utils */
-function toDateStr(d) {
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, "0");
-  const day = String(d.getDate()).padStart(2, "0");
-  return `${y}-${m}-${day}`;
-}
-
-function resultText(net) {
-  if (net > 0) return "贏";
-  if (net < 0) return "輸";
-  return "平";
-}
-
-function formatNetPlain(n) {
-  // 顯示 NT$ 與正負號（不重複加 NT$）
-  if (n > 0) return `+NT$${n}`;
-  if (n < 0) return `-NT$${Math.abs(n)}`;
-  return `NT$0`;
-}
-
-function safeParseStake(stakeStr) {
-  const m = /^(\d+)\s*\/\s*(\d+)$/.exec(stakeStr || "");
-  if (!m) return { base: 30, tai: 10, ok: false };
-  return { base: Number(m[1]), tai: Number(m[2]), ok: true };
-}
-
-const PRESETS = ["30/10", "50/20", "100/10", "100/20", "自訂"];
+const DAY_PICKER_LOCALES = { "zh-Hant": zhTW, "zh-Hans": zhCN, en: enUS, ja };
 
 export default function App() {
+  // t() 讀的是 i18n.js 裡的設定，這個 state 只是讓切換後整個畫面重新 render
+  const [localeSettings, setLocaleState] = useState(getLocaleSettings);
+  // 切換帳本會重新載入整個 App；這裡只有清單（新增、改名後要更新選單）
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [showProfiles, setShowProfiles] = useState(false);
   const [records, setRecords] = useState([]);
+  const [payments, setPayments] = useState([]);
   const [selected, setSelected] = useState(new Date());
+  const [scope, setScope] = useState(loadScope);
+  const [month, setMonth] = useState(
+    () => monthOfScope(loadScope()) || new Date()
+  );
+  const [calendarView, setCalendarView] = useState(loadCalendarView);
+  const [heatYear, setHeatYear] = useState(() => month.getFullYear());
   const [editing, setEditing] = useState(null);
   const [showForm, setShowForm] = useState(false);
+  const [legacyPending, setLegacyPending] = useState(() => hasPendingLegacy());
+  const [liveSession, setLiveSession] = useState(null);
+  const [showLive, setShowLive] = useState(false);
+  const [showDashboard, setShowDashboard] = useState(false);
+  const [showCsvImport, setShowCsvImport] = useState(false);
+  const [pendingRestore, setPendingRestore] = useState(null);
+  const [showBackup, setShowBackup] = useState(false);
+  // 選到加密備份時，先存原文等使用者輸入密碼
+  const [encryptedRestore, setEncryptedRestore] = useState(null);
+  const [showSnapshots, setShowSnapshots] = useState(false);
+  const [reminder, setReminder] = useState(loadReminder);
+  const [showVenues, setShowVenues] = useState(false);
+  const [seasons, setSeasons] = useState(loadSeasons);
+  const [showLeague, setShowLeague] = useState(false);
+  const [plans, setPlans] = useState([]);
+  const [showPlans, setShowPlans] = useState(false);
+  // 從排定的牌局轉成紀錄時，存檔成功後把那個牌局刪掉
+  const [convertingPlan, setConvertingPlan] = useState(null);
+  const [favorites, setFavorites] = useState(loadFavorites);
+  const [tagFilter, setTagFilter] = useState(loadTagFilter);
+  const [viewingPhoto, setViewingPhoto] = useState(null);
+  const [limits, setLimits] = useState(loadLimits);
+  const [showLimits, setShowLimits] = useState(false);
+  const [showAllRecords, setShowAllRecords] = useState(false);
+  const [showSync, setShowSync] = useState(false);
+  const [shareRecord, setShareRecord] = useState(null);
+  const [showSettlement, setShowSettlement] = useState(false);
+  const [trash, setTrash] = useState([]);
+  const [showTrash, setShowTrash] = useState(false);
+  const [historyRecord, setHistoryRecord] = useState(null);
+  // { message, undo }：刪除/儲存後可以復原一次
+  const [toast, setToast] = useState(null);
+  // 從分享連結（#share=...）打開時直接進匯入畫面
+  const [shareImport, setShareImport] = useState(() =>
+    readShareFromHash(location.hash) ? { code: location.hash } : null
+  );
   const fileInputRef = useRef(null);
+  const dayListRef = useRef(null);
+
+  function changeLocale(next) {
+    setLocaleSettings(next);
+    setLocaleState(getLocaleSettings());
+  }
+
+  const profileName = (p) => p.name || t("profile.defaultName");
+  const currentProfile = profiles.profiles.find((p) => p.id === profiles.active);
+
+  // 每本帳的資料庫與設定都不同，重新載入最單純，也不會留著舊帳本的連線
+  function changeProfile(id) {
+    if (id === profiles.active) return;
+    switchProfile(id);
+    location.reload();
+  }
 
   async function refresh() {
     const all = await listAll();
     setRecords(all);
+    setPayments(await listSettlements());
+    setTrash(await listTrash());
+    setPlans(await listPlans());
   }
 
   useEffect(() => {
-    refresh();
+    purgeExpiredTrash()
+      .then(pruneOrphanAttachments)
+      .then(refresh);
+    takeSnapshotsIfDue().catch(() => {});
+    requestPersistentStorage().catch(() => {});
+    getLiveSession().then(setLiveSession);
+  }, []);
+
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(() => setToast(null), 8000);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  // 有設定同步時：打開 App 與恢復連線時各自動同步一次（失敗就等下次）
+  useEffect(() => {
+    function autoSync() {
+      const config = loadSyncConfig();
+      if (!config || !navigator.onLine) return;
+      syncNow(config)
+        .then((r) => r.pulled > 0 && refresh())
+        .catch(() => {});
+    }
+    autoSync();
+    window.addEventListener("online", autoSync);
+    return () => window.removeEventListener("online", autoSync);
   }, []);
 
+  async function runSync(config) {
+    const result = await syncNow(config);
+    await refresh();
+    return result;
+  }
+
   const selectedStr = toDateStr(selected);
 
+  const roster = useMemo(() => buildRoster(records), [records]);
+  const venues = useMemo(
+    () => venueList(records, favorites),
+    [records, favorites]
+  );
+
+  // 現金（待收/待付）跟戰績分開算，不受統計範圍影響
+  const myName = useMemo(() => guessMyName(records), [records]);
+  const cash = useMemo(
+    () => (myName ? cashSummary(myName, records, payments) : null),
+    [myName, records, payments]
+  );
+  // 修改歷史上的「誰」
+  const editor = myName || t("app.thisDevice");
+
+  // 標題下顯示本季目前的雀神（場數不夠就不顯示）
+  const leader = useMemo(() => {
+    const season = currentSeason(seasons);
+    const top = season && championOf(leagueTable(records, season, myName));
+    return top ? { season: season.name, name: top.name } : null;
+  }, [records, seasons, myName]);
+
+  function changeSeasons(next) {
+    setSeasons(next);
+    saveSeasons(next);
+  }
+
+  async function handlePay(payment) {
+    await addSettlement({
+      ...payment,
+      id: uuidv4(),
+      createdAt: new Date().toISOString(),
+    });
+    await refresh();
+  }
+
+  async function handleDeletePayment(id) {
+    await deleteSettlement(id);
+    await refresh();
+  }
+
+  // 標籤篩選套用到整個畫面（統計、行事曆、當天紀錄、全部紀錄）；
+  // 全年熱圖看的是整年，不受統計範圍影響
+  const taggedRecords = useMemo(
+    () => filterByTags(records, tagFilter),
+    [records, tagFilter]
+  );
+
   const recordsOfDay = useMemo(() => {
-    return records
+    return taggedRecords
       .filter((r) => r.date === selectedStr)
       .sort((a, b) => {
         // 讓新建的在上面
@@ -66,89 +323,424 @@ export default function App() {
         const tb = b.updatedAt || b.createdAt || "";
         return tb.localeCompare(ta);
       });
-  }, [records, selectedStr]);
+  }, [taggedRecords, selectedStr]);
 
-  const year = new Date().getFullYear();
-  const yearRecords = useMemo(
-    () => records.filter((r) => (r.date || "").startsWith(String(year))),
-    [records, year]
+  const plansMap = useMemo(() => plansByDate(plans), [plans]);
+  const plansOfDay = sortPlans(plansMap[selectedStr]);
+  const upcomingPlans = plans.filter((p) => p.date >= toDateStr(new Date())).length;
+
+  const scopedRecords = useMemo(
+    () => filterByScope(taggedRecords, scope),
+    [taggedRecords, scope]
   );
 
-  const stats = useMemo(() => {
-    let win = 0,
-      loss = 0,
-      net = 0;
-    yearRecords.forEach((r) => {
-      const n = Number(r.net || 0);
-      net += n;
-      if (n > 0) win += n;
-      if (n < 0) loss += Math.abs(n);
-    });
-    return { win, loss, net };
-  }, [yearRecords]);
-
-  const dailyMap = useMemo(() => {
-    const m = {};
-    yearRecords.forEach((r) => {
-      const k = r.date;
-      const n = Number(r.net || 0);
-      m[k] = (m[k] || 0) + n;
-    });
-    return m;
-  }, [yearRecords]);
+  const tagsInUse = useMemo(() => allTags(records), [records]);
+  const filterLabel =
+    scopeLabel(scope) + tagFilter.map((tag) => ` #${tag}`).join("");
+
+  function changeTagFilter(next) {
+    setTagFilter(next);
+    saveTagFilter(next);
+  }
+
+  const scopeYears = useMemo(() => {
+    const set = new Set([new Date().getFullYear()]);
+    records.forEach((r) => r.date && set.add(Number(r.date.slice(0, 4))));
+    if (scope.type === "year") set.add(scope.year);
+    return [...set].sort((a, b) => b - a);
+  }, [records, scope]);
+
+  function changeScope(next) {
+    setScope(next);
+    saveScope(next);
+    const m = monthOfScope(next);
+    if (m) setMonth(m);
+  }
+
+  // 選「月」的時候，行事曆翻頁就等於換統計月份
+  function handleMonthChange(m) {
+    setMonth(m);
+    if (scope.type === "month") {
+      changeScope({ ...scope, month: toDateStr(m).slice(0, 7) });
+    }
+  }
+
+  // 選到某一天，並把行事曆翻到那個月
+  function jumpToDate(dateStr) {
+    const [y, m, d] = dateStr.split("-").map(Number);
+    setSelected(new Date(y, m - 1, d));
+    if (toDateStr(month).slice(0, 7) !== dateStr.slice(0, 7)) {
+      handleMonthChange(new Date(y, m - 1, 1));
+    }
+  }
+
+  // 熱圖/每週檢視點格子：選到那天並捲到當天紀錄
+  function pickDay(dateStr) {
+    jumpToDate(dateStr);
+    dayListRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+
+  function changeCalendarView(view) {
+    setCalendarView(view);
+    saveCalendarView(view);
+    if (view === "year") setHeatYear(month.getFullYear());
+  }
+
+  const stats = useMemo(() => totals(scopedRecords), [scopedRecords]);
+  const dailyMap = useMemo(() => dailyTotals(scopedRecords), [scopedRecords]);
+  // 三個月一起看時，統計範圍可能只涵蓋其中一個月，改用全部紀錄
+  const quarterDaily = useMemo(() => dailyTotals(taggedRecords), [taggedRecords]);
+  const calendarDaily = calendarView === "quarter" ? quarterDaily : dailyMap;
+
+  function changeLimits(next) {
+    setLimits(next);
+    saveLimits(next);
+  }
+
+  // 上限進度一律以今天所在的週/月/年計算，不受統計範圍影響
+  const progress = useMemo(
+    () => limitProgress(records, limits),
+    [records, limits]
+  );
 
   async function handleSave(record) {
-    await upsertRecord(record);
+    const warnings = checkRecord(records, record, limits);
+    const over = warnings.filter((w) => w.level === "over");
+    if (
+      over.length > 0 &&
+      !confirm(
+        t("confirm.overLimit", {
+          messages: over.map((w) => w.message).join("\n"),
+        })
+      )
+    )
+      return;
+    let before;
+    try {
+      before = await upsertRecord(record, editor);
+    } catch (err) {
+      alert(errorText(err));
+      return;
+    }
+    const plan = convertingPlan;
+    if (plan) await deletePlan(plan.id);
     setShowForm(false);
     setEditing(null);
+    setConvertingPlan(null);
     await refresh();
+    const near = warnings.filter((w) => w.level === "near");
+    setToast({
+      message: [
+        before ? t("toast.saved") : t("toast.created"),
+        ...near.map((w) => w.message),
+      ].join("・"),
+      // 復原修改＝存回上一版；復原新增＝移到垃圾桶
+      undo: async () => {
+        if (before) {
+          await upsertRecord(
+            { ...before, updatedAt: new Date().toISOString() },
+            editor
+          );
+        } else {
+          await deleteRecord(record.id, editor);
+        }
+        if (plan) await putPlan(plan);
+      },
+    });
   }
 
   async function handleDelete(id) {
-    if (confirm("確定刪除這筆紀錄？")) {
-      await deleteRecord(id);
+    await deleteRecord(id, editor);
+    await refresh();
+    setToast({
+      message: t("toast.trashed"),
+      undo: () => restoreFromTrash(id, editor),
+    });
+  }
+
+  async function runUndo() {
+    const { undo } = toast;
+    setToast(null);
+    try {
+      await undo();
+    } catch (err) {
+      alert(errorText(err));
+    }
+    await refresh();
+  }
+
+  // 冷靜期內要再確認一次才能新增紀錄或開局
+  function passCooldown() {
+    const hours = cooldownRemaining(records, limits);
+    return (
+      hours === null ||
+      confirm(
+        t("confirm.cooldown", { limit: limits.cooldownHours, n: hours })
+      )
+    );
+  }
+
+  function openNewRecord() {
+    if (passCooldown()) setShowForm(true);
+  }
+
+  function convertPlan(plan) {
+    if (!passCooldown()) return;
+    jumpToDate(plan.date);
+    setConvertingPlan(plan);
+    setShowPlans(false);
+    setShowForm(true);
+  }
+
+  async function savePlan(plan) {
+    await putPlan(plan);
+    await refresh();
+  }
+
+  async function removePlan(id) {
+    await deletePlan(id);
+    await refresh();
+  }
+
+  function openLive() {
+    if (liveSession || passCooldown()) setShowLive(true);
+  }
+
+  function toggleFavorite(name) {
+    const next = favorites.includes(name)
+      ? favorites.filter((f) => f !== name)
+      : [...favorites, name];
+    setFavorites(next);
+    saveFavorites(next);
+  }
+
+  async function handleRenameVenue(fromNames, to) {
+    await renameVenue(fromNames, to, editor);
+    const next = renameInFavorites(favorites, fromNames, to);
+    setFavorites(next);
+    saveFavorites(next);
+    await refresh();
+  }
+
+  async function handleRestoreTrash(id) {
+    const record = await restoreFromTrash(id, editor);
+    await refresh();
+    jumpToDate(record.date);
+  }
+
+  async function handleEmptyTrash() {
+    await emptyTrash();
+    await refresh();
+  }
+
+  // 存不進去就不更新畫面，免得顯示的跟存下來的不一樣
+  async function updateLive(session) {
+    try {
+      await saveLiveSession(session);
+    } catch (err) {
+      alert(errorText(err));
+      return;
+    }
+    setLiveSession(session);
+  }
+
+  async function finishLive() {
+    const now = new Date().toISOString();
+    const record = sessionToRecord(liveSession, { id: uuidv4(), now });
+    // 牌局已經打完了，只提醒不擋
+    const warnings = checkRecord(records, record, limits);
+    // 存檔失敗時保留進行中的牌局，之後可以再按一次結束
+    try {
+      await upsertRecord(record, editor);
+    } catch (err) {
+      alert(errorText(err));
+      return;
+    }
+    setLiveSession(null);
+    setShowLive(false);
+    try {
+      await clearLiveSession();
       await refresh();
+    } catch (err) {
+      alert(errorText(err));
     }
+    if (warnings.length) alert(warnings.map((w) => w.message).join("\n"));
   }
 
-  async function backup() {
-    const json = await exportBackupJSON();
-    const blob = new Blob([json], { type: "application/json" });
-    const a = document.createElement("a");
-    a.href = URL.createObjectURL(blob);
-    a.download = "xinyi-mahjong-backup.json";
-    a.click();
-    URL.revokeObjectURL(a.href);
+  async function discardLive() {
+    try {
+      await clearLiveSession();
+    } catch (err) {
+      alert(errorText(err));
+      return;
+    }
+    setLiveSession(null);
+    setShowLive(false);
+  }
+
+  async function importShared(payload, { seat, flip }) {
+    if (
+      records.some((r) => r.sharedFrom === payload.i) &&
+      !confirm(t("confirm.sharedAgain"))
+    )
+      return;
+    const now = new Date().toISOString();
+    const record = toReceiverRecord(payload, { seat, flip, id: uuidv4(), now });
+    await upsertRecord(record, editor);
+    closeShareImport();
+    jumpToDate(record.date);
+    await refresh();
+  }
+
+  function closeShareImport() {
+    setShareImport(null);
+    if (readShareFromHash(location.hash)) {
+      history.replaceState(null, "", location.pathname + location.search);
+    }
+  }
+
+  async function importLegacy() {
+    const converted = legacyToRecords(readLegacyLedger());
+    const added = await addMissingRecords(converted);
+    markLegacyMigrated({ total: converted.length, added });
+    setLegacyPending(false);
+    await refresh();
+    alert(t("legacy.imported", { n: added }));
+  }
+
+  function skipLegacy() {
+    if (!confirm(t("legacy.confirmSkip"))) return;
+    markLegacyMigrated({ skipped: true });
+    setLegacyPending(false);
+  }
+
+  async function backup({ passphrase, withAttachments, allProfiles }) {
+    const json = await exportBackupJSON({ passphrase, withAttachments, allProfiles });
+    const base = allProfiles ? "xinyi-mahjong-backup-all" : "xinyi-mahjong-backup";
+    downloadText(
+      json,
+      passphrase ? `${base}.encrypted.json` : `${base}.json`,
+      "application/json"
+    );
+    setReminder(markExported());
+    setShowBackup(false);
+  }
+
+  function changeReminder(next) {
+    setReminder(next);
+    saveReminder(next);
+  }
+
+  const backupOverdue = overdueDays(reminder);
+
+  async function restoreSnapshot(id) {
+    const text = await getSnapshotJSON(id);
+    try {
+      setPendingRestore({ text, backup: parseBackupJSON(text) });
+      setShowSnapshots(false);
+    } catch (err) {
+      alert(t("alert.snapshotError", { error: errorText(err) }));
+    }
+  }
+
+  function exportCSV() {
+    downloadText(
+      recordsToCSV(records),
+      "xinyi-mahjong-records.csv",
+      "text/csv;charset=utf-8"
+    );
+  }
+
+  async function importCSV(rows) {
+    let added;
+    try {
+      added = await addMissingRecords(rows);
+    } catch (err) {
+      alert(errorText(err));
+      return;
+    }
+    setShowCsvImport(false);
+    await refresh();
+    const skipped = rows.length - added;
+    alert(
+      skipped > 0
+        ? t("alert.importedSkipped", { n: added, skipped })
+        : t("alert.imported", { n: added })
+    );
   }
 
   async function restore(e) {
     const file = e.target.files?.[0];
     if (!file) return;
-    if (!confirm("這會覆蓋目前所有資料，確定要還原？")) return;
-    await importBackupJSON(await file.text());
-    await refresh();
+    const text = await file.text();
     // 讓同一個檔案下次還能再選到
     e.target.value = "";
+    try {
+      openBackup(text)();
+    } catch (err) {
+      if (err.needsPassphrase) setEncryptedRestore(text);
+      else alert(t("alert.backupError", { error: errorText(err) }));
+    }
+  }
+
+  // 密碼錯誤時丟錯，由 PassphrasePrompt 顯示並讓使用者重試
+  async function decryptRestore(passphrase) {
+    const text = await decryptBackupText(encryptedRestore, passphrase);
+    const open = openBackup(text);
+    setEncryptedRestore(null);
+    open();
+  }
+
+  // 所有帳本的備份只能整份還原，其他的進 RestoreDialog 選合併或取代
+  // 先解析驗證（不合格直接丟錯），通過才回傳開啟的動作
+  function openBackup(text) {
+    const all = parseAllProfilesJSON(text);
+    if (all) return () => restoreAllProfiles(text, all.profiles);
+    const backup = parseBackupJSON(text);
+    return () => setPendingRestore({ text, backup });
+  }
+
+  async function restoreAllProfiles(text, list) {
+    const names = list.map((p) => p.name || t("profile.defaultName")).join("、");
+    if (!confirm(t("confirm.restoreAllProfiles", { n: list.length, names }))) return;
+    try {
+      await importAllProfilesJSON(text);
+    } catch (err) {
+      // 可能已經還原了前面幾本，重新讀一次目前這本
+      alert(t("alert.restoreError", { error: errorText(err) }));
+      await refresh();
+      return;
+    }
+    location.reload();
+  }
+
+  // 失敗時留著還原視窗，可以改選另一種方式或關掉
+  async function restoreMerge(toWrite) {
+    try {
+      await putRecords(toWrite);
+      await addMissingSettlements(pendingRestore.backup.settlements);
+      await addMissingAttachments(pendingRestore.backup.attachments);
+    } catch (err) {
+      alert(t("alert.backupError", { error: errorText(err) }));
+      // 紀錄可能已經寫進去了，重新讀一次
+      await refresh();
+      return;
+    }
+    setPendingRestore(null);
+    await refresh();
+  }
+
+  async function restoreReplace() {
+    try {
+      await importBackupJSON(pendingRestore.text);
+    } catch (err) {
+      alert(t("alert.backupError", { error: errorText(err) }));
+      return;
+    }
+    setPendingRestore(null);
+    await refresh();
   }
 
-  /** theme (neutral) */
-  const theme = {
-    bg: "#0b1220", // 深藍灰
-    panel: "#111a2c",
-    card: "#0f172a",
-    card2: "#0b1324",
-    border: "rgba(255,255,255,0.08)",
-    text: "#e5e7eb",
-    subtext: "rgba(229,231,235,0.75)",
-    good: "#22c55e",
-    bad: "#ef4444",
-    muted: "rgba(229,231,235,0.55)",
-    btn: "#1f2a44",
-    btnHover: "#253252",
-    primary: "#3b82f6",
-  };
-
-  const headerTitle = "信義分隊雀神戰";
 
   return (
     <div
@@ -168,15 +760,187 @@ export default function App() {
         }}
       >
         <div style={{ marginBottom: 12 }}>
-          <div style={{ fontSize: 22, fontWeight: 800, letterSpacing: 0.5 }}>
-            {headerTitle}
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              gap: 8,
+            }}
+          >
+            <div style={{ fontSize: 22, fontWeight: 800, letterSpacing: 0.5 }}>
+              {t("app.title")}
+            </div>
+            <div style={{ display: "flex", gap: 6 }}>
+              <select
+                aria-label={t("profile.switch")}
+                value={profiles.active}
+                onChange={(e) =>
+                  e.target.value === "" ? setShowProfiles(true) : changeProfile(e.target.value)
+                }
+                style={{ ...inputStyle(theme), width: "auto", padding: "6px 8px" }}
+              >
+                {profiles.profiles.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {profileName(p)}
+                  </option>
+                ))}
+                <option value="">{t("profile.manage")}</option>
+              </select>
+              <select
+                aria-label={t("settings.language")}
+                value={localeSettings.locale}
+                onChange={(e) => changeLocale({ locale: e.target.value })}
+                style={{ ...inputStyle(theme), width: "auto", padding: "6px 8px" }}
+              >
+                {LOCALES.map((l) => (
+                  <option key={l.id} value={l.id}>
+                    {l.label}
+                  </option>
+                ))}
+              </select>
+              <select
+                aria-label={t("settings.currency")}
+                value={localeSettings.currency}
+                onChange={(e) => changeLocale({ currency: e.target.value })}
+                style={{ ...inputStyle(theme), width: "auto", padding: "6px 8px" }}
+              >
+                {CURRENCIES.map((c) => (
+                  <option key={c} value={c}>
+                    {c}
+                  </option>
+                ))}
+              </select>
+            </div>
           </div>
           <div style={{ color: theme.subtext, fontSize: 13, marginTop: 4 }}>
-            只輸入當天淨值（NT$），可事後修改；資料存在瀏覽器本機，可備份/還原
+            {t("app.subtitle")}
           </div>
+          {leader && (
+            <div
+              onClick={() => setShowLeague(true)}
+              style={{ fontSize: 13, fontWeight: 800, marginTop: 4, cursor: "pointer" }}
+            >
+              {t("app.leader", leader)}
+            </div>
+          )}
         </div>
 
+        {/* Legacy import */}
+        {legacyPending && (
+          <div
+            style={{
+              background: theme.panel,
+              border: `1px solid rgba(59,130,246,0.35)`,
+              borderRadius: 16,
+              padding: 12,
+              marginBottom: 12,
+            }}
+          >
+            <div style={{ fontWeight: 800, marginBottom: 4 }}>
+              {t("legacy.title")}
+            </div>
+            <div style={{ color: theme.subtext, fontSize: 13 }}>
+              {t("legacy.body")}
+            </div>
+            <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+              <Button
+                theme={theme}
+                primary
+                label={t("legacy.import")}
+                onClick={importLegacy}
+              />
+              <Button
+                theme={theme}
+                label={t("common.skip")}
+                onClick={skipLegacy}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Backup reminder */}
+        {backupOverdue !== null && records.length > 0 && (
+          <div
+            style={{
+              background: theme.panel,
+              border: `1px solid rgba(239,68,68,0.35)`,
+              borderRadius: 16,
+              padding: 12,
+              marginBottom: 12,
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              gap: 10,
+            }}
+          >
+            <div style={{ fontSize: 13 }}>
+              <div style={{ fontWeight: 800 }}>{t("reminder.title")}</div>
+              <div style={{ color: theme.subtext }}>
+                {backupOverdue === Infinity
+                  ? t("reminder.never")
+                  : t("reminder.days", { n: backupOverdue })}
+                {t("reminder.tail")}
+              </div>
+            </div>
+            <Button
+              theme={theme}
+              primary
+              label={t("action.backup")}
+              onClick={() => setShowBackup(true)}
+            />
+          </div>
+        )}
+
+        {/* Live session in progress */}
+        {liveSession && !showLive && (
+          <div
+            style={{
+              background: theme.panel,
+              border: `1px solid rgba(34,197,94,0.35)`,
+              borderRadius: 16,
+              padding: 12,
+              marginBottom: 12,
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              gap: 10,
+            }}
+          >
+            <div style={{ fontSize: 13 }}>
+              <div style={{ fontWeight: 800 }}>{t("live.inProgress")}</div>
+              <div style={{ color: theme.subtext }}>
+                {t("live.summary", {
+                  date: liveSession.date,
+                  location: liveSession.location || t("common.noLocation"),
+                  n: liveSession.hands.length,
+                })}
+              </div>
+            </div>
+            <Button
+              theme={theme}
+              primary
+              label={t("live.resume")}
+              onClick={() => setShowLive(true)}
+            />
+          </div>
+        )}
+
         {/* Stats */}
+        <div style={{ marginBottom: 10 }}>
+          <ScopeSelector
+            theme={theme}
+            scope={scope}
+            years={scopeYears}
+            onChange={changeScope}
+          />
+          <TagFilter
+            theme={theme}
+            tags={tagsInUse}
+            selected={tagFilter}
+            onChange={changeTagFilter}
+          />
+        </div>
         <div
           style={{
             display: "grid",
@@ -187,24 +951,57 @@ export default function App() {
         >
           <StatCard
             theme={theme}
-            title="今年總贏"
-            value={`NT$${stats.win}`}
+            title={t("stats.win", { scope: filterLabel })}
+            value={formatMoney(stats.win)}
             accent={theme.good}
           />
           <StatCard
             theme={theme}
-            title="今年總輸"
-            value={`NT$${stats.loss}`}
+            title={t("stats.loss", { scope: filterLabel })}
+            value={formatMoney(stats.loss)}
             accent={theme.bad}
           />
           <StatCard
             theme={theme}
-            title="淨收支"
-            value={`NT$${stats.net}`}
+            title={t("stats.net")}
+            value={formatMoney(stats.net)}
             accent={stats.net >= 0 ? theme.good : theme.bad}
           />
         </div>
 
+        <LimitBars
+          theme={theme}
+          progress={progress}
+          onClick={() => setShowLimits(true)}
+        />
+
+        {/* Cash (settlement) */}
+        {cash && (cash.receivable > 0 || cash.payable > 0) && (
+          <div
+            onClick={() => setShowSettlement(true)}
+            style={{
+              display: "grid",
+              gridTemplateColumns: "1fr 1fr",
+              gap: 10,
+              marginBottom: 12,
+              cursor: "pointer",
+            }}
+          >
+            <StatCard
+              theme={theme}
+              title={t("stats.receivable")}
+              value={formatMoney(cash.receivable)}
+              accent={theme.good}
+            />
+            <StatCard
+              theme={theme}
+              title={t("stats.payable")}
+              value={formatMoney(cash.payable)}
+              accent={theme.bad}
+            />
+          </div>
+        )}
+
         {/* Calendar panel */}
         <div
           style={{
@@ -215,8 +1012,40 @@ export default function App() {
             marginBottom: 12,
           }}
         >
-          <div style={{ marginBottom: 8, color: theme.subtext, fontSize: 13 }}>
-            點日期查看/新增當日紀錄
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              flexWrap: "wrap",
+              gap: 8,
+              marginBottom: 8,
+            }}
+          >
+            <div style={{ color: theme.subtext, fontSize: 13 }}>
+              {t("calendar.hint")}
+            </div>
+            <div style={{ display: "flex", gap: 4 }}>
+              {CALENDAR_VIEWS.map((v) => (
+                <button
+                  key={v}
+                  onClick={() => changeCalendarView(v)}
+                  style={{
+                    padding: "4px 8px",
+                    borderRadius: 10,
+                    border: `1px solid ${v === calendarView ? theme.primary : theme.border}`,
+                    background: v === calendarView ? "rgba(59,130,246,0.18)" : theme.card,
+                    color: theme.text,
+                    fontSize: 12,
+                    fontWeight: 700,
+                    cursor: "pointer",
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  {t(`calendar.view.${v}`)}
+                </button>
+              ))}
+            </div>
           </div>
 
           <div
@@ -227,86 +1056,202 @@ export default function App() {
               padding: 10,
             }}
           >
-            <DayPicker
-              mode="single"
-              selected={selected}
-              onSelect={(d) => d && setSelected(d)}
-              showOutsideDays
-              styles={{
-                caption: { color: theme.text, fontWeight: 700 },
-                head_cell: { color: theme.muted, fontWeight: 600 },
-              }}
-              components={{
-                Day: ({ date }) => {
-                  const key = toDateStr(date);
-                  const sum = dailyMap[key] || 0;
-
-                  return (
-                    <div
-                      style={{
-                        position: "relative",
-                        width: 40,
-                        height: 40,
-                        borderRadius: 10,
-                        display: "flex",
-                        alignItems: "flex-start",
-                        justifyContent: "flex-start",
-                        padding: 6,
-                        boxSizing: "border-box",
-                        background:
-                          key === selectedStr
-                            ? "rgba(59,130,246,0.18)"
-                            : "transparent",
-                        border:
-                          key === selectedStr
-                            ? "1px solid rgba(59,130,246,0.35)"
-                            : "1px solid transparent",
-                      }}
-                    >
-                      <div style={{ fontSize: 13 }}>{date.getDate()}</div>
+            {calendarView === "year" ? (
+              <YearHeatmap
+                theme={theme}
+                records={taggedRecords}
+                year={heatYear}
+                onYearChange={setHeatYear}
+                selected={selectedStr}
+                onPick={pickDay}
+              />
+            ) : calendarView === "week" ? (
+              <WeekList
+                theme={theme}
+                records={scopedRecords}
+                selected={selectedStr}
+                onPick={pickDay}
+              />
+            ) : (
+              <DayPicker
+                mode="single"
+                numberOfMonths={calendarView === "quarter" ? 3 : 1}
+                locale={DAY_PICKER_LOCALES[localeSettings.locale]}
+                selected={selected}
+                onSelect={(d) => d && setSelected(d)}
+                month={month}
+                onMonthChange={handleMonthChange}
+                showOutsideDays={calendarView === "month"}
+                styles={{
+                  caption: { color: theme.text, fontWeight: 700 },
+                  head_cell: { color: theme.muted, fontWeight: 600 },
+                }}
+                components={{
+                  // v9 傳入 { day, modifiers, ...td 屬性 }；children 是可點選的日期按鈕，要留著
+                  Day: ({ day, modifiers, children, ...tdProps }) => {
+                    const key = toDateStr(day.date);
+                    const sum = calendarDaily[key] || 0;
+                    const planned = key in plansMap;
 
-                      {sum !== 0 && (
+                    return (
+                      <td {...tdProps}>
                         <div
                           style={{
-                            position: "absolute",
-                            left: 6,
-                            bottom: 4,
-                            fontSize: 10,
-                            fontWeight: 700,
-                            color: sum > 0 ? theme.good : theme.bad,
-                            whiteSpace: "nowrap",
+                            position: "relative",
+                            borderRadius: 10,
+                            background:
+                              key === selectedStr
+                                ? "rgba(59,130,246,0.18)"
+                                : "transparent",
+                            border:
+                              key === selectedStr
+                                ? "1px solid rgba(59,130,246,0.35)"
+                                : "1px solid transparent",
                           }}
                         >
-                          {sum > 0 ? `+${sum}` : `-${Math.abs(sum)}`}
+                          {children}
+
+                          {planned && (
+                            <div
+                              title={t("plan.marker")}
+                              style={{
+                                position: "absolute",
+                                right: 5,
+                                top: 5,
+                                width: 7,
+                                height: 7,
+                                borderRadius: 999,
+                                background: theme.primary,
+                              }}
+                            />
+                          )}
+
+                          {sum !== 0 && (
+                            <div
+                              style={{
+                                position: "absolute",
+                                pointerEvents: "none",
+                                left: 6,
+                                bottom: 4,
+                                fontSize: 10,
+                                fontWeight: 700,
+                                color: sum > 0 ? theme.good : theme.bad,
+                                whiteSpace: "nowrap",
+                              }}
+                            >
+                              {sum > 0 ? `+${sum}` : `-${Math.abs(sum)}`}
+                            </div>
+                          )}
                         </div>
-                      )}
-                    </div>
-                  );
-                },
-              }}
+                      </td>
+                    );
+                  },
+                }}
+              />
+            )}
+          </div>
+
+          {/* Actions */}
+          <div
+            style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 12 }}
+          >
+            <Button
+              theme={theme}
+              onClick={openNewRecord}
+              primary
+              label={t("action.add")}
+            />
+            <Button
+              theme={theme}
+              onClick={openLive}
+              label={liveSession ? t("action.liveActive") : t("action.live")}
+            />
+            <Button
+              theme={theme}
+              onClick={() => setShowDashboard(true)}
+              label={t("action.dashboard")}
+            />
+            <Button
+              theme={theme}
+              onClick={() => setShowAllRecords(true)}
+              label={t("action.allRecords")}
+            />
+            <Button
+              theme={theme}
+              onClick={() => setShareImport({ code: "" })}
+              label={t("action.scan")}
             />
-          </div>
-
-          {/* Actions */}
-          <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
             <Button
               theme={theme}
-              onClick={() => setShowForm(true)}
-              primary
-              label="新增紀錄"
+              onClick={() => setShowSettlement(true)}
+              label={t("action.settle")}
+            />
+            <Button
+              theme={theme}
+              onClick={() => setShowPlans(true)}
+              label={
+                upcomingPlans
+                  ? t("action.plansCount", { n: upcomingPlans })
+                  : t("action.plans")
+              }
+            />
+            <Button
+              theme={theme}
+              onClick={() => setShowLeague(true)}
+              label={t("action.league")}
+            />
+            <Button
+              theme={theme}
+              onClick={() => setShowVenues(true)}
+              label={t("action.venues")}
+            />
+            <Button
+              theme={theme}
+              onClick={() => setShowLimits(true)}
+              label={t("action.limits")}
+            />
+            <Button
+              theme={theme}
+              onClick={() => setShowBackup(true)}
+              label={backupOverdue !== null ? t("action.backupDue") : t("action.backup")}
             />
-            <Button theme={theme} onClick={backup} label="備份" />
             <Button
               theme={theme}
               onClick={() => fileInputRef.current?.click()}
-              label="還原"
+              label={t("action.restore")}
             />
             <input type="file" hidden ref={fileInputRef} onChange={restore} />
+            <Button theme={theme} onClick={exportCSV} label={t("action.exportCsv")} />
+            <Button
+              theme={theme}
+              onClick={() => setShowSync(true)}
+              label={t("action.sync")}
+            />
+            <Button
+              theme={theme}
+              onClick={() => setShowCsvImport(true)}
+              label={t("action.importCsv")}
+            />
+            <Button
+              theme={theme}
+              onClick={() => setShowSnapshots(true)}
+              label={t("action.snapshots")}
+            />
+            <Button
+              theme={theme}
+              onClick={() => setShowTrash(true)}
+              label={
+                trash.length
+                  ? t("action.trashCount", { n: trash.length })
+                  : t("action.trash")
+              }
+            />
           </div>
         </div>
 
         {/* List */}
         <div
+          ref={dayListRef}
           style={{
             background: theme.panel,
             border: `1px solid ${theme.border}`,
@@ -316,16 +1261,52 @@ export default function App() {
         >
           <div style={{ display: "flex", justifyContent: "space-between" }}>
             <div style={{ fontWeight: 800, fontSize: 16 }}>
-              {selectedStr} 紀錄
+              {t("day.title", { date: selectedStr })}
             </div>
             <div style={{ color: theme.subtext, fontSize: 13 }}>
-              共 {recordsOfDay.length} 筆
+              {t("day.count", { n: recordsOfDay.length })}
             </div>
           </div>
 
+          {plansOfDay.map((p) => (
+            <div
+              key={p.id}
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                gap: 10,
+                marginTop: 10,
+                padding: 10,
+                borderRadius: 14,
+                border: `1px dashed ${theme.primary}`,
+                fontSize: 13,
+              }}
+            >
+              <div style={{ minWidth: 0 }}>
+                <div style={{ fontWeight: 800 }}>
+                  {t("plan.title", {
+                    what: [p.time, p.location || t("common.noLocation")].filter(Boolean).join(" "),
+                  })}
+                </div>
+                <div style={{ color: theme.subtext, fontSize: 12 }}>
+                  {t("plan.going", {
+                    n: p.players.filter((x) => x.rsvp === "yes").length,
+                    total: p.players.length,
+                  })}
+                </div>
+              </div>
+              {p.date <= toDateStr(new Date()) ? (
+                <Button theme={theme} primary label={t("plan.convert")} onClick={() => convertPlan(p)} />
+              ) : (
+                <Button theme={theme} label={t("plan.open")} onClick={() => setShowPlans(true)} />
+              )}
+            </div>
+          ))}
+
           {recordsOfDay.length === 0 ? (
             <div style={{ color: theme.subtext, marginTop: 10, fontSize: 13 }}>
-              這天還沒有紀錄，按「新增紀錄」建立一筆。
+              {t("day.empty")}
             </div>
           ) : (
             <ul style={{ listStyle: "none", padding: 0, margin: "10px 0 0" }}>
@@ -377,7 +1358,7 @@ export default function App() {
                               color: theme.subtext,
                             }}
                           >
-                            {r.location || "未填地點"}
+                            {r.location || t("common.noLocation")}
                           </span>
 
                           <span
@@ -389,7 +1370,7 @@ export default function App() {
                               color: theme.subtext,
                             }}
                           >
-                            籌碼 {r.stake}
+                            {t("common.stake", { stake: r.stake })}
                           </span>
 
                           <span
@@ -401,7 +1382,7 @@ export default function App() {
                               color: theme.subtext,
                             }}
                           >
-                            {r.hands} 將
+                            {t("common.hands", { n: r.hands })}
                           </span>
                         </div>
 
@@ -425,12 +1406,84 @@ export default function App() {
                             {formatNetPlain(n)}
                           </div>
                         </div>
+
+                        {hasPlayers(r) && (
+                          <div
+                            style={{
+                              marginTop: 6,
+                              fontSize: 12,
+                              color: theme.subtext,
+                              lineHeight: 1.5,
+                            }}
+                          >
+                            {r.players
+                              .map(
+                                (p) =>
+                                  `${p.seat} ${p.name || "?"}${p.me ? `(${t("common.me")})` : ""} ${
+                                    p.net > 0 ? `+${p.net}` : p.net
+                                  }`
+                              )
+                              .join("・")}
+                          </div>
+                        )}
+
+                        {r.note && (
+                          <div
+                            style={{
+                              marginTop: 6,
+                              fontSize: 13,
+                              color: theme.subtext,
+                              whiteSpace: "pre-wrap",
+                            }}
+                          >
+                            {r.note}
+                          </div>
+                        )}
+
+                        {r.tags?.length > 0 && (
+                          <div
+                            style={{
+                              display: "flex",
+                              flexWrap: "wrap",
+                              gap: 6,
+                              marginTop: 6,
+                            }}
+                          >
+                            {r.tags.map((tag) => (
+                              <TagChip
+                                key={tag}
+                                theme={theme}
+                                label={`#${tag}`}
+                                active={tagFilter.includes(tag)}
+                              />
+                            ))}
+                          </div>
+                        )}
+
+                        {r.attachments?.length > 0 && (
+                          <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+                            {r.attachments.map((id) => (
+                              <Thumb
+                                key={id}
+                                theme={theme}
+                                id={id}
+                                size={44}
+                                onClick={() => setViewingPhoto(id)}
+                              />
+                            ))}
+                          </div>
+                        )}
                       </div>
 
-                      <div style={{ display: "flex", gap: 8 }}>
+                      <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                        <Button
+                          theme={theme}
+                          label={t("day.share")}
+                          onClick={() => setShareRecord(r)}
+                        />
                         <Button
                           theme={theme}
-                          label="修改"
+                          label={t("day.edit")}
                           onClick={() => {
                             setEditing(r);
                             setShowForm(true);
@@ -438,7 +1491,12 @@ export default function App() {
                         />
                         <Button
                           theme={theme}
-                          label="刪除"
+                          label={t("day.history")}
+                          onClick={() => setHistoryRecord(r)}
+                        />
+                        <Button
+                          theme={theme}
+                          label={t("day.delete")}
                           danger
                           onClick={() => handleDelete(r.id)}
                         />
@@ -451,6 +1509,216 @@ export default function App() {
           )}
         </div>
 
+        {showLive && (
+          <LiveSession
+            theme={theme}
+            session={liveSession}
+            roster={roster}
+            onUpdate={updateLive}
+            onFinish={finishLive}
+            onDiscard={discardLive}
+            onClose={() => setShowLive(false)}
+          />
+        )}
+
+        {showDashboard && (
+          <Dashboard
+            theme={theme}
+            records={scopedRecords}
+            title={filterLabel}
+            onClose={() => setShowDashboard(false)}
+          />
+        )}
+
+        {showCsvImport && (
+          <CsvImport
+            theme={theme}
+            onImport={importCSV}
+            onClose={() => setShowCsvImport(false)}
+          />
+        )}
+
+        {showBackup && (
+          <BackupDialog
+            theme={theme}
+            profileName={profileName(currentProfile)}
+            profileCount={profiles.profiles.length}
+            onBackup={backup}
+            onClose={() => setShowBackup(false)}
+          />
+        )}
+
+        {showLeague && (
+          <League
+            theme={theme}
+            records={records}
+            meName={myName}
+            seasons={seasons}
+            onSeasonsChange={changeSeasons}
+            onClose={() => setShowLeague(false)}
+          />
+        )}
+
+        {showPlans && (
+          <Plans
+            theme={theme}
+            plans={plans}
+            date={selectedStr}
+            roster={roster}
+            venues={venues}
+            onSave={savePlan}
+            onDelete={removePlan}
+            onConvert={convertPlan}
+            onClose={() => setShowPlans(false)}
+          />
+        )}
+
+        {showProfiles && (
+          <Profiles
+            theme={theme}
+            defaultName={t("profile.defaultName")}
+            onSwitch={changeProfile}
+            onClose={() => {
+              setProfiles(loadProfiles());
+              setShowProfiles(false);
+            }}
+          />
+        )}
+
+        {showSnapshots && (
+          <Snapshots
+            theme={theme}
+            reminder={reminder}
+            onReminderChange={changeReminder}
+            onRestore={restoreSnapshot}
+            onClose={() => setShowSnapshots(false)}
+          />
+        )}
+
+        {encryptedRestore && (
+          <PassphrasePrompt
+            theme={theme}
+            onSubmit={decryptRestore}
+            onClose={() => setEncryptedRestore(null)}
+          />
+        )}
+
+        {pendingRestore && (
+          <RestoreDialog
+            theme={theme}
+            localRecords={records}
+            backup={pendingRestore.backup}
+            onMerge={restoreMerge}
+            onReplace={restoreReplace}
+            onClose={() => setPendingRestore(null)}
+          />
+        )}
+
+        {showSync && (
+          <SyncSettings
+            theme={theme}
+            onSync={runSync}
+            onClose={() => setShowSync(false)}
+          />
+        )}
+
+        {shareRecord && (
+          <ShareDialog
+            theme={theme}
+            record={shareRecord}
+            onClose={() => setShareRecord(null)}
+          />
+        )}
+
+        {shareImport && (
+          <ShareImport
+            theme={theme}
+            initialCode={shareImport.code}
+            onImport={importShared}
+            onClose={closeShareImport}
+          />
+        )}
+
+        {showSettlement && (
+          <Settlement
+            theme={theme}
+            me={myName}
+            records={records}
+            payments={payments}
+            onPay={handlePay}
+            onDeletePayment={handleDeletePayment}
+            onClose={() => setShowSettlement(false)}
+          />
+        )}
+
+        {showVenues && (
+          <Venues
+            theme={theme}
+            records={records}
+            favorites={favorites}
+            onToggleFavorite={toggleFavorite}
+            onRename={handleRenameVenue}
+            onClose={() => setShowVenues(false)}
+          />
+        )}
+
+        {showAllRecords && (
+          <RecordsList
+            theme={theme}
+            records={taggedRecords}
+            onPick={(r) => {
+              jumpToDate(r.date);
+              setShowAllRecords(false);
+            }}
+            onClose={() => setShowAllRecords(false)}
+          />
+        )}
+
+        {showLimits && (
+          <LimitSettings
+            theme={theme}
+            limits={limits}
+            onChange={changeLimits}
+            onClose={() => setShowLimits(false)}
+          />
+        )}
+
+        {showTrash && (
+          <Trash
+            theme={theme}
+            items={trash}
+            onRestore={handleRestoreTrash}
+            onEmpty={handleEmptyTrash}
+            onClose={() => setShowTrash(false)}
+          />
+        )}
+
+        {historyRecord && (
+          <RecordHistory
+            theme={theme}
+            record={historyRecord}
+            onClose={() => setHistoryRecord(null)}
+          />
+        )}
+
+        {viewingPhoto && (
+          <PhotoViewer
+            theme={theme}
+            id={viewingPhoto}
+            onClose={() => setViewingPhoto(null)}
+          />
+        )}
+
+        {toast && (
+          <Toast
+            theme={theme}
+            message={toast.message}
+            actionLabel={t("common.undo")}
+            onAction={runUndo}
+            onClose={() => setToast(null)}
+          />
+        )}
+
         {/* Form modal */}
         {showForm && (
           <Form
@@ -458,10 +1726,15 @@ export default function App() {
             onClose={() => {
               setShowForm(false);
               setEditing(null);
+              setConvertingPlan(null);
             }}
             onSave={handleSave}
             editing={editing}
+            draft={convertingPlan && planToDraft(convertingPlan, myName)}
             date={selectedStr}
+            roster={roster}
+            venues={venues}
+            tags={tagsInUse}
           />
         )}
 
@@ -474,85 +1747,36 @@ export default function App() {
             lineHeight: 1.4,
           }}
         >
-          提醒：如果你要「給朋友各自建立自己的紀錄」，最簡單是把網站網址給他們，
-          他們在自己的手機打開後資料會存在他們自己的手機裡（彼此不會互通）。
-          若要共用同一份資料，需要另外做登入/雲端同步（之後可再加）。
+          {t("app.footer")}
         </div>
       </div>
     </div>
   );
 }
 
-/** UI components */
-function StatCard({ theme, title, value, accent }) {
-  return (
-    <div
-      style={{
-        background: theme.panel,
-        border: `1px solid ${theme.border}`,
-        borderRadius: 16,
-        padding: 12,
-      }}
-    >
-      <div style={{ color: theme.subtext, fontSize: 12, marginBottom: 6 }}>
-        {title}
-      </div>
-      <div style={{ fontWeight: 900, fontSize: 18, color: accent }}>{value}</div>
-    </div>
-  );
-}
-
-function Button({ theme, label, onClick, primary, danger }) {
-  const baseBg = primary ? theme.primary : theme.btn;
-  const fg = primary ? "#ffffff" : theme.text;
-  const border = primary
-    ? "1px solid rgba(255,255,255,0.12)"
-    : `1px solid ${theme.border}`;
-
-  const dangerStyle = danger
-    ? {
-        background: "rgba(239,68,68,0.12)",
-        color: theme.bad,
-        border: `1px solid rgba(239,68,68,0.25)`,
-      }
-    : {};
-
-  return (
-    <button
-      onClick={onClick}
-      style={{
-        padding: "10px 12px",
-        borderRadius: 12,
-        border,
-        background: baseBg,
-        color: fg,
-        fontWeight: 800,
-        fontSize: 14,
-        cursor: "pointer",
-        ...dangerStyle,
-      }}
-    >
-      {label}
-    </button>
-  );
-}
-
 /** Form (modal) */
-function Form({ theme, onClose, onSave, editing, date }) {
-  const [location, setLocation] = useState(editing?.location || "");
+function Form({ theme, onClose, onSave, editing, draft, date, roster, venues, tags }) {
+  // draft：新紀錄的預設值（例如從排定的牌局轉來），不算修改
+  const init = editing || draft;
+  // 新紀錄先決定 id，照片存檔時才知道屬於哪筆
+  const [recordId] = useState(() => editing?.id || uuidv4());
+  const [location, setLocation] = useState(init?.location || "");
+  const [note, setNote] = useState(init?.note || "");
+  const [tagText, setTagText] = useState(formatTags(init?.tags));
+  const [attachments, setAttachments] = useState(init?.attachments || []);
   const [hands, setHands] = useState(
-    Number.isFinite(editing?.hands) ? editing.hands : 1
+    Number.isFinite(init?.hands) ? init.hands : 1
   );
 
   // net：允許輸入正負（贏正、輸負）
   const [net, setNet] = useState(
-    Number.isFinite(editing?.net) ? editing.net : 0
+    Number.isFinite(init?.net) ? init.net : 0
   );
 
   // stake：預設或自訂
-  const parsed = safeParseStake(editing?.stake || "30/10");
+  const parsed = safeParseStake(init?.stake || "30/10");
   const [stakeMode, setStakeMode] = useState(() => {
-    const s = editing?.stake || "30/10";
+    const s = init?.stake || "30/10";
     return PRESETS.includes(s) ? s : "自訂";
   });
   const [customBase, setCustomBase] = useState(parsed.base);
@@ -561,9 +1785,30 @@ function Form({ theme, onClose, onSave, editing, date }) {
   const resolvedStake =
     stakeMode === "自訂" ? `${customBase}/${customTai}` : stakeMode;
 
-  const netPreview = Number(net || 0);
+  // 四家戰績（可選）：開啟後「我」的淨值由標記的座位推出
+  const [withPlayers, setWithPlayers] = useState(hasPlayers(init));
+  const [unsettled, setUnsettled] = useState(!!init?.unsettled);
+  const [players, setPlayers] = useState(() =>
+    hasPlayers(init) ? init.players.map((p) => ({ ...p })) : emptyPlayers()
+  );
+
+  const netPreview = withPlayers ? myNet(players) : Number(net || 0);
   const result = resultText(netPreview);
 
+  const [showCalc, setShowCalc] = useState(false);
+  const meIndex = players.findIndex((p) => p.me);
+
+  // 台數計算機算完一手：有記四家就加到每家，否則只加到自己的淨值
+  function applyHand(deltas, mySeat) {
+    if (withPlayers) {
+      setPlayers(
+        players.map((p, i) => ({ ...p, net: Number(p.net || 0) + deltas[i] }))
+      );
+    } else {
+      setNet(Number(net || 0) + deltas[mySeat]);
+    }
+  }
+
   return (
     <div
       style={{
@@ -591,7 +1836,7 @@ function Form({ theme, onClose, onSave, editing, date }) {
       >
         <div style={{ display: "flex", justifyContent: "space-between" }}>
           <div style={{ fontWeight: 900, fontSize: 16 }}>
-            {editing ? "修改紀錄" : "新增紀錄"}
+            {editing ? t("form.edit") : t("form.new")}
           </div>
           <button
             onClick={onClose}
@@ -604,26 +1849,55 @@ function Form({ theme, onClose, onSave, editing, date }) {
               fontWeight: 800,
             }}
           >
-            關閉
+            {t("common.close")}
           </button>
         </div>
 
         <div style={{ color: theme.subtext, fontSize: 13, marginTop: 6 }}>
-          日期：{date}
+          {t("form.date", { date })}
         </div>
 
         {/* Location */}
-        <Field label="地點" theme={theme}>
+        <Field label={t("form.location")} theme={theme}>
           <input
             value={location}
             onChange={(e) => setLocation(e.target.value)}
-            placeholder="例如：小明家"
+            placeholder={t("form.locationPlaceholder")}
+            list="venue-options"
             style={inputStyle(theme)}
           />
+          <datalist id="venue-options">
+            {venues.map((v) => (
+              <option key={v.name} value={v.name} />
+            ))}
+          </datalist>
+          {venues.some((v) => v.favorite) && (
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 8 }}>
+              {venues
+                .filter((v) => v.favorite)
+                .map((v) => (
+                  <button
+                    key={v.name}
+                    onClick={() => setLocation(v.name)}
+                    style={{
+                      padding: "4px 10px",
+                      borderRadius: 999,
+                      border: `1px solid ${theme.border}`,
+                      background: location === v.name ? theme.primary : theme.btn,
+                      color: theme.text,
+                      fontSize: 12,
+                      cursor: "pointer",
+                    }}
+                  >
+                    ★ {v.name}
+                  </button>
+                ))}
+            </div>
+          )}
         </Field>
 
         {/* Stake */}
-        <Field label="籌碼（底/台）" theme={theme}>
+        <Field label={t("form.stake")} theme={theme}>
           <select
             value={stakeMode}
             onChange={(e) => setStakeMode(e.target.value)}
@@ -631,7 +1905,7 @@ function Form({ theme, onClose, onSave, editing, date }) {
           >
             {PRESETS.map((p) => (
               <option key={p} value={p}>
-                {p}
+                {p === "自訂" ? t("form.custom") : p}
               </option>
             ))}
           </select>
@@ -642,26 +1916,30 @@ function Form({ theme, onClose, onSave, editing, date }) {
                 type="number"
                 value={customBase}
                 onChange={(e) => setCustomBase(+e.target.value)}
-                placeholder="底"
+                placeholder={t("form.base")}
                 style={inputStyle(theme)}
               />
               <input
                 type="number"
                 value={customTai}
                 onChange={(e) => setCustomTai(+e.target.value)}
-                placeholder="台"
+                placeholder={t("form.tai")}
                 style={inputStyle(theme)}
               />
             </div>
           )}
 
           <div style={{ marginTop: 8, color: theme.muted, fontSize: 12 }}>
-            目前籌碼：{resolvedStake}
+            {t("form.currentStake", { stake: resolvedStake })}
           </div>
         </Field>
 
         {/* Hands */}
-        <Field label="打了幾將？" theme={theme} hint="一將四圈（用數字填）">
+        <Field
+          label={t("form.hands")}
+          theme={theme}
+          hint={t("form.handsHint")}
+        >
           <input
             type="number"
             value={hands}
@@ -673,15 +1951,16 @@ function Form({ theme, onClose, onSave, editing, date }) {
 
         {/* Net */}
         <Field
-          label="當天淨值（NT$）"
+          label={t("form.net", { currency: currencySymbol() })}
           theme={theme}
-          hint="贏填正數；輸填負數；平填 0"
+          hint={t("form.netHint")}
         >
           <input
             type="number"
-            value={net}
+            value={withPlayers ? netPreview : net}
+            disabled={withPlayers}
             onChange={(e) => setNet(+e.target.value)}
-            style={inputStyle(theme)}
+            style={{ ...inputStyle(theme), opacity: withPlayers ? 0.6 : 1 }}
           />
           <div style={{ marginTop: 8, fontSize: 13 }}>
             <span
@@ -712,56 +1991,252 @@ function Form({ theme, onClose, onSave, editing, date }) {
           </div>
         </Field>
 
+        {/* Tai calculator */}
+        <Field
+          label={t("form.calc")}
+          theme={theme}
+          hint={t("form.calcHint")}
+        >
+          <Button
+            theme={theme}
+            label={showCalc ? t("form.calcClose") : t("form.calcOpen")}
+            onClick={() => setShowCalc((v) => !v)}
+          />
+          {showCalc && (
+            <TaiCalculator
+              theme={theme}
+              stake={safeParseStake(resolvedStake)}
+              mySeat={withPlayers && meIndex >= 0 ? meIndex : 0}
+              onApply={applyHand}
+            />
+          )}
+        </Field>
+
+        {/* Players */}
+        <Field
+          label={t("form.players")}
+          theme={theme}
+          hint={t("form.playersHint")}
+        >
+          <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <input
+              type="checkbox"
+              checked={withPlayers}
+              onChange={(e) => setWithPlayers(e.target.checked)}
+            />
+            <span style={{ fontSize: 14 }}>{t("form.withPlayers")}</span>
+          </label>
+          {withPlayers && (
+            <PlayersEditor
+              theme={theme}
+              players={players}
+              onChange={setPlayers}
+              roster={roster}
+            />
+          )}
+          {withPlayers && (
+            <label
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: 8,
+                marginTop: 8,
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={unsettled}
+                onChange={(e) => setUnsettled(e.target.checked)}
+              />
+              <span style={{ fontSize: 14 }}>{t("form.unsettled")}</span>
+            </label>
+          )}
+        </Field>
+
+        <Field label={t("form.note")} theme={theme}>
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={2}
+            placeholder={t("form.notePlaceholder")}
+            style={{ ...inputStyle(theme), resize: "vertical" }}
+          />
+        </Field>
+
+        <Field
+          label={t("form.tags")}
+          theme={theme}
+          hint={t("form.tagsHint")}
+        >
+          <input
+            value={tagText}
+            onChange={(e) => setTagText(e.target.value)}
+            style={inputStyle(theme)}
+          />
+          {tags.length > 0 && (
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 8 }}>
+              {tags
+                .filter(({ tag }) => !parseTags(tagText).includes(tag))
+                .slice(0, 12)
+                .map(({ tag }) => (
+                  <TagChip
+                    key={tag}
+                    theme={theme}
+                    label={`+ ${tag}`}
+                    onClick={() =>
+                      setTagText(formatTags([...parseTags(tagText), tag]))
+                    }
+                  />
+                ))}
+            </div>
+          )}
+        </Field>
+
+        <Field
+          label={t("form.photos")}
+          theme={theme}
+          hint={t("form.photosHint")}
+        >
+          <PhotoPicker
+            theme={theme}
+            recordId={recordId}
+            ids={attachments}
+            onChange={setAttachments}
+          />
+        </Field>
+
         <div style={{ display: "flex", gap: 10, marginTop: 14 }}>
           <Button
             theme={theme}
             primary
-            label={editing ? "儲存修改" : "記錄這場戰績"}
+            label={editing ? t("form.save") : t("form.create")}
             onClick={() => {
+              let cleanPlayers;
+              if (withPlayers) {
+                cleanPlayers = normalizePlayers(players);
+                if (
+                  !isZeroSum(cleanPlayers) &&
+                  !confirm(t("form.confirmSum", { sum: playersSum(cleanPlayers) }))
+                )
+                  return;
+              }
               const record = {
-                id: editing?.id || uuidv4(),
+                ...editing,
+                id: recordId,
                 date,
-                location: (location || "").trim(),
+                // 只差空白/全半形就沿用既有地點的寫法
+                location: canonicalVenue(location, venues),
                 stake: resolvedStake,
                 hands: Number(hands || 1),
-                net: Number(net || 0),
+                net: withPlayers ? myNet(cleanPlayers) : Number(net || 0),
                 updatedAt: new Date().toISOString(),
                 createdAt: editing?.createdAt || new Date().toISOString(),
               };
+              if (withPlayers) record.players = cleanPlayers;
+              else delete record.players;
+              if (withPlayers && unsettled) record.unsettled = true;
+              else delete record.unsettled;
+              // 空的欄位不存，舊紀錄比對歷史時才不會多出一堆「（空）→（空）」
+              const cleanTags = parseTags(tagText);
+              if (note.trim()) record.note = note.trim();
+              else delete record.note;
+              if (cleanTags.length) record.tags = cleanTags;
+              else delete record.tags;
+              if (attachments.length) record.attachments = attachments;
+              else delete record.attachments;
               onSave(record);
             }}
           />
-          <Button theme={theme} label="取消" onClick={onClose} />
+          <Button theme={theme} label={t("common.cancel")} onClick={onClose} />
         </div>
       </div>
     </div>
   );
 }
 
-function Field({ label, hint, children, theme }) {
+function PlayersEditor({ theme, players, onChange, roster }) {
+  function update(i, patch) {
+    onChange(
+      players.map((p, j) => {
+        if (j === i) return { ...p, ...patch };
+        // 「我」只能有一家
+        if (patch.me) return { ...p, me: false };
+        return p;
+      })
+    );
+  }
+
+  const sum = playersSum(players);
+
   return (
-    <div style={{ marginTop: 12 }}>
-      <div style={{ fontWeight: 900, marginBottom: 6 }}>{label}</div>
-      {hint && (
-        <div style={{ color: theme.muted, fontSize: 12, marginBottom: 8 }}>
-          {hint}
+    <div style={{ marginTop: 10 }}>
+      <datalist id="player-roster">
+        {(roster || []).map((name) => (
+          <option key={name} value={name} />
+        ))}
+      </datalist>
+      {players.map((p, i) => (
+        <div
+          key={p.seat}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            marginBottom: 8,
+          }}
+        >
+          <div style={{ width: 24, fontWeight: 900, textAlign: "center" }}>
+            {p.seat}
+          </div>
+          <input
+            value={p.name}
+            list="player-roster"
+            placeholder={t("form.playerName")}
+            onChange={(e) => update(i, { name: e.target.value })}
+            style={{ ...inputStyle(theme), flex: 2 }}
+          />
+          <input
+            type="number"
+            value={p.net}
+            onChange={(e) => update(i, { net: +e.target.value })}
+            style={{ ...inputStyle(theme), flex: 1.4 }}
+          />
+          <label
+            style={{
+              display: "flex",
+              alignItems: "center",
+              gap: 4,
+              fontSize: 12,
+              whiteSpace: "nowrap",
+            }}
+          >
+            <input
+              type="radio"
+              name="player-me"
+              checked={!!p.me}
+              onChange={() => update(i, { me: true })}
+            />
+            {t("common.me")}
+          </label>
         </div>
-      )}
-      {children}
+      ))}
+      <div
+        style={{
+          fontSize: 12,
+          fontWeight: 800,
+          color: sum === 0 ? theme.muted : theme.bad,
+        }}
+      >
+        {t("form.playersSum", { sum })}
+        {sum !== 0 && t("form.shouldBeZero")}
+      </div>
     </div>
   );
 }
 
-function inputStyle(theme) {
-  return {
-    width: "100%",
-    padding: "12px 12px",
-    borderRadius: 12,
-    border: `1px solid ${theme.border}`,
-    background: theme.card,
-    color: theme.text,
-    outline: "none",
-    fontSize: 14,
-    boxSizing: "border-box",
-  };
+/** 月份範圍的第一天，讓行事曆跟著顯示；其他範圍不動行事曆 */
+function monthOfScope(scope) {
+  if (scope.type !== "month") return null;
+  const [y, m] = scope.month.split("-").map(Number);
+  return new Date(y, m - 1, 1);
 }
@@ -0,0 +1,156 @@
+import React, { useEffect, useRef, useState } from "react";
+import { v4 as uuidv4 } from "uuid";
+import { getAttachment, putAttachment } from "./db.js";
+import { compressImage } from "./attachments.js";
+import { Button } from "./ui.jsx";
+import { t } from "./i18n.js";
+
+/** 讀出附件 Blob 轉成 object URL，卸載時釋放 */
+function useAttachmentURL(id) {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    getAttachment(id).then((a) => {
+      if (cancelled || !a) return;
+      objectUrl = URL.createObjectURL(a.blob);
+      setUrl(objectUrl);
+    });
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [id]);
+  return url;
+}
+
+export function Thumb({ theme, id, size = 56, onClick }) {
+  const url = useAttachmentURL(id);
+  return (
+    <div
+      onClick={onClick}
+      style={{
+        width: size,
+        height: size,
+        borderRadius: 10,
+        border: `1px solid ${theme.border}`,
+        background: url ? `center / cover no-repeat url(${url})` : theme.card2,
+        cursor: onClick ? "pointer" : "default",
+        flex: "none",
+      }}
+    />
+  );
+}
+
+export function PhotoViewer({ theme, id, onClose }) {
+  const url = useAttachmentURL(id);
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0,0,0,0.9)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 90,
+        padding: 10,
+      }}
+    >
+      {url ? (
+        <img
+          src={url}
+          alt=""
+          style={{ maxWidth: "100%", maxHeight: "100%", borderRadius: 8 }}
+        />
+      ) : (
+        <div style={{ color: theme.muted }}>{t("photos.missing")}</div>
+      )}
+    </div>
+  );
+}
+
+/** 表單裡的照片欄：選照片就先壓縮存起來，ids 由表單跟紀錄一起儲存 */
+export function PhotoPicker({ theme, recordId, ids, onChange }) {
+  const inputRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [viewing, setViewing] = useState(null);
+
+  async function addFiles(files) {
+    setBusy(true);
+    const added = [];
+    try {
+      for (const file of files) {
+        const img = await compressImage(file);
+        const id = uuidv4();
+        await putAttachment({
+          id,
+          recordId,
+          ...img,
+          createdAt: new Date().toISOString(),
+        });
+        added.push(id);
+      }
+    } catch (err) {
+      alert(err.message);
+    }
+    onChange([...ids, ...added]);
+    setBusy(false);
+  }
+
+  return (
+    <div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+        {ids.map((id) => (
+          <div key={id} style={{ position: "relative" }}>
+            <Thumb theme={theme} id={id} onClick={() => setViewing(id)} />
+            <button
+              onClick={() => onChange(ids.filter((x) => x !== id))}
+              title={t("photos.remove")}
+              style={{
+                position: "absolute",
+                top: -6,
+                right: -6,
+                width: 20,
+                height: 20,
+                borderRadius: 10,
+                border: "none",
+                background: theme.bad,
+                color: "#fff",
+                fontSize: 12,
+                cursor: "pointer",
+                lineHeight: "20px",
+                padding: 0,
+              }}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+      <div style={{ marginTop: ids.length ? 8 : 0 }}>
+        <Button
+          theme={theme}
+          label={busy ? t("photos.compressing") : t("photos.add")}
+          onClick={busy ? undefined : () => inputRef.current?.click()}
+        />
+      </div>
+      <input
+        ref={inputRef}
+        type="file"
+        accept="image/*"
+        multiple
+        hidden
+        onChange={(e) => {
+          const files = [...(e.target.files || [])];
+          e.target.value = "";
+          if (files.length) addFiles(files);
+        }}
+      />
+      {viewing && (
+        <PhotoViewer theme={theme} id={viewing} onClose={() => setViewing(null)} />
+      )}
+    </div>
+  );
+}
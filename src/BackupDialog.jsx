@@ -0,0 +1,178 @@
+import React, { useState } from "react";
+import { Button, Field, inputStyle } from "./ui.jsx";
+import { t, errorText } from "./i18n.js";
+
+function Overlay({ theme, title, onClose, children }) {
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: theme.bg,
+        overflowY: "auto",
+        padding: 14,
+        zIndex: 60,
+        boxSizing: "border-box",
+      }}
+    >
+      <div style={{ maxWidth: 520, margin: "0 auto" }}>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 900, fontSize: 18 }}>{title}</div>
+          <Button theme={theme} label={t("common.close")} onClick={onClose} />
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+/** 備份：可選擇用密碼加密；有多本帳時可以只備份目前這本或全部 */
+export default function BackupDialog({ theme, profileName, profileCount = 1, onBackup, onClose }) {
+  const [encrypt, setEncrypt] = useState(true);
+  const [allProfiles, setAllProfiles] = useState(false);
+  const [withAttachments, setWithAttachments] = useState(true);
+  const [pass, setPass] = useState("");
+  const [pass2, setPass2] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function submit() {
+    if (encrypt) {
+      if (pass.length < 4) return setError(t("backup.passTooShort"));
+      if (pass !== pass2) return setError(t("backup.passMismatch"));
+    }
+    setBusy(true);
+    try {
+      await onBackup({ passphrase: encrypt ? pass : "", withAttachments, allProfiles });
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Overlay theme={theme} title={t("backup.title")} onClose={onClose}>
+      <div style={{ color: theme.subtext, fontSize: 13, marginTop: 6 }}>
+        {t("backup.intro")}
+      </div>
+      {profileCount > 1 && (
+        <>
+          <label style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 12 }}>
+            <input
+              type="radio"
+              checked={!allProfiles}
+              onChange={() => setAllProfiles(false)}
+            />
+            {t("backup.thisProfile", { name: profileName })}
+          </label>
+          <label style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 8 }}>
+            <input
+              type="radio"
+              checked={allProfiles}
+              onChange={() => setAllProfiles(true)}
+            />
+            {t("backup.allProfiles", { n: profileCount })}
+          </label>
+        </>
+      )}
+      <label style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 12 }}>
+        <input
+          type="checkbox"
+          checked={encrypt}
+          onChange={(e) => setEncrypt(e.target.checked)}
+        />
+        {t("backup.encrypt")}
+      </label>
+      <label style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 8 }}>
+        <input
+          type="checkbox"
+          checked={withAttachments}
+          onChange={(e) => setWithAttachments(e.target.checked)}
+        />
+        {t("backup.withPhotos")}
+      </label>
+      {!withAttachments && (
+        <div style={{ color: theme.muted, fontSize: 12, marginTop: 4 }}>
+          {t("backup.noPhotosHint")}
+        </div>
+      )}
+      {encrypt && (
+        <Field
+          label={t("backup.pass")}
+          theme={theme}
+          hint={t("backup.passHint")}
+        >
+          <input
+            type="password"
+            value={pass}
+            onChange={(e) => setPass(e.target.value)}
+            placeholder={t("backup.pass")}
+            style={inputStyle(theme)}
+          />
+          <input
+            type="password"
+            value={pass2}
+            onChange={(e) => setPass2(e.target.value)}
+            placeholder={t("backup.passAgain")}
+            style={{ ...inputStyle(theme), marginTop: 8 }}
+          />
+        </Field>
+      )}
+      {error && (
+        <div style={{ color: theme.bad, fontSize: 13, marginTop: 10 }}>{error}</div>
+      )}
+      <div style={{ marginTop: 14 }}>
+        <Button
+          theme={theme}
+          primary
+          label={busy ? t("backup.busy") : t("backup.download")}
+          onClick={busy ? undefined : submit}
+        />
+      </div>
+    </Overlay>
+  );
+}
+
+/** 還原加密備份前輸入密碼；onSubmit 丟錯（例如密碼錯誤）就顯示訊息讓使用者重試 */
+export function PassphrasePrompt({ theme, onSubmit, onClose }) {
+  const [pass, setPass] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function submit() {
+    if (!pass) return;
+    setBusy(true);
+    try {
+      await onSubmit(pass);
+    } catch (err) {
+      setError(errorText(err));
+      setBusy(false);
+    }
+  }
+
+  return (
+    <Overlay theme={theme} title={t("backup.encryptedTitle")} onClose={onClose}>
+      <Field label={t("backup.enterPass")} theme={theme}>
+        <input
+          type="password"
+          value={pass}
+          autoFocus
+          onChange={(e) => setPass(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && submit()}
+          style={inputStyle(theme)}
+        />
+      </Field>
+      {error && (
+        <div style={{ color: theme.bad, fontSize: 13, marginTop: 10 }}>{error}</div>
+      )}
+      <div style={{ marginTop: 14 }}>
+        <Button
+          theme={theme}
+          primary
+          label={busy ? t("backup.decrypting") : t("backup.decrypt")}
+          onClick={busy ? undefined : submit}
+        />
+      </div>
+    </Overlay>
+  );
+}
@@ -0,0 +1,260 @@
+import React, { useMemo } from "react";
+import {
+  yearWeeks,
+  heatLevel,
+  maxAbs,
+  weekdayTotals,
+  weeklyTotals,
+  weekDates,
+  recordsOfYear,
+} from "./calendar.js";
+import { totalsBy, monthOf, dailyTotals } from "./calc.js";
+import { t, formatMoney, intlLocale } from "./i18n.js";
+import { Button } from "./ui.jsx";
+
+const CELL = 12;
+const GAP = 2;
+const ALPHAS = [0, 0.3, 0.5, 0.75, 1];
+
+// 贏綠輸紅，越深代表金額越大；有打但打平用灰色
+function heatColor(net, level, played) {
+  if (!played) return "rgba(255,255,255,0.05)";
+  if (!net) return "rgba(229,231,235,0.3)";
+  const rgb = net > 0 ? "34,197,94" : "239,68,68";
+  return `rgba(${rgb},${ALPHAS[level]})`;
+}
+
+// 2024-01-01 是週一
+function weekdayNames() {
+  return Array.from({ length: 7 }, (_, i) =>
+    new Date(2024, 0, 1 + i).toLocaleDateString(intlLocale(), { weekday: "short" })
+  );
+}
+
+function monthName(ym) {
+  const [y, m] = ym.split("-").map(Number);
+  return new Date(y, m - 1, 1).toLocaleDateString(intlLocale(), { month: "short" });
+}
+
+function HeatCell({ theme, date, daily, max, selected, onPick }) {
+  if (!date) return <div style={{ width: CELL, height: CELL }} />;
+  const played = date in daily;
+  const net = daily[date] || 0;
+  return (
+    <div
+      title={played ? `${date} ${formatMoney(net, { sign: true })}` : date}
+      onClick={() => onPick(date)}
+      style={{
+        width: CELL,
+        height: CELL,
+        borderRadius: 3,
+        cursor: "pointer",
+        background: heatColor(net, heatLevel(net, max), played),
+        boxSizing: "border-box",
+        border: date === selected ? `2px solid ${theme.primary}` : "none",
+      }}
+    />
+  );
+}
+
+function Totals({ theme, label, total }) {
+  return (
+    <div
+      style={{
+        padding: "4px 8px",
+        borderRadius: 10,
+        border: `1px solid ${theme.border}`,
+        background: theme.card,
+        fontSize: 12,
+      }}
+    >
+      <span style={{ color: theme.subtext }}>{label} </span>
+      <span
+        style={{
+          fontWeight: 800,
+          color: total.net > 0 ? theme.good : total.net < 0 ? theme.bad : theme.muted,
+        }}
+      >
+        {total.sessions ? formatMoney(total.net, { sign: true }) : "—"}
+      </span>
+    </div>
+  );
+}
+
+/** 全年熱圖（像 GitHub 的貢獻圖）：一欄一週，顏色深淺代表當天輸贏多少 */
+export function YearHeatmap({ theme, records, year, onYearChange, selected, onPick }) {
+  const yearRecords = useMemo(() => recordsOfYear(records, year), [records, year]);
+  const daily = useMemo(() => dailyTotals(yearRecords), [yearRecords]);
+  const max = maxAbs(Object.values(daily));
+  const weeks = useMemo(() => yearWeeks(year), [year]);
+  const names = weekdayNames();
+  const byWeekday = weekdayTotals(yearRecords);
+  const byMonth = totalsBy(yearRecords, monthOf);
+
+  return (
+    <div>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          marginBottom: 8,
+        }}
+      >
+        <Button theme={theme} label="‹" onClick={() => onYearChange(year - 1)} />
+        <div style={{ fontWeight: 800 }}>{t("calendar.year", { year })}</div>
+        <Button theme={theme} label="›" onClick={() => onYearChange(year + 1)} />
+      </div>
+
+      <div style={{ overflowX: "auto", paddingBottom: 4 }}>
+        <div style={{ display: "flex", gap: GAP }}>
+          <div style={{ display: "grid", gridTemplateRows: `repeat(8, ${CELL}px)`, gap: GAP }}>
+            <div />
+            {names.map((n, i) => (
+              <div key={i} style={{ fontSize: 9, color: theme.muted, lineHeight: `${CELL}px`, paddingRight: 2 }}>
+                {i % 2 === 0 ? n : ""}
+              </div>
+            ))}
+          </div>
+          {weeks.map((w) => {
+            const first = w.days.find((d) => d && d.endsWith("-01")) || null;
+            return (
+              <div
+                key={w.monday}
+                style={{ display: "grid", gridTemplateRows: `repeat(8, ${CELL}px)`, gap: GAP }}
+              >
+                <div style={{ fontSize: 9, color: theme.muted, whiteSpace: "nowrap", width: CELL }}>
+                  {first ? monthName(first.slice(0, 7)) : ""}
+                </div>
+                {w.days.map((d, i) => (
+                  <HeatCell
+                    key={i}
+                    theme={theme}
+                    date={d}
+                    daily={daily}
+                    max={max}
+                    selected={selected}
+                    onPick={onPick}
+                  />
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: 4,
+          marginTop: 8,
+          fontSize: 11,
+          color: theme.muted,
+        }}
+      >
+        {t("calendar.legendLoss")}
+        {[4, 3, 2, 1].map((l) => (
+          <div key={`l${l}`} style={{ width: CELL, height: CELL, borderRadius: 3, background: heatColor(-1, l, true) }} />
+        ))}
+        <div style={{ width: CELL, height: CELL, borderRadius: 3, background: heatColor(0, 0, false) }} />
+        {[1, 2, 3, 4].map((l) => (
+          <div key={`w${l}`} style={{ width: CELL, height: CELL, borderRadius: 3, background: heatColor(1, l, true) }} />
+        ))}
+        {t("calendar.legendWin")}
+      </div>
+
+      <div style={{ color: theme.subtext, fontSize: 12, marginTop: 10 }}>
+        {t("calendar.byWeekday")}
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 6 }}>
+        {byWeekday.map((total, i) => (
+          <Totals key={i} theme={theme} label={names[i]} total={total} />
+        ))}
+      </div>
+
+      <div style={{ color: theme.subtext, fontSize: 12, marginTop: 10 }}>
+        {t("calendar.byMonth")}
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 6 }}>
+        {byMonth.length === 0 ? (
+          <div style={{ color: theme.muted, fontSize: 12 }}>{t("calendar.noRecords")}</div>
+        ) : (
+          byMonth.map((total) => (
+            <Totals key={total.key} theme={theme} label={monthName(total.key)} total={total} />
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** 每週合計：一列一週，右邊七格是週一到週日，點格子跳到那天 */
+export function WeekList({ theme, records, selected, onPick }) {
+  const weeks = useMemo(() => weeklyTotals(records), [records]);
+  const max = maxAbs(weeks.flatMap((w) => Object.values(w.daily)));
+  const names = weekdayNames();
+
+  if (weeks.length === 0) {
+    return <div style={{ color: theme.muted, fontSize: 13 }}>{t("calendar.noRecords")}</div>;
+  }
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "flex-end", gap: GAP * 2, marginBottom: 4 }}>
+        {names.map((n, i) => (
+          <div key={i} style={{ width: 22, textAlign: "center", fontSize: 9, color: theme.muted }}>
+            {n}
+          </div>
+        ))}
+      </div>
+      {weeks.map((w) => (
+        <div
+          key={w.monday}
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            gap: 8,
+            padding: "6px 0",
+            borderTop: `1px solid ${theme.border}`,
+          }}
+        >
+          <div style={{ minWidth: 0 }}>
+            <div style={{ fontSize: 13, fontWeight: 700 }}>
+              {w.monday.replace(/-/g, "/")} – {w.sunday.slice(5).replace("-", "/")}
+            </div>
+            <div style={{ fontSize: 12, color: theme.subtext }}>
+              {t("calendar.weekSessions", { n: w.sessions })}・
+              <span style={{ fontWeight: 800, color: w.net > 0 ? theme.good : w.net < 0 ? theme.bad : theme.muted }}>
+                {formatMoney(w.net, { sign: true })}
+              </span>
+            </div>
+          </div>
+          <div style={{ display: "flex", gap: GAP * 2 }}>
+            {weekDates(w.monday).map((d) => {
+              const played = d in w.daily;
+              const net = w.daily[d] || 0;
+              return (
+                <div
+                  key={d}
+                  title={played ? `${d} ${formatMoney(net, { sign: true })}` : d}
+                  onClick={() => onPick(d)}
+                  style={{
+                    width: 22,
+                    height: 22,
+                    borderRadius: 5,
+                    cursor: "pointer",
+                    background: heatColor(net, heatLevel(net, max), played),
+                    boxSizing: "border-box",
+                    border: d === selected ? `2px solid ${theme.primary}` : "none",
+                  }}
+                />
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,209 @@
+import React, { useMemo, useState } from "react";
+import { v4 as uuidv4 } from "uuid";
+import { CSV_FIELDS, parseCSV, guessMapping, rowsToRecords } from "./csv.js";
+import { formatNetPlain } from "./utils.js";
+import { Button, Field, inputStyle } from "./ui.jsx";
+import { t } from "./i18n.js";
+
+/** CSV 匯入：選檔 → 對應欄位 → 預覽（逐列顯示錯誤）→ 寫入 */
+export default function CsvImport({ theme, onImport, onClose }) {
+  const [rows, setRows] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({});
+
+  async function pickFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const parsed = parseCSV(await file.text());
+    setFileName(file.name);
+    setRows(parsed);
+    setMapping(guessMapping(parsed[0] || []));
+    e.target.value = "";
+  }
+
+  const columns = useMemo(() => {
+    if (!rows || rows.length === 0) return [];
+    const width = Math.max(...rows.map((r) => r.length));
+    return Array.from({ length: width }, (_, i) =>
+      hasHeader && rows[0][i] ? rows[0][i] : t("csv.column", { n: i + 1 })
+    );
+  }, [rows, hasHeader]);
+
+  const results = useMemo(() => {
+    if (!rows) return [];
+    const now = new Date().toISOString();
+    return rowsToRecords(rows, mapping, { hasHeader, makeId: uuidv4, now });
+  }, [rows, mapping, hasHeader]);
+
+  const good = results.filter((r) => r.record);
+  const bad = results.filter((r) => !r.record);
+  const missingRequired = CSV_FIELDS.filter(
+    (f) => f.required && !(mapping[f.id] >= 0)
+  );
+
+  const cell = {
+    padding: "4px 6px",
+    borderTop: `1px solid ${theme.border}`,
+    whiteSpace: "nowrap",
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: theme.bg,
+        overflowY: "auto",
+        padding: 14,
+        zIndex: 60,
+        boxSizing: "border-box",
+      }}
+    >
+      <div style={{ maxWidth: 520, margin: "0 auto" }}>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 900, fontSize: 18 }}>{t("csv.title")}</div>
+          <Button theme={theme} label={t("common.close")} onClick={onClose} />
+        </div>
+
+        <Field
+          label={t("csv.file")}
+          theme={theme}
+          hint={t("csv.fileHint")}
+        >
+          <input type="file" accept=".csv,text/csv" onChange={pickFile} />
+          {fileName && (
+            <div style={{ color: theme.muted, fontSize: 12, marginTop: 6 }}>
+              {t("csv.rows", { name: fileName, n: rows.length })}
+            </div>
+          )}
+        </Field>
+
+        {rows && (
+          <>
+            <Field label={t("csv.mapping")} theme={theme}>
+              <label style={{ display: "block", fontSize: 13, marginBottom: 8 }}>
+                <input
+                  type="checkbox"
+                  checked={hasHeader}
+                  onChange={(e) => setHasHeader(e.target.checked)}
+                />{" "}
+                {t("csv.hasHeader")}
+              </label>
+              {CSV_FIELDS.map((f) => (
+                <div
+                  key={f.id}
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: 8,
+                    marginBottom: 6,
+                  }}
+                >
+                  <div style={{ width: 64, fontSize: 13, fontWeight: 800 }}>
+                    {t(`field.${f.id}`)}
+                    {f.required && <span style={{ color: theme.bad }}>*</span>}
+                  </div>
+                  <select
+                    value={mapping[f.id] ?? -1}
+                    onChange={(e) =>
+                      setMapping({ ...mapping, [f.id]: Number(e.target.value) })
+                    }
+                    style={{ ...inputStyle(theme), padding: "8px 10px" }}
+                  >
+                    <option value={-1}>{t("csv.skip")}</option>
+                    {columns.map((c, i) => (
+                      <option key={i} value={i}>
+                        {c}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </Field>
+
+            <Field
+              label={t("csv.preview")}
+              theme={theme}
+              hint={t("csv.previewHint", { good: good.length, bad: bad.length })}
+            >
+              {missingRequired.length > 0 ? (
+                <div style={{ color: theme.bad, fontSize: 13 }}>
+                  {t("csv.missing", { fields: missingRequired.map((f) => t(`field.${f.id}`)).join("、") })}
+                </div>
+              ) : (
+                <div style={{ overflowX: "auto" }}>
+                  <table
+                    style={{
+                      width: "100%",
+                      borderCollapse: "collapse",
+                      fontSize: 12,
+                    }}
+                  >
+                    <thead>
+                      <tr style={{ color: theme.muted, textAlign: "left" }}>
+                        <th style={cell}>{t("csv.line")}</th>
+                        <th style={cell}>{t("field.date")}</th>
+                        <th style={cell}>{t("field.location")}</th>
+                        <th style={cell}>{t("field.stake")}</th>
+                        <th style={cell}>{t("field.hands")}</th>
+                        <th style={cell}>{t("field.net")}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.slice(0, 200).map((r) =>
+                        r.record ? (
+                          <tr key={r.line}>
+                            <td style={cell}>{r.line}</td>
+                            <td style={cell}>{r.record.date}</td>
+                            <td style={cell}>{r.record.location}</td>
+                            <td style={cell}>{r.record.stake}</td>
+                            <td style={cell}>{r.record.hands}</td>
+                            <td style={cell}>{formatNetPlain(r.record.net)}</td>
+                          </tr>
+                        ) : (
+                          <tr key={r.line} style={{ color: theme.bad }}>
+                            <td style={cell}>{r.line}</td>
+                            <td
+                              style={{ ...cell, whiteSpace: "normal" }}
+                              colSpan={5}
+                            >
+                              {r.errors.join("；")}
+                            </td>
+                          </tr>
+                        )
+                      )}
+                    </tbody>
+                  </table>
+                  {results.length > 200 && (
+                    <div style={{ color: theme.muted, fontSize: 12, marginTop: 6 }}>
+                      {t("csv.first200")}
+                    </div>
+                  )}
+                </div>
+              )}
+            </Field>
+
+            <div style={{ display: "flex", gap: 8, marginTop: 14 }}>
+              <Button
+                theme={theme}
+                primary
+                label={t("csv.import", { n: good.length })}
+                onClick={() => {
+                  if (missingRequired.length || good.length === 0) return;
+                  if (
+                    bad.length &&
+                    !confirm(t("csv.confirmPartial", { bad: bad.length, good: good.length }))
+                  )
+                    return;
+                  onImport(good.map((r) => r.record));
+                }}
+              />
+              <Button theme={theme} label={t("common.cancel")} onClick={onClose} />
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
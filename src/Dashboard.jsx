@@ -0,0 +1,317 @@
+import React, { useMemo } from "react";
+import {
+  cumulativeSeries,
+  monthlyTotals,
+  breakdownBy,
+  resultRates,
+  netPerHand,
+  extremes,
+  streaks,
+} from "./analytics.js";
+import { formatNetPlain } from "./utils.js";
+import { Button, StatCard } from "./ui.jsx";
+import { t } from "./i18n.js";
+
+/** 統計儀表板（全螢幕）；圖表都是自己畫的 SVG，離線也能顯示 */
+export default function Dashboard({ theme, records, title, onClose }) {
+  const data = useMemo(
+    () => ({
+      series: cumulativeSeries(records),
+      months: monthlyTotals(records),
+      byLocation: breakdownBy(records, (r) => r.location || t("common.noLocation")),
+      byStake: breakdownBy(records, (r) => r.stake || "?"),
+      rates: resultRates(records),
+      perHand: netPerHand(records),
+      ext: extremes(records),
+      streak: streaks(records),
+    }),
+    [records]
+  );
+
+  const { rates, streak, ext } = data;
+  const streakText =
+    streak.current.type === "win"
+      ? t("dashboard.winStreak", { n: streak.current.length })
+      : streak.current.type === "loss"
+      ? t("dashboard.lossStreak", { n: streak.current.length })
+      : "—";
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: theme.bg,
+        overflowY: "auto",
+        padding: 14,
+        zIndex: 60,
+        boxSizing: "border-box",
+      }}
+    >
+      <div style={{ maxWidth: 520, margin: "0 auto" }}>
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+          }}
+        >
+          <div style={{ fontWeight: 900, fontSize: 18 }}>
+            {t("dashboard.title")}{title ? `・${title}` : ""}
+          </div>
+          <Button theme={theme} label={t("common.close")} onClick={onClose} />
+        </div>
+
+        {records.length === 0 ? (
+          <div style={{ color: theme.subtext, marginTop: 12, fontSize: 13 }}>
+            {t("dashboard.empty")}
+          </div>
+        ) : (
+          <>
+            <div
+              style={{
+                display: "grid",
+                gridTemplateColumns: "1fr 1fr 1fr",
+                gap: 10,
+                marginTop: 12,
+              }}
+            >
+              <StatCard
+                theme={theme}
+                title={t("dashboard.winRate")}
+                value={`${rates.winPct}%`}
+                accent={theme.good}
+              />
+              <StatCard
+                theme={theme}
+                title={t("dashboard.lossRate")}
+                value={`${rates.lossPct}%`}
+                accent={theme.bad}
+              />
+              <StatCard
+                theme={theme}
+                title={t("dashboard.drawRate")}
+                value={`${rates.drawPct}%`}
+                accent={theme.text}
+              />
+              <StatCard
+                theme={theme}
+                title={t("dashboard.perHand")}
+                value={formatNetPlain(data.perHand)}
+                accent={data.perHand >= 0 ? theme.good : theme.bad}
+              />
+              <StatCard
+                theme={theme}
+                title={t("dashboard.best")}
+                value={ext.best ? formatNetPlain(ext.best.net) : "—"}
+                accent={theme.good}
+              />
+              <StatCard
+                theme={theme}
+                title={t("dashboard.worst")}
+                value={ext.worst ? formatNetPlain(ext.worst.net) : "—"}
+                accent={theme.bad}
+              />
+              <StatCard
+                theme={theme}
+                title={t("dashboard.current")}
+                value={streakText}
+                accent={theme.text}
+              />
+              <StatCard
+                theme={theme}
+                title={t("dashboard.longestWin")}
+                value={t("dashboard.games", { n: streak.longestWin })}
+                accent={theme.good}
+              />
+              <StatCard
+                theme={theme}
+                title={t("dashboard.longestLoss")}
+                value={t("dashboard.games", { n: streak.longestLoss })}
+                accent={theme.bad}
+              />
+            </div>
+
+            <Panel theme={theme} title={t("dashboard.cumulative")}>
+              <LineChart theme={theme} points={data.series} />
+            </Panel>
+
+            <Panel theme={theme} title={t("dashboard.monthly")}>
+              <BarChart
+                theme={theme}
+                bars={data.months.map((m) => ({
+                  label: m.month.slice(2).replace("-", "/"),
+                  value: m.net,
+                }))}
+              />
+            </Panel>
+
+            <Panel theme={theme} title={t("dashboard.byVenue")}>
+              <BreakdownTable theme={theme} rows={data.byLocation} />
+            </Panel>
+
+            <Panel theme={theme} title={t("dashboard.byStake")}>
+              <BreakdownTable theme={theme} rows={data.byStake} />
+            </Panel>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Panel({ theme, title, children }) {
+  return (
+    <div
+      style={{
+        background: theme.panel,
+        border: `1px solid ${theme.border}`,
+        borderRadius: 16,
+        padding: 12,
+        marginTop: 12,
+      }}
+    >
+      <div style={{ fontWeight: 800, marginBottom: 8 }}>{title}</div>
+      {children}
+    </div>
+  );
+}
+
+const W = 480;
+const H = 180;
+const PAD = 28;
+
+function scaleY(min, max) {
+  const lo = Math.min(0, min);
+  const hi = Math.max(0, max);
+  const span = hi - lo || 1;
+  return (v) => PAD / 2 + (H - PAD) * (1 - (v - lo) / span);
+}
+
+function LineChart({ theme, points }) {
+  if (points.length === 0) return null;
+  const values = points.map((p) => p.total);
+  const y = scaleY(Math.min(...values), Math.max(...values));
+  const step = points.length > 1 ? (W - PAD * 2) / (points.length - 1) : 0;
+  const x = (i) => PAD + i * step;
+  const path = points
+    .map((p, i) => `${i === 0 ? "M" : "L"}${x(i).toFixed(1)},${y(p.total).toFixed(1)}`)
+    .join(" ");
+  const last = points[points.length - 1];
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: "auto" }}>
+      <line
+        x1={PAD}
+        x2={W - PAD}
+        y1={y(0)}
+        y2={y(0)}
+        stroke={theme.border}
+        strokeDasharray="4 4"
+      />
+      <path
+        d={path}
+        fill="none"
+        stroke={last.total >= 0 ? theme.good : theme.bad}
+        strokeWidth="2"
+      />
+      {points.length <= 60 &&
+        points.map((p, i) => (
+          <circle
+            key={p.date}
+            cx={x(i)}
+            cy={y(p.total)}
+            r="2.5"
+            fill={p.net >= 0 ? theme.good : theme.bad}
+          >
+            <title>
+              {t("dashboard.pointTitle", { date: p.date, net: formatNetPlain(p.net), total: formatNetPlain(p.total) })}
+            </title>
+          </circle>
+        ))}
+      <text x={PAD} y={H - 4} fontSize="10" fill={theme.muted}>
+        {points[0].date}
+      </text>
+      <text x={W - PAD} y={H - 4} fontSize="10" fill={theme.muted} textAnchor="end">
+        {last.date}
+      </text>
+      <text x={W - PAD} y={12} fontSize="11" fill={theme.text} textAnchor="end">
+        {formatNetPlain(last.total)}
+      </text>
+    </svg>
+  );
+}
+
+function BarChart({ theme, bars }) {
+  if (bars.length === 0) return null;
+  const values = bars.map((b) => b.value);
+  const y = scaleY(Math.min(...values), Math.max(...values));
+  const slot = (W - PAD * 2) / bars.length;
+  const bw = Math.max(2, slot * 0.7);
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} style={{ width: "100%", height: "auto" }}>
+      <line x1={PAD} x2={W - PAD} y1={y(0)} y2={y(0)} stroke={theme.border} />
+      {bars.map((b, i) => {
+        const cx = PAD + slot * i + slot / 2;
+        const top = Math.min(y(b.value), y(0));
+        const h = Math.max(1, Math.abs(y(b.value) - y(0)));
+        return (
+          <g key={b.label}>
+            <rect
+              x={cx - bw / 2}
+              y={top}
+              width={bw}
+              height={h}
+              rx="2"
+              fill={b.value >= 0 ? theme.good : theme.bad}
+            >
+              <title>
+                {b.label}：{formatNetPlain(b.value)}
+              </title>
+            </rect>
+            {bars.length <= 12 && (
+              <text
+                x={cx}
+                y={H - 4}
+                fontSize="10"
+                fill={theme.muted}
+                textAnchor="middle"
+              >
+                {b.label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function BreakdownTable({ theme, rows }) {
+  const cell = { padding: "6px 4px", borderTop: `1px solid ${theme.border}` };
+  return (
+    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+      <thead>
+        <tr style={{ color: theme.muted, textAlign: "left" }}>
+          <th style={{ padding: "0 4px 6px" }}>{t("dashboard.col.item")}</th>
+          <th style={{ padding: "0 4px 6px" }}>{t("dashboard.col.games")}</th>
+          <th style={{ padding: "0 4px 6px" }}>{t("dashboard.col.total")}</th>
+          <th style={{ padding: "0 4px 6px" }}>{t("dashboard.col.avg")}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((r) => (
+          <tr key={r.key}>
+            <td style={cell}>{r.key}</td>
+            <td style={cell}>{r.sessions}</td>
+            <td style={{ ...cell, color: r.net >= 0 ? theme.good : theme.bad }}>
+              {formatNetPlain(r.net)}
+            </td>
+            <td style={cell}>{formatNetPlain(r.avg)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
@@ -0,0 +1,322 @@
+import React, { useMemo, useState } from "react";
+import {
+  MIN_GAMES,
+  START_RATING,
+  upsertSeason,
+  sortSeasons,
+  seasonStatus,
+  currentSeason,
+  leagueTable,
+  championHistory,
+} from "./league.js";
+import { standingsImage } from "./leagueImage.js";
+import { formatNetPlain, downloadBlob } from "./utils.js";
+import { Button, Field, inputStyle } from "./ui.jsx";
+import { t } from "./i18n.js";
+
+const statusLabel = (season) => t(`league.status.${seasonStatus(season)}`);
+
+function newSeasonDraft() {
+  const y = new Date().getFullYear();
+  return { name: t("league.defaultName", { year: y }), start: `${y}-01-01`, end: `${y}-12-31` };
+}
+
+function SeasonForm({ theme, draft, onSave, onCancel }) {
+  const [name, setName] = useState(draft.name);
+  const [start, setStart] = useState(draft.start);
+  const [end, setEnd] = useState(draft.end);
+  const [error, setError] = useState("");
+
+  function save() {
+    try {
+      onSave({ ...draft, name, start, end });
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        padding: 12,
+        borderRadius: 14,
+        border: `1px solid ${theme.border}`,
+        background: theme.panel,
+      }}
+    >
+      <Field label={t("league.seasonName")} theme={theme}>
+        <input value={name} onChange={(e) => setName(e.target.value)} style={inputStyle(theme)} />
+      </Field>
+      <div style={{ display: "flex", gap: 8 }}>
+        <div style={{ flex: 1 }}>
+          <Field label={t("league.start")} theme={theme}>
+            <input type="date" value={start} onChange={(e) => setStart(e.target.value)} style={inputStyle(theme)} />
+          </Field>
+        </div>
+        <div style={{ flex: 1 }}>
+          <Field label={t("league.end")} theme={theme}>
+            <input type="date" value={end} onChange={(e) => setEnd(e.target.value)} style={inputStyle(theme)} />
+          </Field>
+        </div>
+      </div>
+      {error && <div style={{ color: theme.bad, fontSize: 13, marginTop: 8 }}>{error}</div>}
+      <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+        <Button theme={theme} primary label={t("league.save")} onClick={save} />
+        <Button theme={theme} label={t("common.cancel")} onClick={onCancel} />
+      </div>
+    </div>
+  );
+}
+
+/** 雀神榜：賽季設定、積分排行、歷屆冠軍，排行可以存成圖片分享 */
+export default function League({ theme, records, meName, seasons, onSeasonsChange, onClose }) {
+  const sorted = sortSeasons(seasons);
+  const [selectedId, setSelectedId] = useState(
+    () => (currentSeason(seasons) || sorted[0])?.id || null
+  );
+  const [editing, setEditing] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const season = sorted.find((s) => s.id === selectedId) || null;
+  const table = useMemo(
+    () => (season ? leagueTable(records, season, meName) : []),
+    [records, season, meName]
+  );
+  const history = useMemo(
+    () => championHistory(records, seasons, meName),
+    [records, seasons, meName]
+  );
+
+  function saveSeason(draft) {
+    const { seasons: next, season: saved } = upsertSeason(seasons, draft);
+    onSeasonsChange(next);
+    setSelectedId(saved.id);
+    setEditing(null);
+  }
+
+  function removeSeason() {
+    if (!confirm(t("league.confirmDelete", { name: season.name }))) return;
+    const next = seasons.filter((s) => s.id !== season.id);
+    onSeasonsChange(next);
+    setSelectedId(sortSeasons(next)[0]?.id || null);
+  }
+
+  async function exportImage() {
+    setExporting(true);
+    try {
+      const blob = await standingsImage({
+        theme,
+        title: `🀄 ${t("league.imageTitle", { name: season.name })}`,
+        subtitle: `${season.start} ～ ${season.end}・${statusLabel(season)}`,
+        rows: table,
+        footnote: t("league.imageFootnote", { n: MIN_GAMES }),
+      });
+      const file = new File([blob], `league-${season.start}.png`, { type: "image/png" });
+      // 手機上直接叫出分享（LINE 等），不支援就下載
+      if (navigator.canShare?.({ files: [file] })) {
+        await navigator.share({ files: [file], title: t("league.imageTitle", { name: season.name }) }).catch(() => {});
+      } else {
+        downloadBlob(blob, file.name);
+      }
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: theme.bg,
+        overflowY: "auto",
+        padding: 14,
+        zIndex: 60,
+        boxSizing: "border-box",
+      }}
+    >
+      <div style={{ maxWidth: 520, margin: "0 auto" }}>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 900, fontSize: 18 }}>{t("league.title")}</div>
+          <Button theme={theme} label={t("common.close")} onClick={onClose} />
+        </div>
+        <div style={{ color: theme.subtext, fontSize: 13, marginTop: 6 }}>
+          {t("league.intro")}
+        </div>
+
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 12 }}>
+          {sorted.map((s) => (
+            <button
+              key={s.id}
+              onClick={() => {
+                setSelectedId(s.id);
+                setEditing(null);
+              }}
+              style={{
+                padding: "6px 10px",
+                borderRadius: 999,
+                border: `1px solid ${s.id === selectedId ? theme.primary : theme.border}`,
+                background: s.id === selectedId ? "rgba(59,130,246,0.18)" : theme.card,
+                color: theme.text,
+                fontSize: 13,
+                fontWeight: 700,
+                cursor: "pointer",
+              }}
+            >
+              {s.name}
+            </button>
+          ))}
+          <Button theme={theme} label={t("league.addSeason")} onClick={() => setEditing(newSeasonDraft())} />
+        </div>
+
+        {editing && (
+          <SeasonForm
+            key={editing.id || "new"}
+            theme={theme}
+            draft={editing}
+            onSave={saveSeason}
+            onCancel={() => setEditing(null)}
+          />
+        )}
+
+        {!season && !editing && (
+          <div style={{ color: theme.muted, fontSize: 13, marginTop: 14 }}>
+            {t("league.noSeasons")}
+          </div>
+        )}
+
+        {season && (
+          <>
+            <div
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                marginTop: 14,
+              }}
+            >
+              <div>
+                <div style={{ fontWeight: 900 }}>{season.name}</div>
+                <div style={{ color: theme.subtext, fontSize: 12 }}>
+                  {season.start} ～ {season.end}・{statusLabel(season)}
+                </div>
+              </div>
+              <div style={{ display: "flex", gap: 6 }}>
+                <Button theme={theme} label={t("league.edit")} onClick={() => setEditing(season)} />
+                <Button theme={theme} danger label={t("league.delete")} onClick={removeSeason} />
+              </div>
+            </div>
+
+            {table.length === 0 ? (
+              <div style={{ color: theme.muted, fontSize: 13, marginTop: 12 }}>
+                {t("league.noGames")}
+              </div>
+            ) : (
+              <>
+                <table style={{ width: "100%", borderCollapse: "collapse", marginTop: 10, fontSize: 13 }}>
+                  <thead>
+                    <tr style={{ color: theme.muted, textAlign: "right" }}>
+                      <th style={{ textAlign: "left", padding: 6 }}>{t("league.col.rank")}</th>
+                      <th style={{ textAlign: "left", padding: 6 }}>{t("league.col.name")}</th>
+                      <th style={{ padding: 6 }}>{t("league.col.games")}</th>
+                      <th style={{ padding: 6 }}>{t("league.col.total")}</th>
+                      <th style={{ padding: 6 }}>{t("league.col.avg")}</th>
+                      <th style={{ padding: 6 }}>{t("league.col.rating")}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {table.map((r, i) => (
+                      <tr
+                        key={r.name}
+                        style={{
+                          textAlign: "right",
+                          borderTop: `1px solid ${theme.border}`,
+                          opacity: r.games >= MIN_GAMES ? 1 : 0.55,
+                        }}
+                      >
+                        <td style={{ textAlign: "left", padding: 6 }}>{i + 1}</td>
+                        <td style={{ textAlign: "left", padding: 6, fontWeight: 800 }}>
+                          {r.name}
+                          {r.name === meName && (
+                            <span style={{ color: theme.muted, fontSize: 11, marginLeft: 4 }}>{t("common.me")}</span>
+                          )}
+                        </td>
+                        <td style={{ padding: 6 }}>{r.games}</td>
+                        <td style={{ padding: 6, color: r.total >= 0 ? theme.good : theme.bad }}>
+                          {formatNetPlain(r.total)}
+                        </td>
+                        <td style={{ padding: 6, color: r.avg >= 0 ? theme.good : theme.bad }}>
+                          {formatNetPlain(r.avg)}
+                        </td>
+                        <td style={{ padding: 6, fontWeight: 900 }}>{r.rating}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div style={{ color: theme.muted, fontSize: 12, marginTop: 6 }}>
+                  {t("league.ratingHint", { start: START_RATING, n: MIN_GAMES })}
+                </div>
+                <div style={{ marginTop: 10 }}>
+                  <Button
+                    theme={theme}
+                    primary
+                    label={exporting ? t("league.exporting") : t("league.export")}
+                    onClick={exporting ? undefined : exportImage}
+                  />
+                </div>
+              </>
+            )}
+          </>
+        )}
+
+        <div style={{ fontWeight: 900, marginTop: 20 }}>{t("league.history")}</div>
+        {history.length === 0 ? (
+          <div style={{ color: theme.muted, fontSize: 13, marginTop: 6 }}>
+            {t("league.noHistory")}
+          </div>
+        ) : (
+          history.map(({ season: s, champion, players }) => (
+            <div
+              key={s.id}
+              onClick={() => setSelectedId(s.id)}
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                padding: "8px 10px",
+                marginTop: 6,
+                border: `1px solid ${theme.border}`,
+                borderRadius: 12,
+                background: theme.card,
+                cursor: "pointer",
+                fontSize: 14,
+              }}
+            >
+              <div>
+                <div style={{ fontWeight: 800 }}>{s.name}</div>
+                <div style={{ color: theme.muted, fontSize: 12 }}>
+                  {s.start} ～ {s.end}・{t("league.players", { n: players })}
+                </div>
+              </div>
+              <div style={{ textAlign: "right" }}>
+                {champion ? (
+                  <>
+                    <div style={{ fontWeight: 900 }}>🏆 {champion.name}</div>
+                    <div style={{ color: theme.muted, fontSize: 12 }}>
+                      {t("league.points", { n: champion.rating })}・{formatNetPlain(champion.total)}
+                    </div>
+                  </>
+                ) : (
+                  <div style={{ color: theme.muted, fontSize: 12 }}>{t("league.vacant")}</div>
+                )}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
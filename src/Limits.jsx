@@ -0,0 +1,118 @@
+import React from "react";
+import { LIMIT_DEFS, formatLimitValue } from "./limits.js";
+import { Button, Field, inputStyle } from "./ui.jsx";
+import { t } from "./i18n.js";
+
+/** StatCard 下方：各項上限的使用進度 */
+export function LimitBars({ theme, progress, onClick }) {
+  if (progress.length === 0) return null;
+  return (
+    <div
+      onClick={onClick}
+      style={{
+        background: theme.panel,
+        border: `1px solid ${theme.border}`,
+        borderRadius: 16,
+        padding: 12,
+        marginBottom: 12,
+        cursor: onClick ? "pointer" : "default",
+      }}
+    >
+      {progress.map((p) => {
+        const color =
+          p.ratio > 1 ? theme.bad : p.ratio >= 0.8 ? "#f59e0b" : theme.good;
+        return (
+          <div key={p.id} style={{ marginBottom: 8 }}>
+            <div
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                fontSize: 12,
+                color: theme.subtext,
+                marginBottom: 4,
+              }}
+            >
+              <span>{t(p.shortKey)}</span>
+              <span style={{ color: p.ratio > 1 ? theme.bad : theme.subtext }}>
+                {formatLimitValue(p, p.used)} / {formatLimitValue(p, p.cap)}
+              </span>
+            </div>
+            <div
+              style={{
+                height: 6,
+                borderRadius: 3,
+                background: theme.card2,
+                overflow: "hidden",
+              }}
+            >
+              <div
+                style={{
+                  width: `${Math.min(100, Math.round(p.ratio * 100))}%`,
+                  height: "100%",
+                  background: color,
+                }}
+              />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/** 上限設定 */
+export default function LimitSettings({ theme, limits, onChange, onClose }) {
+  function set(id, value) {
+    onChange({ ...limits, [id]: Math.max(0, Math.floor(Number(value) || 0)) });
+  }
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: theme.bg,
+        overflowY: "auto",
+        padding: 14,
+        zIndex: 60,
+        boxSizing: "border-box",
+      }}
+    >
+      <div style={{ maxWidth: 520, margin: "0 auto" }}>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 900, fontSize: 18 }}>{t("limits.title")}</div>
+          <Button theme={theme} label={t("common.close")} onClick={onClose} />
+        </div>
+        <div style={{ color: theme.subtext, fontSize: 13, marginTop: 6 }}>
+          {t("limits.intro")}
+        </div>
+
+        {LIMIT_DEFS.map((def) => (
+          <Field key={def.id} label={t(def.labelKey)} theme={theme}>
+            <input
+              type="number"
+              min={0}
+              value={limits[def.id]}
+              onChange={(e) => set(def.id, e.target.value)}
+              style={inputStyle(theme)}
+            />
+          </Field>
+        ))}
+
+        <Field
+          label={t("limits.cooldown")}
+          theme={theme}
+          hint={t("limits.cooldownHint")}
+        >
+          <input
+            type="number"
+            min={0}
+            value={limits.cooldownHours}
+            onChange={(e) => set("cooldownHours", e.target.value)}
+            style={inputStyle(theme)}
+          />
+        </Field>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,307 @@
+import React, { useState } from "react";
+import { SEATS } from "./players.js";
+import {
+  WINDS,
+  createSession,
+  winHand,
+  drawHand,
+  replay,
+  handsFromRounds,
+} from "./live.js";
+import { PRESETS, safeParseStake, toDateStr } from "./utils.js";
+import { Button, Field, inputStyle } from "./ui.jsx";
+import TaiCalculator from "./TaiCalculator.jsx";
+import { t } from "./i18n.js";
+
+/** 即時計分（全螢幕）：session 為 null 時顯示開局設定 */
+export default function LiveSession({
+  theme,
+  session,
+  roster,
+  onUpdate,
+  onFinish,
+  onDiscard,
+  onClose,
+}) {
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: theme.bg,
+        overflowY: "auto",
+        padding: 14,
+        zIndex: 60,
+        boxSizing: "border-box",
+      }}
+    >
+      <div style={{ maxWidth: 520, margin: "0 auto" }}>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 900, fontSize: 18 }}>{t("live.title")}</div>
+          <Button theme={theme} label={t("live.leave")} onClick={onClose} />
+        </div>
+        {session ? (
+          <Board
+            theme={theme}
+            session={session}
+            onUpdate={onUpdate}
+            onFinish={onFinish}
+            onDiscard={onDiscard}
+          />
+        ) : (
+          <StartForm theme={theme} roster={roster} onStart={onUpdate} />
+        )}
+      </div>
+    </div>
+  );
+}
+
+function StartForm({ theme, roster, onStart }) {
+  const [location, setLocation] = useState("");
+  const [stake, setStake] = useState("30/10");
+  const [names, setNames] = useState(["", "", "", ""]);
+  const [me, setMe] = useState(0);
+  const [startDealer, setStartDealer] = useState(0);
+
+  return (
+    <>
+      <div style={{ color: theme.subtext, fontSize: 13, marginTop: 6 }}>
+        {t("form.date", { date: toDateStr(new Date()) })}
+      </div>
+
+      <Field label={t("form.location")} theme={theme}>
+        <input
+          value={location}
+          onChange={(e) => setLocation(e.target.value)}
+          placeholder={t("form.locationPlaceholder")}
+          style={inputStyle(theme)}
+        />
+      </Field>
+
+      <Field label={t("form.stake")} theme={theme} hint={t("live.stakeHint")}>
+        <input
+          value={stake}
+          list="live-stakes"
+          onChange={(e) => setStake(e.target.value)}
+          style={inputStyle(theme)}
+        />
+        <datalist id="live-stakes">
+          {PRESETS.filter((p) => p !== "自訂").map((p) => (
+            <option key={p} value={p} />
+          ))}
+        </datalist>
+      </Field>
+
+      <Field label={t("live.players")} theme={theme} hint={t("live.playersHint")}>
+        <datalist id="live-roster">
+          {(roster || []).map((n) => (
+            <option key={n} value={n} />
+          ))}
+        </datalist>
+        {SEATS.map((seat, i) => (
+          <div
+            key={seat}
+            style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 8 }}
+          >
+            <div style={{ width: 24, fontWeight: 900 }}>{seat}</div>
+            <input
+              value={names[i]}
+              list="live-roster"
+              placeholder={t("form.playerName")}
+              onChange={(e) =>
+                setNames(names.map((n, j) => (j === i ? e.target.value : n)))
+              }
+              style={inputStyle(theme)}
+            />
+            <label style={{ fontSize: 12, whiteSpace: "nowrap" }}>
+              <input
+                type="radio"
+                name="live-me"
+                checked={me === i}
+                onChange={() => setMe(i)}
+              />
+              {t("common.me")}
+            </label>
+            <label style={{ fontSize: 12, whiteSpace: "nowrap" }}>
+              <input
+                type="radio"
+                name="live-dealer"
+                checked={startDealer === i}
+                onChange={() => setStartDealer(i)}
+              />
+              {t("live.startDealer")}
+            </label>
+          </div>
+        ))}
+      </Field>
+
+      <div style={{ marginTop: 14 }}>
+        <Button
+          theme={theme}
+          primary
+          label={t("live.start")}
+          onClick={() => {
+            if (!safeParseStake(stake).ok) {
+              alert(t("live.badStake"));
+              return;
+            }
+            onStart(
+              createSession({
+                date: toDateStr(new Date()),
+                location,
+                stake: stake.replace(/\s+/g, ""),
+                names,
+                me,
+                startDealer,
+              })
+            );
+          }}
+        />
+      </div>
+    </>
+  );
+}
+
+function Board({ theme, session, onUpdate, onFinish, onDiscard }) {
+  const state = replay(session);
+  const stake = safeParseStake(session.stake);
+  const label = (i) => `${SEATS[i]}${session.names[i] ? ` ${session.names[i]}` : ""}`;
+
+  function push(hand) {
+    onUpdate({ ...session, hands: [...session.hands, hand] });
+  }
+
+  function undo() {
+    if (!session.hands.length) return;
+    if (!confirm(t("live.confirmUndo"))) return;
+    onUpdate({ ...session, hands: session.hands.slice(0, -1) });
+  }
+
+  return (
+    <>
+      <div style={{ color: theme.subtext, fontSize: 13, marginTop: 6 }}>
+        {session.date}・{session.location || t("common.noLocation")}・{t("common.stake", { stake: session.stake })}
+      </div>
+
+      <div
+        style={{
+          marginTop: 12,
+          background: theme.panel,
+          border: `1px solid ${theme.border}`,
+          borderRadius: 16,
+          padding: 12,
+        }}
+      >
+        <div style={{ fontWeight: 900, fontSize: 20 }}>
+          {t("live.round", { wind: WINDS[state.wind], seat: SEATS[state.dealer] })}
+          {state.streak > 0 && `・${t("live.streak", { n: state.streak })}`}
+        </div>
+        <div style={{ color: theme.muted, fontSize: 12, marginTop: 4 }}>
+          {t("live.progress", {
+            n: session.hands.length,
+            rounds: state.completedRounds,
+            hands: handsFromRounds(state.completedRounds, state.jiangHands),
+          })}
+        </div>
+
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: "1fr 1fr",
+            gap: 8,
+            marginTop: 10,
+          }}
+        >
+          {SEATS.map((seat, i) => {
+            const b = state.balances[i];
+            return (
+              <div
+                key={seat}
+                style={{
+                  border: `1px solid ${
+                    i === state.dealer ? "rgba(59,130,246,0.5)" : theme.border
+                  }`,
+                  borderRadius: 12,
+                  padding: 8,
+                  background: theme.card,
+                }}
+              >
+                <div style={{ fontSize: 12, color: theme.subtext }}>
+                  {label(i)}
+                  {i === session.me && t("live.meMark")}
+                  {i === state.dealer && t("live.dealerMark")}
+                </div>
+                <div
+                  style={{
+                    fontWeight: 900,
+                    fontSize: 18,
+                    color: b > 0 ? theme.good : b < 0 ? theme.bad : theme.text,
+                  }}
+                >
+                  {b > 0 ? `+${b}` : b}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <Field label={t("live.thisHand")} theme={theme}>
+        <TaiCalculator
+          key={session.hands.length}
+          theme={theme}
+          stake={stake}
+          mySeat={session.me}
+          fixedDealer={state.dealer}
+          fixedStreak={state.streak}
+          seatNames={session.names}
+          applyLabel={t("live.recordHand")}
+          onApply={(deltas, _me, detail) => push(winHand({ ...detail, deltas }))}
+        />
+        <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+          <Button theme={theme} label={t("live.draw")} onClick={() => push(drawHand())} />
+          <Button theme={theme} label={t("live.undo")} onClick={undo} />
+        </div>
+      </Field>
+
+      {session.hands.length > 0 && (
+        <Field label={t("live.handLog")} theme={theme}>
+          <ol style={{ margin: 0, paddingLeft: 20, fontSize: 12, color: theme.subtext }}>
+            {session.hands.map((h, i) => (
+              <li key={i}>
+                {h.type === "draw"
+                  ? t("live.draw")
+                  : h.discarder === null
+                  ? t("live.selfDrawn", { winner: label(h.winner), tai: h.tai })
+                  : t("live.won", { winner: label(h.winner), discarder: label(h.discarder), tai: h.tai })}
+              </li>
+            ))}
+          </ol>
+        </Field>
+      )}
+
+      <div style={{ display: "flex", gap: 8, marginTop: 14 }}>
+        <Button
+          theme={theme}
+          primary
+          label={t("live.finish")}
+          onClick={() => {
+            if (!session.hands.length) {
+              alert(t("live.noHands"));
+              return;
+            }
+            if (confirm(t("live.confirmFinish"))) onFinish();
+          }}
+        />
+        <Button
+          theme={theme}
+          danger
+          label={t("live.discard")}
+          onClick={() => {
+            if (confirm(t("live.confirmDiscard"))) onDiscard();
+          }}
+        />
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,344 @@
+import React, { useState } from "react";
+import { v4 as uuidv4 } from "uuid";
+import {
+  RSVP,
+  nextRsvp,
+  rsvpCounts,
+  sortPlans,
+  isUpcoming,
+  plansToICS,
+} from "./plans.js";
+import { canonicalVenue } from "./venues.js";
+import { PRESETS, toDateStr, downloadText } from "./utils.js";
+import { Button, Field, inputStyle } from "./ui.jsx";
+import { t } from "./i18n.js";
+
+const RSVP_COLORS = { pending: "muted", yes: "good", maybe: "subtext", no: "bad" };
+
+function rsvpOf(id) {
+  return RSVP.find((r) => r.id === id);
+}
+
+function PlanForm({ theme, draft, roster, venues, onSave, onCancel }) {
+  const [date, setDate] = useState(draft.date);
+  const [time, setTime] = useState(draft.time || "");
+  const [location, setLocation] = useState(draft.location || "");
+  const [stake, setStake] = useState(draft.stake || "30/10");
+  const [note, setNote] = useState(draft.note || "");
+  const [players, setPlayers] = useState(draft.players || []);
+  const [name, setName] = useState("");
+  const [error, setError] = useState("");
+
+  const invited = new Set(players.map((p) => p.name));
+
+  function invite(n) {
+    const clean = String(n || "").trim();
+    if (!clean || invited.has(clean)) return;
+    setPlayers([...players, { name: clean, rsvp: "pending" }]);
+    setName("");
+  }
+
+  function cycle(i) {
+    setPlayers(players.map((p, j) => (j === i ? { ...p, rsvp: nextRsvp(p.rsvp) } : p)));
+  }
+
+  async function save() {
+    try {
+      await onSave({
+        ...draft,
+        date,
+        time,
+        location: canonicalVenue(location, venues),
+        stake: stake.replace(/\s/g, ""),
+        players,
+        note: note.trim(),
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        padding: 12,
+        borderRadius: 14,
+        border: `1px solid ${theme.border}`,
+        background: theme.panel,
+      }}
+    >
+      <div style={{ display: "flex", gap: 8 }}>
+        <div style={{ flex: 1 }}>
+          <Field label={t("field.date")} theme={theme}>
+            <input type="date" value={date} onChange={(e) => setDate(e.target.value)} style={inputStyle(theme)} />
+          </Field>
+        </div>
+        <div style={{ flex: 1 }}>
+          <Field label={t("plans.time")} theme={theme} hint={t("plans.optional")}>
+            <input type="time" value={time} onChange={(e) => setTime(e.target.value)} style={inputStyle(theme)} />
+          </Field>
+        </div>
+      </div>
+
+      <Field label={t("form.location")} theme={theme}>
+        <input
+          value={location}
+          onChange={(e) => setLocation(e.target.value)}
+          placeholder={t("form.locationPlaceholder")}
+          list="plan-venues"
+          style={inputStyle(theme)}
+        />
+        <datalist id="plan-venues">
+          {venues.map((v) => (
+            <option key={v.name} value={v.name} />
+          ))}
+        </datalist>
+      </Field>
+
+      <Field label={t("form.stake")} theme={theme} hint={t("live.stakeHint")}>
+        <input value={stake} list="plan-stakes" onChange={(e) => setStake(e.target.value)} style={inputStyle(theme)} />
+        <datalist id="plan-stakes">
+          {PRESETS.filter((p) => p !== "自訂").map((p) => (
+            <option key={p} value={p} />
+          ))}
+        </datalist>
+      </Field>
+
+      <Field
+        label={t("plans.invite")}
+        theme={theme}
+        hint={t("plans.inviteHint", { order: RSVP.map((r) => t(r.labelKey)).join(" → ") })}
+      >
+        {players.map((p, i) => {
+          const r = rsvpOf(p.rsvp);
+          return (
+            <div key={p.name} style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 6 }}>
+              <div style={{ flex: 1, fontWeight: 700 }}>{p.name}</div>
+              <button
+                onClick={() => cycle(i)}
+                style={{
+                  padding: "4px 10px",
+                  borderRadius: 999,
+                  border: `1px solid ${theme.border}`,
+                  background: theme.card,
+                  color: theme[RSVP_COLORS[p.rsvp]],
+                  fontSize: 12,
+                  fontWeight: 800,
+                  cursor: "pointer",
+                }}
+              >
+                {r.mark} {t(r.labelKey)}
+              </button>
+              <Button
+                theme={theme}
+                label={t("plans.remove")}
+                onClick={() => setPlayers(players.filter((_, j) => j !== i))}
+              />
+            </div>
+          );
+        })}
+        <div style={{ display: "flex", gap: 8 }}>
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && invite(name)}
+            placeholder={t("form.playerName")}
+            style={inputStyle(theme)}
+          />
+          <Button theme={theme} label={t("plans.addPlayer")} onClick={() => invite(name)} />
+        </div>
+        {roster.some((n) => !invited.has(n)) && (
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 8 }}>
+            {roster
+              .filter((n) => !invited.has(n))
+              .slice(0, 12)
+              .map((n) => (
+                <button
+                  key={n}
+                  onClick={() => invite(n)}
+                  style={{
+                    padding: "4px 10px",
+                    borderRadius: 999,
+                    border: `1px solid ${theme.border}`,
+                    background: theme.card,
+                    color: theme.text,
+                    fontSize: 12,
+                    cursor: "pointer",
+                  }}
+                >
+                  ＋ {n}
+                </button>
+              ))}
+          </div>
+        )}
+      </Field>
+
+      <Field label={t("form.note")} theme={theme}>
+        <input value={note} onChange={(e) => setNote(e.target.value)} style={inputStyle(theme)} />
+      </Field>
+
+      {error && <div style={{ color: theme.bad, fontSize: 13, marginTop: 8 }}>{error}</div>}
+      <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+        <Button theme={theme} primary label={t("plans.save")} onClick={save} />
+        <Button theme={theme} label={t("common.cancel")} onClick={onCancel} />
+      </div>
+    </div>
+  );
+}
+
+function PlanCard({ theme, plan, onEdit, onDelete, onExport, onConvert }) {
+  const counts = rsvpCounts(plan);
+  const today = toDateStr(new Date());
+  return (
+    <div
+      style={{
+        border: `1px solid ${theme.border}`,
+        borderRadius: 14,
+        padding: 10,
+        marginTop: 8,
+        background: theme.card,
+      }}
+    >
+      <div style={{ fontWeight: 900 }}>
+        {plan.date.replace(/-/g, "/")} {plan.time}
+        <span style={{ color: theme.subtext, fontWeight: 600, fontSize: 13, marginLeft: 8 }}>
+          {plan.location || t("plans.noLocation")}・{plan.stake}
+        </span>
+      </div>
+      {plan.players.length > 0 && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 6, fontSize: 12 }}>
+          {plan.players.map((p) => (
+            <span key={p.name} style={{ color: theme[RSVP_COLORS[p.rsvp]] }}>
+              {rsvpOf(p.rsvp).mark} {p.name}
+            </span>
+          ))}
+        </div>
+      )}
+      <div style={{ color: theme.muted, fontSize: 12, marginTop: 4 }}>
+        {t("plans.counts", { yes: counts.yes, maybe: counts.maybe, pending: counts.pending })}
+        {plan.note ? `・${plan.note}` : ""}
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 8 }}>
+        {plan.date <= today && <Button theme={theme} primary label={t("plan.convert")} onClick={() => onConvert(plan)} />}
+        <Button theme={theme} label={t("day.edit")} onClick={() => onEdit(plan)} />
+        <Button theme={theme} label={t("plans.addToCalendar")} onClick={() => onExport(plan)} />
+        <Button theme={theme} danger label={t("day.delete")} onClick={() => onDelete(plan)} />
+      </div>
+    </div>
+  );
+}
+
+/** 排定的牌局：揪團、記下誰會到，打完一鍵轉成紀錄，可以匯出 .ics 加到手機行事曆 */
+export default function Plans({ theme, plans, date, roster, venues, onSave, onDelete, onConvert, onClose }) {
+  const [editing, setEditing] = useState(null);
+  const today = toDateStr(new Date());
+  const sorted = sortPlans(plans);
+  const upcoming = sorted.filter((p) => isUpcoming(p, today));
+  // 日期過了還沒轉成紀錄的，新的在前
+  const pastDue = sorted.filter((p) => !isUpcoming(p, today)).reverse();
+
+  function newPlan() {
+    setEditing({
+      date: date >= today ? date : today,
+      time: "",
+      location: "",
+      stake: "30/10",
+      players: [],
+      note: "",
+    });
+  }
+
+  async function savePlan(draft) {
+    const now = new Date().toISOString();
+    await onSave({ ...draft, id: draft.id || uuidv4(), createdAt: draft.createdAt || now, updatedAt: now });
+    setEditing(null);
+  }
+
+  function removePlan(plan) {
+    if (!confirm(t("plans.confirmDelete", { date: plan.date }))) return;
+    onDelete(plan.id);
+  }
+
+  function exportICS(list, filename) {
+    downloadText(plansToICS(list), filename, "text/calendar");
+  }
+
+  const card = (p) => (
+    <PlanCard
+      key={p.id}
+      theme={theme}
+      plan={p}
+      onEdit={setEditing}
+      onDelete={removePlan}
+      onExport={(plan) => exportICS([plan], `mahjong-${plan.date}.ics`)}
+      onConvert={onConvert}
+    />
+  );
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: theme.bg,
+        overflowY: "auto",
+        padding: 14,
+        zIndex: 60,
+        boxSizing: "border-box",
+      }}
+    >
+      <div style={{ maxWidth: 520, margin: "0 auto" }}>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 900, fontSize: 18 }}>{t("action.plans")}</div>
+          <Button theme={theme} label={t("common.close")} onClick={onClose} />
+        </div>
+        <div style={{ color: theme.subtext, fontSize: 13, marginTop: 6 }}>
+          {t("plans.intro")}
+        </div>
+
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 12 }}>
+          <Button theme={theme} primary label={t("plans.add")} onClick={newPlan} />
+          {upcoming.length > 0 && (
+            <Button
+              theme={theme}
+              label={t("plans.addAllToCalendar")}
+              onClick={() => exportICS(upcoming, "xinyi-mahjong-plans.ics")}
+            />
+          )}
+        </div>
+
+        {editing && (
+          <PlanForm
+            key={editing.id || "new"}
+            theme={theme}
+            draft={editing}
+            roster={roster}
+            venues={venues}
+            onSave={savePlan}
+            onCancel={() => setEditing(null)}
+          />
+        )}
+
+        {pastDue.length > 0 && (
+          <>
+            <div style={{ fontWeight: 900, marginTop: 18 }}>{t("plans.pastDue")}</div>
+            <div style={{ color: theme.muted, fontSize: 12, marginTop: 2 }}>
+              {t("plans.pastDueHint")}
+            </div>
+            {pastDue.map(card)}
+          </>
+        )}
+
+        <div style={{ fontWeight: 900, marginTop: 18 }}>{t("plans.upcoming")}</div>
+        {upcoming.length === 0 ? (
+          <div style={{ color: theme.muted, fontSize: 13, marginTop: 6 }}>
+            {t("plans.none")}
+          </div>
+        ) : (
+          upcoming.map(card)
+        )}
+      </div>
+    </div>
+  );
+}
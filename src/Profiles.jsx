@@ -0,0 +1,154 @@
+import React, { useState } from "react";
+import {
+  DEFAULT_PROFILE_ID,
+  loadProfiles,
+  createProfile,
+  renameProfile,
+} from "./profiles.js";
+import { deleteProfileData } from "./db.js";
+import { Button, inputStyle } from "./ui.jsx";
+import { t } from "./i18n.js";
+
+/** 帳本管理：新增、改名、刪除、切換；切換由 onSwitch 處理（App 會重新載入） */
+export default function Profiles({ theme, defaultName, onSwitch, onClose }) {
+  const [state, setState] = useState(loadProfiles);
+  const [newName, setNewName] = useState("");
+  const [renaming, setRenaming] = useState(null);
+  const [renameText, setRenameText] = useState("");
+  const [error, setError] = useState("");
+
+  function run(fn) {
+    setError("");
+    try {
+      fn();
+      setState(loadProfiles());
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }
+
+  function create() {
+    if (run(() => createProfile(newName))) setNewName("");
+  }
+
+  function rename(id) {
+    if (run(() => renameProfile(id, renameText))) setRenaming(null);
+  }
+
+  async function remove(p) {
+    const name = p.name || defaultName;
+    if (!confirm(t("profiles.confirmDelete", { name }))) return;
+    setError("");
+    try {
+      await deleteProfileData(p.id);
+      setState(loadProfiles());
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: theme.bg,
+        overflowY: "auto",
+        padding: 14,
+        zIndex: 60,
+        boxSizing: "border-box",
+      }}
+    >
+      <div style={{ maxWidth: 520, margin: "0 auto" }}>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 900, fontSize: 18 }}>{t("profiles.title")}</div>
+          <Button theme={theme} label={t("common.close")} onClick={onClose} />
+        </div>
+        <div style={{ color: theme.subtext, fontSize: 13, marginTop: 6 }}>
+          {t("profiles.intro")}
+        </div>
+
+        <div style={{ marginTop: 12 }}>
+          {state.profiles.map((p) => {
+            const active = p.id === state.active;
+            return (
+              <div
+                key={p.id}
+                style={{
+                  padding: "8px 10px",
+                  marginBottom: 6,
+                  border: `1px solid ${active ? theme.primary : theme.border}`,
+                  borderRadius: 12,
+                  background: theme.card,
+                  fontSize: 14,
+                }}
+              >
+                {renaming === p.id ? (
+                  <div style={{ display: "flex", gap: 6 }}>
+                    <input
+                      value={renameText}
+                      onChange={(e) => setRenameText(e.target.value)}
+                      style={inputStyle(theme)}
+                      autoFocus
+                    />
+                    <Button theme={theme} primary label={t("profiles.save")} onClick={() => rename(p.id)} />
+                    <Button theme={theme} label={t("common.cancel")} onClick={() => setRenaming(null)} />
+                  </div>
+                ) : (
+                  <div
+                    style={{
+                      display: "flex",
+                      justifyContent: "space-between",
+                      alignItems: "center",
+                      gap: 8,
+                    }}
+                  >
+                    <div style={{ fontWeight: 800 }}>
+                      {p.name || defaultName}
+                      {active && (
+                        <span style={{ color: theme.muted, fontSize: 12, marginLeft: 6 }}>
+                          {t("profiles.active")}
+                        </span>
+                      )}
+                    </div>
+                    <div style={{ display: "flex", gap: 6 }}>
+                      {!active && (
+                        <Button theme={theme} primary label={t("profiles.switch")} onClick={() => onSwitch(p.id)} />
+                      )}
+                      <Button
+                        theme={theme}
+                        label={t("profiles.rename")}
+                        onClick={() => {
+                          setRenaming(p.id);
+                          setRenameText(p.name || defaultName);
+                        }}
+                      />
+                      {!active && p.id !== DEFAULT_PROFILE_ID && (
+                        <Button theme={theme} danger label={t("profiles.delete")} onClick={() => remove(p)} />
+                      )}
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div style={{ display: "flex", gap: 6, marginTop: 12 }}>
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder={t("profiles.newPlaceholder")}
+            style={inputStyle(theme)}
+          />
+          <Button theme={theme} primary label={t("profiles.add")} onClick={create} />
+        </div>
+        {error && (
+          <div style={{ color: theme.bad, fontSize: 13, marginTop: 10 }}>{error}</div>
+        )}
+      </div>
+    </div>
+  );
+}
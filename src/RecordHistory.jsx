@@ -0,0 +1,77 @@
+import React, { useEffect, useState } from "react";
+import { getHistory } from "./db.js";
+import { actionLabel, fieldLabel, formatValue } from "./history.js";
+import { Button } from "./ui.jsx";
+import { t } from "./i18n.js";
+
+function formatTime(iso){
+  const d = new Date(iso);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/** 單筆紀錄的修改歷史：誰、什麼時候、改了什麼 */
+export default function RecordHistory({ theme, record, onClose }) {
+  const [entries, setEntries] = useState(null);
+
+  useEffect(() => {
+    getHistory(record.id).then(setEntries);
+  }, [record.id]);
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: theme.bg,
+        overflowY: "auto",
+        padding: 14,
+        zIndex: 60,
+        boxSizing: "border-box",
+      }}
+    >
+      <div style={{ maxWidth: 520, margin: "0 auto" }}>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 900, fontSize: 18 }}>{t("history.title")}</div>
+          <Button theme={theme} label={t("common.close")} onClick={onClose} />
+        </div>
+        <div style={{ color: theme.subtext, fontSize: 13, marginTop: 6 }}>
+          {record.date}・{record.location || t("common.noLocation")}
+        </div>
+
+        {entries && entries.length === 0 && (
+          <div style={{ color: theme.muted, fontSize: 13, marginTop: 14 }}>
+            {t("history.none")}
+          </div>
+        )}
+
+        {entries?.map((e) => (
+          <div
+            key={e.hid}
+            style={{
+              marginTop: 10,
+              padding: "8px 10px",
+              border: `1px solid ${theme.border}`,
+              borderRadius: 12,
+              background: theme.card,
+              fontSize: 13,
+            }}
+          >
+            <div style={{ fontWeight: 800 }}>
+              {actionLabel(e.action)}
+              <span style={{ color: theme.muted, fontWeight: 400 }}>
+                　{formatTime(e.at)}・{e.by || t("history.unknown")}
+              </span>
+            </div>
+            {e.changes.map((c) => (
+              <div key={c.field} style={{ marginTop: 4, color: theme.subtext }}>
+                {fieldLabel(c.field)}：{formatValue(c.from, c.field)} →{" "}
+                {formatValue(c.to, c.field)}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,259 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  SORTS,
+  EMPTY_QUERY,
+  searchRecords,
+  summarize,
+  stakesInUse,
+} from "./search.js";
+import { formatNetPlain, resultText } from "./utils.js";
+import { Button, inputStyle } from "./ui.jsx";
+import { t } from "./i18n.js";
+
+const ROW_HEIGHT = 64;
+// 可視範圍上下多畫幾列，捲動時才不會閃白
+const OVERSCAN = 6;
+
+/** 全部紀錄：搜尋、篩選、排序；點一筆跳到那一天 */
+export default function RecordsList({ theme, records, onPick, onClose }) {
+  const [q, setQ] = useState(EMPTY_QUERY);
+  const [showFilters, setShowFilters] = useState(false);
+
+  const list = useMemo(() => searchRecords(records, q), [records, q]);
+  const summary = useMemo(() => summarize(list), [list]);
+  const stakes = useMemo(() => stakesInUse(records), [records]);
+  const small = { ...inputStyle(theme), padding: "8px 10px" };
+  const set = (k) => (e) => setQ({ ...q, [k]: e.target.value });
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: theme.bg,
+        padding: 14,
+        zIndex: 60,
+        boxSizing: "border-box",
+        display: "flex",
+        flexDirection: "column",
+      }}
+    >
+      <div
+        style={{
+          maxWidth: 520,
+          width: "100%",
+          margin: "0 auto",
+          display: "flex",
+          flexDirection: "column",
+          flex: 1,
+          minHeight: 0,
+        }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 900, fontSize: 18 }}>{t("records.title")}</div>
+          <Button theme={theme} label={t("common.close")} onClick={onClose} />
+        </div>
+
+        <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+          <input
+            value={q.text}
+            onChange={set("text")}
+            placeholder={t("records.searchPlaceholder")}
+            style={small}
+          />
+          <Button
+            theme={theme}
+            primary={showFilters}
+            label={t("records.filter")}
+            onClick={() => setShowFilters(!showFilters)}
+          />
+        </div>
+
+        {showFilters && (
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "1fr 1fr",
+              gap: 8,
+              marginTop: 8,
+            }}
+          >
+            <input type="date" value={q.from} onChange={set("from")} style={small} />
+            <input type="date" value={q.to} onChange={set("to")} style={small} />
+            <select value={q.stake} onChange={set("stake")} style={small}>
+              <option value="">{t("records.allStakes")}</option>
+              {stakes.map((s) => (
+                <option key={s} value={s}>
+                  {s}
+                </option>
+              ))}
+            </select>
+            <select value={q.result} onChange={set("result")} style={small}>
+              <option value="">
+                {[1, -1, 0].map(resultText).join("/")}
+              </option>
+              {[1, -1, 0].map((n) => (
+                <option key={n} value={String(n)}>
+                  {resultText(n)}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min={1}
+              value={q.minHands}
+              onChange={set("minHands")}
+              placeholder={t("records.minHands")}
+              style={small}
+            />
+            <input
+              type="number"
+              min={1}
+              value={q.maxHands}
+              onChange={set("maxHands")}
+              placeholder={t("records.maxHands")}
+              style={small}
+            />
+            <Button theme={theme} label={t("records.clear")} onClick={() => setQ(EMPTY_QUERY)} />
+          </div>
+        )}
+
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            gap: 8,
+            marginTop: 10,
+            fontSize: 13,
+          }}
+        >
+          <span style={{ color: theme.subtext }}>
+            {t("records.summary", { n: summary.count })}{" "}
+            <b style={{ color: summary.total >= 0 ? theme.good : theme.bad }}>
+              {formatNetPlain(summary.total)}
+            </b>
+          </span>
+          <select
+            value={q.sort}
+            onChange={set("sort")}
+            style={{ ...small, width: "auto" }}
+          >
+            {SORTS.map((s) => (
+              <option key={s.id} value={s.id}>
+                {t(s.labelKey)}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <VirtualList
+          items={list}
+          rowHeight={ROW_HEIGHT}
+          renderRow={(r) => (
+            <RecordRow theme={theme} record={r} onClick={() => onPick(r)} />
+          )}
+        />
+      </div>
+    </div>
+  );
+}
+
+/** 固定列高的虛擬捲動：只畫看得到的那幾列 */
+function VirtualList({ items, rowHeight, renderRow }) {
+  const ref = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [height, setHeight] = useState(600);
+
+  useEffect(() => {
+    const measure = () => ref.current && setHeight(ref.current.clientHeight);
+    measure();
+    window.addEventListener("resize", measure);
+    return () => window.removeEventListener("resize", measure);
+  }, []);
+
+  // 換了篩選條件就回到最上面
+  useEffect(() => {
+    if (ref.current) ref.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [items]);
+
+  const first = Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN);
+  const last = Math.min(
+    items.length,
+    Math.ceil((scrollTop + height) / rowHeight) + OVERSCAN
+  );
+
+  return (
+    <div
+      ref={ref}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      style={{ flex: 1, minHeight: 0, overflowY: "auto", marginTop: 10 }}
+    >
+      <div style={{ height: items.length * rowHeight, position: "relative" }}>
+        {items.slice(first, last).map((item, i) => (
+          <div
+            key={item.id}
+            style={{
+              position: "absolute",
+              top: (first + i) * rowHeight,
+              left: 0,
+              right: 0,
+              height: rowHeight,
+            }}
+          >
+            {renderRow(item)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function RecordRow({ theme, record: r, onClick }) {
+  const n = Number(r.net || 0);
+  return (
+    <div
+      onClick={onClick}
+      style={{
+        height: ROW_HEIGHT - 6,
+        boxSizing: "border-box",
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        gap: 8,
+        padding: "8px 10px",
+        border: `1px solid ${theme.border}`,
+        borderRadius: 12,
+        background: theme.card,
+        cursor: "pointer",
+      }}
+    >
+      <div style={{ minWidth: 0 }}>
+        <div style={{ fontWeight: 800, fontSize: 14 }}>
+          {r.date}・{r.location || t("common.noLocation")}
+        </div>
+        <div
+          style={{
+            color: theme.muted,
+            fontSize: 12,
+            whiteSpace: "nowrap",
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+          }}
+        >
+          {r.stake}・{t("common.hands", { n: r.hands })}{r.note ? `・${r.note}` : ""}
+        </div>
+      </div>
+      <div
+        style={{
+          fontWeight: 900,
+          color: n >= 0 ? theme.good : theme.bad,
+          whiteSpace: "nowrap",
+        }}
+      >
+        {formatNetPlain(n)}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import React, { useMemo, useState } from "react";
+import { diffRecords, defaultChoices, recordsToWrite } from "./merge.js";
+import { formatNetPlain } from "./utils.js";
+import { Button } from "./ui.jsx";
+import { t } from "./i18n.js";
+
+/**
+ * 還原備份：預設「合併」（以 id 對應，不刪本機資料），也可選「完全取代」
+ * backup 是已解析的備份內容 { records, ... }
+ */
+export default function RestoreDialog({
+  theme,
+  localRecords,
+  backup,
+  onMerge,
+  onReplace,
+  onClose,
+}) {
+  const [mode, setMode] = useState("merge");
+  const diff = useMemo(
+    () => diffRecords(localRecords, backup.records),
+    [localRecords, backup]
+  );
+  const [choices, setChoices] = useState(() => defaultChoices(diff));
+
+  const toWrite = recordsToWrite(diff, choices);
+  const updatedCount = diff.conflicts.filter(
+    (c) => choices[c.id] === "incoming"
+  ).length;
+  const keptCount = diff.conflicts.length - updatedCount;
+
+  const summary = [
+    ["restore.added", diff.added.length],
+    ["restore.updated", updatedCount],
+    ["restore.unchanged", diff.unchanged.length],
+    ["restore.kept", keptCount],
+    ["restore.onlyLocal", diff.onlyLocal.length],
+  ];
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: theme.bg,
+        overflowY: "auto",
+        padding: 14,
+        zIndex: 60,
+        boxSizing: "border-box",
+      }}
+    >
+      <div style={{ maxWidth: 520, margin: "0 auto" }}>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 900, fontSize: 18 }}>{t("restore.title")}</div>
+          <Button theme={theme} label={t("common.close")} onClick={onClose} />
+        </div>
+        <div style={{ color: theme.subtext, fontSize: 13, marginTop: 6 }}>
+          {t("restore.count", { n: backup.records.length })}
+          {backup.exportedAt && t("restore.exportedAt", { date: backup.exportedAt.slice(0, 10) })}
+        </div>
+
+        <div style={{ display: "flex", gap: 16, marginTop: 12, fontSize: 14 }}>
+          <label>
+            <input
+              type="radio"
+              checked={mode === "merge"}
+              onChange={() => setMode("merge")}
+            />{" "}
+            {t("restore.merge")}
+          </label>
+          <label>
+            <input
+              type="radio"
+              checked={mode === "replace"}
+              onChange={() => setMode("replace")}
+            />{" "}
+            {t("restore.replace")}
+          </label>
+        </div>
+
+        {mode === "replace" ? (
+          <div style={{ marginTop: 12 }}>
+            <div style={{ color: theme.bad, fontSize: 13 }}>
+              {t("restore.replaceWarning", { n: localRecords.length })}
+            </div>
+            <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+              <Button
+                theme={theme}
+                danger
+                label={t("restore.replaceButton")}
+                onClick={() => {
+                  if (confirm(t("restore.confirmReplace"))) onReplace();
+                }}
+              />
+              <Button theme={theme} label={t("common.cancel")} onClick={onClose} />
+            </div>
+          </div>
+        ) : (
+          <>
+            <div
+              style={{
+                display: "grid",
+                gridTemplateColumns: "1fr 1fr 1fr",
+                gap: 8,
+                marginTop: 12,
+              }}
+            >
+              {summary.map(([key, n]) => (
+                <div
+                  key={key}
+                  style={{
+                    background: theme.panel,
+                    border: `1px solid ${theme.border}`,
+                    borderRadius: 12,
+                    padding: 8,
+                  }}
+                >
+                  <div style={{ fontSize: 12, color: theme.subtext }}>{t(key)}</div>
+                  <div style={{ fontWeight: 900, fontSize: 18 }}>{n}</div>
+                </div>
+              ))}
+            </div>
+
+            {diff.conflicts.length > 0 && (
+              <div style={{ marginTop: 12 }}>
+                <div style={{ fontWeight: 800, marginBottom: 6 }}>
+                  {t("restore.conflicts")}
+                </div>
+                {diff.conflicts.map((c) => (
+                  <div
+                    key={c.id}
+                    style={{
+                      border: `1px solid ${theme.border}`,
+                      borderRadius: 12,
+                      padding: 8,
+                      marginBottom: 8,
+                      background: theme.card,
+                      fontSize: 13,
+                    }}
+                  >
+                    {["local", "incoming"].map((side) => {
+                      const r = c[side];
+                      return (
+                        <label key={side} style={{ display: "block", marginTop: 2 }}>
+                          <input
+                            type="radio"
+                            name={`conflict-${c.id}`}
+                            checked={choices[c.id] === side}
+                            onChange={() => setChoices({ ...choices, [c.id]: side })}
+                          />{" "}
+                          {t(side === "local" ? "restore.local" : "restore.incoming")}：{r.date}{" "}
+                          {r.location || t("common.noLocation")} {formatNetPlain(Number(r.net || 0))}
+                          <span style={{ color: theme.muted, fontSize: 11 }}>
+                            {" "}
+                            （{(r.updatedAt || "").replace("T", " ").slice(0, 16)}）
+                          </span>
+                        </label>
+                      );
+                    })}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+              <Button
+                theme={theme}
+                primary
+                label={t("restore.mergeButton", { n: toWrite.length })}
+                onClick={() => onMerge(toWrite)}
+              />
+              <Button theme={theme} label={t("common.cancel")} onClick={onClose} />
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import React from "react";
+import { SCOPE_TYPES, scopeOfType } from "./scope.js";
+import { inputStyle } from "./ui.jsx";
+import { t } from "./i18n.js";
+
+/** 統計範圍選擇：類型 + 對應的年/月/日期區間 */
+export default function ScopeSelector({ theme, scope, years, onChange }) {
+  const small = { ...inputStyle(theme), padding: "8px 10px" };
+
+  return (
+    <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+      <select
+        value={scope.type}
+        onChange={(e) => onChange(scopeOfType(e.target.value))}
+        style={{ ...small, width: "auto", flex: 1 }}
+      >
+        {SCOPE_TYPES.map((type) => (
+          <option key={type.id} value={type.id}>
+            {t(type.labelKey)}
+          </option>
+        ))}
+      </select>
+
+      {scope.type === "year" && (
+        <select
+          value={scope.year}
+          onChange={(e) => onChange({ ...scope, year: Number(e.target.value) })}
+          style={{ ...small, width: "auto", flex: 1 }}
+        >
+          {years.map((y) => (
+            <option key={y} value={y}>
+              {y}
+            </option>
+          ))}
+        </select>
+      )}
+
+      {scope.type === "month" && (
+        <input
+          type="month"
+          value={scope.month}
+          onChange={(e) =>
+            e.target.value && onChange({ ...scope, month: e.target.value })
+          }
+          style={{ ...small, width: "auto", flex: 1 }}
+        />
+      )}
+
+      {scope.type === "range" && (
+        <div style={{ display: "flex", gap: 6, alignItems: "center", flex: 2 }}>
+          <input
+            type="date"
+            value={scope.from || ""}
+            onChange={(e) => onChange({ ...scope, from: e.target.value })}
+            style={small}
+          />
+          <span style={{ color: theme.muted }}>~</span>
+          <input
+            type="date"
+            value={scope.to || ""}
+            onChange={(e) => onChange({ ...scope, to: e.target.value })}
+            style={small}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
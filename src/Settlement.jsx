@@ -0,0 +1,271 @@
+import React, { useMemo, useState } from "react";
+import {
+  balances,
+  minimalTransfers,
+  friendBalances,
+  cashSummary,
+  unnamedUnsettled,
+} from "./settlement.js";
+import { toDateStr } from "./utils.js";
+import { t, formatMoney } from "./i18n.js";
+import { Button, Field, StatCard, inputStyle } from "./ui.jsx";
+
+/** 結帳：誰欠誰、最少轉帳方案、標記已付 */
+export default function Settlement({
+  theme,
+  me,
+  records,
+  payments,
+  onPay,
+  onDeletePayment,
+  onClose,
+}) {
+  const [paying, setPaying] = useState(null); // { from, to, amount }
+
+  const data = useMemo(() => {
+    const b = balances(records, payments);
+    return {
+      transfers: minimalTransfers(b),
+      friends: me ? friendBalances(me, records, payments) : [],
+      cash: me ? cashSummary(me, records, payments) : null,
+      unnamed: unnamedUnsettled(records).length,
+    };
+  }, [me, records, payments]);
+
+  const sortedPayments = [...payments].sort((a, b) =>
+    (b.date + b.createdAt).localeCompare(a.date + a.createdAt)
+  );
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: theme.bg,
+        overflowY: "auto",
+        padding: 14,
+        zIndex: 60,
+        boxSizing: "border-box",
+      }}
+    >
+      <div style={{ maxWidth: 520, margin: "0 auto" }}>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 900, fontSize: 18 }}>{t("settle.title")}</div>
+          <Button theme={theme} label={t("common.close")} onClick={onClose} />
+        </div>
+        <div style={{ color: theme.subtext, fontSize: 13, marginTop: 6 }}>
+          {t("settle.intro")}
+        </div>
+
+        {data.cash && (
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "1fr 1fr",
+              gap: 10,
+              marginTop: 12,
+            }}
+          >
+            <StatCard
+              theme={theme}
+              title={t("stats.receivable")}
+              value={formatMoney(data.cash.receivable)}
+              accent={theme.good}
+            />
+            <StatCard
+              theme={theme}
+              title={t("stats.payable")}
+              value={formatMoney(data.cash.payable)}
+              accent={theme.bad}
+            />
+            <StatCard
+              theme={theme}
+              title={t("settle.received")}
+              value={formatMoney(data.cash.received)}
+              accent={theme.text}
+            />
+            <StatCard
+              theme={theme}
+              title={t("settle.paid")}
+              value={formatMoney(data.cash.paid)}
+              accent={theme.text}
+            />
+          </div>
+        )}
+
+        {data.unnamed > 0 && (
+          <div style={{ color: theme.bad, fontSize: 12, marginTop: 10 }}>
+            {t("settle.unnamed", { n: data.unnamed })}
+          </div>
+        )}
+
+        {me && (
+          <Field label={t("settle.friends", { me })} theme={theme}>
+            {data.friends.length === 0 ? (
+              <div style={{ color: theme.muted, fontSize: 13 }}>{t("settle.allClear")}</div>
+            ) : (
+              data.friends.map((f) => (
+                <Row key={f.name} theme={theme}>
+                  <span>
+                    {f.amount > 0 ? t("settle.owesYou", { name: f.name }) : t("settle.youOwe", { name: f.name })}
+                  </span>
+                  <span
+                    style={{
+                      fontWeight: 900,
+                      color: f.amount > 0 ? theme.good : theme.bad,
+                    }}
+                  >
+                    {formatMoney(Math.abs(f.amount))}
+                  </span>
+                </Row>
+              ))
+            )}
+          </Field>
+        )}
+
+        <Field
+          label={t("settle.transfers")}
+          theme={theme}
+          hint={t("settle.transfersHint")}
+        >
+          {data.transfers.length === 0 ? (
+            <div style={{ color: theme.muted, fontSize: 13 }}>{t("settle.nothing")}</div>
+          ) : (
+            data.transfers.map((tr) => (
+              <Row key={`${tr.from}-${tr.to}`} theme={theme}>
+                <span>
+                  {tr.from} → {tr.to}：<b>{formatMoney(tr.amount)}</b>
+                </span>
+                <Button
+                  theme={theme}
+                  label={t("settle.markPaid")}
+                  onClick={() => setPaying(tr)}
+                />
+              </Row>
+            ))
+          )}
+        </Field>
+
+        {paying && (
+          <PayForm
+            theme={theme}
+            transfer={paying}
+            onCancel={() => setPaying(null)}
+            onSave={async (payment) => {
+              await onPay(payment);
+              setPaying(null);
+            }}
+          />
+        )}
+
+        {sortedPayments.length > 0 && (
+          <Field label={t("settle.payments")} theme={theme}>
+            {sortedPayments.map((p) => (
+              <Row key={p.id} theme={theme}>
+                <span style={{ fontSize: 13 }}>
+                  {p.date}　{p.from} → {p.to} {formatMoney(p.amount)}
+                  {p.note && (
+                    <span style={{ color: theme.muted }}>（{p.note}）</span>
+                  )}
+                </span>
+                <Button
+                  theme={theme}
+                  danger
+                  label={t("day.delete")}
+                  onClick={() => {
+                    if (confirm(t("settle.confirmDelete"))) onDeletePayment(p.id);
+                  }}
+                />
+              </Row>
+            ))}
+          </Field>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Row({ theme, children }) {
+  return (
+    <div
+      style={{
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        gap: 8,
+        padding: "8px 10px",
+        marginBottom: 6,
+        border: `1px solid ${theme.border}`,
+        borderRadius: 12,
+        background: theme.card,
+        fontSize: 14,
+      }}
+    >
+      {children}
+    </div>
+  );
+}
+
+function PayForm({ theme, transfer, onCancel, onSave }) {
+  const [amount, setAmount] = useState(transfer.amount);
+  const [date, setDate] = useState(toDateStr(new Date()));
+  const [note, setNote] = useState("");
+
+  return (
+    <div
+      style={{
+        marginTop: 12,
+        border: `1px solid rgba(59,130,246,0.35)`,
+        borderRadius: 14,
+        padding: 12,
+        background: theme.panel,
+      }}
+    >
+      <div style={{ fontWeight: 800 }}>
+        {t("settle.pays", { from: transfer.from, to: transfer.to })}
+      </div>
+      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+        <input
+          type="number"
+          value={amount}
+          min={1}
+          onChange={(e) => setAmount(+e.target.value)}
+          style={inputStyle(theme)}
+        />
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          style={inputStyle(theme)}
+        />
+      </div>
+      <input
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder={t("settle.notePlaceholder")}
+        style={{ ...inputStyle(theme), marginTop: 8 }}
+      />
+      <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+        <Button
+          theme={theme}
+          primary
+          label={t("settle.confirmPaid")}
+          onClick={() => {
+            if (!(amount > 0) || !date) return;
+            onSave({
+              from: transfer.from,
+              to: transfer.to,
+              amount: Math.min(amount, transfer.amount),
+              date,
+              note: note.trim(),
+            });
+          }}
+        />
+        <Button theme={theme} label={t("common.cancel")} onClick={onCancel} />
+      </div>
+      <div style={{ color: theme.muted, fontSize: 12, marginTop: 6 }}>
+        {t("settle.partial", { amount: formatMoney(transfer.amount) })}
+      </div>
+    </div>
+  );
+}
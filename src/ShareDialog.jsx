@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from "react";
+import QRCode from "qrcode";
+import { shareUrl } from "./share.js";
+import { formatNetPlain } from "./utils.js";
+import { Button } from "./ui.jsx";
+import { t } from "./i18n.js";
+
+/** 顯示單場紀錄的 QR code 與分享連結（QR 在本機產生，不連網） */
+export default function ShareDialog({ theme, record, onClose }) {
+  const url = shareUrl(record, `${location.origin}${location.pathname}`);
+  const [qr, setQr] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    QRCode.toDataURL(url, { errorCorrectionLevel: "M", margin: 2, width: 280 })
+      .then(setQr)
+      .catch(() => setQr(""));
+  }, [url]);
+
+  async function copy() {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch (e) {
+      prompt(t("share.copyPrompt"), url);
+    }
+  }
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0,0,0,0.55)",
+        display: "flex",
+        alignItems: "flex-end",
+        justifyContent: "center",
+        padding: 12,
+        zIndex: 50,
+      }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: "100%",
+          maxWidth: 520,
+          background: theme.panel,
+          border: `1px solid ${theme.border}`,
+          borderRadius: 18,
+          padding: 14,
+          textAlign: "center",
+        }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 900, fontSize: 16 }}>{t("share.title")}</div>
+          <Button theme={theme} label={t("common.close")} onClick={onClose} />
+        </div>
+        <div style={{ color: theme.subtext, fontSize: 13, marginTop: 6 }}>
+          {record.date}・{record.location || t("common.noLocation")}・{record.stake}・
+          {formatNetPlain(Number(record.net || 0))}
+        </div>
+
+        {qr ? (
+          <img
+            src={qr}
+            alt={t("share.qrAlt")}
+            style={{ width: 240, height: 240, marginTop: 12, borderRadius: 8 }}
+          />
+        ) : (
+          <div style={{ color: theme.bad, marginTop: 12, fontSize: 13 }}>
+            {t("share.tooLong")}
+          </div>
+        )}
+
+        <div style={{ color: theme.muted, fontSize: 12, marginTop: 8 }}>
+          {t("share.hint")}
+        </div>
+        <div style={{ marginTop: 12 }}>
+          <Button
+            theme={theme}
+            primary
+            label={copied ? t("share.copied") : t("share.copy")}
+            onClick={copy}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
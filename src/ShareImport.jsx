@@ -0,0 +1,272 @@
+import React, { useEffect, useRef, useState } from "react";
+import jsQR from "jsqr";
+import { decodeShare } from "./share.js";
+import { formatNetPlain } from "./utils.js";
+import { Button, Field, inputStyle } from "./ui.jsx";
+import { t, errorText } from "./i18n.js";
+
+/**
+ * 匯入朋友分享的紀錄：相機掃 QR code 或貼上連結
+ * initialCode：從 #share=... 打開時直接帶入
+ */
+export default function ShareImport({ theme, initialCode, onImport, onClose }) {
+  const [payload, setPayload] = useState(() => {
+    try {
+      return initialCode ? decodeShare(initialCode) : null;
+    } catch (e) {
+      return null;
+    }
+  });
+  const [pasted, setPasted] = useState("");
+  const [error, setError] = useState("");
+  const [scanning, setScanning] = useState(false);
+  const [seat, setSeat] = useState(-1);
+  const [flip, setFlip] = useState(true);
+
+  function accept(text) {
+    try {
+      setPayload(decodeShare(text));
+      setError("");
+      setScanning(false);
+    } catch (err) {
+      setError(errorText(err));
+    }
+  }
+
+  const hasPlayers = Array.isArray(payload?.p);
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: theme.bg,
+        overflowY: "auto",
+        padding: 14,
+        zIndex: 60,
+        boxSizing: "border-box",
+      }}
+    >
+      <div style={{ maxWidth: 520, margin: "0 auto" }}>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 900, fontSize: 18 }}>{t("scan.title")}</div>
+          <Button theme={theme} label={t("common.close")} onClick={onClose} />
+        </div>
+
+        {!payload && (
+          <>
+            <Field label={t("scan.camera")} theme={theme}>
+              {scanning ? (
+                <Scanner
+                  theme={theme}
+                  onResult={accept}
+                  onError={(msg) => {
+                    setError(msg);
+                    setScanning(false);
+                  }}
+                />
+              ) : (
+                <Button
+                  theme={theme}
+                  primary
+                  label={t("scan.openCamera")}
+                  onClick={() => setScanning(true)}
+                />
+              )}
+            </Field>
+            <Field label={t("scan.paste")} theme={theme}>
+              <textarea
+                value={pasted}
+                onChange={(e) => setPasted(e.target.value)}
+                rows={3}
+                style={{ ...inputStyle(theme), resize: "vertical" }}
+              />
+              <div style={{ marginTop: 8 }}>
+                <Button theme={theme} label={t("scan.read")} onClick={() => accept(pasted)} />
+              </div>
+            </Field>
+            {error && (
+              <div style={{ color: theme.bad, fontSize: 13, marginTop: 10 }}>
+                {error}
+              </div>
+            )}
+          </>
+        )}
+
+        {payload && (
+          <>
+            <div
+              style={{
+                marginTop: 12,
+                background: theme.panel,
+                border: `1px solid ${theme.border}`,
+                borderRadius: 16,
+                padding: 12,
+                fontSize: 14,
+              }}
+            >
+              <div style={{ fontWeight: 800 }}>
+                {payload.d}・{payload.l || t("common.noLocation")}
+              </div>
+              <div style={{ color: theme.subtext, fontSize: 13, marginTop: 4 }}>
+                {t("common.stake", { stake: payload.s })}・{t("common.hands", { n: payload.h })}
+              </div>
+            </div>
+
+            {hasPlayers ? (
+              <Field label={t("scan.whichSeat")} theme={theme}>
+                {payload.p.map(([seatName, name, net], i) => (
+                  <label
+                    key={i}
+                    style={{ display: "block", fontSize: 14, marginBottom: 6 }}
+                  >
+                    <input
+                      type="radio"
+                      name="share-seat"
+                      checked={seat === i}
+                      onChange={() => setSeat(i)}
+                    />{" "}
+                    {seatName} {name || "?"}
+                    {i === payload.m && t("scan.sharer")}：{formatNetPlain(Number(net))}
+                  </label>
+                ))}
+              </Field>
+            ) : (
+              <Field
+                label={t("scan.yourNet")}
+                theme={theme}
+                hint={t("scan.yourNetHint")}
+              >
+                {[true, false].map((f) => (
+                  <label
+                    key={String(f)}
+                    style={{ display: "block", fontSize: 14, marginBottom: 6 }}
+                  >
+                    <input
+                      type="radio"
+                      name="share-flip"
+                      checked={flip === f}
+                      onChange={() => setFlip(f)}
+                    />{" "}
+                    {f ? t("scan.opposite") : t("scan.same")}：
+                    {formatNetPlain(f && payload.n ? -payload.n : payload.n)}
+                  </label>
+                ))}
+              </Field>
+            )}
+
+            {error && (
+              <div style={{ color: theme.bad, fontSize: 13, marginTop: 10 }}>
+                {error}
+              </div>
+            )}
+
+            <div style={{ display: "flex", gap: 8, marginTop: 14 }}>
+              <Button
+                theme={theme}
+                primary
+                label={t("scan.add")}
+                onClick={async () => {
+                  if (hasPlayers && seat < 0) {
+                    setError(t("scan.pickSeat"));
+                    return;
+                  }
+                  try {
+                    await onImport(payload, { seat, flip });
+                  } catch (err) {
+                    setError(errorText(err));
+                  }
+                }}
+              />
+              <Button
+                theme={theme}
+                label={t("scan.again")}
+                onClick={() => {
+                  setPayload(null);
+                  setSeat(-1);
+                  setError("");
+                }}
+              />
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** 相機掃描：有 BarcodeDetector 就用內建的，否則用 jsQR 解每一格畫面 */
+function Scanner({ theme, onResult, onError }) {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    let stream;
+    let stopped = false;
+    let timer;
+    const canvas = document.createElement("canvas");
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    const detector =
+      "BarcodeDetector" in window
+        ? new window.BarcodeDetector({ formats: ["qr_code"] })
+        : null;
+
+    async function tick() {
+      if (stopped) return;
+      const video = videoRef.current;
+      if (video && video.readyState >= 2) {
+        try {
+          let text = null;
+          if (detector) {
+            const codes = await detector.detect(video);
+            text = codes[0]?.rawValue || null;
+          } else {
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            ctx.drawImage(video, 0, 0);
+            const img = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            text = jsQR(img.data, img.width, img.height)?.data || null;
+          }
+          if (text) {
+            onResult(text);
+            return;
+          }
+        } catch (e) {
+          // 單格失敗就跳過
+        }
+      }
+      timer = setTimeout(tick, 250);
+    }
+
+    navigator.mediaDevices
+      ?.getUserMedia({ video: { facingMode: "environment" } })
+      .then((s) => {
+        stream = s;
+        if (stopped) return;
+        videoRef.current.srcObject = s;
+        videoRef.current.play();
+        tick();
+      })
+      .catch(() => onError(t("scan.noCamera")));
+    if (!navigator.mediaDevices) onError(t("scan.unsupported"));
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, []);
+
+  return (
+    <video
+      ref={videoRef}
+      playsInline
+      muted
+      style={{
+        width: "100%",
+        borderRadius: 12,
+        border: `1px solid ${theme.border}`,
+        background: "#000",
+      }}
+    />
+  );
+}
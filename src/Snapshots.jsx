@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from "react";
+import { listSnapshots, requestPersistentStorage } from "./db.js";
+import { KEEP_DAILY, KEEP_WEEKLY } from "./snapshots.js";
+import { Button, Field, inputStyle } from "./ui.jsx";
+import { t, intlLocale } from "./i18n.js";
+
+/** 自動快照：瀏覽、還原；備份提醒天數設定 */
+export default function Snapshots({
+  theme,
+  reminder,
+  onReminderChange,
+  onRestore,
+  onClose,
+}) {
+  const [snapshots, setSnapshots] = useState(null);
+  const [persisted, setPersisted] = useState(null);
+
+  useEffect(() => {
+    listSnapshots().then(setSnapshots);
+    navigator.storage?.persisted?.().then(setPersisted);
+  }, []);
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: theme.bg,
+        overflowY: "auto",
+        padding: 14,
+        zIndex: 60,
+        boxSizing: "border-box",
+      }}
+    >
+      <div style={{ maxWidth: 520, margin: "0 auto" }}>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 900, fontSize: 18 }}>{t("snapshots.title")}</div>
+          <Button theme={theme} label={t("common.close")} onClick={onClose} />
+        </div>
+        <div style={{ color: theme.subtext, fontSize: 13, marginTop: 6 }}>
+          {t("snapshots.intro", { days: KEEP_DAILY, weeks: KEEP_WEEKLY })}
+        </div>
+
+        <Field label={t("snapshots.list")} theme={theme}>
+          {snapshots && snapshots.length === 0 && (
+            <div style={{ color: theme.muted, fontSize: 13 }}>
+              {t("snapshots.empty")}
+            </div>
+          )}
+          {snapshots?.map((s) => (
+            <div
+              key={s.id}
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                gap: 8,
+                padding: "8px 10px",
+                marginBottom: 6,
+                border: `1px solid ${theme.border}`,
+                borderRadius: 12,
+                background: theme.card,
+                fontSize: 14,
+              }}
+            >
+              <div>
+                <div style={{ fontWeight: 800 }}>
+                  {new Date(s.at).toLocaleString(intlLocale())}
+                </div>
+                <div style={{ color: theme.muted, fontSize: 12 }}>
+                  {t(`snapshots.kind.${s.kind}`)}・{t("snapshots.records", { n: s.records })}
+                  {s.settlements > 0 && `・${t("snapshots.payments", { n: s.settlements })}`}
+                </div>
+              </div>
+              <Button theme={theme} label={t("snapshots.restore")} onClick={() => onRestore(s.id)} />
+            </div>
+          ))}
+        </Field>
+
+        <Field
+          label={t("snapshots.reminder")}
+          theme={theme}
+          hint={t("snapshots.reminderHint")}
+        >
+          <input
+            type="number"
+            min={0}
+            value={reminder.days}
+            onChange={(e) =>
+              onReminderChange({
+                ...reminder,
+                days: Math.max(0, Math.floor(+e.target.value || 0)),
+              })
+            }
+            style={inputStyle(theme)}
+          />
+          <div style={{ color: theme.muted, fontSize: 12, marginTop: 6 }}>
+            {t("snapshots.lastBackup", {
+              at: reminder.lastExportAt
+                ? new Date(reminder.lastExportAt).toLocaleString(intlLocale())
+                : t("snapshots.never"),
+            })}
+          </div>
+        </Field>
+
+        <Field label={t("snapshots.persist")} theme={theme}>
+          {persisted ? (
+            <div style={{ color: theme.good, fontSize: 13 }}>
+              {t("snapshots.persisted")}
+            </div>
+          ) : (
+            <>
+              <div style={{ color: theme.subtext, fontSize: 13, marginBottom: 8 }}>
+                {t("snapshots.notPersisted")}
+              </div>
+              <Button
+                theme={theme}
+                label={t("snapshots.requestPersist")}
+                onClick={() => requestPersistentStorage().then(setPersisted)}
+              />
+            </>
+          )}
+        </Field>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+import React, { useEffect, useState } from "react";
+import { getSyncState } from "./db.js";
+import { profileKey } from "./profiles.js";
+import { Button, Field, inputStyle } from "./ui.jsx";
+import { t } from "./i18n.js";
+
+const SYNC_KEY = "xinyi_mahjong_sync";
+
+export function loadSyncConfig() {
+  try {
+    const c = JSON.parse(localStorage.getItem(profileKey(SYNC_KEY)) || "null");
+    return c && c.url && c.ledger ? c : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function saveSyncConfig(config) {
+  if (config) localStorage.setItem(profileKey(SYNC_KEY), JSON.stringify(config));
+  else localStorage.removeItem(profileKey(SYNC_KEY));
+}
+
+/** 同步設定（自架伺服器，見 server/README.md） */
+export default function SyncSettings({ theme, onSync, onClose }) {
+  const saved = loadSyncConfig();
+  const [url, setUrl] = useState(saved?.url || "");
+  const [ledger, setLedger] = useState(saved?.ledger || "");
+  const [token, setToken] = useState(saved?.token || "");
+  const [status, setStatus] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+
+  async function reloadStatus() {
+    setStatus(await getSyncState());
+  }
+
+  useEffect(() => {
+    reloadStatus();
+  }, []);
+
+  async function syncNowClick() {
+    const config = { url: url.trim(), ledger: ledger.trim(), token };
+    if (!config.url || !/^[\w-]{1,64}$/.test(config.ledger)) {
+      setMessage(t("sync.invalid"));
+      return;
+    }
+    saveSyncConfig(config);
+    setBusy(true);
+    setMessage(t("sync.busy"));
+    try {
+      const r = await onSync(config);
+      setMessage(
+        t("sync.done", { pushed: r.pushed, pulled: r.pulled }) +
+          (r.conflicts ? t("sync.conflicts", { n: r.conflicts }) : "")
+      );
+    } catch (err) {
+      setMessage(t("sync.failed", { error: err.message }));
+    } finally {
+      setBusy(false);
+      reloadStatus();
+    }
+  }
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0,0,0,0.55)",
+        display: "flex",
+        alignItems: "flex-end",
+        justifyContent: "center",
+        padding: 12,
+        zIndex: 50,
+      }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: "100%",
+          maxWidth: 520,
+          background: theme.panel,
+          border: `1px solid ${theme.border}`,
+          borderRadius: 18,
+          padding: 14,
+        }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 900, fontSize: 16 }}>{t("sync.title")}</div>
+          <Button theme={theme} label={t("common.close")} onClick={onClose} />
+        </div>
+        <div style={{ color: theme.subtext, fontSize: 13, marginTop: 6 }}>
+          {t("sync.intro")}
+        </div>
+
+        <Field label={t("sync.url")} theme={theme}>
+          <input
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="https://nas.example.com:8787"
+            style={inputStyle(theme)}
+          />
+        </Field>
+        <Field label={t("sync.ledger")} theme={theme}>
+          <input
+            value={ledger}
+            onChange={(e) => setLedger(e.target.value)}
+            placeholder="xinyi-team"
+            style={inputStyle(theme)}
+          />
+        </Field>
+        <Field label={t("sync.token")} theme={theme}>
+          <input
+            type="password"
+            value={token}
+            onChange={(e) => setToken(e.target.value)}
+            style={inputStyle(theme)}
+          />
+        </Field>
+
+        <div style={{ color: theme.muted, fontSize: 12, marginTop: 10 }}>
+          {t("sync.status", {
+            at: status?.lastSyncAt
+              ? status.lastSyncAt.replace("T", " ").slice(0, 16)
+              : t("sync.never"),
+            n: status?.pending ?? 0,
+          })}
+        </div>
+        {message && <div style={{ fontSize: 13, marginTop: 6 }}>{message}</div>}
+
+        <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+          <Button
+            theme={theme}
+            primary
+            label={busy ? t("sync.busy") : t("sync.now")}
+            onClick={busy ? undefined : syncNowClick}
+          />
+          {saved && (
+            <Button
+              theme={theme}
+              label={t("sync.disable")}
+              onClick={() => {
+                saveSyncConfig(null);
+                setMessage(t("sync.disabled"));
+              }}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import React from "react";
+import { profileKey } from "./profiles.js";
+import { t } from "./i18n.js";
+
+const TAG_FILTER_KEY = "xinyi_mahjong_tag_filter";
+
+// 篩選條件記在 localStorage，跟統計範圍一樣下次打開沿用
+export function loadTagFilter() {
+  try {
+    const v = JSON.parse(localStorage.getItem(profileKey(TAG_FILTER_KEY)) || "[]");
+    return Array.isArray(v) ? v : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+export function saveTagFilter(tags) {
+  localStorage.setItem(profileKey(TAG_FILTER_KEY), JSON.stringify(tags));
+}
+
+/** 標籤篩選：點一下加入/取消；選了的標籤會套用到統計、行事曆、圖表與紀錄清單 */
+export default function TagFilter({ theme, tags, selected, onChange }) {
+  if (tags.length === 0) return null;
+
+  function toggle(tag) {
+    onChange(
+      selected.includes(tag)
+        ? selected.filter((t) => t !== tag)
+        : [...selected, tag]
+    );
+  }
+
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 8 }}>
+      {tags.map(({ tag, count }) => (
+        <TagChip
+          key={tag}
+          theme={theme}
+          label={`#${tag} ${count}`}
+          active={selected.includes(tag)}
+          onClick={() => toggle(tag)}
+        />
+      ))}
+      {selected.length > 0 && (
+        <TagChip theme={theme} label={t("tags.clear")} onClick={() => onChange([])} />
+      )}
+    </div>
+  );
+}
+
+export function TagChip({ theme, label, active, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      style={{
+        padding: "4px 10px",
+        borderRadius: 999,
+        border: `1px solid ${theme.border}`,
+        background: active ? theme.primary : theme.btn,
+        color: theme.text,
+        fontSize: 12,
+        cursor: onClick ? "pointer" : "default",
+      }}
+    >
+      {label}
+    </button>
+  );
+}
@@ -0,0 +1,246 @@
+import React, { useState } from "react";
+import { SEATS } from "./players.js";
+import {
+  PATTERNS,
+  RULE_DEFS,
+  loadRules,
+  saveRules,
+  computeHand,
+} from "./scoring.js";
+import { Button, inputStyle } from "./ui.jsx";
+import { t, formatMoney } from "./i18n.js";
+
+/**
+ * 台數計算機：算完一手後呼叫 onApply(deltas, mySeat, detail)
+ * 即時計分時由牌局帶入 fixedDealer/fixedStreak，不必手動選莊家與連莊
+ */
+export default function TaiCalculator({
+  theme,
+  stake,
+  mySeat,
+  onApply,
+  fixedDealer,
+  fixedStreak,
+  seatNames,
+  applyLabel = t("tai.apply"),
+}) {
+  const [picked, setPicked] = useState({});
+  const [winner, setWinner] = useState(mySeat ?? 0);
+  const [discarder, setDiscarder] = useState("self"); // "self" = 自摸
+  const [payer, setPayer] = useState(0);
+  const [dealer, setDealer] = useState(0);
+  const [streak, setStreak] = useState(0);
+  const [me, setMe] = useState(mySeat ?? 0);
+  const liveMode = fixedDealer !== undefined;
+  const [rules, setRules] = useState(loadRules);
+  const [showRules, setShowRules] = useState(false);
+
+  const selfDraw = discarder === "self";
+  const hand = {
+    picked,
+    winner,
+    discarder: selfDraw ? null : Number(discarder),
+    payer,
+    dealer: liveMode ? fixedDealer : dealer,
+    streak: liveMode ? fixedStreak : streak,
+  };
+  const result = computeHand(hand, stake, rules);
+  const invalid = !selfDraw && Number(discarder) === winner;
+
+  function toggle(p) {
+    setPicked((cur) => {
+      const next = { ...cur };
+      if (p.max) next[p.id] = cur[p.id] ? 0 : 1;
+      else next[p.id] = !cur[p.id];
+      return next;
+    });
+  }
+
+  function setRule(id, value) {
+    const next = { ...rules, [id]: value };
+    setRules(next);
+    saveRules(next);
+  }
+
+  function seatSelect(value, onChange, extra) {
+    return (
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        style={inputStyle(theme)}
+      >
+        {extra}
+        {SEATS.map((s, i) => (
+          <option key={s} value={i}>
+            {s}
+            {seatNames?.[i] ? ` ${seatNames[i]}` : ""}
+          </option>
+        ))}
+      </select>
+    );
+  }
+
+  const label = { fontSize: 12, color: theme.muted, marginBottom: 4 };
+
+  return (
+    <div
+      style={{
+        marginTop: 10,
+        border: `1px solid ${theme.border}`,
+        borderRadius: 14,
+        padding: 10,
+        background: theme.card2,
+      }}
+    >
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
+        <div>
+          <div style={label}>{t("tai.winner")}</div>
+          {seatSelect(winner, (v) => setWinner(Number(v)))}
+        </div>
+        <div>
+          <div style={label}>{t("tai.discarder")}</div>
+          {seatSelect(discarder, setDiscarder, <option value="self">{t("tai.selfDrawn")}</option>)}
+        </div>
+        {!liveMode && (
+          <>
+            <div>
+              <div style={label}>{t("tai.dealer")}</div>
+              {seatSelect(dealer, (v) => setDealer(Number(v)))}
+            </div>
+            <div>
+              <div style={label}>{t("tai.streak")}</div>
+              <input
+                type="number"
+                min={0}
+                value={streak}
+                onChange={(e) => setStreak(Math.max(0, +e.target.value))}
+                style={inputStyle(theme)}
+              />
+            </div>
+          </>
+        )}
+        {selfDraw && !rules.selfDrawAllPay && (
+          <div>
+            <div style={label}>{t("tai.payer")}</div>
+            {seatSelect(payer, (v) => setPayer(Number(v)))}
+          </div>
+        )}
+        {!liveMode && (
+          <div>
+            <div style={label}>{t("tai.mySeat")}</div>
+            {seatSelect(me, (v) => setMe(Number(v)))}
+          </div>
+        )}
+      </div>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 10 }}>
+        {PATTERNS.map((p) => {
+          const on = !!picked[p.id];
+          return (
+            <span
+              key={p.id}
+              style={{ display: "inline-flex", alignItems: "center", gap: 4 }}
+            >
+              <button
+                type="button"
+                onClick={() => toggle(p)}
+                style={{
+                  padding: "6px 10px",
+                  borderRadius: 999,
+                  margin: 0,
+                  fontSize: 12,
+                  fontWeight: 800,
+                  border: `1px solid ${on ? theme.primary : theme.border}`,
+                  background: on ? "rgba(59,130,246,0.25)" : "transparent",
+                  color: theme.text,
+                }}
+              >
+                {t("tai.patternTai", { name: t(p.labelKey), tai: p.tai })}
+              </button>
+              {p.max && on && (
+                <input
+                  type="number"
+                  min={1}
+                  max={p.max}
+                  value={picked[p.id]}
+                  onChange={(e) =>
+                    setPicked((cur) => ({
+                      ...cur,
+                      [p.id]: Math.min(p.max, Math.max(0, +e.target.value)),
+                    }))
+                  }
+                  style={{ ...inputStyle(theme), width: 52, padding: 6 }}
+                />
+              )}
+            </span>
+          );
+        })}
+      </div>
+
+      <div style={{ marginTop: 10, fontSize: 13, lineHeight: 1.6 }}>
+        {invalid ? (
+          <span style={{ color: theme.bad }}>{t("tai.invalid")}</span>
+        ) : (
+          <>
+            <div>
+              {t("tai.base", { tai: result.baseTai, stake: `${stake.base}/${stake.tai}` })}
+            </div>
+            {result.payments.map((p) => (
+              <div key={p.seat} style={{ color: theme.subtext }}>
+                {t("tai.payment", { from: SEATS[p.seat], to: SEATS[winner], tai: p.tai })} ={" "}
+                {formatMoney(p.amount)}
+              </div>
+            ))}
+            <div style={{ fontWeight: 900 }}>
+              {t("tai.mine", { seat: SEATS[me] })}
+              {formatMoney(result.deltas[me], { sign: true })}
+            </div>
+          </>
+        )}
+      </div>
+
+      <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+        <Button
+          theme={theme}
+          primary
+          label={applyLabel}
+          onClick={() => {
+            if (invalid) return;
+            onApply(result.deltas, me, {
+              winner: hand.winner,
+              discarder: hand.discarder,
+              tai: Math.max(...result.payments.map((p) => p.tai)),
+            });
+            setPicked({});
+          }}
+        />
+        <Button
+          theme={theme}
+          label={showRules ? t("tai.hideRules") : t("tai.rules")}
+          onClick={() => setShowRules((v) => !v)}
+        />
+      </div>
+
+      {showRules && (
+        <div style={{ marginTop: 10 }}>
+          {RULE_DEFS.map((r) => (
+            <label
+              key={r.id}
+              style={{ display: "block", marginBottom: 8, fontSize: 13 }}
+            >
+              <input
+                type="checkbox"
+                checked={!!rules[r.id]}
+                onChange={(e) => setRule(r.id, e.target.checked)}
+              />{" "}
+              {t(r.labelKey)}
+              <div style={{ color: theme.muted, fontSize: 12, marginLeft: 22 }}>
+                {t(r.hintKey)}
+              </div>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
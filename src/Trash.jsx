@@ -0,0 +1,97 @@
+import React from "react";
+import { TRASH_DAYS } from "./history.js";
+import { formatNetPlain } from "./utils.js";
+import { Button } from "./ui.jsx";
+import { t } from "./i18n.js";
+
+function daysLeft(item, now = new Date()){
+  const ms = new Date(item.deletedAt).getTime() + TRASH_DAYS * 86400000 - now;
+  return Math.max(0, Math.ceil(ms / 86400000));
+}
+
+/** 垃圾桶：刪除的紀錄保留 TRASH_DAYS 天，可還原或清空 */
+export default function Trash({ theme, items, onRestore, onEmpty, onClose }) {
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: theme.bg,
+        overflowY: "auto",
+        padding: 14,
+        zIndex: 60,
+        boxSizing: "border-box",
+      }}
+    >
+      <div style={{ maxWidth: 520, margin: "0 auto" }}>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 900, fontSize: 18 }}>{t("trash.title")}</div>
+          <Button theme={theme} label={t("common.close")} onClick={onClose} />
+        </div>
+        <div style={{ color: theme.subtext, fontSize: 13, marginTop: 6 }}>
+          {t("trash.intro", { n: TRASH_DAYS })}
+        </div>
+
+        {items.length === 0 ? (
+          <div style={{ color: theme.muted, fontSize: 13, marginTop: 14 }}>
+            {t("trash.empty")}
+          </div>
+        ) : (
+          <>
+            <div style={{ marginTop: 12 }}>
+              {items.map((item) => {
+                const r = item.record;
+                const net = Number(r.net || 0);
+                return (
+                  <div
+                    key={item.id}
+                    style={{
+                      display: "flex",
+                      justifyContent: "space-between",
+                      alignItems: "center",
+                      gap: 8,
+                      padding: "8px 10px",
+                      marginBottom: 6,
+                      border: `1px solid ${theme.border}`,
+                      borderRadius: 12,
+                      background: theme.card,
+                      fontSize: 14,
+                    }}
+                  >
+                    <div>
+                      <div style={{ fontWeight: 800 }}>
+                        {r.date}・{r.location || t("common.noLocation")}・
+                        <span style={{ color: net >= 0 ? theme.good : theme.bad }}>
+                          {formatNetPlain(net)}
+                        </span>
+                      </div>
+                      <div style={{ color: theme.muted, fontSize: 12 }}>
+                        {t("trash.daysLeft", { n: daysLeft(item) })}
+                      </div>
+                    </div>
+                    <Button
+                      theme={theme}
+                      label={t("trash.restore")}
+                      onClick={() => onRestore(item.id)}
+                    />
+                  </div>
+                );
+              })}
+            </div>
+            <div style={{ marginTop: 10 }}>
+              <Button
+                theme={theme}
+                danger
+                label={t("trash.emptyAll")}
+                onClick={() => {
+                  if (confirm(t("trash.confirmEmpty", { n: items.length })))
+                    onEmpty();
+                }}
+              />
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
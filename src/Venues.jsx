@@ -0,0 +1,262 @@
+import React, { useMemo, useState } from "react";
+import { venueList, venueStats, similarVenues } from "./venues.js";
+import { formatNetPlain } from "./utils.js";
+import { Button, Field, StatCard, inputStyle } from "./ui.jsx";
+import { t } from "./i18n.js";
+
+/** 地點：列表（最愛、常去、輸最多）與單一地點的統計、改名/合併 */
+export default function Venues({
+  theme,
+  records,
+  favorites,
+  onToggleFavorite,
+  onRename,
+  onClose,
+}) {
+  const [sort, setSort] = useState("sessions");
+  const [open, setOpen] = useState(null);
+
+  const list = useMemo(() => venueList(records, favorites), [records, favorites]);
+  const similar = useMemo(() => similarVenues(list), [list]);
+  const sorted =
+    sort === "net" ? [...list].sort((a, b) => a.net - b.net) : list;
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: theme.bg,
+        overflowY: "auto",
+        padding: 14,
+        zIndex: 60,
+        boxSizing: "border-box",
+      }}
+    >
+      <div style={{ maxWidth: 520, margin: "0 auto" }}>
+        <div style={{ display: "flex", justifyContent: "space-between" }}>
+          <div style={{ fontWeight: 900, fontSize: 18 }}>
+            {open ? open : t("venues.title")}
+          </div>
+          <Button
+            theme={theme}
+            label={open ? t("venues.back") : t("common.close")}
+            onClick={open ? () => setOpen(null) : onClose}
+          />
+        </div>
+
+        {open ? (
+          <VenueDetail
+            theme={theme}
+            name={open}
+            records={records}
+            others={list.filter((v) => v.name !== open)}
+            onRename={async (from, to) => {
+              await onRename(from, to);
+              setOpen(to);
+            }}
+          />
+        ) : (
+          <>
+            {similar.length > 0 && (
+              <Field
+                label={t("venues.similar")}
+                theme={theme}
+                hint={t("venues.similarHint")}
+              >
+                {similar.map((names) => (
+                  <Row key={names.join("|")} theme={theme}>
+                    <span style={{ fontSize: 13 }}>{names.join("、")}</span>
+                    <Button
+                      theme={theme}
+                      label={t("venues.mergeInto", { name: names[0] })}
+                      onClick={() => onRename(names.slice(1), names[0])}
+                    />
+                  </Row>
+                ))}
+              </Field>
+            )}
+
+            <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+              <Button
+                theme={theme}
+                primary={sort === "sessions"}
+                label={t("venues.sortSessions")}
+                onClick={() => setSort("sessions")}
+              />
+              <Button
+                theme={theme}
+                primary={sort === "net"}
+                label={t("venues.sortNet")}
+                onClick={() => setSort("net")}
+              />
+            </div>
+
+            <div style={{ marginTop: 10 }}>
+              {sorted.length === 0 && (
+                <div style={{ color: theme.muted, fontSize: 13 }}>
+                  {t("venues.empty")}
+                </div>
+              )}
+              {sorted.map((v) => (
+                <Row key={v.name} theme={theme}>
+                  <span
+                    onClick={() => setOpen(v.name)}
+                    style={{ flex: 1, cursor: "pointer" }}
+                  >
+                    <div style={{ fontWeight: 800 }}>{v.name}</div>
+                    <div style={{ color: theme.muted, fontSize: 12 }}>
+                      {t("venues.summary", { n: v.sessions, date: v.lastDate })}・
+                      <span style={{ color: v.net >= 0 ? theme.good : theme.bad }}>
+                        {formatNetPlain(v.net)}
+                      </span>
+                    </div>
+                  </span>
+                  <button
+                    onClick={() => onToggleFavorite(v.name)}
+                    title={v.favorite ? t("venues.unfavorite") : t("venues.favorite")}
+                    style={{
+                      background: "transparent",
+                      border: "none",
+                      fontSize: 20,
+                      cursor: "pointer",
+                      color: v.favorite ? "#facc15" : theme.muted,
+                    }}
+                  >
+                    {v.favorite ? "★" : "☆"}
+                  </button>
+                </Row>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function VenueDetail({ theme, name, records, others, onRename }) {
+  const stats = useMemo(() => venueStats(records, name), [records, name]);
+  const [newName, setNewName] = useState(name);
+  const [mergeFrom, setMergeFrom] = useState("");
+
+  return (
+    <>
+      <div
+        style={{
+          display: "grid",
+          gridTemplateColumns: "1fr 1fr",
+          gap: 10,
+          marginTop: 12,
+        }}
+      >
+        <StatCard theme={theme} title={t("venues.sessions")} value={stats.sessions} accent={theme.text} />
+        <StatCard
+          theme={theme}
+          title={t("venues.total")}
+          value={formatNetPlain(stats.total)}
+          accent={stats.total >= 0 ? theme.good : theme.bad}
+        />
+        <StatCard
+          theme={theme}
+          title={t("venues.avg")}
+          value={formatNetPlain(stats.avg)}
+          accent={stats.avg >= 0 ? theme.good : theme.bad}
+        />
+        <StatCard
+          theme={theme}
+          title={t("venues.topStake")}
+          value={stats.topStake ? t("venues.withCount", { name: stats.topStake, n: stats.topStakeCount }) : "—"}
+          accent={theme.text}
+        />
+      </div>
+
+      <Field label={t("venues.rename")} theme={theme} hint={t("venues.renameHint")}>
+        <div style={{ display: "flex", gap: 8 }}>
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            style={inputStyle(theme)}
+          />
+          <Button
+            theme={theme}
+            label={t("venues.rename")}
+            onClick={() => {
+              const to = newName.trim();
+              if (to && to !== name) onRename([name], to);
+            }}
+          />
+        </div>
+      </Field>
+
+      {others.length > 0 && (
+        <Field label={t("venues.mergeHere")} theme={theme}>
+          <div style={{ display: "flex", gap: 8 }}>
+            <select
+              value={mergeFrom}
+              onChange={(e) => setMergeFrom(e.target.value)}
+              style={inputStyle(theme)}
+            >
+              <option value="">{t("venues.pick")}</option>
+              {others.map((v) => (
+                <option key={v.name} value={v.name}>
+                  {t("venues.withCount", { name: v.name, n: v.sessions })}
+                </option>
+              ))}
+            </select>
+            <Button
+              theme={theme}
+              label={t("venues.merge")}
+              onClick={() => {
+                if (!mergeFrom) return;
+                if (confirm(t("venues.confirmMerge", { from: mergeFrom, to: name }))) {
+                  onRename([mergeFrom], name);
+                  setMergeFrom("");
+                }
+              }}
+            />
+          </div>
+        </Field>
+      )}
+
+      <Field label={t("venues.records")} theme={theme}>
+        {stats.records.map((r) => (
+          <Row key={r.id} theme={theme}>
+            <span style={{ fontSize: 13 }}>
+              {r.date}・{r.stake}・{t("common.hands", { n: r.hands })}
+            </span>
+            <span
+              style={{
+                fontWeight: 800,
+                color: r.net >= 0 ? theme.good : theme.bad,
+              }}
+            >
+              {formatNetPlain(r.net)}
+            </span>
+          </Row>
+        ))}
+      </Field>
+    </>
+  );
+}
+
+function Row({ theme, children }) {
+  return (
+    <div
+      style={{
+        display: "flex",
+        justifyContent: "space-between",
+        alignItems: "center",
+        gap: 8,
+        padding: "8px 10px",
+        marginBottom: 6,
+        border: `1px solid ${theme.border}`,
+        borderRadius: 12,
+        background: theme.card,
+        fontSize: 14,
+      }}
+    >
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+// 統計分析：全部由 records 算出，不依賴任何外部服務
+
+import { netOf } from "./calc.js";
+
+export function sortByDate(records){
+  return [...(records || [])].sort((a, b) =>
+    (a.date || "").localeCompare(b.date || "") ||
+    (a.createdAt || "").localeCompare(b.createdAt || "")
+  );
+}
+
+/** 累積淨值曲線：每天一個點 */
+export function cumulativeSeries(records){
+  const byDay = new Map();
+  sortByDate(records).forEach((r) => {
+    byDay.set(r.date, (byDay.get(r.date) || 0) + netOf(r));
+  });
+  let total = 0;
+  return [...byDay.entries()].map(([date, net]) => {
+    total += net;
+    return { date, net, total };
+  });
+}
+
+/** 每月合計（YYYY-MM） */
+export function monthlyTotals(records){
+  const m = new Map();
+  sortByDate(records).forEach((r) => {
+    const k = (r.date || "").slice(0, 7);
+    m.set(k, (m.get(k) || 0) + netOf(r));
+  });
+  return [...m.entries()].map(([month, net]) => ({ month, net }));
+}
+
+/** 依欄位分組：場數、合計、平均，依合計由低到高（最會輸的在前面） */
+export function breakdownBy(records, keyFn){
+  const m = new Map();
+  (records || []).forEach((r) => {
+    const k = keyFn(r);
+    const cur = m.get(k) || { key: k, sessions: 0, net: 0 };
+    cur.sessions++;
+    cur.net += netOf(r);
+    m.set(k, cur);
+  });
+  return [...m.values()]
+    .map((x) => ({ ...x, avg: Math.round(x.net / x.sessions) }))
+    .sort((a, b) => a.net - b.net);
+}
+
+export function resultRates(records){
+  const total = (records || []).length;
+  let win = 0, loss = 0, draw = 0;
+  (records || []).forEach((r) => {
+    const n = netOf(r);
+    if(n > 0) win++;
+    else if(n < 0) loss++;
+    else draw++;
+  });
+  const pct = (x) => (total ? Math.round((x / total) * 1000) / 10 : 0);
+  return { total, win, loss, draw, winPct: pct(win), lossPct: pct(loss), drawPct: pct(draw) };
+}
+
+/** 平均每將淨值 */
+export function netPerHand(records){
+  let hands = 0, net = 0;
+  (records || []).forEach((r) => {
+    hands += Number(r.hands || 0);
+    net += netOf(r);
+  });
+  return hands ? Math.round(net / hands) : 0;
+}
+
+export function extremes(records){
+  let best = null, worst = null;
+  (records || []).forEach((r) => {
+    if(!best || netOf(r) > netOf(best)) best = r;
+    if(!worst || netOf(r) < netOf(worst)) worst = r;
+  });
+  return {
+    best: best && netOf(best) > 0 ? best : null,
+    worst: worst && netOf(worst) < 0 ? worst : null,
+  };
+}
+
+/** 連勝/連敗（以場計，平手會中斷） */
+export function streaks(records){
+  let longestWin = 0, longestLoss = 0;
+  let curType = null, curLen = 0;
+  sortByDate(records).forEach((r) => {
+    const n = netOf(r);
+    const type = n > 0 ? "win" : n < 0 ? "loss" : null;
+    if(type && type === curType) curLen++;
+    else{
+      curType = type;
+      curLen = type ? 1 : 0;
+    }
+    if(curType === "win") longestWin = Math.max(longestWin, curLen);
+    if(curType === "loss") longestLoss = Math.max(longestLoss, curLen);
+  });
+  return { current: { type: curType, length: curLen }, longestWin, longestLoss };
+}
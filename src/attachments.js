@@ -0,0 +1,66 @@
+// 照片附件：壓縮後以 Blob 存在 IndexedDB（attachments store），紀錄只記附件 id
+// 附件只存在這台裝置，不會同步；備份時可選擇是否一起帶走（轉成 data URL）
+
+import { t } from "./i18n.js";
+
+const MAX_SIDE = 1600;
+const QUALITY = 0.7;
+
+async function loadBitmap(file){
+  if("createImageBitmap" in window){
+    try{
+      return await createImageBitmap(file, { imageOrientation: "from-image" });
+    }catch(e){
+      // 部分瀏覽器不支援選項，改用 <img>
+    }
+  }
+  const url = URL.createObjectURL(file);
+  try{
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  }finally{
+    URL.revokeObjectURL(url);
+  }
+}
+
+/** 縮到長邊 MAX_SIDE 以內並轉成 JPEG：{ blob, type, width, height } */
+export async function compressImage(file){
+  let bitmap;
+  try{
+    bitmap = await loadBitmap(file);
+  }catch(e){
+    throw new Error(t("error.badImage"));
+  }
+  const scale = Math.min(1, MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, width, height);
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", QUALITY));
+  if(!blob) throw new Error(t("error.compressFailed"));
+  return { blob, type: "image/jpeg", width, height };
+}
+
+export function blobToDataURL(blob){
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+export function dataURLToBlob(dataURL){
+  const m = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(dataURL || "");
+  if(!m) throw new Error(t("error.badAttachment"));
+  const type = m[1] || "application/octet-stream";
+  if(!m[2]) return new Blob([decodeURIComponent(m[3])], { type });
+  const s = atob(m[3]);
+  const bytes = new Uint8Array(s.length);
+  for(let i = 0; i < s.length; i++) bytes[i] = s.charCodeAt(i);
+  return new Blob([bytes], { type });
+}
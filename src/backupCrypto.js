@@ -0,0 +1,94 @@
+// 備份加密：PBKDF2 由密碼導出金鑰，AES-GCM 加密整份備份 JSON
+// 加密檔本身也是 JSON，用 format 欄位辨識：
+// { format: "xinyi-mahjong-encrypted", v: 1, kdf: { name, hash, iterations, salt }, iv, data }
+
+import { t } from "./i18n.js";
+
+export const ENCRYPTED_FORMAT = "xinyi-mahjong-encrypted";
+const ITERATIONS = 250000;
+
+function toBase64(bytes){
+  let s = "";
+  // 分段轉，避免大檔 String.fromCharCode 參數過多
+  for(let i = 0; i < bytes.length; i += 0x8000){
+    s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(s);
+}
+
+function fromBase64(b64){
+  const s = atob(b64);
+  const bytes = new Uint8Array(s.length);
+  for(let i = 0; i < s.length; i++) bytes[i] = s.charCodeAt(i);
+  return bytes;
+}
+
+function subtle(){
+  const s = globalThis.crypto?.subtle;
+  if(!s) throw new Error(t("error.noCrypto"));
+  return s;
+}
+
+async function deriveKey(passphrase, salt, iterations, usage){
+  const base = await subtle().importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return subtle().deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    [usage]
+  );
+}
+
+/** 看檔案內容是不是加密備份（不需要密碼） */
+export function isEncryptedBackup(text){
+  try{
+    return JSON.parse(text)?.format === ENCRYPTED_FORMAT;
+  }catch(e){
+    return false;
+  }
+}
+
+export async function encryptText(text, passphrase){
+  if(!passphrase) throw new Error(t("error.passRequired"));
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, ITERATIONS, "encrypt");
+  const data = await subtle().encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(text));
+  return JSON.stringify({
+    app: "信義分隊雀神戰",
+    format: ENCRYPTED_FORMAT,
+    v: 1,
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations: ITERATIONS, salt: toBase64(salt) },
+    iv: toBase64(iv),
+    data: toBase64(new Uint8Array(data)),
+  });
+}
+
+export async function decryptText(text, passphrase){
+  let file;
+  try{
+    file = JSON.parse(text);
+  }catch(e){
+    throw new Error(t("error.encryptedCorrupt"));
+  }
+  if(file?.format !== ENCRYPTED_FORMAT) throw new Error(t("error.notEncrypted"));
+  if(file.v !== 1) throw new Error(t("error.encryptedVersion", { v: file.v }));
+  let salt, iv, data;
+  try{
+    salt = fromBase64(file.kdf.salt);
+    iv = fromBase64(file.iv);
+    data = fromBase64(file.data);
+  }catch(e){
+    throw new Error(t("error.encryptedCorrupt"));
+  }
+  const key = await deriveKey(passphrase, salt, file.kdf.iterations, "decrypt");
+  let plain;
+  try{
+    plain = await subtle().decrypt({ name: "AES-GCM", iv }, key, data);
+  }catch(e){
+    // AES-GCM 驗證失敗：密碼錯或內容被改過，兩者無法分辨
+    throw new Error(t("error.wrongPass"));
+  }
+  return new TextDecoder().decode(plain);
+}
@@ -0,0 +1,63 @@
+// 備份檔的解析與驗證：App（db.js）與命令列工具（cli/backup-cli.js）共用，不碰 IndexedDB
+import {
+  upgradeBackup,
+  assertValidRecords,
+  assertValidSettlements,
+  assertValidAttachments,
+} from "./schema.js";
+import { isEncryptedBackup, decryptText } from "./backupCrypto.js";
+import { t } from "./i18n.js";
+
+export const ALL_PROFILES_FORMAT = "xinyi-mahjong-profiles";
+
+function readBackupText(text){
+  if(isEncryptedBackup(text)){
+    const err = new Error(t("error.needsPass"));
+    err.needsPassphrase = true;
+    throw err;
+  }
+  try{
+    return JSON.parse(text);
+  }catch(e){
+    throw new Error(t("error.badJson"));
+  }
+}
+
+function isAllProfilesData(data){
+  return data?.format === ALL_PROFILES_FORMAT;
+}
+
+// 解析 → 升級到目前版本 → 逐筆驗證；任何一筆不合格就整份拒絕
+// 加密檔會丟出帶 needsPassphrase 的錯誤，先用 decryptBackupText 解開再傳進來
+export function parseBackupJSON(text){
+  const data = readBackupText(text);
+  if(isAllProfilesData(data)) throw new Error(t("error.allProfilesBackup"));
+  return checkBackup(data);
+}
+
+function checkBackup(data){
+  if(!data || !Array.isArray(data.records)) throw new Error(t("error.badBackup"));
+  const upgraded = upgradeBackup(data);
+  assertValidRecords(upgraded.records, "error.badBackupRecords");
+  assertValidSettlements(upgraded.settlements);
+  assertValidAttachments(upgraded.attachments);
+  return upgraded;
+}
+
+/**
+ * 所有帳本的備份：回傳 { profiles: [{ id, name, backup }] }，每本都驗證過；
+ * 只有一本帳的一般備份回傳 null（交給 parseBackupJSON）
+ */
+export function parseAllProfilesJSON(text){
+  const data = readBackupText(text);
+  if(!isAllProfilesData(data)) return null;
+  if(!Array.isArray(data.profiles) || data.profiles.some((p) => !p?.id || !p.backup)) throw new Error(t("error.badBackup"));
+  return {
+    profiles: data.profiles.map(({ id, name, backup }) => ({ id: String(id), name, backup: checkBackup(backup) })),
+  };
+}
+
+/** 解開加密備份；不是加密檔就原樣回傳。密碼錯誤時丟出「密碼錯誤」 */
+export async function decryptBackupText(text, passphrase){
+  return isEncryptedBackup(text) ? decryptText(text, passphrase) : text;
+}
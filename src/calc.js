@@ -0,0 +1,44 @@
+// 輸贏計算：App 的統計卡、日曆與命令列工具（cli/backup-cli.js）都用這裡，數字才不會對不起來
+// 只依賴紀錄本身，不碰瀏覽器 API
+
+export function netOf(r){
+  return Number(r.net || 0);
+}
+
+/** 贏 = 正的淨值加總，輸 = 負的淨值取絕對值加總，net = 全部淨值加總 */
+export function totals(records){
+  let win = 0, loss = 0, net = 0;
+  (records || []).forEach((r) => {
+    const n = netOf(r);
+    net += n;
+    if(n > 0) win += n;
+    if(n < 0) loss += Math.abs(n);
+  });
+  return { sessions: (records || []).length, win, loss, net };
+}
+
+/** 每天淨值合計：{ "YYYY-MM-DD": net } */
+export function dailyTotals(records){
+  const m = {};
+  (records || []).forEach((r) => {
+    m[r.date] = (m[r.date] || 0) + netOf(r);
+  });
+  return m;
+}
+
+export const yearOf = (r) => (r.date || "").slice(0, 4);
+export const monthOf = (r) => (r.date || "").slice(0, 7);
+export const locationOf = (r) => String(r.location || "").trim();
+
+/** 依 keyFn 分組，每組跟 totals 一樣的欄位，再加上打了幾天；依 key 排序 */
+export function totalsBy(records, keyFn){
+  const groups = new Map();
+  (records || []).forEach((r) => {
+    const k = keyFn(r);
+    if(!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  });
+  return [...groups.entries()]
+    .map(([key, rs]) => ({ key, ...totals(rs), days: Object.keys(dailyTotals(rs)).length }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+}
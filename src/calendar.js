@@ -0,0 +1,102 @@
+// 日曆的其他檢視：全年熱圖、三個月、每週合計
+// 一週從週一開始（跟每週上限、每週快照相同）
+
+import { toDateStr } from "./utils.js";
+import { totals, dailyTotals } from "./calc.js";
+import { profileKey } from "./profiles.js";
+
+const VIEW_KEY = "xinyi_mahjong_calendar_view";
+export const CALENDAR_VIEWS = ["month", "quarter", "year", "week"];
+
+export function loadCalendarView(){
+  const v = localStorage.getItem(profileKey(VIEW_KEY));
+  return CALENDAR_VIEWS.includes(v) ? v : "month";
+}
+
+export function saveCalendarView(view){
+  localStorage.setItem(profileKey(VIEW_KEY), view);
+}
+
+function parse(dateStr){
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function addDays(date, n){
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + n);
+}
+
+/** 該週週一到週日：["YYYY-MM-DD", "YYYY-MM-DD"] */
+export function weekRange(dateStr){
+  const d = parse(dateStr);
+  const monday = addDays(d, -((d.getDay() + 6) % 7));
+  return [toDateStr(monday), toDateStr(addDays(monday, 6))];
+}
+
+/** 週一起算的 7 天 */
+export function weekDates(mondayStr){
+  const monday = parse(mondayStr);
+  return Array.from({ length: 7 }, (_, i) => toDateStr(addDays(monday, i)));
+}
+
+/**
+ * 全年熱圖的格子：每一欄是一週（週一到週日），不屬於這一年的日子是 null
+ * 回傳 [{ monday, days: [dateStr | null × 7] }]
+ */
+export function yearWeeks(year){
+  const first = `${year}-01-01`;
+  const last = `${year}-12-31`;
+  const weeks = [];
+  for(let monday = weekRange(first)[0]; monday <= last; monday = toDateStr(addDays(parse(monday), 7))){
+    weeks.push({
+      monday,
+      days: weekDates(monday).map((d) => (d >= first && d <= last ? d : null)),
+    });
+  }
+  return weeks;
+}
+
+/** 顏色深淺 1-4（0 表示沒輸贏）：以 |net| 相對於 max 的比例分四級 */
+export function heatLevel(net, max){
+  if(!net || !max) return 0;
+  return Math.min(4, Math.ceil((Math.abs(net) / max) * 4));
+}
+
+export function maxAbs(values){
+  return values.reduce((m, v) => Math.max(m, Math.abs(v)), 0);
+}
+
+/** 星期一到星期日各自的合計（看「是不是週末都在輸」） */
+export function weekdayTotals(records){
+  const sums = Array.from({ length: 7 }, () => []);
+  (records || []).forEach((r) => {
+    sums[(parse(r.date).getDay() + 6) % 7].push(r);
+  });
+  return sums.map((rs) => totals(rs));
+}
+
+/**
+ * 每週合計，新的在前：[{ monday, sunday, sessions, win, loss, net, daily }]
+ * daily 是這週每天的淨值（{ dateStr: net }），給一週七格用
+ */
+export function weeklyTotals(records){
+  const weeks = new Map();
+  (records || []).forEach((r) => {
+    const monday = weekRange(r.date)[0];
+    if(!weeks.has(monday)) weeks.set(monday, []);
+    weeks.get(monday).push(r);
+  });
+  return [...weeks.entries()]
+    .sort((a, b) => b[0].localeCompare(a[0]))
+    .map(([monday, rs]) => ({
+      monday,
+      sunday: weekRange(monday)[1],
+      ...totals(rs),
+      daily: dailyTotals(rs),
+    }));
+}
+
+export function recordsOfYear(records, year){
+  const y = String(year);
+  return (records || []).filter((r) => (r.date || "").slice(0, 4) === y);
+}
@@ -0,0 +1,150 @@
+// CSV 匯出/匯入（給 Google 試算表、Excel 用）
+
+import { parseTags, formatTags } from "./tags.js";
+import { t } from "./i18n.js";
+
+const BOM = "\uFEFF";
+
+// 顯示名稱是語系字串 field.<id>；aliases 用來猜表頭，各種寫法都收
+export const CSV_FIELDS = [
+  // App 匯出的檔案帶 id，再匯入時已經有的紀錄會略過，不會重複
+  { id: "id", aliases: ["id", "編號"] },
+  { id: "date", required: true, aliases: ["date", "日期", "day"] },
+  { id: "location", aliases: ["location", "place", "地點", "地方"] },
+  { id: "stake", aliases: ["stake", "chip", "籌碼", "底台", "底/台"] },
+  { id: "hands", aliases: ["hands", "將", "將數", "幾將"] },
+  { id: "net", required: true, aliases: ["net", "淨值", "輸贏", "金額", "amount"] },
+  { id: "note", aliases: ["note", "notes", "備註", "memo"] },
+  { id: "tags", aliases: ["tags", "tag", "標籤"] },
+];
+
+const EXPORT_COLUMNS = ["id", "date", "location", "stake", "hands", "net", "note", "tags", "createdAt", "updatedAt"];
+
+function escapeCell(v){
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV(rows){
+  return rows.map((row) => row.map(escapeCell).join(",")).join("\r\n");
+}
+
+/** 含 UTF-8 BOM，Excel 開中文才不會亂碼 */
+export function recordsToCSV(records){
+  const sorted = [...(records || [])].sort((a, b) => (a.date || "").localeCompare(b.date || ""));
+  const cellOf = (r, c) => (c === "tags" ? formatTags(r.tags) : r[c]);
+  const rows = [EXPORT_COLUMNS, ...sorted.map((r) => EXPORT_COLUMNS.map((c) => cellOf(r, c)))];
+  return BOM + toCSV(rows) + "\r\n";
+}
+
+/** RFC 4180 風格的解析：支援引號、引號內換行、"" 跳脫、CRLF */
+export function parseCSV(text){
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for(let i = 0; i < src.length; i++){
+    const ch = src[i];
+    if(quoted){
+      if(ch === '"'){
+        if(src[i + 1] === '"'){ cell += '"'; i++; }
+        else quoted = false;
+      }else cell += ch;
+      continue;
+    }
+    if(ch === '"') quoted = true;
+    else if(ch === ","){ row.push(cell); cell = ""; }
+    else if(ch === "\n" || ch === "\r"){
+      if(ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    }else cell += ch;
+  }
+  if(cell !== "" || row.length){
+    row.push(cell);
+    rows.push(row);
+  }
+  // 去掉完全空白的行
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+/** 2025/3/7、2025-03-07、2025.3.7、20250307 → 2025-03-07；無效回傳 null */
+export function parseDateLoose(s){
+  const t = String(s || "").trim();
+  let m = /^(\d{4})[/\-.年](\d{1,2})[/\-.月](\d{1,2})日?(?:[ T].*)?$/.exec(t);
+  if(!m) m = /^(\d{4})(\d{2})(\d{2})$/.exec(t);
+  if(!m) return null;
+  const [y, mo, d] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  const dt = new Date(y, mo - 1, d);
+  if(dt.getFullYear() !== y || dt.getMonth() !== mo - 1 || dt.getDate() !== d) return null;
+  return `${y}-${String(mo).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+/** "NT$1,200"、"-300"、"(300)" → 數字；無效回傳 null */
+export function parseAmount(s){
+  let t = String(s ?? "").trim().replace(/NT\$|\$|,|\s/gi, "");
+  if(/^\(.*\)$/.test(t)) t = "-" + t.slice(1, -1);
+  if(!/^[+-]?\d+(\.\d+)?$/.test(t)) return null;
+  return Math.round(Number(t));
+}
+
+/** 依表頭猜欄位對應：{ fieldId: columnIndex | -1 } */
+export function guessMapping(headers){
+  const norm = (h) => String(h || "").trim().toLowerCase();
+  const mapping = {};
+  CSV_FIELDS.forEach((f) => {
+    mapping[f.id] = headers.findIndex((h) => f.aliases.includes(norm(h)));
+  });
+  return mapping;
+}
+
+/**
+ * 依對應轉成紀錄，每一行回傳 { line, record, errors }
+ * line 是第幾列（從 1 起算，含表頭、略過空白列），用來對照試算表
+ */
+export function rowsToRecords(rows, mapping, { hasHeader, makeId, now }){
+  const start = hasHeader ? 1 : 0;
+  const cell = (row, id) => (mapping[id] >= 0 ? String(row[mapping[id]] ?? "").trim() : "");
+
+  return rows.slice(start).map((row, i) => {
+    const errors = [];
+    const date = parseDateLoose(cell(row, "date"));
+    if(!date) errors.push(t("csv.badDate", { value: cell(row, "date") }));
+
+    const net = parseAmount(cell(row, "net"));
+    if(net === null) errors.push(t("csv.badNet", { value: cell(row, "net") }));
+
+    let stake = cell(row, "stake").replace(/\s+/g, "");
+    if(!stake) stake = "30/10";
+    else if(!/^\d+\/\d+$/.test(stake)) errors.push(t("csv.badStake", { value: stake }));
+
+    let hands = 1;
+    const rawHands = cell(row, "hands");
+    if(rawHands){
+      hands = Number(rawHands);
+      if(!Number.isFinite(hands) || hands <= 0) errors.push(t("csv.badHands", { value: rawHands }));
+    }
+
+    const record = errors.length ? null : {
+      id: cell(row, "id") || makeId(),
+      date,
+      location: cell(row, "location"),
+      stake,
+      hands,
+      net,
+      createdAt: now,
+      updatedAt: now,
+    };
+    if(record){
+      const note = cell(row, "note");
+      const tags = parseTags(cell(row, "tags"));
+      if(note) record.note = note;
+      if(tags.length) record.tags = tags;
+    }
+    return { line: start + i + 1, record, errors };
+  });
+}
@@ -1,52 +1,603 @@
-import { openDB } from "idb";
+import { openDB, deleteDB } from "idb";
+import {
+  BACKUP_VERSION,
+  assertValidRecords,
+  assertValidSettlements,
+  assertValidAttachments,
+} from "./schema.js";
+import {
+  ALL_PROFILES_FORMAT,
+  parseBackupJSON,
+  parseAllProfilesJSON,
+  decryptBackupText,
+} from "./backupFile.js";
+import { historyEntry, isExpired } from "./history.js";
+import { encryptText } from "./backupCrypto.js";
+import { blobToDataURL, dataURLToBlob } from "./attachments.js";
+import { dueSnapshotIds, expiredSnapshotIds, snapshotKind } from "./snapshots.js";
+import { t } from "./i18n.js";
+import { assertValidPlan } from "./plans.js";
+import {
+  DEFAULT_PROFILE_ID,
+  activeProfileId,
+  loadProfiles,
+  ensureProfile,
+  removeProfile,
+} from "./profiles.js";
 
 const DB_NAME = "xinyi-mahjong-db";
-const DB_VERSION = 1;
+const DB_VERSION = 8;
 const STORE = "records";
+const LIVE_STORE = "live";
+const LIVE_ID = "current";
+const OUTBOX = "outbox";
+const SYNC_META = "syncMeta";
+const SYNC_STATE_KEY = "state";
+const SETTLEMENTS = "settlements";
+const TRASH = "trash";
+const HISTORY = "history";
+const SNAPSHOTS = "snapshots";
+const ATTACHMENTS = "attachments";
+const PLANS = "plans";
 
-async function getDB(){
-  return openDB(DB_NAME, DB_VERSION, {
+// 每本帳一個資料庫；預設帳本用原本的名稱
+function dbName(profileId){
+  return profileId === DEFAULT_PROFILE_ID ? DB_NAME : `${DB_NAME}@${profileId}`;
+}
+
+async function getDB(profileId = activeProfileId()){
+  return openDB(dbName(profileId), DB_VERSION, {
     upgrade(db){
       if(!db.objectStoreNames.contains(STORE)){
         const store = db.createObjectStore(STORE, { keyPath: "id" });
         store.createIndex("date", "date");
       }
+      // v2：進行中的即時計分牌局（重新整理不會不見）
+      if(!db.objectStoreNames.contains(LIVE_STORE)){
+        db.createObjectStore(LIVE_STORE, { keyPath: "id" });
+      }
+      // v3：同步用。outbox 記下尚未上傳的變更（刪除也記，當作 tombstone）
+      if(!db.objectStoreNames.contains(OUTBOX)){
+        db.createObjectStore(OUTBOX, { keyPath: "id" });
+      }
+      if(!db.objectStoreNames.contains(SYNC_META)){
+        db.createObjectStore(SYNC_META, { keyPath: "key" });
+      }
+      // v4：結帳付款紀錄 { id, from, to, amount, date, note, createdAt }
+      if(!db.objectStoreNames.contains(SETTLEMENTS)){
+        db.createObjectStore(SETTLEMENTS, { keyPath: "id" });
+      }
+      // v5：垃圾桶 { id, record, deletedAt } 與每筆紀錄的修改歷史
+      if(!db.objectStoreNames.contains(TRASH)){
+        db.createObjectStore(TRASH, { keyPath: "id" });
+      }
+      if(!db.objectStoreNames.contains(HISTORY)){
+        const history = db.createObjectStore(HISTORY, { keyPath: "hid", autoIncrement: true });
+        history.createIndex("recordId", "recordId");
+      }
+      // v6：自動快照 { id, kind, at, backup }，backup 跟匯出的備份檔內容相同
+      if(!db.objectStoreNames.contains(SNAPSHOTS)){
+        db.createObjectStore(SNAPSHOTS, { keyPath: "id" });
+      }
+      // v7：照片附件 { id, recordId, blob, type, width, height, createdAt }
+      if(!db.objectStoreNames.contains(ATTACHMENTS)){
+        const att = db.createObjectStore(ATTACHMENTS, { keyPath: "id" });
+        att.createIndex("recordId", "recordId");
+      }
+      // v8：排定的牌局（見 plans.js）；只在這台裝置，不同步也不放進備份
+      if(!db.objectStoreNames.contains(PLANS)){
+        const plans = db.createObjectStore(PLANS, { keyPath: "id" });
+        plans.createIndex("date", "date");
+      }
     }
   });
 }
 
+// 跟紀錄寫在同一個 transaction 裡，確保不會漏記
+async function markChanged(tx, id, deleted = false){
+  await tx.objectStore(OUTBOX).put({ id, deleted, at: new Date().toISOString() });
+}
+
 export async function listAll(){
   const db = await getDB();
   return db.getAll(STORE);
 }
 
-export async function upsertRecord(record){
+// by：誰改的（顯示在修改歷史）
+export async function upsertRecord(record, by){
+  assertValidRecords([record]);
+  const db = await getDB();
+  const tx = db.transaction([STORE, OUTBOX, HISTORY], "readwrite");
+  const before = await tx.objectStore(STORE).get(record.id);
+  await tx.objectStore(STORE).put(record);
+  await markChanged(tx, record.id);
+  const entry = historyEntry(before ? "update" : "create", before, record, by);
+  if(!before || entry.changes.length) await tx.objectStore(HISTORY).add(entry);
+  await tx.done;
+  return before || null;
+}
+
+// 只新增 id 尚不存在的紀錄，回傳實際新增幾筆（已存在的不覆蓋）
+export async function addMissingRecords(records){
+  assertValidRecords(records);
+  const db = await getDB();
+  const tx = db.transaction([STORE, OUTBOX], "readwrite");
+  const store = tx.objectStore(STORE);
+  let added = 0;
+  for(const r of records){
+    if(await store.getKey(r.id) === undefined){
+      await store.put(r);
+      await markChanged(tx, r.id);
+      added++;
+    }
+  }
+  await tx.done;
+  return added;
+}
+
+// 合併還原用：覆寫/新增指定的紀錄，其他紀錄不動
+export async function putRecords(records){
+  assertValidRecords(records);
   const db = await getDB();
-  await db.put(STORE, record);
+  const tx = db.transaction([STORE, OUTBOX], "readwrite");
+  for(const r of records){
+    await tx.objectStore(STORE).put(r);
+    await markChanged(tx, r.id);
+  }
+  await tx.done;
+}
+
+// 地點改名/合併：location 在 fromNames 裡的紀錄都改成 to，回傳改了幾筆
+export async function renameVenue(fromNames, to, by){
+  const from = new Set(fromNames);
+  const now = new Date().toISOString();
+  const db = await getDB();
+  const tx = db.transaction([STORE, OUTBOX, HISTORY], "readwrite");
+  const store = tx.objectStore(STORE);
+  let changed = 0;
+  for(const before of await store.getAll()){
+    if(!from.has(String(before.location || "").trim()) || before.location === to) continue;
+    const after = { ...before, location: to, updatedAt: now };
+    await store.put(after);
+    await markChanged(tx, after.id);
+    await tx.objectStore(HISTORY).add(historyEntry("update", before, after, by));
+    changed++;
+  }
+  await tx.done;
+  return changed;
+}
+
+// 刪除是移到垃圾桶，TRASH_DAYS 天內可以還原；對同步來說就是刪除
+export async function deleteRecord(id, by){
+  const db = await getDB();
+  const tx = db.transaction([STORE, OUTBOX, TRASH, HISTORY], "readwrite");
+  const record = await tx.objectStore(STORE).get(id);
+  if(record){
+    await tx.objectStore(TRASH).put({ id, record, deletedAt: new Date().toISOString() });
+    await tx.objectStore(HISTORY).add(historyEntry("delete", record, null, by));
+  }
+  await tx.objectStore(STORE).delete(id);
+  await markChanged(tx, id, true);
+  await tx.done;
+}
+
+export async function listTrash(){
+  const db = await getDB();
+  const items = await db.getAll(TRASH);
+  return items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+// 還原時更新 updatedAt，同步時才會蓋過其他裝置上的刪除
+export async function restoreFromTrash(id, by){
+  const db = await getDB();
+  const tx = db.transaction([STORE, OUTBOX, TRASH, HISTORY], "readwrite");
+  const item = await tx.objectStore(TRASH).get(id);
+  if(!item) throw new Error(t("error.notInTrash"));
+  const record = { ...item.record, updatedAt: new Date().toISOString() };
+  await tx.objectStore(STORE).put(record);
+  await tx.objectStore(TRASH).delete(id);
+  await markChanged(tx, id);
+  await tx.objectStore(HISTORY).add(historyEntry("restore", null, record, by));
+  await tx.done;
+  return record;
 }
 
-export async function deleteRecord(id){
+export async function emptyTrash(){
   const db = await getDB();
-  await db.delete(STORE, id);
+  await db.clear(TRASH);
+  await pruneOrphanAttachments();
 }
 
-export async function exportBackupJSON(){
-  const records = await listAll();
-  return JSON.stringify({
+// 清掉超過保留天數的項目，回傳清掉幾筆
+export async function purgeExpiredTrash(now = new Date()){
+  const db = await getDB();
+  const tx = db.transaction(TRASH, "readwrite");
+  let purged = 0;
+  for(const item of await tx.store.getAll()){
+    if(isExpired(item, now)){
+      await tx.store.delete(item.id);
+      purged++;
+    }
+  }
+  await tx.done;
+  if(purged) await pruneOrphanAttachments();
+  return purged;
+}
+
+/** 某筆紀錄的修改歷史，新的在前 */
+export async function getHistory(recordId){
+  const db = await getDB();
+  const entries = await db.getAllFromIndex(HISTORY, "recordId", recordId);
+  return entries.sort((a, b) => b.at.localeCompare(a.at) || b.hid - a.hid);
+}
+
+// 不是正在使用的帳本（匯出/還原所有帳本時）用完就關掉，之後才刪得掉
+async function withProfileDB(profileId, fn){
+  const db = await getDB(profileId);
+  try{
+    return await fn(db);
+  }finally{
+    if(profileId !== activeProfileId()) db.close();
+  }
+}
+
+// withAttachments：照片轉成 data URL 一起放進備份（檔案會大很多）
+async function buildBackup(db, { withAttachments = false } = {}){
+  const backup = {
+    app: "信義分隊雀神戰",
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    records: await db.getAll(STORE),
+    settlements: await db.getAll(SETTLEMENTS),
+    attachments: [],
+  };
+  if(withAttachments){
+    for(const { blob, ...meta } of await db.getAll(ATTACHMENTS)){
+      backup.attachments.push({ ...meta, data: await blobToDataURL(blob) });
+    }
+  }else{
+    backup.attachmentsOmitted = true;
+  }
+  return backup;
+}
+
+// 所有帳本放在同一個檔：{ format, version, exportedAt, profiles: [{ id, name, backup }] }
+async function buildAllProfilesBackup(options){
+  const profiles = [];
+  for(const { id, name } of loadProfiles().profiles){
+    profiles.push({ id, name, backup: await withProfileDB(id, (db) => buildBackup(db, options)) });
+  }
+  return {
     app: "信義分隊雀神戰",
+    format: ALL_PROFILES_FORMAT,
+    version: BACKUP_VERSION,
     exportedAt: new Date().toISOString(),
-    records
-  }, null, 2);
+    profiles,
+  };
+}
+
+// 有給 passphrase 就輸出加密檔；allProfiles 時匯出這台裝置上的所有帳本，否則只匯出目前這本
+export async function exportBackupJSON({ passphrase, withAttachments = true, allProfiles = false } = {}){
+  const data = allProfiles
+    ? await buildAllProfilesBackup({ withAttachments })
+    : await buildBackup(await getDB(), { withAttachments });
+  const json = JSON.stringify(data, null, 2);
+  return passphrase ? encryptText(json, passphrase) : json;
 }
 
-export async function importBackupJSON(text){
-  const data = JSON.parse(text);
-  if(!Array.isArray(data.records)) throw new Error("備份格式錯誤");
+/** 該有的快照還沒拍就拍，並刪掉超出保留份數的；沒有紀錄時不拍。回傳新拍了幾份 */
+export async function takeSnapshotsIfDue(now = new Date()){
   const db = await getDB();
-  const tx = db.transaction(STORE, "readwrite");
-  await tx.store.clear();
+  const existing = new Set(await db.getAllKeys(SNAPSHOTS));
+  const missing = dueSnapshotIds(now).filter((id) => !existing.has(id));
+  if(missing.length === 0) return 0;
+  const backup = await buildBackup(db);
+  if(backup.records.length === 0) return 0;
+  const tx = db.transaction(SNAPSHOTS, "readwrite");
+  for(const id of missing){
+    await tx.store.put({ id, kind: snapshotKind(id), at: now.toISOString(), backup });
+    existing.add(id);
+  }
+  for(const id of expiredSnapshotIds([...existing])){
+    await tx.store.delete(id);
+  }
+  await tx.done;
+  return missing.length;
+}
+
+/** 快照清單（不含內容），新的在前 */
+export async function listSnapshots(){
+  const db = await getDB();
+  const all = await db.getAll(SNAPSHOTS);
+  return all
+    .map(({ id, kind, at, backup }) => ({
+      id,
+      kind,
+      at,
+      records: backup.records.length,
+      settlements: backup.settlements?.length || 0,
+    }))
+    .sort((a, b) => b.at.localeCompare(a.at) || a.kind.localeCompare(b.kind));
+}
+
+/** 取出快照內容（備份檔文字），交給還原流程 */
+export async function getSnapshotJSON(id){
+  const db = await getDB();
+  const snap = await db.get(SNAPSHOTS, id);
+  if(!snap) throw new Error(t("error.noSnapshot"));
+  return JSON.stringify(snap.backup);
+}
+
+/** 請瀏覽器不要在空間不足時清掉資料；回傳是否已是持久儲存 */
+export async function requestPersistentStorage(){
+  if(!navigator.storage?.persist) return false;
+  if(await navigator.storage.persisted()) return true;
+  return navigator.storage.persist();
+}
+
+// 完全取代：先清空再寫入備份內容（只動目前這本帳）
+export async function importBackupJSON(text, passphrase){
+  if(passphrase) text = await decryptBackupText(text, passphrase);
+  await replaceWithBackup(await getDB(), parseBackupJSON(text));
+}
+
+// 所有帳本的備份：備份裡的每本帳都完全取代，沒有的帳本就新增；備份裡沒有的帳本不動
+export async function importAllProfilesJSON(text){
+  const { profiles } = parseAllProfilesJSON(text);
+  for(const p of profiles){
+    ensureProfile(p.id, p.name);
+    await withProfileDB(p.id, (db) => replaceWithBackup(db, p.backup));
+  }
+  return profiles.length;
+}
+
+/** 刪除帳本與它的所有資料（紀錄、照片、快照、設定）；不能刪正在使用的帳本 */
+export async function deleteProfileData(id){
+  removeProfile(id);
+  await deleteDB(dbName(id));
+}
+
+async function replaceWithBackup(db, data){
+  const tx = db.transaction([STORE, OUTBOX, SETTLEMENTS, ATTACHMENTS], "readwrite");
+  // 不含照片的備份：保留本機現有的照片，之後由 pruneOrphanAttachments 清掉用不到的
+  if(!data.attachmentsOmitted) await tx.objectStore(ATTACHMENTS).clear();
+  for(const a of data.attachments){
+    await tx.objectStore(ATTACHMENTS).put(attachmentFromBackup(a));
+  }
+  const store = tx.objectStore(STORE);
+  await tx.objectStore(SETTLEMENTS).clear();
+  for(const p of data.settlements){
+    await tx.objectStore(SETTLEMENTS).put(p);
+  }
+  const incoming = new Set(data.records.map((r) => r.id));
+  for(const id of await store.getAllKeys()){
+    if(!incoming.has(id)) await markChanged(tx, id, true);
+  }
+  await store.clear();
   for(const r of data.records){
-    await tx.store.put(r);
+    await store.put(r);
+    await markChanged(tx, r.id);
+  }
+  await tx.done;
+}
+
+function attachmentFromBackup({ data, ...meta }){
+  return { ...meta, blob: dataURLToBlob(data) };
+}
+
+// 合併還原：只補上本機沒有的附件
+export async function addMissingAttachments(attachments){
+  assertValidAttachments(attachments);
+  const db = await getDB();
+  const tx = db.transaction(ATTACHMENTS, "readwrite");
+  for(const a of attachments){
+    if(await tx.store.getKey(a.id) === undefined) await tx.store.put(attachmentFromBackup(a));
+  }
+  await tx.done;
+}
+
+export async function putAttachment(attachment){
+  const db = await getDB();
+  await db.put(ATTACHMENTS, attachment);
+}
+
+export async function getAttachment(id){
+  const db = await getDB();
+  return (await db.get(ATTACHMENTS, id)) || null;
+}
+
+/** 刪掉沒有任何紀錄（含垃圾桶）引用的附件，回傳刪了幾個 */
+export async function pruneOrphanAttachments(){
+  const db = await getDB();
+  const tx = db.transaction([STORE, TRASH, ATTACHMENTS], "readwrite");
+  const used = new Set();
+  (await tx.objectStore(STORE).getAll()).forEach((r) => (r.attachments || []).forEach((id) => used.add(id)));
+  (await tx.objectStore(TRASH).getAll()).forEach((t) => (t.record.attachments || []).forEach((id) => used.add(id)));
+  let pruned = 0;
+  for(const id of await tx.objectStore(ATTACHMENTS).getAllKeys()){
+    if(!used.has(id)){
+      await tx.objectStore(ATTACHMENTS).delete(id);
+      pruned++;
+    }
+  }
+  await tx.done;
+  return pruned;
+}
+
+export async function listSettlements(){
+  const db = await getDB();
+  return db.getAll(SETTLEMENTS);
+}
+
+export async function addSettlement(payment){
+  assertValidSettlements([payment]);
+  const db = await getDB();
+  await db.put(SETTLEMENTS, payment);
+}
+
+export async function deleteSettlement(id){
+  const db = await getDB();
+  await db.delete(SETTLEMENTS, id);
+}
+
+// 合併還原：只補上本機沒有的付款紀錄
+export async function addMissingSettlements(payments){
+  assertValidSettlements(payments);
+  const db = await getDB();
+  const tx = db.transaction(SETTLEMENTS, "readwrite");
+  for(const p of payments){
+    if(await tx.store.getKey(p.id) === undefined) await tx.store.put(p);
+  }
+  await tx.done;
+}
+
+export async function listPlans(){
+  const db = await getDB();
+  return db.getAll(PLANS);
+}
+
+export async function putPlan(plan){
+  assertValidPlan(plan);
+  const db = await getDB();
+  await db.put(PLANS, plan);
+}
+
+export async function deletePlan(id){
+  const db = await getDB();
+  await db.delete(PLANS, id);
+}
+
+export async function getLiveSession(){
+  const db = await getDB();
+  return (await db.get(LIVE_STORE, LIVE_ID)) || null;
+}
+
+export async function saveLiveSession(session){
+  const db = await getDB();
+  await db.put(LIVE_STORE, { ...session, id: LIVE_ID });
+}
+
+export async function clearLiveSession(){
+  const db = await getDB();
+  await db.delete(LIVE_STORE, LIVE_ID);
+}
+
+/**
+ * 同步（協定見 server/README.md）
+ * config：{ url, ledger, token }
+ * 流程：上傳 outbox → 有衝突就比 updatedAt，較新的贏 → 下載 since 之後的變更
+ * 回傳 { pushed, pulled, conflicts }
+ */
+export async function syncNow(config){
+  const db = await getDB();
+  const url = config.url.replace(/\/+$/, "");
+  const saved = await db.get(SYNC_META, SYNC_STATE_KEY);
+  const state = saved || { key: SYNC_STATE_KEY, url, ledger: config.ledger, seq: 0, revs: {} };
+  let fresh = !saved;
+  // 換了伺服器或帳本就從頭同步；舊版沒記 url 的當作同一台
+  if(state.ledger !== config.ledger || (state.url && state.url !== url)){
+    Object.assign(state, { ledger: config.ledger, seq: 0, revs: {} });
+    fresh = true;
+  }
+  state.url = url;
+  if(fresh) await queueAllRecords(db);
+
+  const base = `${url}/ledgers/${encodeURIComponent(config.ledger)}/changes`;
+  const headers = { "Content-Type": "application/json" };
+  if(config.token) headers.Authorization = `Bearer ${config.token}`;
+
+  async function request(url, init){
+    const res = await fetch(url, { ...init, headers });
+    const body = await res.json().catch(() => ({}));
+    if(!res.ok) throw new Error(body.error || t("error.syncHttp", { status: res.status }));
+    return body;
+  }
+
+  let pushed = 0, pulled = 0, conflicts = 0;
+
+  // 1. push：衝突時本機較新就以伺服器的 rev 重送，最多重試幾輪
+  for(let round = 0; round < 3; round++){
+    const outbox = await db.getAll(OUTBOX);
+    if(outbox.length === 0) break;
+    const changes = [];
+    for(const e of outbox){
+      const record = e.deleted ? null : await db.get(STORE, e.id);
+      changes.push({
+        id: e.id,
+        baseRev: state.revs[e.id] || 0,
+        deleted: e.deleted || !record,
+        record: record || null,
+        at: e.at,
+      });
+    }
+
+    const { results } = await request(base, { method: "POST", body: JSON.stringify({ changes }) });
+    let retry = false;
+    const tx = db.transaction([STORE, OUTBOX], "readwrite");
+    for(const r of results){
+      const mine = changes.find((c) => c.id === r.id);
+      if(r.status === "ok"){
+        state.revs[r.id] = r.rev;
+        // 送出後又被改過就留著下次再送
+        const cur = await tx.objectStore(OUTBOX).get(r.id);
+        if(cur && cur.at === mine.at) await tx.objectStore(OUTBOX).delete(r.id);
+        pushed++;
+        continue;
+      }
+      conflicts++;
+      // 伺服器沒有這筆時 current 是 { id, rev: 0 }，本機版本一定比較新，下一輪重送
+      const server = r.current;
+      state.revs[r.id] = server.rev;
+      const localStamp = mine.deleted ? mine.at : (mine.record.updatedAt || mine.at);
+      const serverStamp = server.deleted ? server.deletedAt : (server.record?.updatedAt || "");
+      if(localStamp > serverStamp){
+        retry = true;
+      }else{
+        if(server.deleted) await tx.objectStore(STORE).delete(r.id);
+        else await tx.objectStore(STORE).put(server.record);
+        await tx.objectStore(OUTBOX).delete(r.id);
+      }
+    }
+    await tx.done;
+    if(!retry) break;
+  }
+  // 先存一次，就算接下來下載失敗，已上傳的 rev 也不會遺失
+  await db.put(SYNC_META, state);
+
+  // 2. pull
+  const { seq, changes } = await request(`${base}?since=${state.seq}`, { method: "GET" });
+  const pending = new Set(await db.getAllKeys(OUTBOX));
+  const tx = db.transaction(STORE, "readwrite");
+  for(const c of changes){
+    if(pending.has(c.id)) continue;
+    if((state.revs[c.id] || 0) >= c.rev) continue;
+    if(c.deleted) await tx.store.delete(c.id);
+    else await tx.store.put(c.record);
+    state.revs[c.id] = c.rev;
+    pulled++;
+  }
+  await tx.done;
+
+  state.seq = seq;
+  state.lastSyncAt = new Date().toISOString();
+  await db.put(SYNC_META, state);
+  return { pushed, pulled, conflicts };
+}
+
+// 從頭同步時，開始同步前就有的紀錄也要上傳；已經在 outbox 裡的不動
+async function queueAllRecords(db){
+  const now = new Date().toISOString();
+  const tx = db.transaction([STORE, OUTBOX], "readwrite");
+  const queued = new Set(await tx.objectStore(OUTBOX).getAllKeys());
+  for(const r of await tx.objectStore(STORE).getAll()){
+    if(queued.has(r.id)) continue;
+    await tx.objectStore(OUTBOX).put({ id: r.id, deleted: false, at: r.updatedAt || r.createdAt || now });
   }
   await tx.done;
 }
+
+export async function getSyncState(){
+  const db = await getDB();
+  const state = await db.get(SYNC_META, SYNC_STATE_KEY);
+  return { lastSyncAt: state?.lastSyncAt || null, pending: await db.count(OUTBOX) };
+}
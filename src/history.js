@@ -0,0 +1,60 @@
+// 修改紀錄：每次新增/修改/刪除/還原都留一筆 { recordId, at, by, action, before, after, changes }
+
+import { t } from "./i18n.js";
+
+export const TRASH_DAYS = 30;
+
+// 有語系字串的欄位；其他欄位直接顯示欄位名稱
+const FIELDS = new Set(["date", "location", "stake", "hands", "net", "players", "unsettled", "note", "tags", "attachments"]);
+const ACTIONS = new Set(["create", "update", "delete", "restore"]);
+
+// 時間戳記每次存檔都會變，不算「內容有改」
+const IGNORED = new Set(["updatedAt", "createdAt"]);
+
+export function fieldLabel(field){
+  return FIELDS.has(field) ? t(`field.${field}`) : field;
+}
+
+export function actionLabel(action){
+  return ACTIONS.has(action) ? t(`history.action.${action}`) : action;
+}
+
+/** 比較兩個版本，回傳 [{ field, from, to }] */
+export function diffFields(before, after){
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+  keys.forEach((k) => {
+    if(IGNORED.has(k)) return;
+    const a = before?.[k];
+    const b = after?.[k];
+    if(JSON.stringify(a) === JSON.stringify(b)) return;
+    changes.push({ field: k, from: a, to: b });
+  });
+  return changes;
+}
+
+export function historyEntry(action, before, after, by){
+  return {
+    recordId: (after || before).id,
+    at: new Date().toISOString(),
+    by: by || "",
+    action,
+    before: before || null,
+    after: after || null,
+    changes: action === "update" ? diffFields(before, after) : [],
+  };
+}
+
+/** 顯示用：數字、四家陣列轉成短字串 */
+export function formatValue(v, field){
+  if(v === undefined || v === null || v === "") return t("history.empty");
+  if(field === "attachments") return t("history.photos", { n: v.length });
+  if(Array.isArray(v) && v.every((x) => typeof x === "string")) return v.join("、");
+  if(Array.isArray(v)) return v.map((p) => `${p.seat}${p.name || ""} ${p.net}`).join("、");
+  if(typeof v === "boolean") return v ? t("history.yes") : t("history.no");
+  return String(v);
+}
+
+export function isExpired(trashItem, now = new Date(), days = TRASH_DAYS){
+  return now - new Date(trashItem.deletedAt) > days * 24 * 60 * 60 * 1000;
+}
@@ -0,0 +1,123 @@
+// 多語系與金額格式
+// 語言與幣別記在 localStorage；t() 讀目前的語言，切換語言時由 App 重新 render
+
+import zhHant from "./locales/zh-Hant.js";
+import zhHans from "./locales/zh-Hans.js";
+import en from "./locales/en.js";
+import ja from "./locales/ja.js";
+
+const LOCALE_KEY = "xinyi_mahjong_locale";
+
+// intl：給 Intl.NumberFormat / toLocaleString 用的 BCP 47 標籤
+export const LOCALES = [
+  { id: "zh-Hant", label: "繁體中文", intl: "zh-Hant-TW", bundle: zhHant },
+  { id: "zh-Hans", label: "简体中文", intl: "zh-Hans-CN", bundle: zhHans },
+  { id: "en", label: "English", intl: "en", bundle: en },
+  { id: "ja", label: "日本語", intl: "ja-JP", bundle: ja },
+];
+
+export const CURRENCIES = ["TWD", "HKD", "MOP", "CNY", "JPY", "SGD", "MYR", "USD"];
+
+function detectLocale(){
+  const langs = (typeof navigator !== "undefined" && navigator.languages) || [];
+  for(const l of langs){
+    const lower = l.toLowerCase();
+    if(/^zh-(hans|cn|sg)/.test(lower)) return "zh-Hans";
+    if(lower.startsWith("zh")) return "zh-Hant";
+    if(lower.startsWith("ja")) return "ja";
+    if(lower.startsWith("en")) return "en";
+  }
+  return "zh-Hant";
+}
+
+function loadSettings(){
+  try{
+    const s = JSON.parse(localStorage.getItem(LOCALE_KEY) || "null");
+    if(s && LOCALES.some((l) => l.id === s.locale)) return { currency: "TWD", ...s };
+  }catch(e){
+    // 壞掉就用預設
+  }
+  return { locale: detectLocale(), currency: "TWD" };
+}
+
+let settings = loadSettings();
+let formatter = null;
+
+export function getLocaleSettings(){
+  return settings;
+}
+
+export function setLocaleSettings(next){
+  settings = { ...settings, ...next };
+  formatter = null;
+  localStorage.setItem(LOCALE_KEY, JSON.stringify(settings));
+  if(typeof document !== "undefined") document.documentElement.lang = settings.locale;
+}
+
+function current(){
+  return LOCALES.find((l) => l.id === settings.locale) || LOCALES[0];
+}
+
+/** 目前語言的 BCP 47 標籤，給 toLocaleDateString 等用 */
+export function intlLocale(){
+  return current().intl;
+}
+
+/** t("day.count", { n: 3 }) → "共 3 筆"；缺字串時退回繁體中文，再不行就回傳 key */
+export function t(key, vars){
+  const text = current().bundle[key] ?? zhHant[key] ?? key;
+  if(!vars) return text;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
+
+/** schema.js 回傳的問題 { code, params } → 目前語言的文字 */
+export function problemText(p){
+  return t(p.code, p.params);
+}
+
+function describeInvalid(invalid, limit = 10){
+  const lines = invalid.slice(0, limit).map((x) => {
+    const errors = x.errors.map(problemText).join(t("schema.sep"));
+    return x.id
+      ? t("schema.rowWithId", { n: x.index + 1, id: x.id, errors })
+      : t("schema.row", { n: x.index + 1, errors });
+  });
+  if(invalid.length > limit) lines.push(t("schema.more", { n: invalid.length - limit }));
+  return lines.join("\n");
+}
+
+/** 顯示錯誤用：schema.js 丟的錯誤照 code 翻譯並列出有問題的幾筆，其他照原訊息 */
+export function errorText(err){
+  if(err?.name !== "SchemaError") return err?.message ?? String(err);
+  const head = t(err.code, err.params);
+  return err.invalid ? `${head}\n${describeInvalid(err.invalid)}` : head;
+}
+
+function getFormatter(){
+  if(!formatter){
+    formatter = new Intl.NumberFormat(current().intl, {
+      style: "currency",
+      currency: settings.currency,
+      maximumFractionDigits: 0,
+      minimumFractionDigits: 0,
+    });
+  }
+  return formatter;
+}
+
+/**
+ * 金額：formatMoney(-1200) → "-NT$1,200"
+ * 台幣在繁中環境 Intl 只給 "$"，改成大家習慣的 "NT$"
+ */
+export function formatMoney(n, { sign = false } = {}){
+  const v = Math.round(Number(n || 0));
+  const parts = getFormatter().formatToParts(Math.abs(v)).map((p) =>
+    p.type === "currency" && settings.currency === "TWD" && p.value === "$" ? "NT$" : p.value
+  );
+  const prefix = v < 0 ? "-" : sign && v > 0 ? "+" : "";
+  return prefix + parts.join("");
+}
+
+export function currencySymbol(){
+  return formatMoney(0).replace(/[\d\s.,]/g, "");
+}
@@ -0,0 +1,145 @@
+// 賽季與雀神榜：只算有記下對手名字的牌局（record.players）
+// 積分是多人版 Elo：同一場每兩個人比一次，贏的一方依「贏多少」拿到 0.5～1 分
+// - 籌碼：輸贏差距先除以（底＋台）× 將數，大籌碼輸贏大不代表打得比較好
+// - 對手強弱：預期得分由雙方目前積分算出，贏強手加得多、輸弱手扣得多
+// 每季都從 START_RATING 重新算
+
+import { v4 as uuidv4 } from "uuid";
+import { hasPlayers } from "./players.js";
+import { safeParseStake, toDateStr } from "./utils.js";
+import { profileKey } from "./profiles.js";
+import { t } from "./i18n.js";
+
+const SEASONS_KEY = "xinyi_mahjong_seasons";
+
+export const START_RATING = 1500;
+const K = 32;
+// 差距達到這麼多「最小胡」時，得分約 0.73
+const MARGIN_SCALE = 10;
+// 冠軍至少要打幾場，避免只打一場就封神
+export const MIN_GAMES = 3;
+
+export function loadSeasons(){
+  try{
+    const v = JSON.parse(localStorage.getItem(profileKey(SEASONS_KEY)) || "[]");
+    return Array.isArray(v) ? v : [];
+  }catch(e){
+    return [];
+  }
+}
+
+export function saveSeasons(seasons){
+  localStorage.setItem(profileKey(SEASONS_KEY), JSON.stringify(seasons));
+}
+
+/** 新增或修改（有 id 就是修改），回傳 { seasons, season }；開始日比結束日晚時丟錯 */
+export function upsertSeason(seasons, season){
+  const name = String(season.name || "").trim();
+  if(!name) throw new Error(t("league.nameRequired"));
+  if(!/^\d{4}-\d{2}-\d{2}$/.test(season.start || "") || !/^\d{4}-\d{2}-\d{2}$/.test(season.end || "")){
+    throw new Error(t("league.datesRequired"));
+  }
+  if(season.start > season.end) throw new Error(t("league.badRange"));
+  const next = { id: season.id || uuidv4(), name, start: season.start, end: season.end };
+  const others = seasons.filter((s) => s.id !== next.id);
+  return { seasons: sortSeasons([...others, next]), season: next };
+}
+
+/** 新的在前 */
+export function sortSeasons(seasons){
+  return [...seasons].sort((a, b) => b.start.localeCompare(a.start) || b.end.localeCompare(a.end));
+}
+
+export function seasonStatus(season, today = toDateStr(new Date())){
+  if(today < season.start) return "upcoming";
+  if(today > season.end) return "past";
+  return "current";
+}
+
+export function currentSeason(seasons, today = toDateStr(new Date())){
+  return sortSeasons(seasons).find((s) => seasonStatus(s, today) === "current") || null;
+}
+
+// 一把最小的胡（底＋1 台）× 將數，當作這場輸贏的「單位」
+function unitOf(record){
+  const { base, tai } = safeParseStake(record.stake);
+  return Math.max(1, (base + tai) * Math.max(1, Number(record.hands || 1)));
+}
+
+// 「我」那一家沒填名字時用 meName 補上
+function namedPlayers(record, meName){
+  return record.players
+    .map((p) => ({ name: String(p.name || "").trim() || (p.me ? meName : ""), net: Number(p.net || 0) }))
+    .filter((p) => p.name);
+}
+
+/** 季內、至少兩家有名字的牌局，依日期排序 */
+export function seasonGames(records, season, meName = ""){
+  return (records || [])
+    .filter((r) => r.date >= season.start && r.date <= season.end && hasPlayers(r))
+    .map((r) => ({ record: r, players: namedPlayers(r, meName) }))
+    .filter((g) => g.players.length >= 2)
+    .sort((a, b) =>
+      a.record.date.localeCompare(b.record.date) ||
+      (a.record.createdAt || "").localeCompare(b.record.createdAt || "")
+    );
+}
+
+/**
+ * 雀神榜：[{ name, games, total, avg, rating }]，依積分高到低
+ * 場數不到 MIN_GAMES 的排在後面（積分還不穩）
+ */
+export function leagueTable(records, season, meName = ""){
+  const rows = new Map();
+  const row = (name) => {
+    if(!rows.has(name)) rows.set(name, { name, games: 0, total: 0, rating: START_RATING });
+    return rows.get(name);
+  };
+
+  seasonGames(records, season, meName).forEach(({ record, players }) => {
+    const unit = unitOf(record);
+    const k = K / (players.length - 1);
+    // 同一場先算完所有人的變動再一起套用，座位順序不影響結果
+    const delta = new Map(players.map((p) => [p.name, 0]));
+    for(let i = 0; i < players.length; i++){
+      for(let j = i + 1; j < players.length; j++){
+        const a = players[i], b = players[j];
+        const ra = row(a.name).rating, rb = row(b.name).rating;
+        const expected = 1 / (1 + 10 ** ((rb - ra) / 400));
+        const score = 1 / (1 + Math.exp(-(a.net - b.net) / (MARGIN_SCALE * unit)));
+        delta.set(a.name, delta.get(a.name) + k * (score - expected));
+        delta.set(b.name, delta.get(b.name) - k * (score - expected));
+      }
+    }
+    players.forEach((p) => {
+      const r = row(p.name);
+      r.games++;
+      r.total += p.net;
+      r.rating += delta.get(p.name);
+    });
+  });
+
+  return [...rows.values()]
+    .map((r) => ({ ...r, avg: Math.round(r.total / r.games), rating: Math.round(r.rating) }))
+    .sort((a, b) =>
+      (b.games >= MIN_GAMES) - (a.games >= MIN_GAMES) ||
+      b.rating - a.rating ||
+      b.total - a.total
+    );
+}
+
+/** 冠軍：場數夠的人裡積分最高；沒有人打夠場數就從缺 */
+export function championOf(table){
+  const top = table[0];
+  return top && top.games >= MIN_GAMES ? top : null;
+}
+
+/** 已結束的賽季與冠軍，新的在前：[{ season, champion, players }] */
+export function championHistory(records, seasons, meName = "", today = toDateStr(new Date())){
+  return sortSeasons(seasons)
+    .filter((s) => seasonStatus(s, today) === "past")
+    .map((season) => {
+      const table = leagueTable(records, season, meName);
+      return { season, champion: championOf(table), players: table.length };
+    });
+}
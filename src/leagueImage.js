@@ -0,0 +1,92 @@
+// 雀神榜轉成 PNG，給群組聊天用
+
+import { t, formatMoney } from "./i18n.js";
+
+const SCALE = 2; // 手機螢幕高解析，畫兩倍大
+const WIDTH = 560;
+const PAD = 20;
+const ROW = 34;
+const MEDALS = ["🥇", "🥈", "🥉"];
+
+// 欄位：標題（語系字串）、x 位置、對齊
+const COLUMNS = [
+  { titleKey: "league.col.rank", x: PAD, align: "left" },
+  { titleKey: "league.col.name", x: PAD + 40, align: "left" },
+  { titleKey: "league.col.games", x: 300, align: "right" },
+  { titleKey: "league.col.total", x: 400, align: "right" },
+  { titleKey: "league.col.avg", x: 470, align: "right" },
+  { titleKey: "league.col.rating", x: WIDTH - PAD, align: "right" },
+];
+
+function fit(ctx, text, maxWidth){
+  if(ctx.measureText(text).width <= maxWidth) return text;
+  let s = text;
+  while(s.length > 1 && ctx.measureText(`${s}…`).width > maxWidth) s = s.slice(0, -1);
+  return `${s}…`;
+}
+
+/** rows 同 league.js 的 leagueTable；回傳 PNG Blob */
+export async function standingsImage({ theme, title, subtitle, rows, footnote }){
+  const height = PAD * 2 + 56 + ROW * (rows.length + 1) + (footnote ? 28 : 0);
+  const canvas = document.createElement("canvas");
+  canvas.width = WIDTH * SCALE;
+  canvas.height = height * SCALE;
+  const ctx = canvas.getContext("2d");
+  ctx.scale(SCALE, SCALE);
+  const font = (size, weight = 400) =>
+    `${weight} ${size}px -apple-system, "PingFang TC", "Noto Sans TC", sans-serif`;
+
+  ctx.fillStyle = theme.bg;
+  ctx.fillRect(0, 0, WIDTH, height);
+
+  ctx.fillStyle = theme.text;
+  ctx.font = font(22, 800);
+  ctx.textBaseline = "top";
+  ctx.fillText(title, PAD, PAD);
+  ctx.fillStyle = theme.subtext;
+  ctx.font = font(13);
+  ctx.fillText(subtitle, PAD, PAD + 30);
+
+  let y = PAD + 56;
+  ctx.textBaseline = "middle";
+  ctx.font = font(12, 700);
+  ctx.fillStyle = theme.muted;
+  COLUMNS.forEach((c) => {
+    ctx.textAlign = c.align;
+    ctx.fillText(t(c.titleKey), c.x, y + ROW / 2);
+  });
+
+  rows.forEach((r, i) => {
+    y += ROW;
+    ctx.fillStyle = i % 2 === 0 ? theme.panel : theme.bg;
+    ctx.fillRect(PAD / 2, y, WIDTH - PAD, ROW);
+    const cells = [
+      MEDALS[i] || String(i + 1),
+      r.name,
+      String(r.games),
+      formatMoney(r.total, { sign: true }),
+      formatMoney(r.avg, { sign: true }),
+      String(r.rating),
+    ];
+    cells.forEach((text, ci) => {
+      const c = COLUMNS[ci];
+      ctx.textAlign = c.align;
+      ctx.font = font(14, ci === 1 || ci === 5 ? 800 : 500);
+      ctx.fillStyle = ci === 3 || ci === 4
+        ? (r[ci === 3 ? "total" : "avg"] >= 0 ? theme.good : theme.bad)
+        : theme.text;
+      ctx.fillText(ci === 1 ? fit(ctx, text, 220) : text, c.x, y + ROW / 2);
+    });
+  });
+
+  if(footnote){
+    ctx.textAlign = "left";
+    ctx.font = font(11);
+    ctx.fillStyle = theme.muted;
+    ctx.fillText(footnote, PAD, y + ROW + 16);
+  }
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+  if(!blob) throw new Error(t("league.imageFailed"));
+  return blob;
+}
@@ -0,0 +1,75 @@
+// 舊版 index.html（localStorage）資料搬移
+// 舊格式：{ "2025-03-07": { chip, place, hands, win, lose, net, updatedAt }, ... }
+
+export const LEGACY_KEY = "xinyi_mahjong_v1";
+export const LEGACY_MIGRATED_KEY = "xinyi_mahjong_v1_migrated";
+
+const DEFAULT_STAKE = "30/10";
+
+function readJSON(key){
+  try{
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  }catch(e){
+    return null;
+  }
+}
+
+function toInt(v){
+  const n = parseInt(String(v ?? "").replace(/[^\d-]/g, ""), 10);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function normalizeStake(chip){
+  const cleaned = String(chip || "").replace(/\s+/g, "").replace("-", "/");
+  return /^\d+\/\d+$/.test(cleaned) ? cleaned : DEFAULT_STAKE;
+}
+
+/** 讀取舊版資料；沒有或格式壞掉就回傳 null */
+export function readLegacyLedger(){
+  const data = readJSON(LEGACY_KEY);
+  if(!data || typeof data !== "object" || Array.isArray(data)) return null;
+  return data;
+}
+
+/** 是否有尚未處理（匯入或略過）的舊版資料 */
+export function hasPendingLegacy(){
+  if(readJSON(LEGACY_MIGRATED_KEY)) return false;
+  const data = readLegacyLedger();
+  return !!data && Object.keys(data).length > 0;
+}
+
+/**
+ * 舊格式 → records store 的格式。
+ * id 由日期決定（舊版一天只有一筆），重複匯入時已經有的 id 會略過，不會覆蓋也不會多出來。
+ */
+export function legacyToRecords(data){
+  const now = new Date().toISOString();
+  return Object.entries(data || {})
+    .filter(([date, rec]) => /^\d{4}-\d{2}-\d{2}$/.test(date) && rec && typeof rec === "object")
+    .map(([date, rec]) => {
+      const win = Math.max(0, toInt(rec.win));
+      const lose = Math.max(0, toInt(rec.lose));
+      const stamp = rec.updatedAt || now;
+      return {
+        id: `legacy-${date}`,
+        date,
+        location: String(rec.place || "").trim(),
+        stake: normalizeStake(rec.chip),
+        hands: Math.max(1, toInt(rec.hands) || 1),
+        net: win - lose,
+        // 保留舊版的贏/輸拆分，日後有爭議可以對照
+        legacy: { win, lose },
+        createdAt: stamp,
+        updatedAt: stamp,
+      };
+    });
+}
+
+/** 記錄已處理過，之後不再詢問；舊資料本身保留不刪 */
+export function markLegacyMigrated(info){
+  localStorage.setItem(LEGACY_MIGRATED_KEY, JSON.stringify({
+    at: new Date().toISOString(),
+    ...info
+  }));
+}
@@ -0,0 +1,109 @@
+// 輸錢上限與提醒：月/年淨輸上限、單場上限、每週最多幾場、冷靜期
+// 「輸」一律以期間內淨值合計計算（贏的會抵掉輸的），上限 0 表示不啟用
+
+import { toDateStr } from "./utils.js";
+import { t, formatMoney } from "./i18n.js";
+import { profileKey } from "./profiles.js";
+import { totals } from "./calc.js";
+import { weekRange } from "./calendar.js";
+
+const LIMITS_KEY = "xinyi_mahjong_limits";
+
+// labelKey：設定畫面用；shortKey：進度條與提醒用（都是語系字串的 key）
+export const LIMIT_DEFS = [
+  { id: "monthlyLoss", labelKey: "limits.monthlyLoss", shortKey: "limits.short.monthlyLoss", unit: "money" },
+  { id: "yearlyLoss", labelKey: "limits.yearlyLoss", shortKey: "limits.short.yearlyLoss", unit: "money" },
+  { id: "sessionLoss", labelKey: "limits.sessionLoss", shortKey: "limits.short.sessionLoss", unit: "money" },
+  { id: "weeklySessions", labelKey: "limits.weeklySessions", shortKey: "limits.short.weeklySessions", unit: "sessions" },
+];
+
+export function formatLimitValue(def, v){
+  return def.unit === "money" ? formatMoney(v) : t("limits.sessions", { n: v });
+}
+
+export const DEFAULT_LIMITS = {
+  monthlyLoss: 0,
+  yearlyLoss: 0,
+  sessionLoss: 0,
+  weeklySessions: 0,
+  // 距離上一場不到幾小時就要再確認一次
+  cooldownHours: 0,
+  // 用到上限的幾成開始提醒
+  warnRatio: 0.8,
+};
+
+export function loadLimits(){
+  try{
+    return { ...DEFAULT_LIMITS, ...JSON.parse(localStorage.getItem(profileKey(LIMITS_KEY)) || "{}") };
+  }catch(e){
+    return { ...DEFAULT_LIMITS };
+  }
+}
+
+export function saveLimits(limits){
+  localStorage.setItem(profileKey(LIMITS_KEY), JSON.stringify(limits));
+}
+
+function lossOf(records){
+  return Math.max(0, -totals(records).net);
+}
+
+/** 以 dateStr 所在的月/年/週計算各項用量：{ monthlyLoss, yearlyLoss, weeklySessions } */
+function usage(records, dateStr){
+  const [wStart, wEnd] = weekRange(dateStr);
+  return {
+    monthlyLoss: lossOf(records.filter((r) => r.date.slice(0, 7) === dateStr.slice(0, 7))),
+    yearlyLoss: lossOf(records.filter((r) => r.date.slice(0, 4) === dateStr.slice(0, 4))),
+    weeklySessions: records.filter((r) => r.date >= wStart && r.date <= wEnd).length,
+  };
+}
+
+/** StatCard 下方的進度：只回傳有啟用的上限 [{ id, label, unit, used, cap, ratio }] */
+export function limitProgress(records, limits, now = new Date()){
+  const u = usage(records || [], toDateStr(now));
+  return LIMIT_DEFS
+    .filter((def) => def.id !== "sessionLoss" && limits[def.id] > 0)
+    .map((def) => ({
+      ...def,
+      used: u[def.id],
+      cap: limits[def.id],
+      ratio: u[def.id] / limits[def.id],
+    }));
+}
+
+/**
+ * 儲存前檢查：把 record 放進紀錄（修改就取代舊版）後，有沒有超過或接近上限
+ * 回傳 [{ level: "over" | "near", message }]
+ */
+export function checkRecord(records, record, limits){
+  const others = (records || []).filter((r) => r.id !== record.id);
+  const before = usage(others, record.date);
+  const after = usage([...others, record], record.date);
+  const warnings = [];
+  const ratio = limits.warnRatio || DEFAULT_LIMITS.warnRatio;
+
+  LIMIT_DEFS.forEach((def) => {
+    const cap = limits[def.id];
+    if(!(cap > 0)) return;
+    const used = def.id === "sessionLoss" ? Math.max(0, -Number(record.net || 0)) : after[def.id];
+    const prev = def.id === "sessionLoss" ? 0 : before[def.id];
+    // 這次沒有讓情況變糟就不提醒（例如修改一筆贏錢的紀錄）
+    if(used <= prev && def.id !== "sessionLoss") return;
+    const vars = { what: t(def.shortKey), used: formatLimitValue(def, used), cap: formatLimitValue(def, cap) };
+    if(used > cap) warnings.push({ level: "over", message: t("limits.over", vars) });
+    else if(used >= cap * ratio) warnings.push({ level: "near", message: t("limits.near", vars) });
+  });
+  return warnings;
+}
+
+/** 冷靜期：距離上一筆新增的紀錄不到 cooldownHours 小時，回傳還剩幾小時，否則 null */
+export function cooldownRemaining(records, limits, now = new Date()){
+  if(!(limits.cooldownHours > 0)) return null;
+  const last = (records || [])
+    .map((r) => r.createdAt || "")
+    .sort()
+    .pop();
+  if(!last) return null;
+  const hours = (now - new Date(last)) / 3600000;
+  return hours < limits.cooldownHours ? Math.ceil(limits.cooldownHours - hours) : null;
+}
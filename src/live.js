@@ -0,0 +1,91 @@
+// 即時計分：牌局只存「開局設定 + 每手結果」，目前的圈風/莊家/連莊/各家輸贏都由 replay 推出
+// 這樣撤銷上一手只要把最後一筆拿掉即可
+
+import { SEATS } from "./players.js";
+
+export const WINDS = ["東", "南", "西", "北"];
+
+export function createSession({ date, location, stake, names, me, startDealer }){
+  return {
+    date,
+    location: String(location || "").trim(),
+    stake,
+    names: SEATS.map((_, i) => String(names?.[i] || "").trim()),
+    me: Number(me || 0),
+    startDealer: Number(startDealer || 0),
+    hands: [],
+    startedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * 一手的結果
+ * - type "win"：winner 胡牌，deltas 是四家這手的輸贏
+ * - type "draw"：流局，莊家連莊，沒有輸贏
+ */
+export function winHand({ winner, discarder, tai, deltas }){
+  return { type: "win", winner, discarder, tai, deltas, at: new Date().toISOString() };
+}
+
+export function drawHand(){
+  return { type: "draw", deltas: [0, 0, 0, 0], at: new Date().toISOString() };
+}
+
+/** 從頭重播，算出目前狀態 */
+export function replay(session){
+  let wind = 0;
+  let dealer = session.startDealer;
+  let streak = 0;
+  let passes = 0; // 這一圈已經下莊幾次
+  let completedRounds = 0;
+  let jiangHands = 0; // 這一將已經打了幾手
+  const balances = [0, 0, 0, 0];
+
+  (session.hands || []).forEach((h) => {
+    h.deltas.forEach((d, i) => { balances[i] += Number(d || 0); });
+    jiangHands++;
+    if(h.type === "draw" || h.winner === dealer){
+      streak++;
+      return;
+    }
+    streak = 0;
+    dealer = (dealer + 1) % 4;
+    passes++;
+    if(passes === 4){
+      passes = 0;
+      completedRounds++;
+      wind = (wind + 1) % 4;
+      if(completedRounds % 4 === 0) jiangHands = 0;
+    }
+  });
+
+  return { wind, dealer, streak, completedRounds, jiangHands, balances };
+}
+
+/** 一將四圈；已經開打的將也算一將（剛打完第四圈、還沒開下一將時不多算），最少一將 */
+export function handsFromRounds(completedRounds, jiangHands){
+  return Math.max(1, Math.floor(completedRounds / 4) + (jiangHands > 0 ? 1 : 0));
+}
+
+/** 結束牌局 → 一般紀錄 */
+export function sessionToRecord(session, { id, now }){
+  const state = replay(session);
+  const players = SEATS.map((seat, i) => ({
+    seat,
+    name: session.names[i],
+    net: state.balances[i],
+    me: i === session.me,
+  }));
+  return {
+    id,
+    date: session.date,
+    location: session.location,
+    stake: session.stake,
+    hands: handsFromRounds(state.completedRounds, state.jiangHands),
+    net: state.balances[session.me],
+    players,
+    handLog: session.hands,
+    createdAt: session.startedAt || now,
+    updatedAt: now,
+  };
+}
@@ -0,0 +1,613 @@
+// English
+export default {
+  "app.title": "Xinyi Squad Mahjong",
+  "app.subtitle": "Log each day's net result and edit it any time. Data stays in this browser; back it up and restore it whenever you like.",
+  "app.footer":
+    "Tip: to let friends keep their own records, just send them the link. Their data stays on their own phones and is not shared. To share one ledger, run the sync server on your own NAS (see server/README.md) and enter the same ledger name under Sync.",
+  "app.thisDevice": "This device",
+  "app.leader": "🏆 {season} champion so far: {name}",
+
+  "result.win": "Win",
+  "result.loss": "Loss",
+  "result.draw": "Even",
+
+  "common.close": "Close",
+  "common.cancel": "Cancel",
+  "common.skip": "Skip",
+  "common.undo": "Undo",
+  "common.noLocation": "No venue",
+  "common.stake": "Stake {stake}",
+  "common.hands": "{n} rounds",
+  "common.me": "Me",
+
+  "settings.language": "Language",
+  "settings.currency": "Currency",
+  "profile.switch": "Ledger",
+  "profile.manage": "Manage ledgers…",
+  "profile.defaultName": "My ledger",
+
+  "legacy.title": "Old records found",
+  "legacy.body": "This device has results saved by the old single-page version. Import them? This runs once and never overwrites existing records.",
+  "legacy.import": "Import old records",
+  "legacy.imported": "Imported {n} old records",
+  "legacy.confirmSkip": "You won't be asked again (the old data stays in the browser). Skip?",
+
+  "reminder.title": "Time to back up",
+  "reminder.never": "You have never made a backup",
+  "reminder.days": "No backup for {n} days",
+  "reminder.tail": ". If the browser data is cleared, it's gone for good.",
+
+  "live.inProgress": "Game in progress",
+  "live.summary": "{date}・{location}・{n} hands played",
+  "live.resume": "Back to game",
+
+  "stats.win": "Won ({scope})",
+  "stats.loss": "Lost ({scope})",
+  "stats.net": "Net",
+  "stats.receivable": "To receive",
+  "stats.payable": "To pay",
+  "calendar.hint": "Tap a date to view or add that day's records",
+  "calendar.view.month": "Month",
+  "calendar.view.quarter": "3 months",
+  "calendar.view.year": "Year",
+  "calendar.view.week": "Weeks",
+  "calendar.year": "{year}",
+  "calendar.legendLoss": "Loss",
+  "calendar.legendWin": "Win",
+  "calendar.byWeekday": "By weekday",
+  "calendar.byMonth": "By month",
+  "calendar.noRecords": "No records",
+  "calendar.weekSessions": "{n} games",
+
+  "action.add": "Add record",
+  "action.live": "Start game",
+  "action.liveActive": "Game on",
+  "action.dashboard": "Stats",
+  "action.allRecords": "All records",
+  "action.scan": "Scan",
+  "action.settle": "Settle up",
+  "action.league": "League",
+  "action.plans": "Plan a game",
+  "action.plansCount": "Planned ({n})",
+  "action.venues": "Venues",
+  "action.limits": "Limits",
+  "action.backup": "Backup",
+  "action.backupDue": "Backup ●",
+  "action.restore": "Restore",
+  "action.exportCsv": "Export CSV",
+  "action.sync": "Sync",
+  "action.importCsv": "Import CSV",
+  "action.snapshots": "Snapshots",
+  "action.trash": "Trash",
+  "action.trashCount": "Trash ({n})",
+
+  "day.title": "Records on {date}",
+  "day.count": "{n} total",
+  "day.empty": "No records for this day yet. Tap “Add record” to create one.",
+  "day.share": "Share",
+  "day.edit": "Edit",
+  "day.history": "History",
+  "day.delete": "Delete",
+  "plan.marker": "Game planned",
+  "plan.title": "Planned game: {what}",
+  "plan.going": "{n}/{total} coming",
+  "plan.convert": "Record it",
+  "plan.open": "View",
+
+  "toast.saved": "Changes saved",
+  "toast.created": "Record added",
+  "toast.trashed": "Moved to trash",
+
+  "confirm.overLimit": "{messages}\n\nSave anyway?",
+  "confirm.cooldown": "Less than {limit} hours since your last game (about {n} hours left). Log another one anyway?",
+  "confirm.sharedAgain": "This game was already imported. Add it again?",
+  "confirm.restoreAllProfiles": "This backup contains {n} ledgers: {names}.\n\nEach one will be fully replaced by the backup (missing ones are added). Restore?",
+  "alert.snapshotError": "Couldn't read the snapshot: {error}",
+  "alert.backupError": "Couldn't read the backup: {error}",
+  "alert.imported": "Imported {n} records",
+
+  "form.new": "New record",
+  "form.edit": "Edit record",
+  "form.date": "Date: {date}",
+  "form.location": "Venue",
+  "form.locationPlaceholder": "e.g. Ming's place",
+  "form.stake": "Stake (base/tai)",
+  "form.custom": "Custom",
+  "form.base": "Base",
+  "form.tai": "Tai",
+  "form.currentStake": "Stake: {stake}",
+  "form.hands": "How many rounds?",
+  "form.handsHint": "One round (將) is four winds",
+  "form.net": "Net for the day ({currency})",
+  "form.netHint": "Positive if you won, negative if you lost, 0 if even",
+  "form.calc": "Tai calculator",
+  "form.calcHint": "Pick the patterns to get this hand's tai and payout, then add it to the net",
+  "form.calcOpen": "Open calculator",
+  "form.calcClose": "Hide calculator",
+  "form.players": "All four players (optional)",
+  "form.playersHint": "Record each player's result; the four should add up to 0. The seat marked “Me” fills in the net above.",
+  "form.withPlayers": "Record all four",
+  "form.unsettled": "Not settled yet (counts toward to receive/to pay)",
+  "form.note": "Notes",
+  "form.notePlaceholder": "e.g. got self-drawn on three times in the last round",
+  "form.tags": "Tags",
+  "form.tagsHint": "Separate with commas or spaces, e.g. newyear office",
+  "form.photos": "Photos",
+  "form.photosHint": "e.g. the score sheet. Compressed and stored on this device only; not synced.",
+  "form.save": "Save changes",
+  "form.create": "Save this game",
+  "form.confirmSum": "The four players add up to {sum}, not 0. Something may be off. Save anyway?",
+  "form.playerName": "Name",
+  "form.playersSum": "Sum of four: {sum}",
+  "form.shouldBeZero": " (should be 0)",
+
+  "scope.type.year": "Year",
+  "scope.type.month": "Month",
+  "scope.type.last30": "Last 30 days",
+  "scope.type.last90": "Last 90 days",
+  "scope.type.range": "Custom range",
+  "scope.type.all": "All time",
+  "scope.thisYear": "this year",
+  "scope.year": "{year}",
+  "scope.lastDays": "last {n} days",
+  "scope.all": "all time",
+  "search.sort.dateDesc": "Date (newest first)",
+  "search.sort.dateAsc": "Date (oldest first)",
+  "search.sort.netDesc": "Biggest wins",
+  "search.sort.netAsc": "Biggest losses",
+  "records.title": "All records",
+  "records.searchPlaceholder": "Search venue, notes, tags",
+  "records.filter": "Filter",
+  "records.allStakes": "All stakes",
+  "records.minHands": "Min rounds",
+  "records.maxHands": "Max rounds",
+  "records.clear": "Clear filters",
+  "records.summary": "{n} records · total",
+
+  "limits.title": "Limits & reminders",
+  "limits.intro": "Set yourself some boundaries. Losses are counted by net result (wins offset losses); 0 turns a limit off. Going over asks you to confirm before saving, and you get a heads-up when you're getting close.",
+  "limits.monthlyLoss": "Monthly loss limit",
+  "limits.yearlyLoss": "Yearly loss limit",
+  "limits.sessionLoss": "Per-game loss limit",
+  "limits.weeklySessions": "Max games per week",
+  "limits.short.monthlyLoss": "Net loss this month",
+  "limits.short.yearlyLoss": "Net loss this year",
+  "limits.short.sessionLoss": "Lost this game",
+  "limits.short.weeklySessions": "Games this week",
+  "limits.sessions": "{n} games",
+  "limits.over": "Over limit: {what} {used} (limit {cap})",
+  "limits.near": "Close to limit: {what} {used} (limit {cap})",
+  "limits.cooldown": "Cool-down (hours)",
+  "limits.cooldownHint": "If the last game was less than this long ago, you'll be asked to confirm before logging another",
+
+  "history.title": "Edit history",
+  "history.none": "This record was created before history tracking existed, so there is no history yet.",
+  "history.unknown": "unknown",
+  "history.empty": "(empty)",
+  "history.photos": "{n} photos",
+  "history.yes": "Yes",
+  "history.no": "No",
+  "history.action.create": "Created",
+  "history.action.update": "Edited",
+  "history.action.delete": "Deleted",
+  "history.action.restore": "Restored",
+  "field.date": "Date",
+  "field.location": "Venue",
+  "field.stake": "Stake",
+  "field.hands": "Rounds",
+  "field.net": "Net",
+  "field.players": "Players",
+  "field.unsettled": "Unsettled",
+  "field.note": "Note",
+  "field.tags": "Tags",
+  "field.attachments": "Photos",
+
+  "live.title": "Live scoring",
+  "live.leave": "Leave for now",
+  "live.stakeHint": "e.g. 30/10",
+  "live.players": "Players",
+  "live.playersHint": "Mark your own seat; East deals first by default",
+  "live.startDealer": "First dealer",
+  "live.start": "Start",
+  "live.badStake": "Enter the stake as number/number, e.g. 30/10",
+  "live.confirmUndo": "Undo the last hand?",
+  "live.round": "{wind} round · {seat} deals",
+  "live.streak": "{n} in a row",
+  "live.progress": "{n} hands · {rounds} winds done ({hands} rounds)",
+  "live.meMark": " (me)",
+  "live.dealerMark": " · dealer",
+  "live.thisHand": "This hand",
+  "live.recordHand": "Record this hand",
+  "live.draw": "Draw",
+  "live.undo": "Undo last hand",
+  "live.handLog": "Hand log",
+  "live.selfDrawn": "{winner} self-drawn · {tai} tai",
+  "live.won": "{winner} won off {discarder} · {tai} tai",
+  "live.finish": "Finish and save as record",
+  "live.noHands": "No hands recorded yet",
+  "live.confirmFinish": "Finish the game and save it as a record?",
+  "live.discard": "Discard game",
+  "live.confirmDiscard": "All scoring for this game will be cleared. Discard it?",
+
+  "dashboard.title": "Stats",
+  "dashboard.empty": "No records yet.",
+  "dashboard.winRate": "Win rate",
+  "dashboard.lossRate": "Loss rate",
+  "dashboard.drawRate": "Even",
+  "dashboard.perHand": "Avg per round",
+  "dashboard.best": "Biggest win",
+  "dashboard.worst": "Biggest loss",
+  "dashboard.current": "Current streak",
+  "dashboard.winStreak": "{n}-game win streak",
+  "dashboard.lossStreak": "{n}-game losing streak",
+  "dashboard.longestWin": "Longest win streak",
+  "dashboard.longestLoss": "Longest losing streak",
+  "dashboard.games": "{n} games",
+  "dashboard.cumulative": "Cumulative net",
+  "dashboard.monthly": "Monthly totals",
+  "dashboard.byVenue": "By venue",
+  "dashboard.byStake": "By stake",
+  "dashboard.pointTitle": "{date}: {net} (running total {total})",
+  "dashboard.col.item": "Item",
+  "dashboard.col.games": "Games",
+  "dashboard.col.total": "Total",
+  "dashboard.col.avg": "Average",
+
+  "venues.title": "Venues",
+  "venues.back": "Back",
+  "venues.similar": "Possibly the same place",
+  "venues.similarHint": "These differ only in spaces or full/half-width characters. Merging rewrites the venue on every record.",
+  "venues.mergeInto": "Merge into “{name}”",
+  "venues.sortSessions": "Most visited",
+  "venues.sortNet": "Biggest losses",
+  "venues.empty": "No records with a venue yet",
+  "venues.summary": "{n} games · last {date}",
+  "venues.favorite": "Add to favorites",
+  "venues.unfavorite": "Remove from favorites",
+  "venues.sessions": "Games",
+  "venues.total": "Total net",
+  "venues.avg": "Avg per game",
+  "venues.topStake": "Most played stake",
+  "venues.withCount": "{name} ({n} games)",
+  "venues.rename": "Rename",
+  "venues.renameHint": "Every record at this venue is updated",
+  "venues.mergeHere": "Merge another venue into this one",
+  "venues.pick": "Choose a venue",
+  "venues.merge": "Merge",
+  "venues.confirmMerge": "Change every record at “{from}” to “{to}”?",
+  "venues.records": "Records",
+
+  "settle.title": "Settle up",
+  "settle.intro": "Only records marked “not settled yet” with player names count here. This tracks cash between people, separately from your results.",
+  "settle.received": "Received",
+  "settle.paid": "Paid",
+  "settle.unnamed": "{n} unsettled records are missing names; players without a name are left out.",
+  "settle.friends": "Between {me} and friends",
+  "settle.allClear": "All settled",
+  "settle.owesYou": "{name} owes you",
+  "settle.youOwe": "You owe {name}",
+  "settle.transfers": "Fewest transfers",
+  "settle.transfersHint": "Balances for the whole group, cleared with the fewest transfers",
+  "settle.nothing": "Nothing to settle",
+  "settle.markPaid": "Mark paid",
+  "settle.payments": "Payments",
+  "settle.confirmDelete": "Delete this payment?",
+  "settle.pays": "{from} pays {to}",
+  "settle.notePlaceholder": "Note, e.g. LINE Pay",
+  "settle.confirmPaid": "Confirm payment",
+  "settle.partial": "{amount} outstanding; you can pay part of it",
+
+  "csv.title": "CSV import",
+  "csv.file": "Choose file",
+  "csv.fileHint": "Save as CSV (UTF-8) from Google Sheets or Excel",
+  "csv.rows": "{name}: {n} rows",
+  "csv.column": "Column {n}",
+  "csv.mapping": "Column mapping",
+  "csv.hasHeader": "First row is a header",
+  "csv.skip": "(skip)",
+  "csv.preview": "Preview",
+  "csv.previewHint": "{good} ready to import; {bad} rows with problems (skipped)",
+  "csv.missing": "Map these first: {fields}",
+  "csv.line": "Row",
+  "csv.first200": "Showing the first 200 rows only",
+  "csv.import": "Import {n}",
+  "csv.confirmPartial": "{bad} rows couldn't be read. Import the other {good}?",
+  "csv.badDate": "Unreadable date: \"{value}\"",
+  "csv.badNet": "Net is not a number: \"{value}\"",
+  "csv.badStake": "Stake should be base/tai: \"{value}\"",
+  "csv.badHands": "Invalid number of hands: \"{value}\"",
+
+  "tags.clear": "Clear filter",
+  "restore.title": "Restore backup",
+  "restore.count": "The backup has {n} records",
+  "restore.exportedAt": ", exported on {date}",
+  "restore.merge": "Merge",
+  "restore.replace": "Replace everything",
+  "restore.replaceWarning": "All {n} records on this device will be deleted and replaced with the backup.",
+  "restore.replaceButton": "Delete local data and restore",
+  "restore.confirmReplace": "This overwrites all current data. Restore anyway?",
+  "restore.added": "New",
+  "restore.updated": "Updated",
+  "restore.unchanged": "Unchanged",
+  "restore.kept": "Keep local version",
+  "restore.onlyLocal": "Only on this device",
+  "restore.conflicts": "Changed on both sides (newer one kept by default)",
+  "restore.local": "This device",
+  "restore.incoming": "Backup",
+  "restore.mergeButton": "Merge (write {n})",
+  "backup.title": "Backup",
+  "backup.intro": "The backup contains all your wins and losses. Encrypt it if you'll send it over LINE or keep it in the cloud.",
+  "backup.thisProfile": "Only the current ledger \"{name}\"",
+  "backup.allProfiles": "All ledgers on this device ({n})",
+  "backup.encrypt": "Encrypt with a password",
+  "backup.withPhotos": "Include photos",
+  "backup.noPhotosHint": "Much smaller file. When restoring from it, photos already on the device are kept and others are not restored.",
+  "backup.pass": "Password",
+  "backup.passHint": "If you forget the password the backup can't be restored, and the app can't recover it",
+  "backup.passAgain": "Enter it again",
+  "backup.passTooShort": "The password needs at least 4 characters",
+  "backup.passMismatch": "The passwords don't match",
+  "backup.busy": "Working…",
+  "backup.download": "Download backup",
+  "backup.encryptedTitle": "Encrypted backup",
+  "backup.enterPass": "Enter the password set when backing up",
+  "backup.decrypting": "Decrypting…",
+  "backup.decrypt": "Decrypt",
+  "error.noCrypto": "This browser doesn't support encryption (the app must be opened over HTTPS)",
+  "error.passRequired": "Please enter the password",
+  "error.encryptedCorrupt": "The encrypted backup is corrupted",
+  "error.notEncrypted": "This is not an encrypted backup",
+  "error.encryptedVersion": "Unsupported encryption format v{v}; please update the app",
+  "error.wrongPass": "Wrong password, or the file is corrupted",
+  "error.needsPass": "This backup is encrypted and needs a password",
+  "error.badJson": "The backup is not valid JSON",
+  "error.allProfilesBackup": "This is a backup of all ledgers; restore it as a whole",
+  "error.badBackup": "Invalid backup format",
+  "error.badBackupRecords": "The backup contains invalid records ({n}):",
+  "error.badImage": "Can't read this image",
+  "error.compressFailed": "Couldn't compress the image",
+  "error.badAttachment": "Invalid attachment data",
+  "error.badShareCode": "Can't read this share code",
+  "error.shareVersion": "Unsupported share code version",
+  "error.badShare": "The shared record is invalid: {errors}",
+  "error.notInTrash": "This record isn't in the trash",
+  "error.noSnapshot": "Snapshot not found",
+  "error.syncHttp": "Sync failed (HTTP {status})",
+
+  "snapshots.title": "Automatic snapshots",
+  "snapshots.intro": "A copy is saved the first time you open the app each day; the last {days} days and {weeks} weeks are kept. Snapshots live in the same browser as your records and disappear with them if browser data is cleared, so keep making manual backups.",
+  "snapshots.list": "Snapshots",
+  "snapshots.empty": "No snapshots yet (one is taken tomorrow once you have records)",
+  "snapshots.kind.daily": "Daily",
+  "snapshots.kind.weekly": "Weekly",
+  "snapshots.records": "{n} records",
+  "snapshots.payments": "{n} payments",
+  "snapshots.restore": "Restore",
+  "snapshots.reminder": "Backup reminder",
+  "snapshots.reminderHint": "Remind me after this many days without a manual backup (0 turns it off)",
+  "snapshots.lastBackup": "Last manual backup: {at}",
+  "snapshots.never": "never",
+  "snapshots.persist": "Persistent storage",
+  "snapshots.persisted": "On: the browser won't clear this data when space runs low",
+  "snapshots.notPersisted": "Off: the browser may clear data when space runs low. Adding the app to your home screen first usually makes it easier to get.",
+  "snapshots.requestPersist": "Request persistent storage",
+  "scan.title": "Scan to import",
+  "scan.camera": "Scan a QR code with the camera",
+  "scan.openCamera": "Open camera",
+  "scan.paste": "Or paste a share link",
+  "scan.read": "Read",
+  "scan.whichSeat": "Which seat were you?",
+  "scan.sharer": " (sharer)",
+  "scan.yourNet": "Your result",
+  "scan.yourNetHint": "The shared record only has the sender's own net",
+  "scan.opposite": "Opposite of theirs",
+  "scan.same": "Same as theirs",
+  "scan.add": "Add to my records",
+  "scan.pickSeat": "Pick your seat first",
+  "scan.again": "Scan again",
+  "scan.noCamera": "Can't use the camera; paste the link instead",
+  "scan.unsupported": "This browser doesn't support the camera; paste the link instead",
+  "sync.title": "Sync across devices",
+  "sync.intro": "Everyone using the same server and ledger name shares one ledger. Keep recording offline and sync when you're back online.",
+  "sync.url": "Server URL",
+  "sync.ledger": "Ledger name",
+  "sync.token": "Password (only if the server has one)",
+  "sync.invalid": "Enter the server URL; the ledger name may only use letters, digits, _ and -",
+  "sync.busy": "Syncing…",
+  "sync.done": "Done: {pushed} sent, {pulled} received",
+  "sync.conflicts": ", {n} conflicts resolved",
+  "sync.failed": "Sync failed: {error}",
+  "sync.status": "Last sync: {at}・{n} waiting to upload",
+  "sync.never": "never",
+  "sync.now": "Sync now",
+  "sync.disable": "Turn off sync",
+  "sync.disabled": "Turned off (local data is unaffected)",
+  "tai.apply": "Add to this game's net",
+  "tai.winner": "Winner",
+  "tai.discarder": "Dealt in",
+  "tai.selfDrawn": "Self-drawn",
+  "tai.dealer": "Dealer",
+  "tai.streak": "Dealer streak",
+  "tai.payer": "Pays for all",
+  "tai.mySeat": "My seat",
+  "tai.patternTai": "{name} {tai} tai",
+  "tai.invalid": "The winner can't also be the one who dealt in",
+  "tai.base": "Hand: {tai} tai (stake {stake})",
+  "tai.payment": "{from} pays {to}: {tai} tai",
+  "tai.mine": "Me ({seat}) this hand: ",
+  "tai.rules": "House rules",
+  "tai.hideRules": "Hide rules",
+  "tai.rule.selfDrawAllPay": "All three pay on self-draw",
+  "tai.rule.selfDrawAllPayHint": "When off, only the chosen player pays on self-draw",
+  "tai.rule.streakDouble": "Streak tai \"n and n\"",
+  "tai.rule.streakDoubleHint": "On: dealer 1 tai + 2n streak tai. Off: dealer 1 tai + n streak tai",
+  "tai.rule.menqingSelfDrawBonus": "Concealed self-draw counts 3 tai",
+  "tai.rule.menqingSelfDrawBonusHint": "When off: concealed 1 tai + self-draw 1 tai, 2 in total",
+  "tai.pattern.menqing": "Concealed hand",
+  "tai.pattern.flower": "Flower",
+  "tai.pattern.dragonPung": "Dragon pung",
+  "tai.pattern.windPung": "Round/seat wind",
+  "tai.pattern.single": "Single wait",
+  "tai.pattern.kongFlower": "Win on kong replacement",
+  "tai.pattern.haidi": "Last tile",
+  "tai.pattern.robKong": "Robbing the kong",
+  "tai.pattern.allPrice": "All melded",
+  "tai.pattern.pinghu": "All chows",
+  "tai.pattern.threeConcealed": "Three concealed pungs",
+  "tai.pattern.pengpeng": "All pungs",
+  "tai.pattern.mixedSuit": "Half flush",
+  "tai.pattern.smallDragons": "Little three dragons",
+  "tai.pattern.fourConcealed": "Four concealed pungs",
+  "tai.pattern.fullSuit": "Full flush",
+  "tai.pattern.bigDragons": "Big three dragons",
+  "tai.pattern.smallWinds": "Little four winds",
+  "tai.pattern.fiveConcealed": "Five concealed pungs",
+  "tai.pattern.eightFlowers": "Eight flowers",
+  "tai.pattern.sevenRobOne": "Seven flowers rob one",
+  "tai.pattern.earthWin": "Earthly hand",
+  "tai.pattern.bigWinds": "Big four winds",
+  "tai.pattern.allHonors": "All honors",
+  "tai.pattern.heavenWin": "Heavenly hand",
+
+  "trash.title": "Trash",
+  "trash.intro": "Deleted records are kept for {n} days, then removed automatically.",
+  "trash.empty": "The trash is empty",
+  "trash.daysLeft": "{n} days left",
+  "trash.restore": "Restore",
+  "trash.emptyAll": "Empty trash",
+  "trash.confirmEmpty": "Permanently delete these {n} records? This can't be undone.",
+  "share.title": "Share this game",
+  "share.copyPrompt": "Copy this link:",
+  "share.qrAlt": "Share QR code",
+  "share.tooLong": "Too much data for a QR code; use the link instead",
+  "share.hint": "Friends can scan this with \"Scan\" or open the link below",
+  "share.copied": "Copied",
+  "share.copy": "Copy share link",
+  "photos.missing": "This photo isn't on this device",
+  "photos.remove": "Remove",
+  "photos.compressing": "Compressing…",
+  "photos.add": "Add photo",
+
+  "alert.restoreError": "Restore failed: {error}",
+  "profiles.title": "Ledgers",
+  "profiles.intro": "Each ledger keeps its own records, settings and snapshots, so several people can share one phone.",
+  "profiles.save": "Save",
+  "profiles.active": "In use",
+  "profiles.switch": "Switch",
+  "profiles.rename": "Rename",
+  "profiles.delete": "Delete",
+  "profiles.newPlaceholder": "New ledger name, e.g. Partner",
+  "profiles.add": "Add",
+  "profiles.confirmDelete": "Delete the ledger \"{name}\"? Its records, photos, snapshots and settings will all be deleted. This can't be undone.",
+  "profiles.nameRequired": "Please enter a ledger name",
+  "profiles.duplicate": "A ledger with that name already exists",
+  "profiles.restoredSuffix": " (restored)",
+  "profiles.notFound": "Ledger not found",
+  "profiles.defaultUndeletable": "The default ledger can't be deleted, but you can rename it",
+  "profiles.activeUndeletable": "Can't delete the ledger in use; switch to another one first",
+
+  "league.title": "Leaderboard",
+  "league.intro": "Only games with players' names recorded count (at least two names).",
+  "league.status.current": "In progress",
+  "league.status.past": "Finished",
+  "league.status.upcoming": "Not started",
+  "league.defaultName": "{year} season",
+  "league.seasonName": "Season name",
+  "league.start": "Start",
+  "league.end": "End",
+  "league.save": "Save",
+  "league.confirmDelete": "Delete the season \"{name}\"? Records are not deleted.",
+  "league.imageTitle": "{name} leaderboard",
+  "league.imageFootnote": "Ratings are adjusted for stake size and opponent strength; at least {n} games to qualify as champion",
+  "league.imageFailed": "Couldn't create the image",
+  "league.addSeason": "+ New season",
+  "league.noSeasons": "No seasons yet. Add one (for example this year) to see who tops it.",
+  "league.edit": "Edit",
+  "league.delete": "Delete",
+  "league.noGames": "No games with opponents' names in this season yet.",
+  "league.col.rank": "#",
+  "league.col.name": "Name",
+  "league.col.games": "Games",
+  "league.col.total": "Total",
+  "league.col.avg": "Avg",
+  "league.col.rating": "Rating",
+  "league.ratingHint": "Ratings start at {start}. Each game compares you with everyone at the table: winnings are first converted into \"smallest possible wins\" (so stake size doesn't matter), beating strong players gains more and losing to weak players costs more. Players with fewer than {n} games are listed last.",
+  "league.exporting": "Creating…",
+  "league.export": "Share as image",
+  "league.history": "Past champions",
+  "league.noHistory": "No finished seasons yet.",
+  "league.players": "{n} players",
+  "league.points": "{n} pts",
+  "league.vacant": "No champion",
+  "league.nameRequired": "Please enter a season name",
+  "league.datesRequired": "Please choose start and end dates",
+  "league.badRange": "The start date can't be after the end date",
+
+  "plans.rsvp.pending": "No reply",
+  "plans.rsvp.yes": "Coming",
+  "plans.rsvp.maybe": "Maybe",
+  "plans.rsvp.no": "Can't come",
+  "plans.error.id": "The game is missing an id",
+  "plans.error.date": "Please choose a date",
+  "plans.error.time": "Time should be HH:MM",
+  "plans.error.stake": "Stake should be base/tai, e.g. 30/10",
+  "plans.error.players": "players must be an array",
+  "plans.error.name": "Everyone invited needs a name",
+  "plans.error.duplicate": "The guest list has duplicate names",
+  "plans.error.rsvp": "Unknown reply status: {rsvp}",
+  "plans.ics.player": "{name} ({rsvp})",
+  "plans.ics.separator": ", ",
+  "plans.ics.players": "Players: {who}",
+  "plans.ics.summary": "Mahjong",
+  "plans.ics.summaryAt": "Mahjong @ {location}",
+  "plans.time": "Time",
+  "plans.optional": "Optional",
+  "plans.invite": "Invite",
+  "plans.inviteHint": "Tap the status next to a name to cycle: {order}",
+  "plans.remove": "Remove",
+  "plans.addPlayer": "Add",
+  "plans.save": "Save",
+  "plans.noLocation": "Place TBD",
+  "plans.counts": "Coming {yes}・Maybe {maybe}・No reply {pending}",
+  "plans.addToCalendar": "Add to calendar",
+  "plans.confirmDelete": "Delete the game on {date}?",
+  "plans.intro": "Replies are stored on this phone only; they aren't synced or included in backups.",
+  "plans.add": "+ New game",
+  "plans.addAllToCalendar": "Add all to calendar",
+  "plans.pastDue": "Played already?",
+  "plans.pastDueHint": "Games whose date has passed but haven't been recorded yet. They disappear from here once recorded.",
+  "plans.upcoming": "Coming up",
+  "plans.none": "No games planned yet.",
+
+  "schema.notObject": "not an object",
+  "schema.missingId": "missing id",
+  "schema.date": "date must be YYYY-MM-DD (got {value})",
+  "schema.net": "net must be a number (got {value})",
+  "schema.hands": "hands must be a positive number (got {value})",
+  "schema.stake": "stake must be \"base/per-tai\" (got {value})",
+  "schema.location": "location must be text",
+  "schema.note": "note must be text",
+  "schema.tags": "tags must be an array of text",
+  "schema.attachmentIds": "attachments must be an array of attachment ids",
+  "schema.players": "players must be an array",
+  "schema.playerNet": "players[{i}].net must be a number",
+  "schema.missingFrom": "missing payer",
+  "schema.missingTo": "missing payee",
+  "schema.amount": "amount must be a positive number (got {value})",
+  "schema.settlementsArray": "settlements must be an array",
+  "schema.attachmentsArray": "attachments must be an array",
+  "schema.missingRecordId": "missing recordId",
+  "schema.dataUrl": "data must be a data URL",
+  "schema.tooNew": "Backup version v{v} is newer than this app. Please update the app first.",
+  "schema.noUpgrade": "Can't upgrade from backup version v{v}",
+  "schema.badRecords": "Invalid records ({n}):",
+  "schema.badSettlements": "Invalid payments ({n}):",
+  "schema.badAttachments": "Invalid attachments ({n}):",
+  "schema.row": "#{n}: {errors}",
+  "schema.rowWithId": "#{n} ({id}): {errors}",
+  "schema.more": "…and {n} more",
+  "schema.sep": "; ",
+
+  "field.id": "ID",
+  "alert.importedSkipped": "Imported {n}; skipped {skipped} already in the app",
+};
@@ -0,0 +1,613 @@
+// 日本語
+export default {
+  "app.title": "信義分隊 雀神戦",
+  "app.subtitle": "その日の収支だけを入力、あとから修正もできます。データはこのブラウザに保存され、バックアップ・復元できます",
+  "app.footer":
+    "ヒント：友達にも各自で記録してほしいときは、このサイトのURLを送るだけでOKです。データはそれぞれのスマホに保存され、共有されません。同じデータを共有したい場合は、自分の NAS に同期サーバーを立てて（server/README.md 参照）、「同期」で同じ帳簿名を入力してください。",
+  "app.thisDevice": "この端末",
+  "app.leader": "🏆 {season} の雀神：{name}",
+
+  "result.win": "勝",
+  "result.loss": "負",
+  "result.draw": "分",
+
+  "common.close": "閉じる",
+  "common.cancel": "キャンセル",
+  "common.skip": "スキップ",
+  "common.undo": "元に戻す",
+  "common.noLocation": "場所未入力",
+  "common.stake": "レート {stake}",
+  "common.hands": "{n} 将",
+  "common.me": "自分",
+
+  "settings.language": "言語",
+  "settings.currency": "通貨",
+  "profile.switch": "帳簿",
+  "profile.manage": "帳簿を管理…",
+  "profile.defaultName": "マイ帳簿",
+
+  "legacy.title": "旧バージョンの記録があります",
+  "legacy.body": "この端末に旧バージョン（単一ページ版）の記録があります。今の記録に取り込みますか？取り込みは一度だけで、既存の記録は上書きしません。",
+  "legacy.import": "旧記録を取り込む",
+  "legacy.imported": "旧記録を {n} 件取り込みました",
+  "legacy.confirmSkip": "スキップすると今後は表示されません（旧データはブラウザに残ります）。スキップしますか？",
+
+  "reminder.title": "バックアップしましょう",
+  "reminder.never": "まだ一度もバックアップしていません",
+  "reminder.days": "{n} 日間バックアップしていません",
+  "reminder.tail": "。ブラウザのデータが消えると元に戻せません",
+
+  "live.inProgress": "対局中",
+  "live.summary": "{date}・{location}・{n} 局消化",
+  "live.resume": "対局に戻る",
+
+  "stats.win": "{scope}の勝ち合計",
+  "stats.loss": "{scope}の負け合計",
+  "stats.net": "収支",
+  "stats.receivable": "受取予定",
+  "stats.payable": "支払予定",
+  "calendar.hint": "日付をタップしてその日の記録を表示・追加",
+  "calendar.view.month": "月",
+  "calendar.view.quarter": "3か月",
+  "calendar.view.year": "年間",
+  "calendar.view.week": "週ごと",
+  "calendar.year": "{year}年",
+  "calendar.legendLoss": "負",
+  "calendar.legendWin": "勝",
+  "calendar.byWeekday": "曜日別",
+  "calendar.byMonth": "月別",
+  "calendar.noRecords": "記録なし",
+  "calendar.weekSessions": "{n} 回",
+
+  "action.add": "記録を追加",
+  "action.live": "対局開始",
+  "action.liveActive": "対局中",
+  "action.dashboard": "統計",
+  "action.allRecords": "全記録",
+  "action.scan": "スキャン取込",
+  "action.settle": "精算",
+  "action.league": "雀神ランキング",
+  "action.plans": "対局の予定",
+  "action.plansCount": "予定 ({n})",
+  "action.venues": "場所",
+  "action.limits": "上限",
+  "action.backup": "バックアップ",
+  "action.backupDue": "バックアップ ●",
+  "action.restore": "復元",
+  "action.exportCsv": "CSV 書き出し",
+  "action.sync": "同期",
+  "action.importCsv": "CSV 取り込み",
+  "action.snapshots": "スナップショット",
+  "action.trash": "ゴミ箱",
+  "action.trashCount": "ゴミ箱 ({n})",
+
+  "day.title": "{date} の記録",
+  "day.count": "{n} 件",
+  "day.empty": "この日はまだ記録がありません。「記録を追加」で追加できます。",
+  "day.share": "共有",
+  "day.edit": "編集",
+  "day.history": "履歴",
+  "day.delete": "削除",
+  "plan.marker": "対局の予定あり",
+  "plan.title": "予定の対局：{what}",
+  "plan.going": "{n}/{total} 人参加",
+  "plan.convert": "記録にする",
+  "plan.open": "表示",
+
+  "toast.saved": "変更を保存しました",
+  "toast.created": "記録を追加しました",
+  "toast.trashed": "ゴミ箱に移動しました",
+
+  "confirm.overLimit": "{messages}\n\nそれでも保存しますか？",
+  "confirm.cooldown": "前回の対局から {limit} 時間経っていません（あと約 {n} 時間）。それでも記録しますか？",
+  "confirm.sharedAgain": "この対局はすでに取り込み済みです。もう一件追加しますか？",
+  "confirm.restoreAllProfiles": "このバックアップには {n} 冊の帳簿があります：{names}。\n\nそれぞれバックアップの内容で完全に置き換えます（無いものは追加）。復元しますか？",
+  "alert.snapshotError": "スナップショットを読み込めません：{error}",
+  "alert.backupError": "バックアップを読み込めません：{error}",
+  "alert.imported": "{n} 件取り込みました",
+
+  "form.new": "記録を追加",
+  "form.edit": "記録を編集",
+  "form.date": "日付：{date}",
+  "form.location": "場所",
+  "form.locationPlaceholder": "例：小明の家",
+  "form.stake": "レート（底/台）",
+  "form.custom": "カスタム",
+  "form.base": "底",
+  "form.tai": "台",
+  "form.currentStake": "現在のレート：{stake}",
+  "form.hands": "何将打ちましたか？",
+  "form.handsHint": "一将＝東南西北の四圏（数字で入力）",
+  "form.net": "当日の収支（{currency}）",
+  "form.netHint": "勝ちはプラス、負けはマイナス、引き分けは 0",
+  "form.calc": "台数計算",
+  "form.calcHint": "役を選んでこの局の台数と金額を計算し、収支に加算します",
+  "form.calcOpen": "計算機を開く",
+  "form.calcClose": "計算機を閉じる",
+  "form.players": "4人分の成績（任意）",
+  "form.playersHint": "各自の収支を記録します。4人の合計は 0 になるはずです。「自分」にチェックした席が上の収支に反映されます",
+  "form.withPlayers": "4人分を記録",
+  "form.unsettled": "未精算（受取・支払予定に計上）",
+  "form.note": "メモ",
+  "form.notePlaceholder": "例：最後の将でツモられ3回",
+  "form.tags": "タグ",
+  "form.tagsHint": "カンマまたはスペース区切り。例：正月 会社",
+  "form.photos": "写真",
+  "form.photosHint": "点数表など。圧縮してこの端末に保存され、同期はされません",
+  "form.save": "変更を保存",
+  "form.create": "この対局を記録",
+  "form.confirmSum": "4人の合計が {sum} で 0 になっていません。入力ミスかもしれません。それでも保存しますか？",
+  "form.playerName": "名前",
+  "form.playersSum": "4人の合計：{sum}",
+  "form.shouldBeZero": "（0 になるはず）",
+
+  "scope.type.year": "年",
+  "scope.type.month": "月",
+  "scope.type.last30": "直近 30 日",
+  "scope.type.last90": "直近 90 日",
+  "scope.type.range": "期間指定",
+  "scope.type.all": "すべて",
+  "scope.thisYear": "今年",
+  "scope.year": "{year} 年",
+  "scope.lastDays": "直近 {n} 日",
+  "scope.all": "通算",
+  "search.sort.dateDesc": "日付（新しい順）",
+  "search.sort.dateAsc": "日付（古い順）",
+  "search.sort.netDesc": "勝ち額の大きい順",
+  "search.sort.netAsc": "負け額の大きい順",
+  "records.title": "すべての記録",
+  "records.searchPlaceholder": "場所・メモ・タグを検索",
+  "records.filter": "絞り込み",
+  "records.allStakes": "すべてのレート",
+  "records.minHands": "最少半荘数",
+  "records.maxHands": "最多半荘数",
+  "records.clear": "条件をクリア",
+  "records.summary": "{n} 件・合計",
+
+  "limits.title": "上限とリマインダー",
+  "limits.intro": "自分なりの線引きを決めましょう。負けは収支の合計で計算します（勝ちで相殺）。0 にすると無効です。超えると保存前に確認し、近づいたときもお知らせします。",
+  "limits.monthlyLoss": "月間の負け上限",
+  "limits.yearlyLoss": "年間の負け上限",
+  "limits.sessionLoss": "1 回あたりの負け上限",
+  "limits.weeklySessions": "週あたりの最大回数",
+  "limits.short.monthlyLoss": "今月の負け",
+  "limits.short.yearlyLoss": "今年の負け",
+  "limits.short.sessionLoss": "この回の負け",
+  "limits.short.weeklySessions": "今週の回数",
+  "limits.sessions": "{n} 回",
+  "limits.over": "上限超過：{what} {used}（上限 {cap}）",
+  "limits.near": "上限間近：{what} {used}（上限 {cap}）",
+  "limits.cooldown": "クールダウン（時間）",
+  "limits.cooldownHint": "前回からこの時間が経っていないと、次を記録する前に確認します",
+
+  "history.title": "編集履歴",
+  "history.none": "この記録は履歴機能より前に作成されたため、まだ履歴がありません。",
+  "history.unknown": "不明",
+  "history.empty": "（空）",
+  "history.photos": "{n} 枚",
+  "history.yes": "はい",
+  "history.no": "いいえ",
+  "history.action.create": "作成",
+  "history.action.update": "編集",
+  "history.action.delete": "削除",
+  "history.action.restore": "復元",
+  "field.date": "日付",
+  "field.location": "場所",
+  "field.stake": "レート",
+  "field.hands": "半荘数",
+  "field.net": "収支",
+  "field.players": "4 人",
+  "field.unsettled": "未精算",
+  "field.note": "メモ",
+  "field.tags": "タグ",
+  "field.attachments": "写真",
+
+  "live.title": "リアルタイム集計",
+  "live.leave": "いったん離れる",
+  "live.stakeHint": "例：30/10",
+  "live.players": "4 人",
+  "live.playersHint": "自分の席を選択。最初の親は既定で東家",
+  "live.startDealer": "起家",
+  "live.start": "開始",
+  "live.badStake": "レートは「数字/数字」で入力してください（例：30/10）",
+  "live.confirmUndo": "直前の局を取り消しますか？",
+  "live.round": "{wind}場・{seat}家が親",
+  "live.streak": "{n} 本場",
+  "live.progress": "{n} 局・{rounds} 周完了（{hands} 将）",
+  "live.meMark": "（自分）",
+  "live.dealerMark": "・親",
+  "live.thisHand": "この局",
+  "live.recordHand": "この局を記録",
+  "live.draw": "流局",
+  "live.undo": "直前の局を取り消し",
+  "live.handLog": "局の記録",
+  "live.selfDrawn": "{winner} ツモ・{tai} 台",
+  "live.won": "{winner} ロン（{discarder}）・{tai} 台",
+  "live.finish": "終了して記録に保存",
+  "live.noHands": "まだ記録した局がありません",
+  "live.confirmFinish": "対局を終了して記録として保存しますか？",
+  "live.discard": "対局を破棄",
+  "live.confirmDiscard": "この対局の集計はすべて消えます。破棄しますか？",
+
+  "dashboard.title": "統計",
+  "dashboard.empty": "まだ記録がありません。",
+  "dashboard.winRate": "勝率",
+  "dashboard.lossRate": "負け率",
+  "dashboard.drawRate": "引き分け",
+  "dashboard.perHand": "1 将あたり平均",
+  "dashboard.best": "1 回の最大勝ち",
+  "dashboard.worst": "1 回の最大負け",
+  "dashboard.current": "現在",
+  "dashboard.winStreak": "{n} 連勝",
+  "dashboard.lossStreak": "{n} 連敗",
+  "dashboard.longestWin": "最長連勝",
+  "dashboard.longestLoss": "最長連敗",
+  "dashboard.games": "{n} 回",
+  "dashboard.cumulative": "累積収支",
+  "dashboard.monthly": "月別合計",
+  "dashboard.byVenue": "場所別",
+  "dashboard.byStake": "レート別",
+  "dashboard.pointTitle": "{date}：{net}（累積 {total}）",
+  "dashboard.col.item": "項目",
+  "dashboard.col.games": "回数",
+  "dashboard.col.total": "合計",
+  "dashboard.col.avg": "平均",
+
+  "venues.title": "場所",
+  "venues.back": "戻る",
+  "venues.similar": "同じ場所かもしれません",
+  "venues.similarHint": "空白や全角／半角だけが違います。統合するとすべての記録の場所が書き換わります",
+  "venues.mergeInto": "「{name}」に統合",
+  "venues.sortSessions": "よく行く順",
+  "venues.sortNet": "負けが多い順",
+  "venues.empty": "場所を入力した記録はまだありません",
+  "venues.summary": "{n} 回・最近 {date}",
+  "venues.favorite": "お気に入りに追加",
+  "venues.unfavorite": "お気に入りから外す",
+  "venues.sessions": "回数",
+  "venues.total": "収支合計",
+  "venues.avg": "1 回あたり平均",
+  "venues.topStake": "よく遊ぶレート",
+  "venues.withCount": "{name}（{n} 回）",
+  "venues.rename": "名前を変更",
+  "venues.renameHint": "この場所の記録がすべて変更されます",
+  "venues.mergeHere": "ほかの場所をここに統合",
+  "venues.pick": "場所を選択",
+  "venues.merge": "統合",
+  "venues.confirmMerge": "「{from}」の記録をすべて「{to}」に変更しますか？",
+  "venues.records": "記録",
+
+  "settle.title": "精算",
+  "settle.intro": "「未精算」にチェックし、4 人の名前を入力した記録だけが対象です。ここは現金のやり取りで、成績の収支とは別に計算します。",
+  "settle.received": "受取済み",
+  "settle.paid": "支払済み",
+  "settle.unnamed": "未精算の記録のうち {n} 件に名前がありません。名前のない人は計算に入りません。",
+  "settle.friends": "{me} と友人の間",
+  "settle.allClear": "すべて精算済み",
+  "settle.owesYou": "{name} があなたに借り",
+  "settle.youOwe": "あなたが {name} に借り",
+  "settle.transfers": "最少の送金プラン",
+  "settle.transfersHint": "グループ全体の貸し借りを、最少の送金回数で精算します",
+  "settle.nothing": "精算するものはありません",
+  "settle.markPaid": "支払済みにする",
+  "settle.payments": "支払い履歴",
+  "settle.confirmDelete": "この支払い記録を削除しますか？",
+  "settle.pays": "{from} から {to} へ支払い",
+  "settle.notePlaceholder": "メモ（例：LINE Pay）",
+  "settle.confirmPaid": "支払いを確定",
+  "settle.partial": "未払い {amount}。一部だけの支払いも可能です",
+
+  "csv.title": "CSVインポート",
+  "csv.file": "ファイルを選択",
+  "csv.fileHint": "Googleスプレッドシートや Excel から CSV（UTF-8）で保存",
+  "csv.rows": "{name}：{n} 行",
+  "csv.column": "{n} 列目",
+  "csv.mapping": "列の対応",
+  "csv.hasHeader": "1行目は見出し",
+  "csv.skip": "（取り込まない）",
+  "csv.preview": "プレビュー",
+  "csv.previewHint": "取り込み可 {good} 件、問題あり {bad} 行（取り込みません）",
+  "csv.missing": "先に対応させてください：{fields}",
+  "csv.line": "行",
+  "csv.first200": "最初の 200 行のみ表示",
+  "csv.import": "{n} 件を取り込む",
+  "csv.confirmPartial": "{bad} 行を読み取れませんでした。残りの {good} 件だけ取り込みますか？",
+  "csv.badDate": "日付を読み取れません：「{value}」",
+  "csv.badNet": "収支が数値ではありません：「{value}」",
+  "csv.badStake": "レートは 基本/台 の形式で：「{value}」",
+  "csv.badHands": "將数が不正です：「{value}」",
+
+  "tags.clear": "絞り込みを解除",
+  "restore.title": "バックアップを復元",
+  "restore.count": "バックアップには {n} 件",
+  "restore.exportedAt": "（{date} に書き出し）",
+  "restore.merge": "マージ",
+  "restore.replace": "すべて置き換え",
+  "restore.replaceWarning": "この端末の記録 {n} 件をすべて削除し、バックアップの内容に置き換えます。",
+  "restore.replaceButton": "端末のデータを削除して復元",
+  "restore.confirmReplace": "現在のデータがすべて上書きされます。復元しますか？",
+  "restore.added": "追加",
+  "restore.updated": "更新",
+  "restore.unchanged": "同じ",
+  "restore.kept": "端末の版を保持",
+  "restore.onlyLocal": "この端末のみ",
+  "restore.conflicts": "両方で変更された記録（既定は新しい方）",
+  "restore.local": "端末",
+  "restore.incoming": "バックアップ",
+  "restore.mergeButton": "マージ（{n} 件を書き込み）",
+  "backup.title": "バックアップ",
+  "backup.intro": "バックアップにはすべての勝ち負けが記録されます。LINE で送ったりクラウドに置いたりするなら暗号化をおすすめします。",
+  "backup.thisProfile": "現在の帳簿「{name}」のみ",
+  "backup.allProfiles": "この端末のすべての帳簿（{n} 冊）",
+  "backup.encrypt": "パスワードで暗号化",
+  "backup.withPhotos": "写真を含める",
+  "backup.noPhotosHint": "ファイルがかなり小さくなります。このバックアップで復元すると、端末にある写真は残り、それ以外の写真は復元されません。",
+  "backup.pass": "パスワード",
+  "backup.passHint": "パスワードを忘れると復元できず、アプリでも取り戻せません",
+  "backup.passAgain": "もう一度入力",
+  "backup.passTooShort": "パスワードは 4 文字以上にしてください",
+  "backup.passMismatch": "パスワードが一致しません",
+  "backup.busy": "処理中…",
+  "backup.download": "バックアップをダウンロード",
+  "backup.encryptedTitle": "暗号化されたバックアップ",
+  "backup.enterPass": "バックアップ時に設定したパスワードを入力",
+  "backup.decrypting": "復号中…",
+  "backup.decrypt": "復号",
+  "error.noCrypto": "このブラウザは暗号化に対応していません（HTTPS の URL で開く必要があります）",
+  "error.passRequired": "パスワードを入力してください",
+  "error.encryptedCorrupt": "暗号化バックアップが壊れています",
+  "error.notEncrypted": "暗号化バックアップではありません",
+  "error.encryptedVersion": "未対応の暗号化形式 v{v} です。アプリを更新してください",
+  "error.wrongPass": "パスワードが違うか、ファイルが壊れています",
+  "error.needsPass": "暗号化されたバックアップです。パスワードが必要です",
+  "error.badJson": "バックアップが有効な JSON ではありません",
+  "error.allProfilesBackup": "すべての帳簿のバックアップです。まとめて復元してください",
+  "error.badBackup": "バックアップの形式が正しくありません",
+  "error.badBackupRecords": "バックアップに形式の正しくない記録があります（{n} 件）：",
+  "error.badImage": "この画像を読み込めません",
+  "error.compressFailed": "画像の圧縮に失敗しました",
+  "error.badAttachment": "添付データの形式が正しくありません",
+  "error.badShareCode": "この共有コードを読み取れません",
+  "error.shareVersion": "未対応の共有コードのバージョンです",
+  "error.badShare": "共有内容に誤りがあります：{errors}",
+  "error.notInTrash": "ごみ箱にこの記録がありません",
+  "error.noSnapshot": "スナップショットが見つかりません",
+  "error.syncHttp": "同期に失敗しました（HTTP {status}）",
+
+  "snapshots.title": "自動スナップショット",
+  "snapshots.intro": "毎日最初にアプリを開いたときに自動で保存し、直近 {days} 日分と {weeks} 週分を残します。スナップショットは記録と同じブラウザに保存されるため、ブラウザのデータを消すと一緒に消えます。定期的に手動でもバックアップしてください。",
+  "snapshots.list": "スナップショット",
+  "snapshots.empty": "まだスナップショットはありません（記録があれば明日開いたときに作られます）",
+  "snapshots.kind.daily": "毎日",
+  "snapshots.kind.weekly": "毎週",
+  "snapshots.records": "記録 {n} 件",
+  "snapshots.payments": "支払い {n} 件",
+  "snapshots.restore": "復元",
+  "snapshots.reminder": "バックアップのリマインダー",
+  "snapshots.reminderHint": "手動バックアップがこの日数を超えたら知らせる（0 で通知しない）",
+  "snapshots.lastBackup": "前回の手動バックアップ：{at}",
+  "snapshots.never": "なし",
+  "snapshots.persist": "永続ストレージ",
+  "snapshots.persisted": "有効：容量が不足してもブラウザがこのデータを自動で消すことはありません",
+  "snapshots.notPersisted": "未設定：容量が不足するとブラウザがデータを消すことがあります。ホーム画面に追加してから開くと許可されやすくなります。",
+  "snapshots.requestPersist": "永続ストレージを要求",
+  "scan.title": "スキャンして取り込む",
+  "scan.camera": "カメラで QR コードを読み取る",
+  "scan.openCamera": "カメラを起動",
+  "scan.paste": "または共有リンクを貼り付け",
+  "scan.read": "読み取る",
+  "scan.whichSeat": "あなたの席は？",
+  "scan.sharer": "（共有者）",
+  "scan.yourNet": "あなたの収支",
+  "scan.yourNetHint": "共有された記録には相手の収支しかありません",
+  "scan.opposite": "相手と逆",
+  "scan.same": "相手と同じ",
+  "scan.add": "自分の記録に追加",
+  "scan.pickSeat": "先に自分の席を選んでください",
+  "scan.again": "もう一度スキャン",
+  "scan.noCamera": "カメラを使えません。リンクを貼り付けてください",
+  "scan.unsupported": "このブラウザはカメラに対応していません。リンクを貼り付けてください",
+  "sync.title": "複数端末の同期",
+  "sync.intro": "同じサーバーと帳簿名を使う人は同じ帳簿を共有します。オフラインでも記録でき、接続時に同期します。",
+  "sync.url": "サーバー URL",
+  "sync.ledger": "帳簿名",
+  "sync.token": "パスワード（サーバーで設定している場合のみ）",
+  "sync.invalid": "サーバー URL を入力してください。帳簿名は英数字・_・- のみ使えます",
+  "sync.busy": "同期中…",
+  "sync.done": "完了：送信 {pushed} 件、受信 {pulled} 件",
+  "sync.conflicts": "、競合 {n} 件を処理",
+  "sync.failed": "同期に失敗しました：{error}",
+  "sync.status": "前回の同期：{at}・未送信 {n} 件",
+  "sync.never": "未同期",
+  "sync.now": "今すぐ同期",
+  "sync.disable": "同期をオフ",
+  "sync.disabled": "オフにしました（端末のデータはそのままです）",
+  "tai.apply": "この対局の収支に加える",
+  "tai.winner": "和了",
+  "tai.discarder": "放銃",
+  "tai.selfDrawn": "自摸",
+  "tai.dealer": "親",
+  "tai.streak": "連荘",
+  "tai.payer": "責任払い",
+  "tai.mySeat": "自分の席",
+  "tai.patternTai": "{name} {tai}台",
+  "tai.invalid": "和了った人は放銃者になれません",
+  "tai.base": "役 {tai} 台（レート {stake}）",
+  "tai.payment": "{from} → {to}：{tai} 台",
+  "tai.mine": "自分（{seat}）の今局：",
+  "tai.rules": "ハウスルール",
+  "tai.hideRules": "ルールを閉じる",
+  "tai.rule.selfDrawAllPay": "自摸は三家払い",
+  "tai.rule.selfDrawAllPayHint": "オフのときは指定した一人だけが支払います",
+  "tai.rule.streakDouble": "連荘台「連 n 拉 n」",
+  "tai.rule.streakDoubleHint": "オン：親 1 台 + 連荘 2n 台、オフ：親 1 台 + 連荘 n 台",
+  "tai.rule.menqingSelfDrawBonus": "門前清自摸は 3 台",
+  "tai.rule.menqingSelfDrawBonusHint": "オフのとき：門前清 1 台 + 自摸 1 台の計 2 台",
+  "tai.pattern.menqing": "門前清",
+  "tai.pattern.flower": "花牌",
+  "tai.pattern.dragonPung": "三元牌",
+  "tai.pattern.windPung": "場風/自風",
+  "tai.pattern.single": "単騎待ち",
+  "tai.pattern.kongFlower": "嶺上開花",
+  "tai.pattern.haidi": "海底撈月",
+  "tai.pattern.robKong": "搶槓",
+  "tai.pattern.allPrice": "全求人",
+  "tai.pattern.pinghu": "平和",
+  "tai.pattern.threeConcealed": "三暗刻",
+  "tai.pattern.pengpeng": "対々和",
+  "tai.pattern.mixedSuit": "混一色",
+  "tai.pattern.smallDragons": "小三元",
+  "tai.pattern.fourConcealed": "四暗刻",
+  "tai.pattern.fullSuit": "清一色",
+  "tai.pattern.bigDragons": "大三元",
+  "tai.pattern.smallWinds": "小四喜",
+  "tai.pattern.fiveConcealed": "五暗刻",
+  "tai.pattern.eightFlowers": "八仙過海",
+  "tai.pattern.sevenRobOne": "七搶一",
+  "tai.pattern.earthWin": "地和",
+  "tai.pattern.bigWinds": "大四喜",
+  "tai.pattern.allHonors": "字一色",
+  "tai.pattern.heavenWin": "天和",
+
+  "trash.title": "ごみ箱",
+  "trash.intro": "削除した記録は {n} 日間保管され、その後自動で消えます。",
+  "trash.empty": "ごみ箱は空です",
+  "trash.daysLeft": "残り {n} 日",
+  "trash.restore": "元に戻す",
+  "trash.emptyAll": "ごみ箱を空にする",
+  "trash.confirmEmpty": "この {n} 件の記録を完全に削除しますか？元に戻せません。",
+  "share.title": "この対局を共有",
+  "share.copyPrompt": "このリンクをコピー：",
+  "share.qrAlt": "共有用 QR コード",
+  "share.tooLong": "内容が長すぎて QR コードを作れません。リンクを使ってください",
+  "share.hint": "友だちは「スキャン取込」でこのコードを読み取るか、下のリンクを開きます",
+  "share.copied": "コピーしました",
+  "share.copy": "共有リンクをコピー",
+  "photos.missing": "この写真はこの端末にありません",
+  "photos.remove": "削除",
+  "photos.compressing": "圧縮中…",
+  "photos.add": "写真を追加",
+
+  "alert.restoreError": "復元に失敗しました：{error}",
+  "profiles.title": "帳簿",
+  "profiles.intro": "帳簿ごとに記録・設定・スナップショットを別々に保存します。1 台のスマホを何人かで使うときに便利です。",
+  "profiles.save": "保存",
+  "profiles.active": "使用中",
+  "profiles.switch": "切り替え",
+  "profiles.rename": "名前を変更",
+  "profiles.delete": "削除",
+  "profiles.newPlaceholder": "新しい帳簿名（例：妻）",
+  "profiles.add": "追加",
+  "profiles.confirmDelete": "帳簿「{name}」を削除しますか？記録・写真・スナップショット・設定もすべて削除され、元に戻せません。",
+  "profiles.nameRequired": "帳簿名を入力してください",
+  "profiles.duplicate": "同じ名前の帳簿がすでにあります",
+  "profiles.restoredSuffix": "（復元）",
+  "profiles.notFound": "帳簿が見つかりません",
+  "profiles.defaultUndeletable": "既定の帳簿は削除できません（名前は変更できます）",
+  "profiles.activeUndeletable": "使用中の帳簿は削除できません。先に別の帳簿に切り替えてください",
+
+  "league.title": "雀神ランキング",
+  "league.intro": "4 人の名前を記録した対局だけを数えます（名前が 2 人以上）。",
+  "league.status.current": "開催中",
+  "league.status.past": "終了",
+  "league.status.upcoming": "開始前",
+  "league.defaultName": "{year} 年度",
+  "league.seasonName": "シーズン名",
+  "league.start": "開始",
+  "league.end": "終了",
+  "league.save": "保存",
+  "league.confirmDelete": "シーズン「{name}」を削除しますか？記録は削除されません。",
+  "league.imageTitle": "{name} 雀神ランキング",
+  "league.imageFootnote": "レーティングはレートと相手の強さで補正済み。チャンピオンは {n} 局以上が対象",
+  "league.imageFailed": "画像を作成できませんでした",
+  "league.addSeason": "＋ シーズンを追加",
+  "league.noSeasons": "まだシーズンがありません。追加すると（例：今年）、誰がトップか分かります。",
+  "league.edit": "編集",
+  "league.delete": "削除",
+  "league.noGames": "このシーズンには相手の名前を記録した対局がまだありません。",
+  "league.col.rank": "#",
+  "league.col.name": "名前",
+  "league.col.games": "対局数",
+  "league.col.total": "合計",
+  "league.col.avg": "平均",
+  "league.col.rating": "レート",
+  "league.ratingHint": "レートは {start} から始まり、対局ごとに同卓の全員と比べます。勝ち額はまず「最小の和了何回分か」に換算され（レートの大小は影響しません）、強い相手に勝つほど多く上がり、弱い相手に負けるほど多く下がります。{n} 局未満の人は後ろに並びます。",
+  "league.exporting": "作成中…",
+  "league.export": "画像で共有",
+  "league.history": "歴代チャンピオン",
+  "league.noHistory": "終了したシーズンはまだありません。",
+  "league.players": "{n} 人",
+  "league.points": "{n} 点",
+  "league.vacant": "該当なし",
+  "league.nameRequired": "シーズン名を入力してください",
+  "league.datesRequired": "開始日と終了日を選んでください",
+  "league.badRange": "開始日を終了日より後にはできません",
+
+  "plans.rsvp.pending": "未回答",
+  "plans.rsvp.yes": "参加",
+  "plans.rsvp.maybe": "未定",
+  "plans.rsvp.no": "不参加",
+  "plans.error.id": "対局に id がありません",
+  "plans.error.date": "日付を選んでください",
+  "plans.error.time": "時刻は HH:MM の形式で入力してください",
+  "plans.error.stake": "レートは 基本/台 の形式で（例：30/10）",
+  "plans.error.players": "players は配列である必要があります",
+  "plans.error.name": "招待する人には名前が必要です",
+  "plans.error.duplicate": "招待リストに同じ名前があります",
+  "plans.error.rsvp": "不明な回答状態：{rsvp}",
+  "plans.ics.player": "{name}（{rsvp}）",
+  "plans.ics.separator": "、",
+  "plans.ics.players": "メンバー：{who}",
+  "plans.ics.summary": "麻雀",
+  "plans.ics.summaryAt": "麻雀＠{location}",
+  "plans.time": "時刻",
+  "plans.optional": "任意",
+  "plans.invite": "招待",
+  "plans.inviteHint": "名前の横の状態をタップで切り替え：{order}",
+  "plans.remove": "外す",
+  "plans.addPlayer": "追加",
+  "plans.save": "保存",
+  "plans.noLocation": "場所未定",
+  "plans.counts": "参加 {yes}・未定 {maybe}・未回答 {pending}",
+  "plans.addToCalendar": "カレンダーに追加",
+  "plans.confirmDelete": "{date} の対局を削除しますか？",
+  "plans.intro": "回答状態はこのスマホにだけ保存され、同期やバックアップには含まれません。",
+  "plans.add": "＋ 対局を追加",
+  "plans.addAllToCalendar": "すべてカレンダーに追加",
+  "plans.pastDue": "もう打ちましたか？",
+  "plans.pastDueHint": "日付が過ぎてまだ記録していない対局です。記録するとここから消えます。",
+  "plans.upcoming": "今後の予定",
+  "plans.none": "予定している対局はまだありません。",
+
+  "schema.notObject": "オブジェクトではありません",
+  "schema.missingId": "id がありません",
+  "schema.date": "date は YYYY-MM-DD 形式にしてください（現在：{value}）",
+  "schema.net": "net は数値にしてください（現在：{value}）",
+  "schema.hands": "hands は正の数にしてください（現在：{value}）",
+  "schema.stake": "stake は「基本/台」形式にしてください（現在：{value}）",
+  "schema.location": "location は文字列にしてください",
+  "schema.note": "note は文字列にしてください",
+  "schema.tags": "tags は文字列の配列にしてください",
+  "schema.attachmentIds": "attachments は添付ファイル id の配列にしてください",
+  "schema.players": "players は配列にしてください",
+  "schema.playerNet": "players[{i}].net は数値にしてください",
+  "schema.missingFrom": "支払う人がありません",
+  "schema.missingTo": "受け取る人がありません",
+  "schema.amount": "amount は正の数にしてください（現在：{value}）",
+  "schema.settlementsArray": "settlements は配列にしてください",
+  "schema.attachmentsArray": "attachments は配列にしてください",
+  "schema.missingRecordId": "recordId がありません",
+  "schema.dataUrl": "data は data URL にしてください",
+  "schema.tooNew": "バックアップのバージョン v{v} はこのアプリより新しいため、先にアプリを更新してください",
+  "schema.noUpgrade": "バックアップのバージョン v{v} からアップグレードできません",
+  "schema.badRecords": "記録の形式が正しくありません（{n} 件）：",
+  "schema.badSettlements": "支払い記録の形式が正しくありません（{n} 件）：",
+  "schema.badAttachments": "添付ファイルの形式が正しくありません（{n} 件）：",
+  "schema.row": "{n} 件目：{errors}",
+  "schema.rowWithId": "{n} 件目（{id}）：{errors}",
+  "schema.more": "…ほか {n} 件",
+  "schema.sep": "、",
+
+  "field.id": "ID",
+  "alert.importedSkipped": "{n} 件をインポートしました。既にある {skipped} 件はスキップしました",
+};
@@ -0,0 +1,613 @@
+// 简体中文
+export default {
+  "app.title": "信义分队雀神战",
+  "app.subtitle": "只输入当天净值，可事后修改；数据存在浏览器本机，可备份/还原",
+  "app.footer":
+    "提醒：如果要「给朋友各自建立自己的记录」，最简单是把网址发给他们，他们在自己的手机打开后数据会存在自己的手机里（彼此不互通）。若要共用同一份数据，可以在自己的 NAS 架设同步服务器（见 server/README.md），再从「同步」填入同一个账本名称。",
+  "app.thisDevice": "这台设备",
+  "app.leader": "🏆 {season} 雀神：{name}",
+
+  "result.win": "赢",
+  "result.loss": "输",
+  "result.draw": "平",
+
+  "common.close": "关闭",
+  "common.cancel": "取消",
+  "common.skip": "跳过",
+  "common.undo": "撤销",
+  "common.noLocation": "未填地点",
+  "common.stake": "筹码 {stake}",
+  "common.hands": "{n} 将",
+  "common.me": "我",
+
+  "settings.language": "语言",
+  "settings.currency": "币种",
+  "profile.switch": "账本",
+  "profile.manage": "管理账本…",
+  "profile.defaultName": "我的账本",
+
+  "legacy.title": "发现旧版记录",
+  "legacy.body": "这台设备上有旧版（单页版）保存的战绩，要导入到目前的记录吗？只会导入一次，已存在的记录不会被覆盖。",
+  "legacy.import": "导入旧记录",
+  "legacy.imported": "已导入 {n} 条旧版记录",
+  "legacy.confirmSkip": "跳过后不会再提示（旧数据仍保留在浏览器中），确定跳过？",
+
+  "reminder.title": "该备份了",
+  "reminder.never": "还没有手动备份过",
+  "reminder.days": "已经 {n} 天没有备份",
+  "reminder.tail": "，浏览器数据被清除就找不回来",
+
+  "live.inProgress": "牌局进行中",
+  "live.summary": "{date}・{location}・已打 {n} 手",
+  "live.resume": "回到牌局",
+
+  "stats.win": "{scope}总赢",
+  "stats.loss": "{scope}总输",
+  "stats.net": "净收支",
+  "stats.receivable": "待收",
+  "stats.payable": "待付",
+  "calendar.hint": "点日期查看/新增当日记录",
+  "calendar.view.month": "月",
+  "calendar.view.quarter": "三个月",
+  "calendar.view.year": "全年",
+  "calendar.view.week": "每周",
+  "calendar.year": "{year} 年",
+  "calendar.legendLoss": "输",
+  "calendar.legendWin": "赢",
+  "calendar.byWeekday": "星期几合计",
+  "calendar.byMonth": "每月合计",
+  "calendar.noRecords": "没有记录",
+  "calendar.weekSessions": "{n} 场",
+
+  "action.add": "新增记录",
+  "action.live": "开局",
+  "action.liveActive": "牌局中",
+  "action.dashboard": "统计",
+  "action.allRecords": "全部记录",
+  "action.scan": "扫码导入",
+  "action.settle": "结账",
+  "action.league": "雀神榜",
+  "action.plans": "约牌局",
+  "action.plansCount": "约牌局 ({n})",
+  "action.venues": "地点",
+  "action.limits": "上限",
+  "action.backup": "备份",
+  "action.backupDue": "备份 ●",
+  "action.restore": "还原",
+  "action.exportCsv": "导出 CSV",
+  "action.sync": "同步",
+  "action.importCsv": "导入 CSV",
+  "action.snapshots": "快照",
+  "action.trash": "回收站",
+  "action.trashCount": "回收站 ({n})",
+
+  "day.title": "{date} 记录",
+  "day.count": "共 {n} 条",
+  "day.empty": "这天还没有记录，点「新增记录」添加一条。",
+  "day.share": "分享",
+  "day.edit": "修改",
+  "day.history": "历史",
+  "day.delete": "删除",
+  "plan.marker": "有约牌局",
+  "plan.title": "约好的牌局：{what}",
+  "plan.going": "{n}/{total} 人会到",
+  "plan.convert": "记成记录",
+  "plan.open": "查看",
+
+  "toast.saved": "已保存修改",
+  "toast.created": "已新增记录",
+  "toast.trashed": "已移到回收站",
+
+  "confirm.overLimit": "{messages}\n\n仍要保存？",
+  "confirm.cooldown": "距离上一场还不到 {limit} 小时（还有约 {n} 小时）。确定要再记一场？",
+  "confirm.sharedAgain": "这场之前已经导入过了，还要再加一条吗？",
+  "confirm.restoreAllProfiles": "这份备份有 {n} 本账：{names}。\n\n每本账都会被备份内容完全取代（没有的会新增），确定还原？",
+  "alert.snapshotError": "无法读取快照：{error}",
+  "alert.backupError": "无法读取备份：{error}",
+  "alert.imported": "已导入 {n} 条",
+
+  "form.new": "新增记录",
+  "form.edit": "修改记录",
+  "form.date": "日期：{date}",
+  "form.location": "地点",
+  "form.locationPlaceholder": "例如：小明家",
+  "form.stake": "筹码（底/台）",
+  "form.custom": "自定义",
+  "form.base": "底",
+  "form.tai": "台",
+  "form.currentStake": "当前筹码：{stake}",
+  "form.hands": "打了几将？",
+  "form.handsHint": "一将四圈（填数字）",
+  "form.net": "当天净值（{currency}）",
+  "form.netHint": "赢填正数；输填负数；平填 0",
+  "form.calc": "台数计算",
+  "form.calcHint": "选牌型算出这手的台数与金额，再加进净值",
+  "form.calcOpen": "打开计算器",
+  "form.calcClose": "收起计算器",
+  "form.players": "四家战绩（选填）",
+  "form.playersHint": "记下每家的输赢，四家合计应为 0；勾选「我」的座位会自动带入上方净值",
+  "form.withPlayers": "记录四家",
+  "form.unsettled": "还没结账（计入待收/待付）",
+  "form.note": "备注",
+  "form.notePlaceholder": "例如：最后一将被自摸三次",
+  "form.tags": "标签",
+  "form.tagsHint": "用逗号或空格分隔，例如：过年局 公司局",
+  "form.photos": "照片",
+  "form.photosHint": "例如计分纸；会压缩后存在这台设备，不会同步",
+  "form.save": "保存修改",
+  "form.create": "记录这场战绩",
+  "form.confirmSum": "四家合计为 {sum}，不是 0，可能输入有误。仍要保存？",
+  "form.playerName": "名字",
+  "form.playersSum": "四家合计：{sum}",
+  "form.shouldBeZero": "（应为 0）",
+
+  "scope.type.year": "年",
+  "scope.type.month": "月",
+  "scope.type.last30": "最近 30 天",
+  "scope.type.last90": "最近 90 天",
+  "scope.type.range": "自定义区间",
+  "scope.type.all": "全部",
+  "scope.thisYear": "今年",
+  "scope.year": "{year} 年",
+  "scope.lastDays": "近 {n} 天",
+  "scope.all": "全部",
+  "search.sort.dateDesc": "日期（新→旧）",
+  "search.sort.dateAsc": "日期（旧→新）",
+  "search.sort.netDesc": "赢最多",
+  "search.sort.netAsc": "输最多",
+  "records.title": "全部记录",
+  "records.searchPlaceholder": "搜索地点、备注、标签",
+  "records.filter": "筛选",
+  "records.allStakes": "全部筹码",
+  "records.minHands": "最少几将",
+  "records.maxHands": "最多几将",
+  "records.clear": "清除条件",
+  "records.summary": "{n} 条・合计",
+
+  "limits.title": "上限与提醒",
+  "limits.intro": "帮自己设个界线。输钱以净值计算（赢的会抵掉输的）；填 0 表示不启用。超过时保存前会再问一次，快到了也会提醒。",
+  "limits.monthlyLoss": "每月输钱上限",
+  "limits.yearlyLoss": "每年输钱上限",
+  "limits.sessionLoss": "单场输钱上限",
+  "limits.weeklySessions": "每周最多几场",
+  "limits.short.monthlyLoss": "本月净输",
+  "limits.short.yearlyLoss": "今年净输",
+  "limits.short.sessionLoss": "这场输",
+  "limits.short.weeklySessions": "本周场数",
+  "limits.sessions": "{n} 场",
+  "limits.over": "超过上限：{what} {used}（上限 {cap}）",
+  "limits.near": "接近上限：{what} {used}（上限 {cap}）",
+  "limits.cooldown": "冷静期（小时）",
+  "limits.cooldownHint": "距离上一场不到这么久就要再确认一次才能记下一场",
+
+  "history.title": "修改历史",
+  "history.none": "这笔记录是在有历史功能之前创建的，还没有修改记录。",
+  "history.unknown": "不明",
+  "history.empty": "（空）",
+  "history.photos": "{n} 张",
+  "history.yes": "是",
+  "history.no": "否",
+  "history.action.create": "添加",
+  "history.action.update": "修改",
+  "history.action.delete": "删除",
+  "history.action.restore": "还原",
+  "field.date": "日期",
+  "field.location": "地点",
+  "field.stake": "筹码",
+  "field.hands": "将数",
+  "field.net": "净值",
+  "field.players": "四家",
+  "field.unsettled": "未结账",
+  "field.note": "备注",
+  "field.tags": "标签",
+  "field.attachments": "照片",
+
+  "live.title": "实时计分",
+  "live.leave": "先离开",
+  "live.stakeHint": "例如 30/10",
+  "live.players": "四家",
+  "live.playersHint": "勾选自己的座位；起庄预设东家",
+  "live.startDealer": "起庄",
+  "live.start": "开始",
+  "live.badStake": "筹码格式请输入：数字/数字，例如 30/10",
+  "live.confirmUndo": "撤销上一手？",
+  "live.round": "{wind}风圈・{seat}家庄",
+  "live.streak": "连{n}",
+  "live.progress": "已打 {n} 手・完成 {rounds} 圈（{hands} 将）",
+  "live.meMark": "（我）",
+  "live.dealerMark": "・庄",
+  "live.thisHand": "这一手",
+  "live.recordHand": "记录这手",
+  "live.draw": "流局",
+  "live.undo": "撤销上一手",
+  "live.handLog": "手牌记录",
+  "live.selfDrawn": "{winner} 自摸・{tai} 台",
+  "live.won": "{winner} 胡 {discarder}・{tai} 台",
+  "live.finish": "结束并存成记录",
+  "live.noHands": "还没有任何一手的记录",
+  "live.confirmFinish": "结束牌局并存成一笔记录？",
+  "live.discard": "放弃牌局",
+  "live.confirmDiscard": "放弃后这局的计分都会清掉，确定？",
+
+  "dashboard.title": "统计",
+  "dashboard.empty": "还没有记录。",
+  "dashboard.winRate": "胜率",
+  "dashboard.lossRate": "败率",
+  "dashboard.drawRate": "平手",
+  "dashboard.perHand": "每将平均",
+  "dashboard.best": "单场最多赢",
+  "dashboard.worst": "单场最多输",
+  "dashboard.current": "目前",
+  "dashboard.winStreak": "连赢 {n} 场",
+  "dashboard.lossStreak": "连输 {n} 场",
+  "dashboard.longestWin": "最长连赢",
+  "dashboard.longestLoss": "最长连输",
+  "dashboard.games": "{n} 场",
+  "dashboard.cumulative": "累积净值",
+  "dashboard.monthly": "每月合计",
+  "dashboard.byVenue": "依地点",
+  "dashboard.byStake": "依筹码",
+  "dashboard.pointTitle": "{date}：{net}（累积 {total}）",
+  "dashboard.col.item": "项目",
+  "dashboard.col.games": "场数",
+  "dashboard.col.total": "合计",
+  "dashboard.col.avg": "平均",
+
+  "venues.title": "地点",
+  "venues.back": "返回",
+  "venues.similar": "可能是同一个地方",
+  "venues.similarHint": "只差空白或全角/半角，合并后会改写所有记录的地点",
+  "venues.mergeInto": "合并为「{name}」",
+  "venues.sortSessions": "常去",
+  "venues.sortNet": "输最多",
+  "venues.empty": "还没有填过地点的记录",
+  "venues.summary": "{n} 场・最近 {date}",
+  "venues.favorite": "设为最爱",
+  "venues.unfavorite": "取消最爱",
+  "venues.sessions": "场数",
+  "venues.total": "总净值",
+  "venues.avg": "平均每场",
+  "venues.topStake": "最常打的筹码",
+  "venues.withCount": "{name}（{n} 场）",
+  "venues.rename": "改名",
+  "venues.renameHint": "所有在这里的记录会一起改",
+  "venues.mergeHere": "合并其他地点到这里",
+  "venues.pick": "选择地点",
+  "venues.merge": "合并",
+  "venues.confirmMerge": "把「{from}」的记录都改成「{to}」？",
+  "venues.records": "记录",
+
+  "settle.title": "结账",
+  "settle.intro": "只计入勾选「还没结账」且有填四家名字的记录；这里是现金往来，跟战绩的净收支分开算。",
+  "settle.received": "已收",
+  "settle.paid": "已付",
+  "settle.unnamed": "有 {n} 场未结账的记录缺少名字，没名字的那家不会计入。",
+  "settle.friends": "{me} 跟朋友之间",
+  "settle.allClear": "都结清了",
+  "settle.owesYou": "{name} 欠你",
+  "settle.youOwe": "你欠 {name}",
+  "settle.transfers": "最少转账方案",
+  "settle.transfersHint": "整群人的账一起算，用最少笔数转账就能清掉",
+  "settle.nothing": "没有待结的账",
+  "settle.markPaid": "标记已付",
+  "settle.payments": "付款记录",
+  "settle.confirmDelete": "删除这笔付款记录？",
+  "settle.pays": "{from} 付给 {to}",
+  "settle.notePlaceholder": "备注，例如：LINE Pay",
+  "settle.confirmPaid": "确认已付",
+  "settle.partial": "目前待付 {amount}，可以只付一部分",
+
+  "csv.title": "CSV 导入",
+  "csv.file": "选择文件",
+  "csv.fileHint": "从 Google 表格或 Excel 另存成 CSV（UTF-8）",
+  "csv.rows": "{name}：{n} 行",
+  "csv.column": "第 {n} 列",
+  "csv.mapping": "字段对应",
+  "csv.hasHeader": "第一行是表头",
+  "csv.skip": "（不导入）",
+  "csv.preview": "预览",
+  "csv.previewHint": "可导入 {good} 条；有问题 {bad} 行（不会导入）",
+  "csv.missing": "请先对应：{fields}",
+  "csv.line": "行",
+  "csv.first200": "只显示前 200 行",
+  "csv.import": "导入 {n} 条",
+  "csv.confirmPartial": "有 {bad} 行无法辨识，只导入其余 {good} 条？",
+  "csv.badDate": "日期无法辨识：「{value}」",
+  "csv.badNet": "净值不是数字：「{value}」",
+  "csv.badStake": "筹码格式应为 底/台：「{value}」",
+  "csv.badHands": "将数无效：「{value}」",
+
+  "tags.clear": "清除筛选",
+  "restore.title": "还原备份",
+  "restore.count": "备份内有 {n} 条",
+  "restore.exportedAt": "，导出于 {date}",
+  "restore.merge": "合并",
+  "restore.replace": "完全取代",
+  "restore.replaceWarning": "会删除这台设备上全部 {n} 条记录，换成备份内容。",
+  "restore.replaceButton": "删除本机数据并还原",
+  "restore.confirmReplace": "这会覆盖目前所有数据，确定要还原？",
+  "restore.added": "添加",
+  "restore.updated": "更新",
+  "restore.unchanged": "相同",
+  "restore.kept": "保留本机版本",
+  "restore.onlyLocal": "只在这台设备",
+  "restore.conflicts": "两边都改过的记录（默认保留较新的）",
+  "restore.local": "本机",
+  "restore.incoming": "备份",
+  "restore.mergeButton": "合并（写入 {n} 条）",
+  "backup.title": "备份",
+  "backup.intro": "备份文件记录了所有输赢。如果会通过 LINE 传给自己或放在云端，建议加密。",
+  "backup.thisProfile": "只备份当前的账本「{name}」",
+  "backup.allProfiles": "备份这台设备上的所有账本（{n} 本）",
+  "backup.encrypt": "用密码加密",
+  "backup.withPhotos": "包含照片",
+  "backup.noPhotosHint": "文件会小很多；用这份备份还原时，这台设备上已有的照片会保留，其他照片不会还原。",
+  "backup.pass": "密码",
+  "backup.passHint": "忘记密码就无法还原，App 也没办法帮你找回",
+  "backup.passAgain": "再输入一次",
+  "backup.passTooShort": "密码至少 4 个字",
+  "backup.passMismatch": "两次输入的密码不一样",
+  "backup.busy": "处理中…",
+  "backup.download": "下载备份",
+  "backup.encryptedTitle": "加密的备份",
+  "backup.enterPass": "输入备份时设置的密码",
+  "backup.decrypting": "解密中…",
+  "backup.decrypt": "解密",
+  "error.noCrypto": "这个浏览器不支持加密（需要在 HTTPS 网址下使用）",
+  "error.passRequired": "请输入密码",
+  "error.encryptedCorrupt": "加密备份文件已损毁",
+  "error.notEncrypted": "这不是加密的备份文件",
+  "error.encryptedVersion": "不支持的加密格式 v{v}，请先更新 App",
+  "error.wrongPass": "密码错误，或文件已损毁",
+  "error.needsPass": "这是加密的备份，需要输入密码",
+  "error.badJson": "备份文件不是有效的 JSON",
+  "error.allProfilesBackup": "这是所有账本的备份，请整份还原",
+  "error.badBackup": "备份格式错误",
+  "error.badBackupRecords": "备份内有格式错误的记录（{n} 条）：",
+  "error.badImage": "无法读取这张图片",
+  "error.compressFailed": "图片压缩失败",
+  "error.badAttachment": "附件数据格式错误",
+  "error.badShareCode": "看不懂这个分享码",
+  "error.shareVersion": "分享码版本不支持",
+  "error.badShare": "分享内容有误：{errors}",
+  "error.notInTrash": "回收站里找不到这条记录",
+  "error.noSnapshot": "找不到这份快照",
+  "error.syncHttp": "同步失败（HTTP {status}）",
+
+  "snapshots.title": "自动快照",
+  "snapshots.intro": "每天第一次打开 App 时自动存一份，保留最近 {days} 天与 {weeks} 周。快照跟记录存在同一个浏览器里，清除浏览器数据时会一起不见，仍请定期手动备份。",
+  "snapshots.list": "快照",
+  "snapshots.empty": "还没有快照（有记录后明天打开就会有）",
+  "snapshots.kind.daily": "每日",
+  "snapshots.kind.weekly": "每周",
+  "snapshots.records": "{n} 条记录",
+  "snapshots.payments": "{n} 条付款",
+  "snapshots.restore": "还原",
+  "snapshots.reminder": "备份提醒",
+  "snapshots.reminderHint": "超过几天没手动备份就提醒（0 表示不提醒）",
+  "snapshots.lastBackup": "上次手动备份：{at}",
+  "snapshots.never": "从未",
+  "snapshots.persist": "持久存储",
+  "snapshots.persisted": "已启用：浏览器空间不足时不会自动清掉这里的数据",
+  "snapshots.notPersisted": "尚未启用：空间不足时浏览器可能会清掉数据。添加到主屏幕后再打开，通常比较容易被允许。",
+  "snapshots.requestPersist": "请求持久存储",
+  "scan.title": "扫码导入",
+  "scan.camera": "用相机扫 QR code",
+  "scan.openCamera": "打开相机",
+  "scan.paste": "或粘贴分享链接",
+  "scan.read": "读取",
+  "scan.whichSeat": "你坐哪一家？",
+  "scan.sharer": "（分享者）",
+  "scan.yourNet": "你的输赢",
+  "scan.yourNetHint": "分享的记录只有对方自己的净值",
+  "scan.opposite": "跟对方相反",
+  "scan.same": "跟对方一样",
+  "scan.add": "加入我的记录",
+  "scan.pickSeat": "请先选你坐哪一家",
+  "scan.again": "重新扫描",
+  "scan.noCamera": "无法使用相机，请改贴链接",
+  "scan.unsupported": "这个浏览器不支持相机，请改贴链接",
+  "sync.title": "多设备同步",
+  "sync.intro": "用同一个服务器与账本名称的人会共用同一本账；离线时照常记录，有网络再同步。",
+  "sync.url": "服务器网址",
+  "sync.ledger": "账本名称",
+  "sync.token": "密码（服务器有设才需要）",
+  "sync.invalid": "请填服务器网址；账本名称只能用英数、_、-",
+  "sync.busy": "同步中…",
+  "sync.done": "完成：上传 {pushed} 条、下载 {pulled} 条",
+  "sync.conflicts": "、处理冲突 {n} 条",
+  "sync.failed": "同步失败：{error}",
+  "sync.status": "上次同步：{at}・待上传 {n} 条",
+  "sync.never": "尚未同步",
+  "sync.now": "立即同步",
+  "sync.disable": "禁用同步",
+  "sync.disabled": "已禁用（本机数据不受影响）",
+  "tai.apply": "加入本场净值",
+  "tai.winner": "胡牌",
+  "tai.discarder": "放枪",
+  "tai.selfDrawn": "自摸",
+  "tai.dealer": "庄家",
+  "tai.streak": "连庄",
+  "tai.payer": "包牌（付款）",
+  "tai.mySeat": "我坐",
+  "tai.patternTai": "{name} {tai}台",
+  "tai.invalid": "放枪的人不能是胡牌的人",
+  "tai.base": "牌型 {tai} 台（筹码 {stake}）",
+  "tai.payment": "{from} 付 {to}：{tai} 台",
+  "tai.mine": "我（{seat}）这手：",
+  "tai.rules": "家规",
+  "tai.hideRules": "收起规则",
+  "tai.rule.selfDrawAllPay": "自摸三家都付",
+  "tai.rule.selfDrawAllPayHint": "关闭时自摸只由指定的一家（包牌）付",
+  "tai.rule.streakDouble": "连庄台「连 n 拉 n」",
+  "tai.rule.streakDoubleHint": "打开：庄家 1 台 + 连庄 2n 台；关闭：庄家 1 台 + 连庄 n 台",
+  "tai.rule.menqingSelfDrawBonus": "门清自摸算 3 台",
+  "tai.rule.menqingSelfDrawBonusHint": "关闭时门清 1 台 + 自摸 1 台，共 2 台",
+  "tai.pattern.menqing": "门清",
+  "tai.pattern.flower": "花",
+  "tai.pattern.dragonPung": "三元牌",
+  "tai.pattern.windPung": "圈风/门风",
+  "tai.pattern.single": "独听",
+  "tai.pattern.kongFlower": "杠上开花",
+  "tai.pattern.haidi": "海底捞月",
+  "tai.pattern.robKong": "抢杠",
+  "tai.pattern.allPrice": "全求人",
+  "tai.pattern.pinghu": "平胡",
+  "tai.pattern.threeConcealed": "三暗刻",
+  "tai.pattern.pengpeng": "碰碰胡",
+  "tai.pattern.mixedSuit": "混一色",
+  "tai.pattern.smallDragons": "小三元",
+  "tai.pattern.fourConcealed": "四暗刻",
+  "tai.pattern.fullSuit": "清一色",
+  "tai.pattern.bigDragons": "大三元",
+  "tai.pattern.smallWinds": "小四喜",
+  "tai.pattern.fiveConcealed": "五暗刻",
+  "tai.pattern.eightFlowers": "八仙过海",
+  "tai.pattern.sevenRobOne": "七抢一",
+  "tai.pattern.earthWin": "地胡",
+  "tai.pattern.bigWinds": "大四喜",
+  "tai.pattern.allHonors": "字一色",
+  "tai.pattern.heavenWin": "天胡",
+
+  "trash.title": "回收站",
+  "trash.intro": "删除的记录会保留 {n} 天，之后自动清掉。",
+  "trash.empty": "回收站是空的",
+  "trash.daysLeft": "还剩 {n} 天",
+  "trash.restore": "还原",
+  "trash.emptyAll": "清空回收站",
+  "trash.confirmEmpty": "永久删除这 {n} 条记录？清空后无法复原。",
+  "share.title": "分享这场",
+  "share.copyPrompt": "拷贝这个链接：",
+  "share.qrAlt": "分享 QR code",
+  "share.tooLong": "内容太长，无法产生 QR code，请改用链接",
+  "share.hint": "朋友用「扫码导入」扫这个码，或打开下面的链接",
+  "share.copied": "已拷贝",
+  "share.copy": "拷贝分享链接",
+  "photos.missing": "这张照片不在这台设备上",
+  "photos.remove": "移除",
+  "photos.compressing": "压缩中…",
+  "photos.add": "加照片",
+
+  "alert.restoreError": "还原失败：{error}",
+  "profiles.title": "账本",
+  "profiles.intro": "每本账的记录、设置、快照都分开存，适合一台手机多人各记各的。",
+  "profiles.save": "保存",
+  "profiles.active": "使用中",
+  "profiles.switch": "切换",
+  "profiles.rename": "改名",
+  "profiles.delete": "删除",
+  "profiles.newPlaceholder": "新账本名称，例如：老婆",
+  "profiles.add": "添加",
+  "profiles.confirmDelete": "删除账本「{name}」？里面的记录、照片、快照与设置都会一起删掉，无法复原。",
+  "profiles.nameRequired": "请输入账本名称",
+  "profiles.duplicate": "已经有同名的账本",
+  "profiles.restoredSuffix": "（还原）",
+  "profiles.notFound": "找不到这本账",
+  "profiles.defaultUndeletable": "默认账本不能删除，可以改名",
+  "profiles.activeUndeletable": "不能删除正在使用的账本，请先切换到别本",
+
+  "league.title": "雀神榜",
+  "league.intro": "只算有记下四家名字的牌局（至少两家有名字）。",
+  "league.status.current": "进行中",
+  "league.status.past": "已结束",
+  "league.status.upcoming": "未开始",
+  "league.defaultName": "{year} 年度",
+  "league.seasonName": "赛季名称",
+  "league.start": "开始",
+  "league.end": "结束",
+  "league.save": "保存",
+  "league.confirmDelete": "删除赛季「{name}」？记录不会被删除。",
+  "league.imageTitle": "{name} 雀神榜",
+  "league.imageFootnote": "积分已依筹码大小与对手强弱调整；至少 {n} 场才列入冠军",
+  "league.imageFailed": "图片生成失败",
+  "league.addSeason": "＋ 添加赛季",
+  "league.noSeasons": "还没有赛季。添加一个（例如今年），就能看到谁是这季的雀神。",
+  "league.edit": "修改",
+  "league.delete": "删除",
+  "league.noGames": "这季还没有记下对手名字的牌局。",
+  "league.col.rank": "#",
+  "league.col.name": "名字",
+  "league.col.games": "场数",
+  "league.col.total": "总输赢",
+  "league.col.avg": "平均",
+  "league.col.rating": "积分",
+  "league.ratingHint": "积分从 {start} 起算，每场跟同桌每个人比一次：赢多少先换算成「几把最小的胡」（筹码大小不影响），赢强手加得多、输给弱手扣得多。不到 {n} 场的人排在后面。",
+  "league.exporting": "生成中…",
+  "league.export": "存成图片分享",
+  "league.history": "历届雀神",
+  "league.noHistory": "还没有结束的赛季。",
+  "league.players": "{n} 人",
+  "league.points": "{n} 分",
+  "league.vacant": "从缺",
+  "league.nameRequired": "请输入赛季名称",
+  "league.datesRequired": "请选择开始与结束日期",
+  "league.badRange": "开始日期不能晚于结束日期",
+
+  "plans.rsvp.pending": "未回复",
+  "plans.rsvp.yes": "会到",
+  "plans.rsvp.maybe": "不确定",
+  "plans.rsvp.no": "不能来",
+  "plans.error.id": "牌局缺少 id",
+  "plans.error.date": "请选择日期",
+  "plans.error.time": "时间格式应为 HH:MM",
+  "plans.error.stake": "筹码格式应为 底/台，例如 30/10",
+  "plans.error.players": "players 应为数组",
+  "plans.error.name": "受邀的人要有名字",
+  "plans.error.duplicate": "受邀名单有重复的名字",
+  "plans.error.rsvp": "不认识的回复状态：{rsvp}",
+  "plans.ics.player": "{name}（{rsvp}）",
+  "plans.ics.separator": "、",
+  "plans.ics.players": "成员：{who}",
+  "plans.ics.summary": "打麻将",
+  "plans.ics.summaryAt": "打麻将＠{location}",
+  "plans.time": "时间",
+  "plans.optional": "可不填",
+  "plans.invite": "邀请",
+  "plans.inviteHint": "点名字旁的状态切换：{order}",
+  "plans.remove": "移除",
+  "plans.addPlayer": "加入",
+  "plans.save": "保存",
+  "plans.noLocation": "未定地点",
+  "plans.counts": "会到 {yes}・不确定 {maybe}・未回复 {pending}",
+  "plans.addToCalendar": "添加到日历",
+  "plans.confirmDelete": "删除 {date} 的牌局？",
+  "plans.intro": "回复状态只存在这台手机，不会同步也不会放进备份。",
+  "plans.add": "＋ 添加牌局",
+  "plans.addAllToCalendar": "全部添加到日历",
+  "plans.pastDue": "打完了吗？",
+  "plans.pastDueHint": "日期已过、还没记成记录的牌局；记成记录后就会从这里移除。",
+  "plans.upcoming": "接下来",
+  "plans.none": "还没有排定的牌局。",
+
+  "schema.notObject": "不是对象",
+  "schema.missingId": "缺少 id",
+  "schema.date": "date 应为 YYYY-MM-DD（目前：{value}）",
+  "schema.net": "net 应为数字（目前：{value}）",
+  "schema.hands": "hands 应为正数（目前：{value}）",
+  "schema.stake": "stake 应为「底/台」（目前：{value}）",
+  "schema.location": "location 应为文字",
+  "schema.note": "note 应为文字",
+  "schema.tags": "tags 应为文字数组",
+  "schema.attachmentIds": "attachments 应为附件 id 数组",
+  "schema.players": "players 应为数组",
+  "schema.playerNet": "players[{i}].net 应为数字",
+  "schema.missingFrom": "缺少付款人",
+  "schema.missingTo": "缺少收款人",
+  "schema.amount": "amount 应为正数（目前：{value}）",
+  "schema.settlementsArray": "settlements 应为数组",
+  "schema.attachmentsArray": "attachments 应为数组",
+  "schema.missingRecordId": "缺少 recordId",
+  "schema.dataUrl": "data 应为 data URL",
+  "schema.tooNew": "备份版本 v{v} 比这个 App 新，请先更新 App",
+  "schema.noUpgrade": "无法从备份版本 v{v} 升级",
+  "schema.badRecords": "记录格式错误（{n} 条）：",
+  "schema.badSettlements": "付款记录格式错误（{n} 条）：",
+  "schema.badAttachments": "附件格式错误（{n} 条）：",
+  "schema.row": "第 {n} 条：{errors}",
+  "schema.rowWithId": "第 {n} 条（{id}）：{errors}",
+  "schema.more": "…另有 {n} 条",
+  "schema.sep": "、",
+
+  "field.id": "编号",
+  "alert.importedSkipped": "已导入 {n} 条；{skipped} 条已经有了，略过",
+};
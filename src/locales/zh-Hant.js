@@ -0,0 +1,613 @@
+// 繁體中文（預設語言；其他語言缺的字串會退回這裡）
+export default {
+  "app.title": "信義分隊雀神戰",
+  "app.subtitle": "只輸入當天淨值，可事後修改；資料存在瀏覽器本機，可備份/還原",
+  "app.footer":
+    "提醒：如果你要「給朋友各自建立自己的紀錄」，最簡單是把網站網址給他們，他們在自己的手機打開後資料會存在他們自己的手機裡（彼此不會互通）。若要共用同一份資料，可以在自己的 NAS 架同步伺服器（見 server/README.md），再從「同步」填入同一個帳本名稱。",
+  "app.thisDevice": "這台裝置",
+  "app.leader": "🏆 {season} 雀神：{name}",
+
+  "result.win": "贏",
+  "result.loss": "輸",
+  "result.draw": "平",
+
+  "common.close": "關閉",
+  "common.cancel": "取消",
+  "common.skip": "略過",
+  "common.undo": "復原",
+  "common.noLocation": "未填地點",
+  "common.stake": "籌碼 {stake}",
+  "common.hands": "{n} 將",
+  "common.me": "我",
+
+  "settings.language": "語言",
+  "settings.currency": "幣別",
+  "profile.switch": "帳本",
+  "profile.manage": "管理帳本…",
+  "profile.defaultName": "我的帳本",
+
+  "legacy.title": "發現舊版紀錄",
+  "legacy.body": "這台裝置上有舊版（單頁版）存下的戰績，要匯入到目前的紀錄嗎？只會匯入一次，已存在的紀錄不會被覆蓋。",
+  "legacy.import": "匯入舊紀錄",
+  "legacy.imported": "已匯入 {n} 筆舊版紀錄",
+  "legacy.confirmSkip": "略過後不會再提示（舊資料仍保留在瀏覽器中），確定略過？",
+
+  "reminder.title": "該備份了",
+  "reminder.never": "還沒有手動備份過",
+  "reminder.days": "已經 {n} 天沒有備份",
+  "reminder.tail": "，瀏覽器資料被清掉就救不回來",
+
+  "live.inProgress": "牌局進行中",
+  "live.summary": "{date}・{location}・已打 {n} 手",
+  "live.resume": "回到牌局",
+
+  "stats.win": "{scope}總贏",
+  "stats.loss": "{scope}總輸",
+  "stats.net": "淨收支",
+  "stats.receivable": "待收",
+  "stats.payable": "待付",
+  "calendar.hint": "點日期查看/新增當日紀錄",
+  "calendar.view.month": "月",
+  "calendar.view.quarter": "三個月",
+  "calendar.view.year": "全年",
+  "calendar.view.week": "每週",
+  "calendar.year": "{year} 年",
+  "calendar.legendLoss": "輸",
+  "calendar.legendWin": "贏",
+  "calendar.byWeekday": "星期幾合計",
+  "calendar.byMonth": "每月合計",
+  "calendar.noRecords": "沒有紀錄",
+  "calendar.weekSessions": "{n} 場",
+
+  "action.add": "新增紀錄",
+  "action.live": "開局",
+  "action.liveActive": "牌局中",
+  "action.dashboard": "統計",
+  "action.allRecords": "全部紀錄",
+  "action.scan": "掃描匯入",
+  "action.settle": "結帳",
+  "action.league": "雀神榜",
+  "action.plans": "約牌局",
+  "action.plansCount": "約牌局 ({n})",
+  "action.venues": "地點",
+  "action.limits": "上限",
+  "action.backup": "備份",
+  "action.backupDue": "備份 ●",
+  "action.restore": "還原",
+  "action.exportCsv": "匯出 CSV",
+  "action.sync": "同步",
+  "action.importCsv": "匯入 CSV",
+  "action.snapshots": "快照",
+  "action.trash": "垃圾桶",
+  "action.trashCount": "垃圾桶 ({n})",
+
+  "day.title": "{date} 紀錄",
+  "day.count": "共 {n} 筆",
+  "day.empty": "這天還沒有紀錄，按「新增紀錄」建立一筆。",
+  "day.share": "分享",
+  "day.edit": "修改",
+  "day.history": "歷史",
+  "day.delete": "刪除",
+  "plan.marker": "有約牌局",
+  "plan.title": "約好的牌局：{what}",
+  "plan.going": "{n}/{total} 人會到",
+  "plan.convert": "記成紀錄",
+  "plan.open": "查看",
+
+  "toast.saved": "已儲存修改",
+  "toast.created": "已新增紀錄",
+  "toast.trashed": "已移到垃圾桶",
+
+  "confirm.overLimit": "{messages}\n\n仍要儲存？",
+  "confirm.cooldown": "距離上一場還不到 {limit} 小時（還有約 {n} 小時）。確定要再記一場？",
+  "confirm.sharedAgain": "這場之前已經匯入過了，還要再加一筆嗎？",
+  "confirm.restoreAllProfiles": "這份備份有 {n} 本帳：{names}。\n\n每本帳都會被備份內容完全取代（沒有的會新增），確定還原？",
+  "alert.snapshotError": "無法讀取快照：{error}",
+  "alert.backupError": "無法讀取備份：{error}",
+  "alert.imported": "已匯入 {n} 筆",
+
+  "form.new": "新增紀錄",
+  "form.edit": "修改紀錄",
+  "form.date": "日期：{date}",
+  "form.location": "地點",
+  "form.locationPlaceholder": "例如：小明家",
+  "form.stake": "籌碼（底/台）",
+  "form.custom": "自訂",
+  "form.base": "底",
+  "form.tai": "台",
+  "form.currentStake": "目前籌碼：{stake}",
+  "form.hands": "打了幾將？",
+  "form.handsHint": "一將四圈（用數字填）",
+  "form.net": "當天淨值（{currency}）",
+  "form.netHint": "贏填正數；輸填負數；平填 0",
+  "form.calc": "台數計算",
+  "form.calcHint": "選牌型算出這手的台數與金額，再加進淨值",
+  "form.calcOpen": "打開計算機",
+  "form.calcClose": "收起計算機",
+  "form.players": "四家戰績（選填）",
+  "form.playersHint": "記下每家的輸贏，四家加總應為 0；勾選「我」的座位會自動帶入上方淨值",
+  "form.withPlayers": "記錄四家",
+  "form.unsettled": "還沒結帳（記入待收/待付）",
+  "form.note": "備註",
+  "form.notePlaceholder": "例如：最後一將被自摸三次",
+  "form.tags": "標籤",
+  "form.tagsHint": "用逗號或空白分隔，例如：過年局 公司局",
+  "form.photos": "照片",
+  "form.photosHint": "例如計分紙；會壓縮後存在這台裝置，不會同步",
+  "form.save": "儲存修改",
+  "form.create": "記錄這場戰績",
+  "form.confirmSum": "四家加總為 {sum}，不是 0，可能有輸入錯誤。仍要儲存？",
+  "form.playerName": "名字",
+  "form.playersSum": "四家加總：{sum}",
+  "form.shouldBeZero": "（應為 0）",
+
+  "scope.type.year": "年",
+  "scope.type.month": "月",
+  "scope.type.last30": "最近 30 天",
+  "scope.type.last90": "最近 90 天",
+  "scope.type.range": "自訂區間",
+  "scope.type.all": "全部",
+  "scope.thisYear": "今年",
+  "scope.year": "{year} 年",
+  "scope.lastDays": "近 {n} 天",
+  "scope.all": "全部",
+  "search.sort.dateDesc": "日期（新→舊）",
+  "search.sort.dateAsc": "日期（舊→新）",
+  "search.sort.netDesc": "贏最多",
+  "search.sort.netAsc": "輸最多",
+  "records.title": "全部紀錄",
+  "records.searchPlaceholder": "搜尋地點、備註、標籤",
+  "records.filter": "篩選",
+  "records.allStakes": "全部籌碼",
+  "records.minHands": "最少幾將",
+  "records.maxHands": "最多幾將",
+  "records.clear": "清除條件",
+  "records.summary": "{n} 筆・合計",
+
+  "limits.title": "上限與提醒",
+  "limits.intro": "幫自己設個界線。輸錢以淨值計算（贏的會抵掉輸的）；填 0 表示不啟用。超過時儲存前會再問一次，快到了也會提醒。",
+  "limits.monthlyLoss": "每月輸錢上限",
+  "limits.yearlyLoss": "每年輸錢上限",
+  "limits.sessionLoss": "單場輸錢上限",
+  "limits.weeklySessions": "每週最多幾場",
+  "limits.short.monthlyLoss": "本月淨輸",
+  "limits.short.yearlyLoss": "今年淨輸",
+  "limits.short.sessionLoss": "這場輸",
+  "limits.short.weeklySessions": "本週場數",
+  "limits.sessions": "{n} 場",
+  "limits.over": "超過上限：{what} {used}（上限 {cap}）",
+  "limits.near": "接近上限：{what} {used}（上限 {cap}）",
+  "limits.cooldown": "冷靜期（小時）",
+  "limits.cooldownHint": "距離上一場不到這麼久就要再確認一次才能記下一場",
+
+  "history.title": "修改歷史",
+  "history.none": "這筆紀錄是在有歷史功能之前建立的，還沒有修改紀錄。",
+  "history.unknown": "不明",
+  "history.empty": "（空）",
+  "history.photos": "{n} 張",
+  "history.yes": "是",
+  "history.no": "否",
+  "history.action.create": "新增",
+  "history.action.update": "修改",
+  "history.action.delete": "刪除",
+  "history.action.restore": "還原",
+  "field.date": "日期",
+  "field.location": "地點",
+  "field.stake": "籌碼",
+  "field.hands": "將數",
+  "field.net": "淨值",
+  "field.players": "四家",
+  "field.unsettled": "未結帳",
+  "field.note": "備註",
+  "field.tags": "標籤",
+  "field.attachments": "照片",
+
+  "live.title": "即時計分",
+  "live.leave": "先離開",
+  "live.stakeHint": "例如 30/10",
+  "live.players": "四家",
+  "live.playersHint": "勾選自己的座位；起莊預設東家",
+  "live.startDealer": "起莊",
+  "live.start": "開始",
+  "live.badStake": "籌碼格式請輸入：數字/數字，例如 30/10",
+  "live.confirmUndo": "撤銷上一手？",
+  "live.round": "{wind}風圈・{seat}家莊",
+  "live.streak": "連{n}",
+  "live.progress": "已打 {n} 手・完成 {rounds} 圈（{hands} 將）",
+  "live.meMark": "（我）",
+  "live.dealerMark": "・莊",
+  "live.thisHand": "這一手",
+  "live.recordHand": "記錄這手",
+  "live.draw": "流局",
+  "live.undo": "撤銷上一手",
+  "live.handLog": "手牌紀錄",
+  "live.selfDrawn": "{winner} 自摸・{tai} 台",
+  "live.won": "{winner} 胡 {discarder}・{tai} 台",
+  "live.finish": "結束並存成紀錄",
+  "live.noHands": "還沒有任何一手的紀錄",
+  "live.confirmFinish": "結束牌局並存成一筆紀錄？",
+  "live.discard": "放棄牌局",
+  "live.confirmDiscard": "放棄後這局的計分都會清掉，確定？",
+
+  "dashboard.title": "統計",
+  "dashboard.empty": "還沒有紀錄。",
+  "dashboard.winRate": "勝率",
+  "dashboard.lossRate": "敗率",
+  "dashboard.drawRate": "平手",
+  "dashboard.perHand": "每將平均",
+  "dashboard.best": "單場最多贏",
+  "dashboard.worst": "單場最多輸",
+  "dashboard.current": "目前",
+  "dashboard.winStreak": "連贏 {n} 場",
+  "dashboard.lossStreak": "連輸 {n} 場",
+  "dashboard.longestWin": "最長連贏",
+  "dashboard.longestLoss": "最長連輸",
+  "dashboard.games": "{n} 場",
+  "dashboard.cumulative": "累積淨值",
+  "dashboard.monthly": "每月合計",
+  "dashboard.byVenue": "依地點",
+  "dashboard.byStake": "依籌碼",
+  "dashboard.pointTitle": "{date}：{net}（累積 {total}）",
+  "dashboard.col.item": "項目",
+  "dashboard.col.games": "場數",
+  "dashboard.col.total": "合計",
+  "dashboard.col.avg": "平均",
+
+  "venues.title": "地點",
+  "venues.back": "返回",
+  "venues.similar": "可能是同一個地方",
+  "venues.similarHint": "只差空白或全形/半形，合併後會改寫所有紀錄的地點",
+  "venues.mergeInto": "合併為「{name}」",
+  "venues.sortSessions": "常去",
+  "venues.sortNet": "輸最多",
+  "venues.empty": "還沒有填過地點的紀錄",
+  "venues.summary": "{n} 場・最近 {date}",
+  "venues.favorite": "設為最愛",
+  "venues.unfavorite": "取消最愛",
+  "venues.sessions": "場數",
+  "venues.total": "總淨值",
+  "venues.avg": "平均每場",
+  "venues.topStake": "最常打的籌碼",
+  "venues.withCount": "{name}（{n} 場）",
+  "venues.rename": "改名",
+  "venues.renameHint": "所有在這裡的紀錄會一起改",
+  "venues.mergeHere": "合併其他地點到這裡",
+  "venues.pick": "選擇地點",
+  "venues.merge": "合併",
+  "venues.confirmMerge": "把「{from}」的紀錄都改成「{to}」？",
+  "venues.records": "紀錄",
+
+  "settle.title": "結帳",
+  "settle.intro": "只計入勾選「還沒結帳」且有填四家名字的紀錄；這裡是現金往來，跟戰績的淨收支分開算。",
+  "settle.received": "已收",
+  "settle.paid": "已付",
+  "settle.unnamed": "有 {n} 場未結帳的紀錄缺少名字，沒名字的那家不會計入。",
+  "settle.friends": "{me} 跟朋友之間",
+  "settle.allClear": "都結清了",
+  "settle.owesYou": "{name} 欠你",
+  "settle.youOwe": "你欠 {name}",
+  "settle.transfers": "最少轉帳方案",
+  "settle.transfersHint": "整群人的帳一起算，用最少筆數轉帳就能清掉",
+  "settle.nothing": "沒有待結的帳",
+  "settle.markPaid": "標記已付",
+  "settle.payments": "付款紀錄",
+  "settle.confirmDelete": "刪除這筆付款紀錄？",
+  "settle.pays": "{from} 付給 {to}",
+  "settle.notePlaceholder": "備註，例如：LINE Pay",
+  "settle.confirmPaid": "確認已付",
+  "settle.partial": "目前待付 {amount}，可以只付一部分",
+
+  "csv.title": "CSV 匯入",
+  "csv.file": "選擇檔案",
+  "csv.fileHint": "從 Google 試算表或 Excel 另存成 CSV（UTF-8）",
+  "csv.rows": "{name}：{n} 列",
+  "csv.column": "第 {n} 欄",
+  "csv.mapping": "欄位對應",
+  "csv.hasHeader": "第一列是表頭",
+  "csv.skip": "（不匯入）",
+  "csv.preview": "預覽",
+  "csv.previewHint": "可匯入 {good} 筆；有問題 {bad} 列（不會匯入）",
+  "csv.missing": "請先對應：{fields}",
+  "csv.line": "列",
+  "csv.first200": "只顯示前 200 列",
+  "csv.import": "匯入 {n} 筆",
+  "csv.confirmPartial": "有 {bad} 列無法辨識，只匯入其餘 {good} 筆？",
+  "csv.badDate": "日期無法辨識：「{value}」",
+  "csv.badNet": "淨值不是數字：「{value}」",
+  "csv.badStake": "籌碼格式應為 底/台：「{value}」",
+  "csv.badHands": "將數無效：「{value}」",
+
+  "tags.clear": "清除篩選",
+  "restore.title": "還原備份",
+  "restore.count": "備份內有 {n} 筆",
+  "restore.exportedAt": "，匯出於 {date}",
+  "restore.merge": "合併",
+  "restore.replace": "完全取代",
+  "restore.replaceWarning": "會刪除這台裝置上全部 {n} 筆紀錄，換成備份內容。",
+  "restore.replaceButton": "刪除本機資料並還原",
+  "restore.confirmReplace": "這會覆蓋目前所有資料，確定要還原？",
+  "restore.added": "新增",
+  "restore.updated": "更新",
+  "restore.unchanged": "相同",
+  "restore.kept": "保留本機版本",
+  "restore.onlyLocal": "只在這台裝置",
+  "restore.conflicts": "兩邊都改過的紀錄（預設保留較新的）",
+  "restore.local": "本機",
+  "restore.incoming": "備份",
+  "restore.mergeButton": "合併（寫入 {n} 筆）",
+  "backup.title": "備份",
+  "backup.intro": "備份檔記錄了所有輸贏。如果會透過 LINE 傳給自己或放在雲端，建議加密。",
+  "backup.thisProfile": "只備份目前的帳本「{name}」",
+  "backup.allProfiles": "備份這台裝置上的所有帳本（{n} 本）",
+  "backup.encrypt": "用密碼加密",
+  "backup.withPhotos": "包含照片",
+  "backup.noPhotosHint": "檔案會小很多；用這份備份還原時，這台裝置上已有的照片會保留，其他照片不會還原。",
+  "backup.pass": "密碼",
+  "backup.passHint": "忘記密碼就無法還原，App 也沒辦法幫你找回",
+  "backup.passAgain": "再輸入一次",
+  "backup.passTooShort": "密碼至少 4 個字",
+  "backup.passMismatch": "兩次輸入的密碼不一樣",
+  "backup.busy": "處理中…",
+  "backup.download": "下載備份",
+  "backup.encryptedTitle": "加密的備份",
+  "backup.enterPass": "輸入備份時設定的密碼",
+  "backup.decrypting": "解密中…",
+  "backup.decrypt": "解密",
+  "error.noCrypto": "這個瀏覽器不支援加密（需要在 HTTPS 網址下使用）",
+  "error.passRequired": "請輸入密碼",
+  "error.encryptedCorrupt": "加密備份檔已損毀",
+  "error.notEncrypted": "這不是加密的備份檔",
+  "error.encryptedVersion": "不支援的加密格式 v{v}，請先更新 App",
+  "error.wrongPass": "密碼錯誤，或檔案已損毀",
+  "error.needsPass": "這是加密的備份，需要輸入密碼",
+  "error.badJson": "備份檔不是有效的 JSON",
+  "error.allProfilesBackup": "這是所有帳本的備份，請整份還原",
+  "error.badBackup": "備份格式錯誤",
+  "error.badBackupRecords": "備份內有格式錯誤的紀錄（{n} 筆）：",
+  "error.badImage": "無法讀取這張圖片",
+  "error.compressFailed": "圖片壓縮失敗",
+  "error.badAttachment": "附件資料格式錯誤",
+  "error.badShareCode": "看不懂這個分享碼",
+  "error.shareVersion": "分享碼版本不支援",
+  "error.badShare": "分享內容有誤：{errors}",
+  "error.notInTrash": "垃圾桶裡找不到這筆紀錄",
+  "error.noSnapshot": "找不到這份快照",
+  "error.syncHttp": "同步失敗（HTTP {status}）",
+
+  "snapshots.title": "自動快照",
+  "snapshots.intro": "每天第一次打開 App 時自動存一份，保留最近 {days} 天與 {weeks} 週。快照跟紀錄存在同一個瀏覽器裡，清除瀏覽器資料時會一起不見，仍請定期手動備份。",
+  "snapshots.list": "快照",
+  "snapshots.empty": "還沒有快照（有紀錄後明天打開就會有）",
+  "snapshots.kind.daily": "每日",
+  "snapshots.kind.weekly": "每週",
+  "snapshots.records": "{n} 筆紀錄",
+  "snapshots.payments": "{n} 筆付款",
+  "snapshots.restore": "還原",
+  "snapshots.reminder": "備份提醒",
+  "snapshots.reminderHint": "超過幾天沒手動備份就提醒（0 表示不提醒）",
+  "snapshots.lastBackup": "上次手動備份：{at}",
+  "snapshots.never": "從未",
+  "snapshots.persist": "持久儲存",
+  "snapshots.persisted": "已啟用：瀏覽器空間不足時不會自動清掉這裡的資料",
+  "snapshots.notPersisted": "尚未啟用：空間不足時瀏覽器可能會清掉資料。加到主畫面後再開啟，通常比較容易被允許。",
+  "snapshots.requestPersist": "要求持久儲存",
+  "scan.title": "掃描匯入",
+  "scan.camera": "用相機掃 QR code",
+  "scan.openCamera": "開啟相機",
+  "scan.paste": "或貼上分享連結",
+  "scan.read": "讀取",
+  "scan.whichSeat": "你坐哪一家？",
+  "scan.sharer": "（分享者）",
+  "scan.yourNet": "你的輸贏",
+  "scan.yourNetHint": "分享的紀錄只有對方自己的淨值",
+  "scan.opposite": "跟對方相反",
+  "scan.same": "跟對方一樣",
+  "scan.add": "加入我的紀錄",
+  "scan.pickSeat": "請先選你坐哪一家",
+  "scan.again": "重新掃描",
+  "scan.noCamera": "無法使用相機，請改貼連結",
+  "scan.unsupported": "這個瀏覽器不支援相機，請改貼連結",
+  "sync.title": "多裝置同步",
+  "sync.intro": "用同一個伺服器與帳本名稱的人會共用同一本帳；離線時照常記錄，有網路再同步。",
+  "sync.url": "伺服器網址",
+  "sync.ledger": "帳本名稱",
+  "sync.token": "密碼（伺服器有設才需要）",
+  "sync.invalid": "請填伺服器網址；帳本名稱只能用英數、_、-",
+  "sync.busy": "同步中…",
+  "sync.done": "完成：上傳 {pushed} 筆、下載 {pulled} 筆",
+  "sync.conflicts": "、處理衝突 {n} 筆",
+  "sync.failed": "同步失敗：{error}",
+  "sync.status": "上次同步：{at}・待上傳 {n} 筆",
+  "sync.never": "尚未同步",
+  "sync.now": "立即同步",
+  "sync.disable": "停用同步",
+  "sync.disabled": "已停用（本機資料不受影響）",
+  "tai.apply": "加入本場淨值",
+  "tai.winner": "胡牌",
+  "tai.discarder": "放槍",
+  "tai.selfDrawn": "自摸",
+  "tai.dealer": "莊家",
+  "tai.streak": "連莊",
+  "tai.payer": "包牌（付款）",
+  "tai.mySeat": "我坐",
+  "tai.patternTai": "{name} {tai}台",
+  "tai.invalid": "放槍的人不能是胡牌的人",
+  "tai.base": "牌型 {tai} 台（籌碼 {stake}）",
+  "tai.payment": "{from} 付 {to}：{tai} 台",
+  "tai.mine": "我（{seat}）這手：",
+  "tai.rules": "家規",
+  "tai.hideRules": "收起規則",
+  "tai.rule.selfDrawAllPay": "自摸三家都付",
+  "tai.rule.selfDrawAllPayHint": "關閉時自摸只由指定的一家（包牌）付",
+  "tai.rule.streakDouble": "連莊台「連 n 拉 n」",
+  "tai.rule.streakDoubleHint": "開啟：莊家 1 台 + 連莊 2n 台；關閉：莊家 1 台 + 連莊 n 台",
+  "tai.rule.menqingSelfDrawBonus": "門清自摸算 3 台",
+  "tai.rule.menqingSelfDrawBonusHint": "關閉時門清 1 台 + 自摸 1 台，共 2 台",
+  "tai.pattern.menqing": "門清",
+  "tai.pattern.flower": "花",
+  "tai.pattern.dragonPung": "三元牌",
+  "tai.pattern.windPung": "圈風/門風",
+  "tai.pattern.single": "獨聽",
+  "tai.pattern.kongFlower": "槓上開花",
+  "tai.pattern.haidi": "海底撈月",
+  "tai.pattern.robKong": "搶槓",
+  "tai.pattern.allPrice": "全求人",
+  "tai.pattern.pinghu": "平胡",
+  "tai.pattern.threeConcealed": "三暗刻",
+  "tai.pattern.pengpeng": "碰碰胡",
+  "tai.pattern.mixedSuit": "混一色",
+  "tai.pattern.smallDragons": "小三元",
+  "tai.pattern.fourConcealed": "四暗刻",
+  "tai.pattern.fullSuit": "清一色",
+  "tai.pattern.bigDragons": "大三元",
+  "tai.pattern.smallWinds": "小四喜",
+  "tai.pattern.fiveConcealed": "五暗刻",
+  "tai.pattern.eightFlowers": "八仙過海",
+  "tai.pattern.sevenRobOne": "七搶一",
+  "tai.pattern.earthWin": "地胡",
+  "tai.pattern.bigWinds": "大四喜",
+  "tai.pattern.allHonors": "字一色",
+  "tai.pattern.heavenWin": "天胡",
+
+  "trash.title": "垃圾桶",
+  "trash.intro": "刪除的紀錄會保留 {n} 天，之後自動清掉。",
+  "trash.empty": "垃圾桶是空的",
+  "trash.daysLeft": "還剩 {n} 天",
+  "trash.restore": "還原",
+  "trash.emptyAll": "清空垃圾桶",
+  "trash.confirmEmpty": "永久刪除這 {n} 筆紀錄？清空後無法復原。",
+  "share.title": "分享這場",
+  "share.copyPrompt": "複製這個連結：",
+  "share.qrAlt": "分享 QR code",
+  "share.tooLong": "內容太長，無法產生 QR code，請改用連結",
+  "share.hint": "朋友用「掃描匯入」掃這個碼，或打開下面的連結",
+  "share.copied": "已複製",
+  "share.copy": "複製分享連結",
+  "photos.missing": "這張照片不在這台裝置上",
+  "photos.remove": "移除",
+  "photos.compressing": "壓縮中…",
+  "photos.add": "加照片",
+
+  "alert.restoreError": "還原失敗：{error}",
+  "profiles.title": "帳本",
+  "profiles.intro": "每本帳的紀錄、設定、快照都分開存，適合一台手機多人各記各的。",
+  "profiles.save": "儲存",
+  "profiles.active": "使用中",
+  "profiles.switch": "切換",
+  "profiles.rename": "改名",
+  "profiles.delete": "刪除",
+  "profiles.newPlaceholder": "新帳本名稱，例如：老婆",
+  "profiles.add": "新增",
+  "profiles.confirmDelete": "刪除帳本「{name}」？裡面的紀錄、照片、快照與設定都會一起刪掉，無法復原。",
+  "profiles.nameRequired": "請輸入帳本名稱",
+  "profiles.duplicate": "已經有同名的帳本",
+  "profiles.restoredSuffix": "（還原）",
+  "profiles.notFound": "找不到這本帳",
+  "profiles.defaultUndeletable": "預設帳本不能刪除，可以改名",
+  "profiles.activeUndeletable": "不能刪除正在使用的帳本，請先切換到別本",
+
+  "league.title": "雀神榜",
+  "league.intro": "只算有記下四家名字的牌局（至少兩家有名字）。",
+  "league.status.current": "進行中",
+  "league.status.past": "已結束",
+  "league.status.upcoming": "未開始",
+  "league.defaultName": "{year} 年度",
+  "league.seasonName": "賽季名稱",
+  "league.start": "開始",
+  "league.end": "結束",
+  "league.save": "儲存",
+  "league.confirmDelete": "刪除賽季「{name}」？紀錄不會被刪除。",
+  "league.imageTitle": "{name} 雀神榜",
+  "league.imageFootnote": "積分已依籌碼大小與對手強弱調整；至少 {n} 場才列入冠軍",
+  "league.imageFailed": "圖片產生失敗",
+  "league.addSeason": "＋ 新增賽季",
+  "league.noSeasons": "還沒有賽季。新增一個（例如今年），就能看到誰是這季的雀神。",
+  "league.edit": "修改",
+  "league.delete": "刪除",
+  "league.noGames": "這季還沒有記下對手名字的牌局。",
+  "league.col.rank": "#",
+  "league.col.name": "名字",
+  "league.col.games": "場數",
+  "league.col.total": "總輸贏",
+  "league.col.avg": "平均",
+  "league.col.rating": "積分",
+  "league.ratingHint": "積分從 {start} 起算，每場跟同桌每個人比一次：贏多少先換算成「幾把最小的胡」（籌碼大小不影響），贏強手加得多、輸給弱手扣得多。不到 {n} 場的人排在後面。",
+  "league.exporting": "產生中…",
+  "league.export": "存成圖片分享",
+  "league.history": "歷屆雀神",
+  "league.noHistory": "還沒有結束的賽季。",
+  "league.players": "{n} 人",
+  "league.points": "{n} 分",
+  "league.vacant": "從缺",
+  "league.nameRequired": "請輸入賽季名稱",
+  "league.datesRequired": "請選擇開始與結束日期",
+  "league.badRange": "開始日期不能晚於結束日期",
+
+  "plans.rsvp.pending": "未回覆",
+  "plans.rsvp.yes": "會到",
+  "plans.rsvp.maybe": "不確定",
+  "plans.rsvp.no": "不能來",
+  "plans.error.id": "牌局缺少 id",
+  "plans.error.date": "請選擇日期",
+  "plans.error.time": "時間格式應為 HH:MM",
+  "plans.error.stake": "籌碼格式應為 底/台，例如 30/10",
+  "plans.error.players": "players 應為陣列",
+  "plans.error.name": "受邀的人要有名字",
+  "plans.error.duplicate": "受邀名單有重複的名字",
+  "plans.error.rsvp": "不認識的回覆狀態：{rsvp}",
+  "plans.ics.player": "{name}（{rsvp}）",
+  "plans.ics.separator": "、",
+  "plans.ics.players": "成員：{who}",
+  "plans.ics.summary": "打麻將",
+  "plans.ics.summaryAt": "打麻將＠{location}",
+  "plans.time": "時間",
+  "plans.optional": "可不填",
+  "plans.invite": "邀請",
+  "plans.inviteHint": "點名字旁的狀態切換：{order}",
+  "plans.remove": "移除",
+  "plans.addPlayer": "加入",
+  "plans.save": "儲存",
+  "plans.noLocation": "未定地點",
+  "plans.counts": "會到 {yes}・不確定 {maybe}・未回覆 {pending}",
+  "plans.addToCalendar": "加到行事曆",
+  "plans.confirmDelete": "刪除 {date} 的牌局？",
+  "plans.intro": "回覆狀態只存在這台手機，不會同步也不會放進備份。",
+  "plans.add": "＋ 新增牌局",
+  "plans.addAllToCalendar": "全部加到行事曆",
+  "plans.pastDue": "打完了嗎？",
+  "plans.pastDueHint": "日期已過、還沒記成紀錄的牌局；記成紀錄後就會從這裡移除。",
+  "plans.upcoming": "接下來",
+  "plans.none": "還沒有排定的牌局。",
+
+  "schema.notObject": "不是物件",
+  "schema.missingId": "缺少 id",
+  "schema.date": "date 應為 YYYY-MM-DD（目前：{value}）",
+  "schema.net": "net 應為數字（目前：{value}）",
+  "schema.hands": "hands 應為正數（目前：{value}）",
+  "schema.stake": "stake 應為「底/台」（目前：{value}）",
+  "schema.location": "location 應為文字",
+  "schema.note": "note 應為文字",
+  "schema.tags": "tags 應為文字陣列",
+  "schema.attachmentIds": "attachments 應為附件 id 陣列",
+  "schema.players": "players 應為陣列",
+  "schema.playerNet": "players[{i}].net 應為數字",
+  "schema.missingFrom": "缺少付款人",
+  "schema.missingTo": "缺少收款人",
+  "schema.amount": "amount 應為正數（目前：{value}）",
+  "schema.settlementsArray": "settlements 應為陣列",
+  "schema.attachmentsArray": "attachments 應為陣列",
+  "schema.missingRecordId": "缺少 recordId",
+  "schema.dataUrl": "data 應為 data URL",
+  "schema.tooNew": "備份版本 v{v} 比這個 App 新，請先更新 App",
+  "schema.noUpgrade": "無法從備份版本 v{v} 升級",
+  "schema.badRecords": "紀錄格式錯誤（{n} 筆）：",
+  "schema.badSettlements": "付款紀錄格式錯誤（{n} 筆）：",
+  "schema.badAttachments": "附件格式錯誤（{n} 筆）：",
+  "schema.row": "第 {n} 筆：{errors}",
+  "schema.rowWithId": "第 {n} 筆（{id}）：{errors}",
+  "schema.more": "…另有 {n} 筆",
+  "schema.sep": "、",
+
+  "field.id": "編號",
+  "alert.importedSkipped": "已匯入 {n} 筆；{skipped} 筆已經有了，略過",
+};
@@ -0,0 +1,88 @@
+// 合併還原：以 id 對應本機與備份裡的紀錄
+
+function stable(v){
+  if(Array.isArray(v)) return `[${v.map(stable).join(",")}]`;
+  if(v && typeof v === "object"){
+    return `{${Object.keys(v).sort().map((k) => `${JSON.stringify(k)}:${stable(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v);
+}
+
+export function sameRecord(a, b){
+  return stable(a) === stable(b);
+}
+
+function stamp(r){
+  return r.updatedAt || r.createdAt || "";
+}
+
+/**
+ * 比對結果
+ * - added：只在備份裡
+ * - conflicts：兩邊都有但內容不同；newer 標出哪邊比較新（updatedAt）
+ * - unchanged：兩邊完全相同
+ * - onlyLocal：只在本機（合併時一律保留）
+ */
+export function diffRecords(local, incoming){
+  const localById = new Map((local || []).map((r) => [r.id, r]));
+  const seen = new Set();
+  const added = [], conflicts = [], unchanged = [];
+
+  (incoming || []).forEach((r) => {
+    seen.add(r.id);
+    const mine = localById.get(r.id);
+    if(!mine) added.push(r);
+    else if(sameRecord(mine, r)) unchanged.push(r);
+    else conflicts.push({
+      id: r.id,
+      local: mine,
+      incoming: r,
+      newer: stamp(r) > stamp(mine) ? "incoming" : "local",
+    });
+  });
+
+  const onlyLocal = (local || []).filter((r) => !seen.has(r.id));
+  return { added, conflicts, unchanged, onlyLocal };
+}
+
+/** 預設的衝突選擇：保留 updatedAt 比較新的那邊 */
+export function defaultChoices(diff){
+  return Object.fromEntries(diff.conflicts.map((c) => [c.id, c.newer]));
+}
+
+/** 依選擇算出要寫入的紀錄（新增 + 選用備份版本的衝突） */
+export function recordsToWrite(diff, choices){
+  return [
+    ...diff.added,
+    ...diff.conflicts.filter((c) => choices[c.id] === "incoming").map((c) => c.incoming),
+  ];
+}
+
+function unionById(a, b){
+  const m = new Map((a || []).map((x) => [x.id, x]));
+  (b || []).forEach((x) => { if(!m.has(x.id)) m.set(x.id, x); });
+  return [...m.values()];
+}
+
+/**
+ * 合併兩份（已 parse 過的）備份：紀錄衝突時保留 updatedAt 比較新的，付款與照片以 id 聯集
+ * 回傳 { backup, diff }；任一份沒帶照片，合併結果也標成沒帶照片
+ */
+export function mergeBackups(base, incoming){
+  const diff = diffRecords(base.records, incoming.records);
+  const write = new Map(recordsToWrite(diff, defaultChoices(diff)).map((r) => [r.id, r]));
+  const records = [
+    ...base.records.map((r) => write.get(r.id) || r),
+    ...diff.added,
+  ];
+  const backup = {
+    ...base,
+    exportedAt: new Date().toISOString(),
+    records,
+    settlements: unionById(base.settlements, incoming.settlements),
+    attachments: unionById(base.attachments, incoming.attachments),
+  };
+  delete backup.attachmentsOmitted;
+  if(base.attachmentsOmitted || incoming.attachmentsOmitted) backup.attachmentsOmitted = true;
+  return { backup, diff };
+}
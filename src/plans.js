@@ -0,0 +1,175 @@
+// 排定的牌局：{ id, date, time, location, stake, players: [{ name, rsvp }], note, createdAt, updatedAt }
+// rsvp 只記在這台裝置（揪團的人自己勾），打完後一鍵轉成紀錄，轉完就刪掉
+
+import { toDateStr } from "./utils.js";
+import { SEATS } from "./players.js";
+import { t, getLocaleSettings } from "./i18n.js";
+
+// 點一下依序輪替
+export const RSVP = [
+  { id: "pending", labelKey: "plans.rsvp.pending", mark: "？" },
+  { id: "yes", labelKey: "plans.rsvp.yes", mark: "✓" },
+  { id: "maybe", labelKey: "plans.rsvp.maybe", mark: "△" },
+  { id: "no", labelKey: "plans.rsvp.no", mark: "✕" },
+];
+
+// 行事曆活動預設長度
+const DURATION_HOURS = 4;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^\d{2}:\d{2}$/;
+const STAKE_RE = /^\d+\/\d+$/;
+
+export function assertValidPlan(plan){
+  if(!plan?.id) throw new Error(t("plans.error.id"));
+  if(!DATE_RE.test(plan.date || "")) throw new Error(t("plans.error.date"));
+  if(plan.time && !TIME_RE.test(plan.time)) throw new Error(t("plans.error.time"));
+  if(plan.stake && !STAKE_RE.test(plan.stake)) throw new Error(t("plans.error.stake"));
+  if(!Array.isArray(plan.players)) throw new Error(t("plans.error.players"));
+  const names = plan.players.map((p) => String(p.name || "").trim());
+  if(names.some((n) => !n)) throw new Error(t("plans.error.name"));
+  if(new Set(names).size !== names.length) throw new Error(t("plans.error.duplicate"));
+  plan.players.forEach((p) => {
+    if(!RSVP.some((r) => r.id === p.rsvp)) throw new Error(t("plans.error.rsvp", { rsvp: p.rsvp }));
+  });
+}
+
+/** 下一個狀態（點一下輪替） */
+export function nextRsvp(rsvp){
+  const i = RSVP.findIndex((r) => r.id === rsvp);
+  return RSVP[(i + 1) % RSVP.length].id;
+}
+
+export function rsvpCounts(plan){
+  const counts = Object.fromEntries(RSVP.map((r) => [r.id, 0]));
+  plan.players.forEach((p) => counts[p.rsvp]++);
+  return counts;
+}
+
+/** 依日期、時間排序；沒填時間的排在當天最前面 */
+export function sortPlans(plans){
+  return [...(plans || [])].sort((a, b) =>
+    a.date.localeCompare(b.date) || (a.time || "").localeCompare(b.time || "")
+  );
+}
+
+export function plansByDate(plans){
+  const m = {};
+  (plans || []).forEach((p) => {
+    (m[p.date] = m[p.date] || []).push(p);
+  });
+  return m;
+}
+
+export function isUpcoming(plan, today = toDateStr(new Date())){
+  return plan.date >= today;
+}
+
+/**
+ * 轉成紀錄表單的預設值：地點、籌碼，以及沒說不能來的人排進四家（最多四家）
+ */
+export function planToDraft(plan, meName = ""){
+  const invited = plan.players.filter((p) => p.rsvp !== "no").map((p) => p.name);
+  // 自己固定坐東家；還不知道自己叫什麼時名字留空
+  const names = [meName, ...invited.filter((n) => n !== meName)].slice(0, SEATS.length);
+  const players = SEATS.map((seat, i) => ({ seat, name: names[i] || "", net: 0, me: i === 0 }));
+  return {
+    location: plan.location || "",
+    stake: plan.stake || "30/10",
+    hands: 1,
+    note: plan.note || "",
+    players: invited.length > 0 ? players : undefined,
+  };
+}
+
+// ---- .ics（RFC 5545）：標題與說明用目前的語言 ----
+
+function escapeText(s){
+  return String(s || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// 每行最多 75 bytes，超過就折行（下一行開頭空一格）；中文一個字 3 bytes，不能切在字中間
+function fold(line){
+  const enc = new TextEncoder();
+  const out = [];
+  let cur = "", bytes = 0;
+  for(const ch of line){
+    const n = enc.encode(ch).length;
+    if(bytes + n > (out.length ? 74 : 75)){
+      out.push(cur);
+      cur = "";
+      bytes = 0;
+    }
+    cur += ch;
+    bytes += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+const compact = (s) => s.replace(/[-:]/g, "");
+
+function utcStamp(date){
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// 沒有時區的「當地時間」，手機行事曆會用自己的時區
+function localDateTime(dateStr, time, addHours = 0){
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const [hh, mm] = time.split(":").map(Number);
+  const t = new Date(y, m - 1, d, hh + addHours, mm);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${t.getFullYear()}${pad(t.getMonth() + 1)}${pad(t.getDate())}T${pad(t.getHours())}${pad(t.getMinutes())}00`;
+}
+
+function nextDay(dateStr){
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return toDateStr(new Date(y, m - 1, d + 1));
+}
+
+function planEvent(plan, now){
+  const who = plan.players
+    .map((p) => t("plans.ics.player", { name: p.name, rsvp: t(RSVP.find((r) => r.id === p.rsvp).labelKey) }))
+    .join(t("plans.ics.separator"));
+  const description = [
+    plan.stake && t("common.stake", { stake: plan.stake }),
+    who && t("plans.ics.players", { who }),
+    plan.note,
+  ].filter(Boolean).join("\n");
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${plan.id}@xinyi-mahjong`,
+    `DTSTAMP:${utcStamp(now)}`,
+  ];
+  if(plan.time){
+    lines.push(`DTSTART:${localDateTime(plan.date, plan.time)}`);
+    lines.push(`DTEND:${localDateTime(plan.date, plan.time, DURATION_HOURS)}`);
+  }else{
+    lines.push(`DTSTART;VALUE=DATE:${compact(plan.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${compact(nextDay(plan.date))}`);
+  }
+  const summary = plan.location ? t("plans.ics.summaryAt", { location: plan.location }) : t("plans.ics.summary");
+  lines.push(`SUMMARY:${escapeText(`🀄 ${summary}`)}`);
+  if(plan.location) lines.push(`LOCATION:${escapeText(plan.location)}`);
+  if(description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/** 一個或多個牌局轉成 .ics 文字（CRLF 換行） */
+export function plansToICS(plans, now = new Date()){
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//xinyi-mahjong//plans//${getLocaleSettings().locale.toUpperCase()}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...sortPlans(plans).flatMap((p) => planEvent(p, now)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
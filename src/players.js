@@ -0,0 +1,59 @@
+// 四家戰績：record.players = [{ seat, name, net, me }]
+// record.net 仍然是「我」的淨值，由標記 me 的那一家推出，行事曆與統計不用改。
+
+export const SEATS = ["東", "南", "西", "北"];
+
+export function emptyPlayers(){
+  return SEATS.map((seat, i) => ({ seat, name: "", net: 0, me: i === 0 }));
+}
+
+export function hasPlayers(record){
+  return Array.isArray(record?.players) && record.players.length > 0;
+}
+
+export function findMe(players){
+  return (players || []).find((p) => p.me) || null;
+}
+
+export function myNet(players){
+  const me = findMe(players);
+  return me ? Number(me.net || 0) : 0;
+}
+
+export function playersSum(players){
+  return (players || []).reduce((s, p) => s + Number(p.net || 0), 0);
+}
+
+export function isZeroSum(players){
+  return playersSum(players) === 0;
+}
+
+/** 從過去紀錄整理出名單，出現次數多的排前面 */
+export function buildRoster(records){
+  const count = new Map();
+  (records || []).forEach((r) => {
+    if(!hasPlayers(r)) return;
+    r.players.forEach((p) => {
+      const name = String(p.name || "").trim();
+      if(name) count.set(name, (count.get(name) || 0) + 1);
+    });
+  });
+  return [...count.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([name]) => name);
+}
+
+/** 存檔前整理：去空白、數字化，只保留一個 me */
+export function normalizePlayers(players){
+  let meSeen = false;
+  return (players || []).map((p) => {
+    const me = !!p.me && !meSeen;
+    if(me) meSeen = true;
+    return {
+      seat: p.seat,
+      name: String(p.name || "").trim(),
+      net: Number(p.net || 0),
+      me,
+    };
+  });
+}
@@ -0,0 +1,93 @@
+// 帳本（profile）：同一台裝置上分開記帳，例如家裡共用的手機夫妻各記各的
+// 每本帳有自己的 IndexedDB 與 localStorage 設定；預設帳本沿用舊的名稱，升級前的資料不用搬
+// 預設帳本沒取名時 name 是空字串，顯示時由畫面補上
+import { v4 as uuidv4 } from "uuid";
+import { t } from "./i18n.js";
+
+const PROFILES_KEY = "xinyi_mahjong_profiles";
+export const DEFAULT_PROFILE_ID = "default";
+
+function defaultState(){
+  return {
+    active: DEFAULT_PROFILE_ID,
+    profiles: [{ id: DEFAULT_PROFILE_ID, name: "", createdAt: null }],
+  };
+}
+
+export function loadProfiles(){
+  try{
+    const s = JSON.parse(localStorage.getItem(PROFILES_KEY) || "null");
+    if(s && Array.isArray(s.profiles) && s.profiles.length){
+      const active = s.profiles.some((p) => p.id === s.active) ? s.active : s.profiles[0].id;
+      return { ...s, active };
+    }
+  }catch(e){
+    // 壞掉就回到只有預設帳本
+  }
+  return defaultState();
+}
+
+function saveProfiles(state){
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(state));
+  return state;
+}
+
+export function activeProfileId(){
+  return loadProfiles().active;
+}
+
+/** 設定的 localStorage key：預設帳本不變，其他帳本加上 "@<id>" */
+export function profileKey(key, id = activeProfileId()){
+  return id === DEFAULT_PROFILE_ID ? key : `${key}@${id}`;
+}
+
+function checkName(state, name, exceptId){
+  const n = String(name || "").trim();
+  if(!n) throw new Error(t("profiles.nameRequired"));
+  if(state.profiles.some((p) => p.id !== exceptId && p.name === n)) throw new Error(t("profiles.duplicate"));
+  return n;
+}
+
+export function createProfile(name){
+  const state = loadProfiles();
+  const profile = { id: uuidv4(), name: checkName(state, name), createdAt: new Date().toISOString() };
+  saveProfiles({ ...state, profiles: [...state.profiles, profile] });
+  return profile;
+}
+
+export function renameProfile(id, name){
+  const state = loadProfiles();
+  const n = checkName(state, name, id);
+  return saveProfiles({
+    ...state,
+    profiles: state.profiles.map((p) => (p.id === id ? { ...p, name: n } : p)),
+  });
+}
+
+/** 從備份還原所有帳本時用：沒有這個 id 就建立，有就沿用原本的名稱 */
+export function ensureProfile(id, name){
+  const state = loadProfiles();
+  if(state.profiles.some((p) => p.id === id)) return;
+  let n = String(name || "").trim() || t("profiles.title");
+  while(state.profiles.some((p) => p.name === n)) n += t("profiles.restoredSuffix");
+  saveProfiles({ ...state, profiles: [...state.profiles, { id, name: n, createdAt: new Date().toISOString() }] });
+}
+
+export function switchProfile(id){
+  const state = loadProfiles();
+  if(!state.profiles.some((p) => p.id === id)) throw new Error(t("profiles.notFound"));
+  saveProfiles({ ...state, active: id });
+}
+
+/** 只從清單移除並清掉設定；資料庫由 db.js 的 deleteProfileData 刪 */
+export function removeProfile(id){
+  const state = loadProfiles();
+  // 預設帳本的設定 key 沒有後綴，跟語言等全裝置設定混在一起，只能改名不能刪
+  if(id === DEFAULT_PROFILE_ID) throw new Error(t("profiles.defaultUndeletable"));
+  if(id === state.active) throw new Error(t("profiles.activeUndeletable"));
+  const suffix = `@${id}`;
+  Object.keys(localStorage)
+    .filter((k) => k.endsWith(suffix))
+    .forEach((k) => localStorage.removeItem(k));
+  return saveProfiles({ ...state, profiles: state.profiles.filter((p) => p.id !== id) });
+}
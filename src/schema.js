@@ -0,0 +1,148 @@
+// 備份格式版本與紀錄驗證
+//
+// 版本紀錄：
+// - v1：沒有 version 欄位，只有 { app, exportedAt, records }
+// - v2：加上 version；數字欄位一定是 number
+// - v3：加上 settlements（結帳付款紀錄）
+// - v4：紀錄加上 note、tags、attachments（附件 id）；備份可帶 attachments（data URL），
+//        不帶照片的備份標 attachmentsOmitted: true
+//
+// 資料模型變動時：BACKUP_VERSION + 1，並在 UPGRADES 加一個「從舊版升到下一版」的步驟
+//
+// 這裡不組文字：每個問題是 { code, params }，丟出的錯誤也帶 code／params／invalid，
+// 由畫面（或 CLI、同步伺服器）用 i18n.js 的 errorText／problemText 翻成目前語言
+
+export const BACKUP_VERSION = 4;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const STAKE_RE = /^-?\d+(\.\d+)?\/-?\d+(\.\d+)?$/;
+
+const problem = (code, params) => (params ? { code, params } : { code });
+
+function schemaError(code, params, invalid){
+  const err = new Error(code);
+  err.name = "SchemaError";
+  err.code = code;
+  err.params = params;
+  if(invalid) err.invalid = invalid;
+  return err;
+}
+
+function toNumberIfNumeric(v){
+  if(typeof v === "string" && v.trim() !== "" && Number.isFinite(Number(v))) return Number(v);
+  return v;
+}
+
+/** UPGRADES[n]：把 vn 的備份轉成 v(n+1) */
+const UPGRADES = {
+  1: (data) => ({
+    ...data,
+    version: 2,
+    // 舊版手動編輯過的檔案常把數字存成字串
+    records: data.records.map((r) => ({
+      ...r,
+      net: toNumberIfNumeric(r.net),
+      hands: toNumberIfNumeric(r.hands),
+    })),
+  }),
+  2: (data) => ({ ...data, version: 3, settlements: data.settlements || [] }),
+  3: (data) => ({ ...data, version: 4, attachments: data.attachments || [] }),
+};
+
+export function upgradeBackup(data){
+  let cur = { ...data, version: Number(data.version || 1) };
+  if(cur.version > BACKUP_VERSION){
+    throw schemaError("schema.tooNew", { v: cur.version });
+  }
+  while(cur.version < BACKUP_VERSION){
+    const step = UPGRADES[cur.version];
+    if(!step) throw schemaError("schema.noUpgrade", { v: cur.version });
+    cur = step(cur);
+  }
+  return cur;
+}
+
+function isValidDate(s){
+  if(typeof s !== "string" || !DATE_RE.test(s)) return false;
+  const [y, m, d] = s.split("-").map(Number);
+  const dt = new Date(y, m - 1, d);
+  return dt.getFullYear() === y && dt.getMonth() === m - 1 && dt.getDate() === d;
+}
+
+/** 檢查一筆紀錄，回傳問題陣列 [{ code, params }]（空陣列表示沒問題） */
+export function validateRecord(r){
+  if(!r || typeof r !== "object" || Array.isArray(r)) return [problem("schema.notObject")];
+  const errors = [];
+  if(typeof r.id !== "string" || !r.id) errors.push(problem("schema.missingId"));
+  if(!isValidDate(r.date)) errors.push(problem("schema.date", { value: JSON.stringify(r.date) }));
+  if(typeof r.net !== "number" || !Number.isFinite(r.net)) errors.push(problem("schema.net", { value: JSON.stringify(r.net) }));
+  if(typeof r.hands !== "number" || !(r.hands > 0)) errors.push(problem("schema.hands", { value: JSON.stringify(r.hands) }));
+  if(typeof r.stake !== "string" || !STAKE_RE.test(r.stake)) errors.push(problem("schema.stake", { value: JSON.stringify(r.stake) }));
+  if(r.location !== undefined && typeof r.location !== "string") errors.push(problem("schema.location"));
+  if(r.note !== undefined && typeof r.note !== "string") errors.push(problem("schema.note"));
+  if(r.tags !== undefined && !(Array.isArray(r.tags) && r.tags.every((t) => typeof t === "string"))){
+    errors.push(problem("schema.tags"));
+  }
+  if(r.attachments !== undefined && !(Array.isArray(r.attachments) && r.attachments.every((a) => typeof a === "string"))){
+    errors.push(problem("schema.attachmentIds"));
+  }
+  if(r.players !== undefined){
+    if(!Array.isArray(r.players)) errors.push(problem("schema.players"));
+    else r.players.forEach((p, i) => {
+      if(!p || typeof p.net !== "number" || !Number.isFinite(p.net)) errors.push(problem("schema.playerNet", { i }));
+    });
+  }
+  return errors;
+}
+
+/** 回傳有問題的紀錄：[{ index, id, errors }] */
+export function validateRecords(records){
+  const invalid = [];
+  (records || []).forEach((r, index) => {
+    const errors = validateRecord(r);
+    if(errors.length) invalid.push({ index, id: r?.id, errors });
+  });
+  return invalid;
+}
+
+/** 有任何不合格的紀錄就丟錯，錯誤物件帶 invalid 清單；code 是開頭那句的字串 key */
+export function assertValidRecords(records, code = "schema.badRecords"){
+  const invalid = validateRecords(records);
+  if(invalid.length) throw schemaError(code, { n: invalid.length }, invalid);
+}
+
+/** 付款紀錄：{ id, from, to, amount > 0, date } */
+export function validateSettlement(p){
+  if(!p || typeof p !== "object") return [problem("schema.notObject")];
+  const errors = [];
+  if(typeof p.id !== "string" || !p.id) errors.push(problem("schema.missingId"));
+  if(typeof p.from !== "string" || !p.from) errors.push(problem("schema.missingFrom"));
+  if(typeof p.to !== "string" || !p.to) errors.push(problem("schema.missingTo"));
+  if(typeof p.amount !== "number" || !(p.amount > 0)) errors.push(problem("schema.amount", { value: JSON.stringify(p.amount) }));
+  if(!isValidDate(p.date)) errors.push(problem("schema.date", { value: JSON.stringify(p.date) }));
+  return errors;
+}
+
+export function assertValidSettlements(payments){
+  if(!Array.isArray(payments)) throw schemaError("schema.settlementsArray");
+  const invalid = [];
+  payments.forEach((p, index) => {
+    const errors = validateSettlement(p);
+    if(errors.length) invalid.push({ index, id: p?.id, errors });
+  });
+  if(invalid.length) throw schemaError("schema.badSettlements", { n: invalid.length }, invalid);
+}
+
+/** 備份裡的附件：{ id, recordId, type, data: "data:image/...;base64,..." } */
+export function assertValidAttachments(attachments){
+  if(!Array.isArray(attachments)) throw schemaError("schema.attachmentsArray");
+  const invalid = [];
+  attachments.forEach((a, index) => {
+    const errors = [];
+    if(!a || typeof a.id !== "string" || !a.id) errors.push(problem("schema.missingId"));
+    if(typeof a?.recordId !== "string" || !a.recordId) errors.push(problem("schema.missingRecordId"));
+    if(typeof a?.data !== "string" || !a.data.startsWith("data:")) errors.push(problem("schema.dataUrl"));
+    if(errors.length) invalid.push({ index, id: a?.id, errors });
+  });
+  if(invalid.length) throw schemaError("schema.badAttachments", { n: invalid.length }, invalid);
+}
@@ -0,0 +1,92 @@
+// 統計範圍：年、月、最近 N 天、自訂區間、全部
+// scope 物件會記在 localStorage，下次打開沿用
+
+import { toDateStr } from "./utils.js";
+import { t } from "./i18n.js";
+import { profileKey } from "./profiles.js";
+
+const SCOPE_KEY = "xinyi_mahjong_scope";
+
+export const SCOPE_TYPES = [
+  { id: "year", labelKey: "scope.type.year" },
+  { id: "month", labelKey: "scope.type.month" },
+  { id: "last30", labelKey: "scope.type.last30" },
+  { id: "last90", labelKey: "scope.type.last90" },
+  { id: "range", labelKey: "scope.type.range" },
+  { id: "all", labelKey: "scope.type.all" },
+];
+
+export function defaultScope(today = new Date()){
+  return { type: "year", year: today.getFullYear() };
+}
+
+export function loadScope(){
+  try{
+    const s = JSON.parse(localStorage.getItem(profileKey(SCOPE_KEY)) || "null");
+    if(s && SCOPE_TYPES.some((type) => type.id === s.type)) return s;
+  }catch(e){
+    // 壞掉就用預設
+  }
+  return defaultScope();
+}
+
+export function saveScope(scope){
+  localStorage.setItem(profileKey(SCOPE_KEY), JSON.stringify(scope));
+}
+
+/** 換類型時補上合理的預設值 */
+export function scopeOfType(type, today = new Date()){
+  const t = toDateStr(today);
+  switch(type){
+    case "year": return { type, year: today.getFullYear() };
+    case "month": return { type, month: t.slice(0, 7) };
+    case "range": return { type, from: `${t.slice(0, 7)}-01`, to: t };
+    default: return { type };
+  }
+}
+
+function daysAgo(today, n){
+  const d = new Date(today);
+  d.setDate(d.getDate() - n);
+  return toDateStr(d);
+}
+
+/** scope → { from, to }（含頭尾，YYYY-MM-DD）；null 表示不限 */
+export function scopeRange(scope, today = new Date()){
+  switch(scope?.type){
+    case "year": return { from: `${scope.year}-01-01`, to: `${scope.year}-12-31` };
+    case "month": {
+      const [y, m] = scope.month.split("-").map(Number);
+      const last = new Date(y, m, 0).getDate();
+      return { from: `${scope.month}-01`, to: `${scope.month}-${String(last).padStart(2, "0")}` };
+    }
+    case "last30": return { from: daysAgo(today, 29), to: toDateStr(today) };
+    case "last90": return { from: daysAgo(today, 89), to: toDateStr(today) };
+    case "range": return { from: scope.from || null, to: scope.to || null };
+    default: return { from: null, to: null };
+  }
+}
+
+export function inRange(date, range){
+  if(!date) return false;
+  if(range.from && date < range.from) return false;
+  if(range.to && date > range.to) return false;
+  return true;
+}
+
+export function filterByScope(records, scope, today = new Date()){
+  const range = scopeRange(scope, today);
+  return (records || []).filter((r) => inRange(r.date, range));
+}
+
+/** 用在統計卡標題，例如「2025 年」「2025-03」「最近 30 天」 */
+export function scopeLabel(scope, today = new Date()){
+  switch(scope?.type){
+    case "year": return scope.year === today.getFullYear() ? t("scope.thisYear") : t("scope.year", { year: scope.year });
+    case "month": return scope.month;
+    case "last30": return t("scope.lastDays", { n: 30 });
+    case "last90": return t("scope.lastDays", { n: 90 });
+    case "range": return `${scope.from || "…"} ~ ${scope.to || "…"}`;
+    default: return t("scope.all");
+  }
+}
@@ -0,0 +1,137 @@
+// 台灣十六張台數計算
+// 座位一律用 0-3 表示（對應 players.js 的 SEATS：東南西北）
+// 每一家付的錢 = 底 + 台數 × 台；莊家/連莊台只算在「跟莊家有關」的那筆支付上
+
+import { profileKey } from "./profiles.js";
+
+/**
+ * 牌型清單（名稱是語系字串）
+ * - tai：每項（或每個）幾台
+ * - max：有 max 的是可計數項目（花、三元牌、風牌），台數 × 個數
+ */
+export const PATTERNS = [
+  { id: "menqing", labelKey: "tai.pattern.menqing", tai: 1 },
+  { id: "flower", labelKey: "tai.pattern.flower", tai: 1, max: 8 },
+  { id: "dragonPung", labelKey: "tai.pattern.dragonPung", tai: 1, max: 3 },
+  { id: "windPung", labelKey: "tai.pattern.windPung", tai: 1, max: 2 },
+  { id: "single", labelKey: "tai.pattern.single", tai: 1 },
+  { id: "kongFlower", labelKey: "tai.pattern.kongFlower", tai: 1 },
+  { id: "haidi", labelKey: "tai.pattern.haidi", tai: 1 },
+  { id: "robKong", labelKey: "tai.pattern.robKong", tai: 1 },
+  { id: "allPrice", labelKey: "tai.pattern.allPrice", tai: 2 },
+  { id: "pinghu", labelKey: "tai.pattern.pinghu", tai: 2 },
+  { id: "threeConcealed", labelKey: "tai.pattern.threeConcealed", tai: 2 },
+  { id: "pengpeng", labelKey: "tai.pattern.pengpeng", tai: 4 },
+  { id: "mixedSuit", labelKey: "tai.pattern.mixedSuit", tai: 4 },
+  { id: "smallDragons", labelKey: "tai.pattern.smallDragons", tai: 4 },
+  { id: "fourConcealed", labelKey: "tai.pattern.fourConcealed", tai: 5 },
+  { id: "fullSuit", labelKey: "tai.pattern.fullSuit", tai: 8 },
+  { id: "bigDragons", labelKey: "tai.pattern.bigDragons", tai: 8 },
+  { id: "smallWinds", labelKey: "tai.pattern.smallWinds", tai: 8 },
+  { id: "fiveConcealed", labelKey: "tai.pattern.fiveConcealed", tai: 8 },
+  { id: "eightFlowers", labelKey: "tai.pattern.eightFlowers", tai: 8 },
+  { id: "sevenRobOne", labelKey: "tai.pattern.sevenRobOne", tai: 8 },
+  { id: "earthWin", labelKey: "tai.pattern.earthWin", tai: 16 },
+  { id: "bigWinds", labelKey: "tai.pattern.bigWinds", tai: 16 },
+  { id: "allHonors", labelKey: "tai.pattern.allHonors", tai: 16 },
+  { id: "heavenWin", labelKey: "tai.pattern.heavenWin", tai: 24 },
+];
+
+export const RULE_DEFS = [
+  {
+    id: "selfDrawAllPay",
+    labelKey: "tai.rule.selfDrawAllPay",
+    hintKey: "tai.rule.selfDrawAllPayHint",
+  },
+  {
+    id: "streakDouble",
+    labelKey: "tai.rule.streakDouble",
+    hintKey: "tai.rule.streakDoubleHint",
+  },
+  {
+    id: "menqingSelfDrawBonus",
+    labelKey: "tai.rule.menqingSelfDrawBonus",
+    hintKey: "tai.rule.menqingSelfDrawBonusHint",
+  },
+];
+
+export const DEFAULT_RULES = {
+  selfDrawAllPay: true,
+  streakDouble: true,
+  menqingSelfDrawBonus: true,
+};
+
+const RULES_KEY = "xinyi_mahjong_house_rules";
+
+export function loadRules(){
+  try{
+    return { ...DEFAULT_RULES, ...JSON.parse(localStorage.getItem(profileKey(RULES_KEY)) || "{}") };
+  }catch(e){
+    return { ...DEFAULT_RULES };
+  }
+}
+
+export function saveRules(rules){
+  localStorage.setItem(profileKey(RULES_KEY), JSON.stringify(rules));
+}
+
+/** 莊家台：莊家 1 台，加上連莊台 */
+export function dealerTai(streak, rules = DEFAULT_RULES){
+  const n = Math.max(0, Number(streak || 0));
+  return 1 + (rules.streakDouble ? n * 2 : n);
+}
+
+/** 勾選的牌型台數（不含自摸、莊家台） */
+export function patternTai(picked){
+  return PATTERNS.reduce((sum, p) => {
+    const v = picked?.[p.id];
+    if(!v) return sum;
+    const count = p.max ? Math.min(p.max, Number(v) || 0) : 1;
+    return sum + p.tai * count;
+  }, 0);
+}
+
+/**
+ * 計算一手牌的輸贏
+ * @param {object} hand
+ * @param {object} hand.picked    { [patternId]: true | 個數 }
+ * @param {number} hand.winner    胡牌的座位
+ * @param {number|null} hand.discarder  放槍的座位；null 表示自摸
+ * @param {number|null} hand.payer 自摸且非三家都付時，負責付錢的座位
+ * @param {number} hand.dealer    莊家座位
+ * @param {number} hand.streak    連莊次數
+ * @param {{base:number, tai:number}} stake
+ * @param {object} rules
+ * @returns {{ baseTai:number, payments:{seat:number,tai:number,amount:number}[], deltas:number[] }}
+ */
+export function computeHand(hand, stake, rules = DEFAULT_RULES){
+  const { picked = {}, winner, discarder = null, payer = null, dealer, streak = 0 } = hand;
+  const selfDraw = discarder === null || discarder === undefined;
+
+  let baseTai = patternTai(picked);
+  if(selfDraw){
+    // 自摸 1 台；門清自摸依規則可算 3 台（門清 1 + 自摸 1 + 加碼 1）
+    baseTai += 1;
+    if(picked.menqing && rules.menqingSelfDrawBonus) baseTai += 1;
+  }
+
+  let payers;
+  if(!selfDraw) payers = [discarder];
+  else if(rules.selfDrawAllPay) payers = [0, 1, 2, 3].filter((s) => s !== winner);
+  else payers = [payer ?? (winner + 1) % 4];
+
+  const dTai = dealerTai(streak, rules);
+  const payments = payers.map((seat) => {
+    const dealerInvolved = winner === dealer || seat === dealer;
+    const tai = baseTai + (dealerInvolved ? dTai : 0);
+    return { seat, tai, amount: stake.base + tai * stake.tai };
+  });
+
+  const deltas = [0, 0, 0, 0];
+  payments.forEach((p) => {
+    deltas[p.seat] -= p.amount;
+    deltas[winner] += p.amount;
+  });
+
+  return { baseTai, payments, deltas };
+}
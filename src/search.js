@@ -0,0 +1,68 @@
+// 全部紀錄的搜尋/篩選/排序
+
+import { netOf, totals } from "./calc.js";
+
+export const SORTS = [
+  { id: "date-desc", labelKey: "search.sort.dateDesc" },
+  { id: "date-asc", labelKey: "search.sort.dateAsc" },
+  { id: "net-desc", labelKey: "search.sort.netDesc" },
+  { id: "net-asc", labelKey: "search.sort.netAsc" },
+];
+
+export const EMPTY_QUERY = {
+  text: "",
+  from: "",
+  to: "",
+  stake: "",
+  // "1" 贏、"-1" 輸、"0" 平（跟淨值的正負號比）
+  result: "",
+  minHands: "",
+  maxHands: "",
+  sort: "date-desc",
+};
+
+/** 關鍵字比對地點、備註、標籤；空白分隔的每個字都要出現 */
+function matchesText(r, text){
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  if(words.length === 0) return true;
+  const hay = [r.location, r.note, ...(r.tags || [])].join(" ").toLowerCase();
+  return words.every((w) => hay.includes(w));
+}
+
+export function searchRecords(records, q){
+  const minHands = q.minHands === "" ? null : Number(q.minHands);
+  const maxHands = q.maxHands === "" ? null : Number(q.maxHands);
+  const list = (records || []).filter((r) => {
+    if(q.from && r.date < q.from) return false;
+    if(q.to && r.date > q.to) return false;
+    if(q.stake && r.stake !== q.stake) return false;
+    if(q.result && Math.sign(netOf(r)) !== Number(q.result)) return false;
+    if(minHands !== null && r.hands < minHands) return false;
+    if(maxHands !== null && r.hands > maxHands) return false;
+    return matchesText(r, q.text);
+  });
+  const byDate = (a, b) => a.date.localeCompare(b.date) || (a.createdAt || "").localeCompare(b.createdAt || "");
+  const cmp = {
+    "date-desc": (a, b) => byDate(b, a),
+    "date-asc": byDate,
+    "net-desc": (a, b) => b.net - a.net || byDate(b, a),
+    "net-asc": (a, b) => a.net - b.net || byDate(b, a),
+  }[q.sort] || ((a, b) => byDate(b, a));
+  return list.sort(cmp);
+}
+
+export function summarize(list){
+  return {
+    count: list.length,
+    total: totals(list).net,
+  };
+}
+
+/** 紀錄裡出現過的籌碼，給篩選下拉選單用 */
+export function stakesInUse(records){
+  return [...new Set((records || []).map((r) => r.stake))].sort((a, b) => {
+    const [ab, at] = a.split("/").map(Number);
+    const [bb, bt] = b.split("/").map(Number);
+    return ab - bb || at - bt;
+  });
+}
@@ -0,0 +1,105 @@
+// 結帳：誰欠誰
+// 只有標記 unsettled（當場沒結清）且有記四家名字的紀錄會計入；已付款記在 settlements store
+// 餘額 > 0 表示待收，< 0 表示待付
+
+export function isUnsettled(record){
+  return !!record?.unsettled && Array.isArray(record.players);
+}
+
+function add(map, name, amount){
+  if(!name) return;
+  map.set(name, (map.get(name) || 0) + amount);
+}
+
+/** 每個人的未結餘額 */
+export function balances(records, payments){
+  const m = new Map();
+  (records || []).filter(isUnsettled).forEach((r) => {
+    r.players.forEach((p) => add(m, String(p.name || "").trim(), Number(p.net || 0)));
+  });
+  (payments || []).forEach((p) => {
+    add(m, p.from, p.amount);
+    add(m, p.to, -p.amount);
+  });
+  return m;
+}
+
+/** 用最少筆數（貪婪法）把餘額清掉：每次讓欠最多的付給該收最多的 */
+export function minimalTransfers(balanceMap){
+  const debtors = [], creditors = [];
+  balanceMap.forEach((v, name) => {
+    if(v < 0) debtors.push({ name, amount: -v });
+    if(v > 0) creditors.push({ name, amount: v });
+  });
+  const transfers = [];
+  while(debtors.length && creditors.length){
+    debtors.sort((a, b) => b.amount - a.amount);
+    creditors.sort((a, b) => b.amount - a.amount);
+    const d = debtors[0], c = creditors[0];
+    const amount = Math.min(d.amount, c.amount);
+    transfers.push({ from: d.name, to: c.name, amount });
+    d.amount -= amount;
+    c.amount -= amount;
+    if(d.amount === 0) debtors.shift();
+    if(c.amount === 0) creditors.shift();
+  }
+  return transfers;
+}
+
+/**
+ * 我跟每個朋友之間的帳：每場先各自算出當晚的轉帳，再扣掉已付款
+ * 回傳 [{ name, amount }]，amount > 0 是對方欠我
+ */
+export function friendBalances(me, records, payments){
+  const m = new Map();
+  (records || []).filter(isUnsettled).forEach((r) => {
+    const night = new Map();
+    r.players.forEach((p) => add(night, String(p.name || "").trim(), Number(p.net || 0)));
+    minimalTransfers(night).forEach((t) => {
+      if(t.to === me) add(m, t.from, t.amount);
+      if(t.from === me) add(m, t.to, -t.amount);
+    });
+  });
+  (payments || []).forEach((p) => {
+    if(p.to === me) add(m, p.from, -p.amount);
+    if(p.from === me) add(m, p.to, p.amount);
+  });
+  return [...m.entries()]
+    .filter(([, amount]) => amount !== 0)
+    .map(([name, amount]) => ({ name, amount }))
+    .sort((a, b) => b.amount - a.amount);
+}
+
+/** 「我」的名字：紀錄裡被標為 me 最多次的名字 */
+export function guessMyName(records){
+  const count = new Map();
+  (records || []).forEach((r) => {
+    (r.players || []).forEach((p) => {
+      const name = String(p.name || "").trim();
+      if(p.me && name) count.set(name, (count.get(name) || 0) + 1);
+    });
+  });
+  let best = "", n = 0;
+  count.forEach((c, name) => { if(c > n){ best = name; n = c; } });
+  return best;
+}
+
+/** 我的現金狀況：待收/待付（未結）、已收/已付（付款紀錄） */
+export function cashSummary(me, records, payments){
+  const friends = friendBalances(me, records, payments);
+  const receivable = friends.filter((f) => f.amount > 0).reduce((s, f) => s + f.amount, 0);
+  const payable = friends.filter((f) => f.amount < 0).reduce((s, f) => s - f.amount, 0);
+  let received = 0, paid = 0;
+  (payments || []).forEach((p) => {
+    if(p.to === me) received += p.amount;
+    if(p.from === me) paid += p.amount;
+  });
+  return { receivable, payable, received, paid };
+}
+
+/** 有參與但沒填名字的紀錄（無法計入） */
+export function unnamedUnsettled(records){
+  return (records || []).filter(
+    (r) => isUnsettled(r) && r.players.some((p) => !String(p.name || "").trim())
+  );
+}
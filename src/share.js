@@ -0,0 +1,95 @@
+// 分享單場紀錄：QR code / 連結（#share=...），完全離線
+// 內容用短欄位名壓縮，base64url 編碼
+
+import { validateRecord } from "./schema.js";
+import { t, problemText } from "./i18n.js";
+
+const SHARE_PREFIX = "share=";
+const SHARE_VERSION = 1;
+
+function toBase64Url(text){
+  const bytes = new TextEncoder().encode(text);
+  let bin = "";
+  bytes.forEach((b) => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(s){
+  const b64 = s.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "===".slice((b64.length + 3) % 4));
+  return new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0)));
+}
+
+export function encodeShare(record){
+  const payload = {
+    v: SHARE_VERSION,
+    i: record.id,
+    d: record.date,
+    l: record.location || "",
+    s: record.stake,
+    h: record.hands,
+    n: record.net,
+  };
+  if(Array.isArray(record.players) && record.players.length){
+    payload.p = record.players.map((p) => [p.seat, p.name, p.net]);
+    payload.m = record.players.findIndex((p) => p.me);
+  }
+  return toBase64Url(JSON.stringify(payload));
+}
+
+export function shareUrl(record, baseUrl){
+  return `${baseUrl}#${SHARE_PREFIX}${encodeShare(record)}`;
+}
+
+/** 接受完整連結、#share=...、或純編碼字串；格式不對就丟錯 */
+export function decodeShare(input){
+  const text = String(input || "").trim();
+  const idx = text.indexOf(SHARE_PREFIX);
+  const code = idx >= 0 ? text.slice(idx + SHARE_PREFIX.length) : text;
+  let payload;
+  try{
+    payload = JSON.parse(fromBase64Url(code.split(/[&\s]/)[0]));
+  }catch(e){
+    throw new Error(t("error.badShareCode"));
+  }
+  if(!payload || payload.v !== SHARE_VERSION) throw new Error(t("error.shareVersion"));
+  return payload;
+}
+
+export function readShareFromHash(hash){
+  return String(hash || "").includes(SHARE_PREFIX) ? hash.replace(/^#/, "") : null;
+}
+
+/**
+ * 轉成接收者自己的紀錄
+ * - 有四家資料：選自己坐哪一家，淨值取那一家
+ * - 沒有四家資料：flip 為 true 時正負相反（跟分享者對賭的情況）
+ */
+export function toReceiverRecord(payload, { seat, flip, id, now }){
+  const record = {
+    id,
+    date: payload.d,
+    location: payload.l || "",
+    stake: payload.s,
+    hands: payload.h,
+    net: 0,
+    sharedFrom: payload.i,
+    createdAt: now,
+    updatedAt: now,
+  };
+  if(Array.isArray(payload.p)){
+    record.players = payload.p.map(([seatName, name, net], i) => ({
+      seat: seatName,
+      name,
+      net: Number(net || 0),
+      me: i === seat,
+    }));
+    record.net = Number(payload.p[seat]?.[2] || 0);
+  }else{
+    const n = Number(payload.n || 0);
+    record.net = flip && n !== 0 ? -n : n;
+  }
+  const errors = validateRecord(record);
+  if(errors.length) throw new Error(t("error.badShare", { errors: errors.map(problemText).join(t("schema.sep")) }));
+  return record;
+}
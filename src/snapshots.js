@@ -0,0 +1,68 @@
+// 自動快照與備份提醒
+// 快照 id：daily-YYYY-MM-DD（每天第一次打開時）與 weekly-YYYY-MM-DD（該週週一）
+// 各自只留最新的 KEEP_DAILY / KEEP_WEEKLY 份
+
+import { toDateStr } from "./utils.js";
+import { profileKey } from "./profiles.js";
+
+export const KEEP_DAILY = 7;
+export const KEEP_WEEKLY = 4;
+
+const REMINDER_KEY = "xinyi_mahjong_backup_reminder";
+export const DEFAULT_REMINDER = { days: 14, lastExportAt: null };
+
+function mondayOf(date){
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+/** 現在應該有的快照 id */
+export function dueSnapshotIds(now = new Date()){
+  return [`daily-${toDateStr(now)}`, `weekly-${toDateStr(mondayOf(now))}`];
+}
+
+export function snapshotKind(id){
+  return id.startsWith("weekly-") ? "weekly" : "daily";
+}
+
+/** 超出保留份數、應該刪掉的快照 id */
+export function expiredSnapshotIds(ids){
+  const drop = [];
+  [["daily", KEEP_DAILY], ["weekly", KEEP_WEEKLY]].forEach(([kind, keep]) => {
+    // id 裡的日期是 YYYY-MM-DD，字串排序就是時間排序
+    const sorted = ids.filter((id) => snapshotKind(id) === kind).sort().reverse();
+    drop.push(...sorted.slice(keep));
+  });
+  return drop;
+}
+
+export function loadReminder(){
+  try{
+    return { ...DEFAULT_REMINDER, ...JSON.parse(localStorage.getItem(profileKey(REMINDER_KEY)) || "{}") };
+  }catch(e){
+    return { ...DEFAULT_REMINDER };
+  }
+}
+
+export function saveReminder(reminder){
+  localStorage.setItem(profileKey(REMINDER_KEY), JSON.stringify(reminder));
+}
+
+/** 手動備份（下載檔案）後呼叫 */
+export function markExported(now = new Date()){
+  const next = { ...loadReminder(), lastExportAt: now.toISOString() };
+  saveReminder(next);
+  return next;
+}
+
+/**
+ * 距離上次手動備份幾天；days 設 0 表示不提醒
+ * 回傳 null 表示不用提醒，否則回傳天數（從沒備份過回傳 Infinity）
+ */
+export function overdueDays(reminder, now = new Date()){
+  if(!(reminder.days > 0)) return null;
+  if(!reminder.lastExportAt) return Infinity;
+  const days = Math.floor((now - new Date(reminder.lastExportAt)) / 86400000);
+  return days >= reminder.days ? days : null;
+}
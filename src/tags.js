@@ -0,0 +1,31 @@
+// 標籤：紀錄上的 tags（字串陣列），可以在整個 App 篩選
+// 命令列工具（經由 csv.js）也會用到，這裡不碰 localStorage；篩選條件的存取在 TagFilter.jsx
+
+/** "過年局, 公司局 #週末" → ["過年局", "公司局", "週末"]（去重、去 #） */
+export function parseTags(input){
+  const out = [];
+  String(input || "")
+    .split(/[,，、;；\s]+/)
+    .map((t) => t.replace(/^#+/, "").trim())
+    .forEach((t) => { if(t && !out.includes(t)) out.push(t); });
+  return out;
+}
+
+export function formatTags(tags){
+  return (tags || []).join("、");
+}
+
+/** 所有用過的標籤：[{ tag, count }]，常用的在前 */
+export function allTags(records){
+  const m = new Map();
+  (records || []).forEach((r) => (r.tags || []).forEach((t) => m.set(t, (m.get(t) || 0) + 1)));
+  return [...m.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/** 選了多個標籤時，紀錄要全部都有才算 */
+export function filterByTags(records, tags){
+  if(!tags || tags.length === 0) return records;
+  return (records || []).filter((r) => tags.every((t) => (r.tags || []).includes(t)));
+}
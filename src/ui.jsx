@@ -0,0 +1,135 @@
+import React from "react";
+
+/** theme (neutral) */
+export const theme = {
+  bg: "#0b1220", // 深藍灰
+  panel: "#111a2c",
+  card: "#0f172a",
+  card2: "#0b1324",
+  border: "rgba(255,255,255,0.08)",
+  text: "#e5e7eb",
+  subtext: "rgba(229,231,235,0.75)",
+  good: "#22c55e",
+  bad: "#ef4444",
+  muted: "rgba(229,231,235,0.55)",
+  btn: "#1f2a44",
+  btnHover: "#253252",
+  primary: "#3b82f6",
+};
+
+/** UI components */
+export function StatCard({ theme, title, value, accent }) {
+  return (
+    <div
+      style={{
+        background: theme.panel,
+        border: `1px solid ${theme.border}`,
+        borderRadius: 16,
+        padding: 12,
+      }}
+    >
+      <div style={{ color: theme.subtext, fontSize: 12, marginBottom: 6 }}>
+        {title}
+      </div>
+      <div style={{ fontWeight: 900, fontSize: 18, color: accent }}>{value}</div>
+    </div>
+  );
+}
+
+export function Button({ theme, label, onClick, primary, danger }) {
+  const baseBg = primary ? theme.primary : theme.btn;
+  const fg = primary ? "#ffffff" : theme.text;
+  const border = primary
+    ? "1px solid rgba(255,255,255,0.12)"
+    : `1px solid ${theme.border}`;
+
+  const dangerStyle = danger
+    ? {
+        background: "rgba(239,68,68,0.12)",
+        color: theme.bad,
+        border: `1px solid rgba(239,68,68,0.25)`,
+      }
+    : {};
+
+  return (
+    <button
+      onClick={onClick}
+      style={{
+        padding: "10px 12px",
+        borderRadius: 12,
+        border,
+        background: baseBg,
+        color: fg,
+        fontWeight: 800,
+        fontSize: 14,
+        cursor: "pointer",
+        ...dangerStyle,
+      }}
+    >
+      {label}
+    </button>
+  );
+}
+
+export function Field({ label, hint, children, theme }) {
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div style={{ fontWeight: 900, marginBottom: 6 }}>{label}</div>
+      {hint && (
+        <div style={{ color: theme.muted, fontSize: 12, marginBottom: 8 }}>
+          {hint}
+        </div>
+      )}
+      {children}
+    </div>
+  );
+}
+
+export function inputStyle(theme) {
+  return {
+    width: "100%",
+    padding: "12px 12px",
+    borderRadius: 12,
+    border: `1px solid ${theme.border}`,
+    background: theme.card,
+    color: theme.text,
+    outline: "none",
+    fontSize: 14,
+    boxSizing: "border-box",
+  };
+}
+
+/** 底部提示列（可帶一個動作按鈕，例如「復原」） */
+export function Toast({ theme, message, actionLabel, onAction, onClose }) {
+  return (
+    <div
+      style={{
+        position: "fixed",
+        left: 14,
+        right: 14,
+        bottom: 14,
+        maxWidth: 520,
+        margin: "0 auto",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "space-between",
+        gap: 10,
+        padding: "10px 12px",
+        borderRadius: 14,
+        background: theme.panel,
+        border: `1px solid ${theme.border}`,
+        boxShadow: "0 8px 24px rgba(0,0,0,0.4)",
+        zIndex: 80,
+        fontSize: 14,
+      }}
+    >
+      <span>{message}</span>
+      <div style={{ display: "flex", gap: 8 }}>
+        {onAction && (
+          <Button theme={theme} primary label={actionLabel} onClick={onAction} />
+        )}
+        <Button theme={theme} label="✕" onClick={onClose} />
+      </div>
+    </div>
+  );
+}
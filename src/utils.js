@@ -0,0 +1,40 @@
+/** utils */
+import { t, formatMoney } from "./i18n.js";
+
+export function toDateStr(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${y}-${m}-${day}`;
+}
+
+export function resultText(net) {
+  if (net > 0) return t("result.win");
+  if (net < 0) return t("result.loss");
+  return t("result.draw");
+}
+
+export function formatNetPlain(n) {
+  // 幣別符號與正負號，依語言加千分位
+  return formatMoney(n, { sign: true });
+}
+
+export function safeParseStake(stakeStr) {
+  const m = /^(\d+)\s*\/\s*(\d+)$/.exec(stakeStr || "");
+  if (!m) return { base: 30, tai: 10, ok: false };
+  return { base: Number(m[1]), tai: Number(m[2]), ok: true };
+}
+
+export const PRESETS = ["30/10", "50/20", "100/10", "100/20", "自訂"];
+
+export function downloadText(text, filename, type) {
+  downloadBlob(new Blob([text], { type }), filename);
+}
+
+export function downloadBlob(blob, filename) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
@@ -0,0 +1,93 @@
+// 地點（牌局場地）：名單由紀錄的 location 整理出來，最愛另外記在 localStorage
+// 改名/合併會直接改寫紀錄的 location（見 db.js renameVenue）
+
+import { profileKey } from "./profiles.js";
+
+const VENUES_KEY = "xinyi_mahjong_venues";
+
+/** 比對用：去掉所有空白、全形轉半形、英文不分大小寫 */
+export function venueKey(name){
+  return String(name || "")
+    .normalize("NFKC")
+    .replace(/\s+/g, "")
+    .toLowerCase();
+}
+
+export function loadFavorites(){
+  try{
+    const v = JSON.parse(localStorage.getItem(profileKey(VENUES_KEY)) || "{}");
+    return Array.isArray(v.favorites) ? v.favorites : [];
+  }catch(e){
+    return [];
+  }
+}
+
+export function saveFavorites(favorites){
+  localStorage.setItem(profileKey(VENUES_KEY), JSON.stringify({ favorites }));
+}
+
+/** 改名/合併後，最愛名單跟著換名字 */
+export function renameInFavorites(favorites, fromNames, to){
+  const from = new Set(fromNames);
+  const hadAny = favorites.some((f) => from.has(f));
+  const rest = favorites.filter((f) => !from.has(f) && f !== to);
+  return hadAny || favorites.includes(to) ? [...rest, to] : rest;
+}
+
+/**
+ * 所有地點：[{ name, sessions, net, lastDate, favorite }]
+ * 最愛在前，其次依場數
+ */
+export function venueList(records, favorites = []){
+  const fav = new Set(favorites);
+  const m = new Map();
+  (records || []).forEach((r) => {
+    const name = String(r.location || "").trim();
+    if(!name) return;
+    const cur = m.get(name) || { name, sessions: 0, net: 0, lastDate: "", favorite: fav.has(name) };
+    cur.sessions++;
+    cur.net += Number(r.net || 0);
+    if(r.date > cur.lastDate) cur.lastDate = r.date;
+    m.set(name, cur);
+  });
+  return [...m.values()].sort(
+    (a, b) => (b.favorite - a.favorite) || (b.sessions - a.sessions) || a.name.localeCompare(b.name)
+  );
+}
+
+/** 寫法不同但其實是同一個地方的（比對 venueKey），回傳 [[name, ...], ...] */
+export function similarVenues(list){
+  const groups = new Map();
+  list.forEach((v) => {
+    const k = venueKey(v.name);
+    groups.set(k, [...(groups.get(k) || []), v.name]);
+  });
+  return [...groups.values()].filter((g) => g.length > 1);
+}
+
+/** 輸入的地點如果跟既有的只差空白/全半形，就用既有的寫法 */
+export function canonicalVenue(input, list){
+  const name = String(input || "").trim();
+  if(!name) return "";
+  const k = venueKey(name);
+  return list.find((v) => venueKey(v.name) === k)?.name || name;
+}
+
+/** 單一地點的統計 */
+export function venueStats(records, name){
+  const rs = (records || []).filter((r) => String(r.location || "").trim() === name);
+  const total = rs.reduce((s, r) => s + Number(r.net || 0), 0);
+  const stakes = new Map();
+  rs.forEach((r) => stakes.set(r.stake, (stakes.get(r.stake) || 0) + 1));
+  let topStake = "", n = 0;
+  stakes.forEach((c, s) => { if(c > n){ topStake = s; n = c; } });
+  return {
+    sessions: rs.length,
+    total,
+    avg: rs.length ? Math.round(total / rs.length) : 0,
+    wins: rs.filter((r) => Number(r.net || 0) > 0).length,
+    topStake,
+    topStakeCount: n,
+    records: [...rs].sort((a, b) => b.date.localeCompare(a.date)),
+  };
+}